@@ -0,0 +1,246 @@
+// server.cjs — CommonJS (.cjs) because package.json sets "type": "module".
+// `npm run legacy-server` or `node server.cjs`; PORT overrides the default 3001 (0 = any free port).
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const app = express();
+const port = Number(process.env.PORT || 3001);
+
+// ---- Self-hosted sync endpoint (ServerSyncAdapter in src/utils/SyncAdapters.js) ----
+// Stores the sealed sync documents of Calendar / Notes — { id, updated, deleted, ct } with
+// `ct` already encrypted on the device — in ONE JSON file, so a team can sync without
+// Google. The server never sees sync codes or plaintext.
+//   PUT /sync/:space/:collection/:id   body = document (create or replace); the server stamps
+//       `_pushed` with its own clock (strictly increasing), whatever the device sent
+//   DELETE /sync/:space/:collection/:id   forget a purged tombstone (404 if already gone)
+//   GET /sync/:space/:collection?since=&after=&limit=
+//       -> { documents, next }: documents with _pushed > since (or == since and id > after),
+//          ordered by (_pushed, id); next = the cursor of the following page, or null.
+const SYNC_FILE = process.env.SYNC_DATA_FILE || path.join(__dirname, '.sync-data.json');
+const SYNC_MAX_DOCS = 20000;           // per collection
+const SYNC_MAX_PAGE = 500;
+const SPACE_RE = /^[0-9a-f]{32}$/;
+const NAME_RE = /^[\w.~-]{1,200}$/;
+
+let syncData = {};                     // 'space/collection' -> { id: document }
+try { syncData = JSON.parse(fs.readFileSync(SYNC_FILE, 'utf8')) || {}; }
+catch (e) { if (e.code !== 'ENOENT') console.warn(`Sync store unreadable (${e.message}), starting empty`); }
+
+let lastPushed = 0;                    // newest stamp handed out, so a clock step back can't reorder
+for (const docs of Object.values(syncData)) {
+    for (const d of Object.values(docs || {})) lastPushed = Math.max(lastPushed, Number(d && d._pushed) || 0);
+}
+
+let saveTimer = null;
+function saveSyncData() {              // debounced, atomic (write a temp file, then rename)
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        const tmp = SYNC_FILE + '.tmp';
+        fs.writeFile(tmp, JSON.stringify(syncData), (err) => {
+            if (err) return console.error('Sync store not saved:', err.message);
+            fs.rename(tmp, SYNC_FILE, (e) => { if (e) console.error('Sync store not saved:', e.message); });
+        });
+    }, 500);
+}
+
+// Same flat shape the clients send: <=50 keys of string / number / boolean, matching id.
+function validDoc(doc, id) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc) || doc.id !== id) return false;
+    const keys = Object.keys(doc);
+    if (keys.length > 50) return false;
+    return keys.every((k) => ['string', 'number', 'boolean'].includes(typeof doc[k]));
+}
+
+// Sync clients may be served from another origin (e.g. GitHub Pages).
+app.use('/sync', (req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    if (!SPACE_RE.test(req.path.split('/')[1] || '')) return res.status(404).json({ error: 'unknown space' });
+    next();
+});
+
+app.put('/sync/:space/:collection/:id', express.json({ limit: '256kb' }), (req, res) => {
+    const { space, collection, id } = req.params;
+    if (!NAME_RE.test(collection) || !NAME_RE.test(id) || !validDoc(req.body, id)) return res.status(400).json({ error: 'bad document' });
+    const docs = syncData[`${space}/${collection}`] || (syncData[`${space}/${collection}`] = {});
+    if (!docs[id] && Object.keys(docs).length >= SYNC_MAX_DOCS) return res.status(507).json({ error: 'collection full' });
+    lastPushed = Math.max(Date.now(), lastPushed + 1);
+    docs[id] = Object.assign({}, req.body, { _pushed: lastPushed });
+    saveSyncData();
+    res.json({ ok: true });
+});
+
+app.delete('/sync/:space/:collection/:id', (req, res) => {
+    const { space, collection, id } = req.params;
+    if (!NAME_RE.test(collection) || !NAME_RE.test(id)) return res.status(400).json({ error: 'bad id' });
+    const docs = syncData[`${space}/${collection}`];
+    if (!docs || !docs[id]) return res.status(404).json({ error: 'not found' });
+    delete docs[id];
+    saveSyncData();
+    res.json({ ok: true });
+});
+
+app.get('/sync/:space/:collection', (req, res) => {
+    const { space, collection } = req.params;
+    if (!NAME_RE.test(collection)) return res.status(400).json({ error: 'bad collection' });
+    const since = req.query.since !== undefined ? Number(req.query.since) : -Infinity;
+    const after = typeof req.query.after === 'string' ? req.query.after : '';
+    const limit = Math.min(SYNC_MAX_PAGE, Math.max(1, Number(req.query.limit) || 300));
+    const list = Object.values(syncData[`${space}/${collection}`] || {})
+        .filter((d) => d._pushed > since || (after && d._pushed === since && d.id > after))
+        .sort((a, b) => (a._pushed - b._pushed) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    const page = list.slice(0, limit);
+    const last = page[page.length - 1];
+    res.json({ documents: page, next: list.length > limit ? { since: last._pushed, after: last.id } : null });
+});
+
+// ---- Presence relay (WebSocketAdapter in src/utils/Presence.js) ----
+// A tiny WebSocket fan-out for the globe's "who's online", so presence runs on our own
+// infrastructure with push latency. Each client sends its own record — { type: 'here',
+// record: { id, lat, lng, name, color, status } }, again on every heartbeat — or
+// { type: 'bye' }; every change goes to all clients as { type: 'roster', list }. Records are
+// rounded to 1 decimal (~11 km) here too, kept in memory only, and pruned PRESENCE_TTL_MS
+// after their last heartbeat or when the socket closes. Minimal RFC 6455 (unfragmented text
+// frames, ping, close) so the server keeps express as its only dependency.
+// Rooms: /presence is the public lobby, /presence/<room> a separate roster (Presence.cleanRoom
+// names: a-z 0-9 - _, up to 32) — a client only ever hears its own room.
+const PRESENCE_PATH = '/presence';
+const PRESENCE_ROOM = /^[a-z0-9_-]{1,32}$/;
+const PRESENCE_TTL_MS = 75000;         // ~2.5x the client heartbeat (30 s)
+const PRESENCE_MAX_CLIENTS = 500;
+const WS_MAX_FRAME = 4096;             // a presence message is ~100 bytes
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const presence = new Map();            // socket -> { room, record, ts } (record null until 'here')
+
+// Server -> client frame: FIN + text (or `opcode`), unmasked, 7 / 16 / 64-bit length.
+function wsSend(socket, text, opcode) {
+    const body = Buffer.isBuffer(text) ? text : Buffer.from(text, 'utf8');
+    const len = body.length;
+    let head;
+    if (len < 126) head = Buffer.from([0x80 | (opcode || 1), len]);
+    else if (len < 65536) head = Buffer.from([0x80 | (opcode || 1), 126, len >> 8, len & 255]);
+    else { head = Buffer.alloc(10); head[0] = 0x80 | (opcode || 1); head[1] = 127; head.writeBigUInt64BE(BigInt(len), 2); }
+    if (!socket.destroyed) socket.write(Buffer.concat([head, body]));
+}
+
+function wsClose(socket, code) {
+    if (socket.destroyed) return;
+    socket.end(Buffer.from([0x88, 2, code >> 8, code & 255]));
+}
+
+// Client -> server frames are masked; unfragmented ones up to WS_MAX_FRAME only, control
+// frames (close, ping, pong) up to 125 bytes (RFC 6455 5.5). Handles every complete frame in
+// `buf` and returns the bytes left over (an incomplete frame) or null when the connection was
+// closed.
+function wsRead(socket, buf) {
+    for (let i = 0, max = buf.length; i < max && buf.length >= 2; i++) {   // bounded: each frame takes >= 6 bytes
+        const fin = buf[0] & 0x80, opcode = buf[0] & 0x0f, masked = buf[1] & 0x80;
+        let len = buf[1] & 0x7f, off = 2;
+        if (len === 126) { if (buf.length < 4) break; len = buf.readUInt16BE(2); off = 4; }
+        else if (len === 127) { wsClose(socket, 1009); return null; }
+        if (!fin || !masked || (opcode >= 8 && len > 125)) { wsClose(socket, 1002); return null; }
+        if (len > WS_MAX_FRAME) { wsClose(socket, 1009); return null; }
+        if (buf.length < off + 4 + len) break;
+        const mask = buf.subarray(off, off + 4), data = Buffer.alloc(len);
+        for (let j = 0; j < len; j++) data[j] = buf[off + 4 + j] ^ mask[j & 3];
+        buf = buf.subarray(off + 4 + len);
+        if (opcode === 8) { wsClose(socket, 1000); return null; }
+        if (opcode === 9) wsSend(socket, data, 10);                     // ping -> pong, same payload
+        else if (opcode === 1) presenceMessage(socket, data.toString('utf8'));
+    }
+    return buf;
+}
+
+// A coarse, well-formed record or null.
+function presenceRecord(r) {
+    if (!r || typeof r !== 'object') return null;
+    const lat = Number(r.lat), lng = Number(r.lng);
+    if (r.id == null || String(r.id).length > 64 || !(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) return null;
+    const color = /^#[0-9a-f]{6}$/.test(String(r.color)) ? r.color : '';
+    return { id: String(r.id), lat: Math.round(lat * 10) / 10, lng: Math.round(lng * 10) / 10,
+        name: String(r.name || '').slice(0, 40), color, status: String(r.status || '').slice(0, 32) };
+}
+
+function presenceMessage(socket, text) {
+    let msg = null;
+    try { msg = JSON.parse(text); } catch (e) { return; }
+    if (!msg || !presence.has(socket)) return;
+    if (msg.type === 'here') {
+        const record = presenceRecord(msg.record);
+        if (!record) return;
+        const cur = presence.get(socket), prev = cur.record;
+        presence.set(socket, { room: cur.room, record, ts: Date.now() });
+        if (!prev || JSON.stringify(prev) !== JSON.stringify(record)) presenceBroadcast(cur.room);   // heartbeats only refresh the TTL
+    } else if (msg.type === 'bye') {
+        const cur = presence.get(socket);
+        presence.set(socket, { room: cur.room, record: null, ts: Date.now() });
+        presenceBroadcast(cur.room);
+    }
+}
+
+function presenceRoster(room) {
+    const list = [];
+    presence.forEach((v) => { if (v.record && v.room === room) list.push(v.record); });
+    return JSON.stringify({ type: 'roster', list });
+}
+
+function presenceBroadcast(room) {
+    const text = presenceRoster(room);
+    presence.forEach((v, socket) => { if (v.room === room) wsSend(socket, text); });
+}
+
+// TTL: forget records whose heartbeat stopped (the socket may linger half-open).
+setInterval(() => {
+    const now = Date.now();
+    const changed = new Set();
+    presence.forEach((v, socket) => {
+        if (v.record && now - v.ts > PRESENCE_TTL_MS) { presence.set(socket, { room: v.room, record: null, ts: v.ts }); changed.add(v.room); }
+    });
+    changed.forEach((room) => presenceBroadcast(room));
+}, 10000).unref();
+
+function presenceUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    const parts = new URL(req.url, 'http://x').pathname.split('/');         // ['', 'presence', room?]
+    const room = parts[2] || '';                                             // clean names: nothing to decode
+    if ('/' + parts[1] !== PRESENCE_PATH || parts.length > 3 || (room && !PRESENCE_ROOM.test(room))
+        || !key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+        return socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    }
+    if (presence.size >= PRESENCE_MAX_CLIENTS) return socket.end('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    socket.setNoDelay(true);
+    presence.set(socket, { room, record: null, ts: Date.now() });
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        const rest = wsRead(socket, Buffer.concat([pending, chunk]));
+        pending = rest || Buffer.alloc(0);
+        if (pending.length > WS_MAX_FRAME + 8) wsClose(socket, 1009);   // only ever one incomplete frame
+    });
+    const drop = () => { if (presence.delete(socket)) presenceBroadcast(room); };
+    socket.on('close', drop);
+    socket.on('error', drop);
+    wsSend(socket, presenceRoster(room));
+}
+
+// Serve static files from the root directory
+app.use(express.static(path.join(__dirname)));
+
+// Handle all routes by serving index.html
+app.get('*', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+const server = app.listen(port, () => {
+    const bound = server.address().port;
+    console.log(`Server running at http://localhost:${bound}`);
+    console.log(`Presence relay at ws://localhost:${bound}${PRESENCE_PATH}`);
+    console.log(`Press Ctrl+C to stop the server`);
+});
+server.on('upgrade', presenceUpgrade);
@@ -1,18 +0,0 @@
-// server.js
-const express = require('express');
-const path = require('path');
-const app = express();
-const port = 3001;
-
-// Serve static files from the root directory
-app.use(express.static(path.join(__dirname)));
-
-// Handle all routes by serving index.html
-app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
-
-app.listen(port, () => {
-    console.log(`Server running at http://localhost:${port}`);
-    console.log(`Press Ctrl+C to stop the server`);
-});
\ No newline at end of file
@@ -1,21 +1,77 @@
-// Calendar.js — month-grid calendar UI for the launcher. Local-first via CalendarStore;
-// re-renders on any store change (including remote sync). classic script, window global.
+// Calendar.js — calendar UI for the launcher: month grid, week (hourly slots) and agenda
+// views beside a day panel. Local-first via CalendarStore; re-renders on any store change
+// (including remote sync). Times shown are in the viewer's zone (CalendarStore converts);
+// durations and overlaps are drawn from those display times. The view persists in localStorage.
+// Keyboard: ←/→ previous / next period, T today, M/W/A switch view.
+// Rescheduling: drag an event onto a month cell, a week day or an hour slot, or use its ⇄
+// button then arrows and Enter. Each move is ONE store.move() (sync and the notifier see one
+// update) and can be undone from the status line or with Ctrl+Z. classic script, window global.
 // NASA Power-of-10: bounded loops, >=2 asserts/method, methods <=60 lines, graceful fallback.
 
 class Calendar {
-    constructor(root, store) {
+    // Optional companions in `opts`:
+    //   tasks      a TasksStore: open tasks due on a day get a month-grid marker and are listed
+    //              in the day panel.
+    //   notes      a NotesStore: the day panel lists notes linked to the day and its events, and
+    //              each event gets a meeting-note button (creates a pre-filled note the first
+    //              time); openNote(id) shows a note.
+    //   calendars  a CalendarList: toggle chips show / hide each calendar on this device, a
+    //              manage panel adds, renames, recolours and deletes them (and sets a calendar's
+    //              sync code); month dots and events take their calendar's colour.
+    constructor(root, store, opts) {
         console.assert(root && root.nodeType === 1, 'Calendar: root element required');
         console.assert(store && typeof store.forDate === 'function', 'Calendar: CalendarStore required');
         this.root = root;
         this.store = store;
+        this.tasks = (opts && opts.tasks && typeof opts.tasks.dueByDate === 'function') ? opts.tasks : null;
+        this.notes = (opts && opts.notes && typeof opts.notes.linked === 'function') ? opts.notes : null;
+        this.openNote = (opts && typeof opts.openNote === 'function') ? opts.openNote : null;
+        this.calendars = (opts && opts.calendars && typeof opts.calendars.list === 'function') ? opts.calendars : null;
+        this._manage = false;                          // calendars panel open
+        this._addCal = '';                             // last calendar picked in the add form
         var now = new Date();
         this.viewYear = now.getFullYear();
         this.viewMonth = now.getMonth();               // 0-11
         this.selected = this._iso(now);
+        this.view = this._readView();                  // 'month' | 'week' | 'agenda'
+        this._prefillTime = '';                        // set by clicking a week-view hour slot
         this._MONTHS = ['January','February','March','April','May','June','July','August','September','October','November','December'];
         this._DOW = ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'];
+        this._status = '';                              // transient one-line message (import result)
+        this._statusTimer = null;
         this._onClick = this._handleClick.bind(this);
         this._onSubmit = this._handleSubmit.bind(this);
+        this._onDrag = this._handleDrag.bind(this);
+        this._onDrop = this._handleDrop.bind(this);
+        this._onKey = this._handleKey.bind(this);
+        this._onDragStart = this._handleDragStart.bind(this);
+        this._dragging = null;                         // { id, on } of the event being dragged
+        this._moving = null;                           // { id, on, title } in keyboard move mode
+        this._undo = null;                             // { id, date, time, title } of the last move
+        this._editing = null;                          // { id, on } of the event in the edit form
+    }
+
+    static get VIEWS() { return ['month', 'week', 'agenda']; }
+    static get VIEW_KEY() { return 'mrcargon.calendar.view'; }
+    static get AGENDA_DAYS() { return 30; }
+    static get DRAG_TYPE() { return 'application/x-mrcargon-event'; }
+
+    _readView() {
+        try {
+            var v = window.localStorage ? window.localStorage.getItem(Calendar.VIEW_KEY) : null;
+            return Calendar.VIEWS.indexOf(v) >= 0 ? v : 'month';
+        } catch (e) { return 'month'; }
+    }
+
+    // Switch view and remember it. Month view follows the selected day. Rule 5: 2 asserts.
+    setView(view) {
+        console.assert(Calendar.VIEWS.indexOf(view) >= 0, 'setView: known view');
+        console.assert(typeof this.selected === 'string', 'setView: selected date');
+        this.view = view;
+        this._followSelected();
+        try { if (window.localStorage) window.localStorage.setItem(Calendar.VIEW_KEY, view); } catch (e) { /* private mode */ }
+        this.render();
+        return true;
     }
 
     mount() {
@@ -23,8 +79,20 @@ class Calendar {
         console.assert(this.store, 'mount: store required');
         var self = this;
         this.store.onChange(function () { self.render(); });
+        if (this.tasks) this.tasks.onChange(function () { self.render(); });
+        if (this.notes) this.notes.onChange(function () { self.render(); });
+        if (this.calendars) {
+            this.store.setHidden(this.calendars.hidden());
+            this.calendars.onChange(function () { if (!self.store.setHidden(self.calendars.hidden())) self.render(); });
+        }
         this.root.addEventListener('click', this._onClick);
         this.root.addEventListener('submit', this._onSubmit);
+        this.root.addEventListener('dragover', this._onDrag);
+        this.root.addEventListener('dragleave', this._onDrag);
+        this.root.addEventListener('drop', this._onDrop);
+        this.root.addEventListener('dragstart', this._onDragStart);
+        this.root.addEventListener('dragend', this._onDragStart);
+        this.root.addEventListener('keydown', this._onKey);
         this.render();
         return true;
     }
@@ -34,6 +102,13 @@ class Calendar {
         console.assert(this._onClick, 'dispose: handler');
         this.root.removeEventListener('click', this._onClick);
         this.root.removeEventListener('submit', this._onSubmit);
+        this.root.removeEventListener('dragover', this._onDrag);
+        this.root.removeEventListener('dragleave', this._onDrag);
+        this.root.removeEventListener('drop', this._onDrop);
+        this.root.removeEventListener('dragstart', this._onDragStart);
+        this.root.removeEventListener('dragend', this._onDragStart);
+        this.root.removeEventListener('keydown', this._onKey);
+        if (this._statusTimer) { clearTimeout(this._statusTimer); this._statusTimer = null; }
         return true;
     }
 
@@ -46,6 +121,28 @@ class Calendar {
         return d.getFullYear() + '-' + m + '-' + day;
     }
 
+    // Local Date for a yyyy-mm-dd string (noon, so DST edges never change the day).
+    _date(iso) {
+        console.assert(typeof iso === 'string', '_date: iso string');
+        var p = iso.split('-');
+        return new Date(+p[0], +p[1] - 1, +p[2], 12);
+    }
+
+    _addDays(iso, n) {
+        console.assert(Number.isInteger(n), '_addDays: integer days');
+        var d = this._date(iso);
+        d.setDate(d.getDate() + n);
+        return this._iso(d);
+    }
+
+    // Month view shows the month of the selected day after week/agenda navigation.
+    _followSelected() {
+        var d = this._date(this.selected);
+        this.viewYear = d.getFullYear();
+        this.viewMonth = d.getMonth();
+        return true;
+    }
+
     // 6x7 matrix of ISO date strings covering the view month. <=60 lines.
     _matrix() {
         console.assert(Number.isInteger(this.viewMonth), '_matrix: month int');
@@ -69,23 +166,49 @@ class Calendar {
     render() {
         console.assert(this.root, 'render: root');
         console.assert(this.store, 'render: store');
-        var counts = this.store.countsByDate();
         var todayIso = this._iso(new Date());
+        var main;
+        if (this.view === 'week') main = this._renderWeek(todayIso);
+        else if (this.view === 'agenda') main = this._renderAgenda(todayIso);
+        else {
+            var weeks = this._matrix();
+            var from = this._iso(weeks[0][0]), to = this._iso(weeks[5][6]);
+            main = this._renderGrid(this.store.calendarsByDate(from, to), todayIso, this.tasks ? this.tasks.dueByDate(from, to) : {});
+        }
         this.root.innerHTML =
-            '<div class="cal-wrap">' +
-                this._renderGrid(counts, todayIso) +
-                this._renderDayPanel() +
-            '</div>';
+            (this._status ? '<p class="cal-status" role="status">' + Calendar._esc(this._status) +
+                (this._undo ? ' <button class="cal-nav cal-undo" data-cal="undo">Undo</button>' : '') + '</p>' : '') +
+            (this._moving ? '<p class="cal-status cal-moving" role="status" tabindex="-1">Moving “' + Calendar._esc(this._moving.title) +
+                '”: pick a day (←/→/↑/↓ then Enter, or click; an hour in week view). ' +
+                '<button class="cal-nav" data-cal="cancel-move">Cancel</button></p>' : '') +
+            this._renderCalendars() +
+            '<div class="cal-wrap">' + main + this._renderDayPanel() + '</div>';
         return true;
     }
 
-    _renderGrid(counts, todayIso) {
+    // Period navigation + view switcher shared by every view. <=60 lines.
+    _renderHead(title) {
+        console.assert(typeof title === 'string', '_renderHead: title');
+        console.assert(Calendar.VIEWS.indexOf(this.view) >= 0, '_renderHead: view');
+        var self = this, unit = { month: 'month', week: 'week', agenda: Calendar.AGENDA_DAYS + ' days' }[this.view];
+        var views = Calendar.VIEWS.map(function (v) {
+            var on = v === self.view;
+            return '<button class="cal-view-btn' + (on ? ' active' : '') + '" data-cal="view" data-view="' + v + '" aria-pressed="' + on + '">' +
+                v.charAt(0).toUpperCase() + v.slice(1) + '</button>';
+        }).join('');
+        return '<div class="cal-head">' +
+            '<button class="cal-nav" data-cal="prev" aria-label="Previous ' + unit + '">&#8249;</button>' +
+            '<h3 class="cal-title">' + Calendar._esc(title) + '</h3>' +
+            '<button class="cal-nav" data-cal="next" aria-label="Next ' + unit + '">&#8250;</button>' +
+            '<button class="cal-nav cal-today" data-cal="today">Today</button></div>' +
+            '<div class="cal-views" role="group" aria-label="Calendar view">' + views + '</div>';
+    }
+
+    // `byCal` maps a date to { calendarId: event count } (one coloured dot per calendar), `due`
+    // to the open tasks due that day (a check marker, titles on hover).
+    _renderGrid(byCal, todayIso, due) {
         var self = this, weeks = this._matrix();
-        var head = '<div class="cal-head">' +
-            '<button class="cal-nav" data-cal="prev" aria-label="Previous month">&#8249;</button>' +
-            '<h3 class="cal-title">' + this._MONTHS[this.viewMonth] + ' ' + this.viewYear + '</h3>' +
-            '<button class="cal-nav" data-cal="next" aria-label="Next month">&#8250;</button>' +
-            '<button class="cal-nav cal-today" data-cal="today">Today</button></div>';
+        var head = this._renderHead(this._MONTHS[this.viewMonth] + ' ' + this.viewYear);
         var dow = '<div class="cal-dow">' + this._DOW.map(function (d) { return '<span>' + d + '</span>'; }).join('') + '</div>';
         var body = '<div class="cal-grid">';
         weeks.forEach(function (row) {
@@ -94,33 +217,518 @@ class Calendar {
                 var other = cell.getMonth() !== self.viewMonth ? ' cal-other' : '';
                 var today = iso === todayIso ? ' cal-is-today' : '';
                 var sel = iso === self.selected ? ' cal-selected' : '';
-                var n = counts[iso] || 0;
-                var dot = n ? '<span class="cal-dot">' + (n > 3 ? '&#8226;&#8226;&#8226;' : Array(n + 1).join('&#8226;')) + '</span>' : '';
-                body += '<button class="cal-cell' + other + today + sel + '" data-cal="day" data-date="' + iso + '">' +
-                    '<span class="cal-num">' + cell.getDate() + '</span>' + dot + '</button>';
+                var dot = self._dots(byCal[iso] || {});
+                var tasks = due[iso] || [], names = tasks.map(function (t) { return t.title; }).join(', ');
+                var mark = tasks.length ? '<span class="cal-task-mark' + (iso < todayIso ? ' overdue' : '') + '" aria-hidden="true">&#10003;' +
+                    (tasks.length > 1 ? tasks.length : '') + '</span>' : '';
+                var label = tasks.length ? ' title="Due: ' + Calendar._esc(names) + '" aria-label="' + iso + ', ' + tasks.length +
+                    (tasks.length > 1 ? ' tasks' : ' task') + ' due: ' + Calendar._esc(names) + '"' : '';
+                body += '<button class="cal-cell' + other + today + sel + '" data-cal="day" data-date="' + iso + '"' + label + '>' +
+                    '<span class="cal-num">' + cell.getDate() + '</span>' + dot + mark + '</button>';
             });
         });
         body += '</div>';
         return '<div class="cal-month">' + head + dow + body + '</div>';
     }
 
+    // One dot per calendar with events that day (at most 4), in its colour; the tooltip names
+    // the calendars and their counts.
+    _dots(cals) {
+        console.assert(cals && typeof cals === 'object', '_dots: calendar counts');
+        var self = this, ids = Object.keys(cals).slice(0, 20);
+        console.assert(ids.length <= 20, '_dots: bounded');
+        if (!ids.length) return '';
+        var names = ids.map(function (id) { return self._calName(id) + ': ' + cals[id]; }).join(', ');
+        return '<span class="cal-dots" title="' + Calendar._esc(names) + '">' + ids.slice(0, 4).map(function (id) {
+            return '<span class="cal-dot" style="' + self._colorStyle(id) + '"></span>';
+        }).join('') + '</span>';
+    }
+
+    // Inline `--cal-color` for calendar `id` ('' without opts.calendars: the CSS default).
+    _colorStyle(id) {
+        return this.calendars ? '--cal-color:' + Calendar._esc(this.calendars.color(id)) : '';
+    }
+
+    _calName(id) {
+        var c = this.calendars ? this.calendars.get(id) : null;
+        return c ? c.name : 'Events';
+    }
+
+    // Toggle chip per calendar (shown / hidden on this device) and the manage panel. '' without
+    // opts.calendars. <=60 lines.
+    _renderCalendars() {
+        console.assert(this.calendars === null || typeof this.calendars.visible === 'function', '_renderCalendars: calendar list');
+        console.assert(typeof this._manage === 'boolean', '_renderCalendars: panel flag');
+        if (!this.calendars) return '';
+        var self = this;
+        var chips = this.calendars.list().map(function (c) {
+            var on = self.calendars.visible(c.id);
+            return '<button class="cal-cal-chip' + (on ? '' : ' off') + '" data-cal="cal-toggle" data-id="' + Calendar._esc(c.id) + '" aria-pressed="' + on +
+                '" style="' + self._colorStyle(c.id) + '" title="' + (on ? 'Hide ' : 'Show ') + Calendar._esc(c.name) + '">' +
+                '<span class="cal-cal-swatch" aria-hidden="true"></span>' + Calendar._esc(c.name) + (c.syncCode ? ' <span aria-label="own sync code">&#128279;</span>' : '') + '</button>';
+        }).join('');
+        return '<div class="cal-cals" role="group" aria-label="Calendars">' + chips +
+            '<button class="cal-nav cal-cal-manage" data-cal="cal-manage" aria-expanded="' + this._manage + '">Calendars…</button></div>' +
+            (this._manage ? this._renderCalendarManager() : '');
+    }
+
+    // Rename / recolour / sync code / delete rows, then an add form. The default calendar can't
+    // be deleted; deleting another moves its events to the default one. <=60 lines.
+    _renderCalendarManager() {
+        console.assert(this.calendars, '_renderCalendarManager: calendar list');
+        console.assert(typeof CalendarList !== 'undefined', '_renderCalendarManager: CalendarList');
+        var list = this.calendars.list(), full = list.length >= CalendarList.MAX_CALENDARS;
+        var rows = list.map(function (c) {
+            var id = Calendar._esc(c.id);
+            return '<li><form class="cal-cal-row" data-cal="cal-save" data-id="' + id + '">' +
+                '<input type="color" name="color" class="cal-cal-color" value="' + Calendar._esc(c.color) + '" aria-label="Colour of ' + Calendar._esc(c.name) + '">' +
+                '<input type="text" name="name" class="cal-input cal-cal-name" value="' + Calendar._esc(c.name) + '" maxlength="40" required aria-label="Calendar name">' +
+                '<button type="submit" class="cal-nav">Save</button>' +
+                '<button type="button" class="cal-nav' + (c.syncCode ? ' synced' : '') + '" data-cal="cal-code" data-id="' + id + '">' + (c.syncCode ? 'Own sync code' : 'Sync code…') + '</button>' +
+                (c.id === CalendarList.DEFAULT_ID ? '' : '<button type="button" class="cal-nav cal-cal-del" data-cal="cal-del" data-id="' + id + '">Delete</button>') +
+                '</form></li>';
+        }).join('');
+        var next = CalendarList.COLORS[list.length % CalendarList.COLORS.length];
+        var add = full ? '<p class="cal-cal-note">' + CalendarList.MAX_CALENDARS + ' calendars at most.</p>'
+            : '<form class="cal-cal-row cal-cal-add" data-cal="cal-add">' +
+                '<input type="color" name="color" class="cal-cal-color" value="' + next + '" aria-label="Colour">' +
+                '<input type="text" name="name" class="cal-input cal-cal-name" placeholder="New calendar…" maxlength="40" required aria-label="New calendar name">' +
+                '<button type="submit" class="control-btn">Add calendar</button></form>';
+        return '<div class="cal-cal-panel"><ul class="cal-cal-list">' + rows + '</ul>' + add +
+            '<p class="cal-cal-note">Hiding a calendar only affects this device. A calendar with its own sync code syncs with that code instead of the main one, so it can be shared on its own.</p></div>';
+    }
+
+    // Calendar picker for the add form ('' without opts.calendars); remembers the last choice.
+    _calendarSelect() {
+        if (!this.calendars) return '';
+        var pick = this._addCal && this.calendars.get(this._addCal) ? this._addCal : this.calendars.list()[0].id;
+        return '<select name="calendar" class="cal-input cal-cal-pick" aria-label="Calendar">' + this.calendars.list().map(function (c) {
+            return '<option value="' + Calendar._esc(c.id) + '"' + (c.id === pick ? ' selected' : '') + '>' + Calendar._esc(c.name) + '</option>';
+        }).join('') + '</select>';
+    }
+
+    // Add / rename / recolour from the manage panel. Rule 5: 2 asserts.
+    _calendarSubmit(form) {
+        console.assert(form && form.nodeType === 1, '_calendarSubmit: form');
+        console.assert(this.calendars, '_calendarSubmit: calendar list');
+        var name = (form.name && form.name.value || '').trim(), color = form.color ? form.color.value : '';
+        if (!name) return false;
+        if (form.getAttribute('data-cal') === 'cal-add') {
+            if (!this.calendars.add({ name: name, color: color })) this._flash('No more than ' + CalendarList.MAX_CALENDARS + ' calendars');
+        } else {
+            this.calendars.update(form.getAttribute('data-id'), { name: name, color: color });
+        }
+        return true;
+    }
+
+    // Set or clear a calendar's own sync code (blank = back on the main code).
+    _calendarCode(id) {
+        console.assert(typeof id === 'string' && id, '_calendarCode: id');
+        console.assert(this.calendars, '_calendarCode: calendar list');
+        var cal = this.calendars.get(id);
+        if (!cal) return false;
+        var code = window.prompt('Own sync code for "' + cal.name + '" (blank = sync with the main calendar code). Share it to share just this calendar; treat it like a password.', cal.syncCode || '');
+        if (code === null) return false;
+        this.calendars.update(id, { syncCode: code.trim() });
+        return true;
+    }
+
+    // Delete a calendar; its events (nothing is lost) move to the default calendar first.
+    _deleteCalendar(id) {
+        console.assert(typeof id === 'string' && id, '_deleteCalendar: id');
+        console.assert(this.calendars, '_deleteCalendar: calendar list');
+        var cal = this.calendars.get(id);
+        if (!cal || id === CalendarList.DEFAULT_ID) return false;
+        var n = this.store.moveCalendar(id, CalendarList.DEFAULT_ID);
+        this.calendars.remove(id);
+        this._flash('Deleted ' + cal.name + (n ? ': ' + n + (n > 1 ? ' events' : ' event') + ' moved to ' + this._calName(CalendarList.DEFAULT_ID) : ''));
+        return true;
+    }
+
+    // Open tasks due on `day` (opts.tasks), linking to the Tasks page. Empty without a store.
+    _renderDueTasks(day) {
+        console.assert(typeof day === 'string', '_renderDueTasks: day');
+        console.assert(this.tasks === null || typeof this.tasks.dueByDate === 'function', '_renderDueTasks: tasks store');
+        var due = this.tasks ? (this.tasks.dueByDate(day, day)[day] || []) : [];
+        if (!due.length) return '';
+        return '<ul class="cal-task-list" aria-label="Tasks due">' + due.map(function (t) {
+            return '<li class="cal-task"><span aria-hidden="true">&#10003;</span> <a href="#tasks">' + Calendar._esc(t.title) + '</a></li>';
+        }).join('') + '</ul>';
+    }
+
+    // "Note" button on an event in the day panel: opens its meeting note ('' without opts.notes).
+    _noteButton(e, day) {
+        console.assert(e && e.id, '_noteButton: event');
+        console.assert(typeof day === 'string', '_noteButton: day');
+        if (!this.notes) return '';
+        var eventId = e.seriesId || e.id, has = this.notes.linked(day, [eventId]).some(function (n) { return n.eventId === eventId; });
+        return '<button class="cal-ev-note' + (has ? ' has-note' : '') + '" data-cal="meeting-note" data-id="' + Calendar._esc(e.id) +
+            '" data-date="' + Calendar._esc(day) + '" aria-label="' + (has ? 'Open meeting note' : 'Create meeting note') + '" title="' +
+            (has ? 'Open meeting note' : 'Create meeting note') + '">&#128221;</button>';
+    }
+
+    // Notes linked to `day` or its events, and a button for a note about the day itself.
+    _renderDayNotes(day, evs) {
+        console.assert(typeof day === 'string', '_renderDayNotes: day');
+        console.assert(Array.isArray(evs), '_renderDayNotes: events');
+        if (!this.notes) return '';
+        var ids = evs.map(function (e) { return e.seriesId || e.id; });
+        var items = this.notes.linked(day, ids).map(function (n) {
+            return '<li class="cal-note"><button class="cal-note-open" data-cal="open-note" data-id="' + Calendar._esc(n.id) + '">' +
+                '<span aria-hidden="true">&#128221;</span> ' + Calendar._esc(n.title || '(untitled)') + '</button></li>';
+        }).join('');
+        return '<div class="cal-notes"><ul class="cal-note-list" aria-label="Linked notes">' + items + '</ul>' +
+            '<button class="cal-nav cal-day-note" data-cal="day-note" data-date="' + Calendar._esc(day) + '">+ Note for this day</button></div>';
+    }
+
+    // Open (creating it from the event the first time) the meeting note of event `id` on `date`.
+    _meetingNote(id, date) {
+        console.assert(typeof id === 'string' && id, '_meetingNote: event id');
+        console.assert(typeof date === 'string', '_meetingNote: date');
+        if (!this.notes) return false;
+        var ev = this.store.forDate(date).filter(function (e) { return e.id === id; })[0];
+        if (!ev) return false;
+        var note = this.notes.meetingNote(ev, date);
+        if (this.openNote) this.openNote(note.id);
+        return true;
+    }
+
+    // A new note linked to `date`, titled with it.
+    _dayNote(date) {
+        console.assert(typeof date === 'string' && date, '_dayNote: date');
+        console.assert(this.notes, '_dayNote: notes store');
+        var note = this.notes.upsert({ title: date, body: '', date: date });
+        if (this.openNote) this.openNote(note.id);
+        return true;
+    }
+
     _renderDayPanel() {
-        var evs = this.store.forDate(this.selected);
+        var day = this.selected, evs = this.store.forDate(day), clash = Calendar._clashes(evs, day), self = this;
         var list = evs.length
-            ? evs.map(function (e) {
-                return '<li class="cal-ev"><span class="cal-ev-time">' + (e.time ? Calendar._esc(e.time) : 'all day') + '</span>' +
-                    '<span class="cal-ev-title">' + Calendar._esc(e.title) + '</span>' +
-                    '<button class="cal-ev-del" data-cal="del" data-id="' + Calendar._esc(e.id) + '" aria-label="Delete event">&times;</button></li>';
-            }).join('')
+            ? evs.map(function (e, i) { return Calendar._evItem(e, day, clash.has(i), self._noteButton(e, day), self._colorStyle(e.calendarId)); }).join('')
             : '<li class="cal-empty">No events. Add one below.</li>';
+        var editing = this._editing && this._editing.on === day ? this._renderEditForm() : '';
         return '<div class="cal-day">' +
-            '<h4 class="cal-day-title">' + Calendar._esc(this.selected) + '</h4>' +
-            '<ul class="cal-ev-list">' + list + '</ul>' +
-            '<form class="cal-form" data-cal="add">' +
-                '<input type="time" name="time" class="cal-input cal-time" aria-label="Event time">' +
-                '<input type="text" name="title" class="cal-input cal-title-in" placeholder="New event…" maxlength="80" required aria-label="Event title">' +
-                '<button type="submit" class="control-btn cal-add">Add</button>' +
-            '</form></div>';
+            '<h4 class="cal-day-title">' + Calendar._esc(day) + '</h4>' +
+            '<ul class="cal-ev-list">' + list + '</ul>' + this._renderDueTasks(day) + this._renderDayNotes(day, evs) +
+            (editing || this._renderAddForm()) + '</div>';
+    }
+
+    _renderAddForm() {
+        var zone = this.store.zone || '';
+        return '<form class="cal-form" data-cal="add">' +
+            '<input type="time" name="time" class="cal-input cal-time" aria-label="Start time (empty for all day)" value="' + Calendar._esc(this._prefillTime) + '">' +
+            '<input type="time" name="end" class="cal-input cal-time" aria-label="End time">' +
+            '<input type="text" name="title" class="cal-input cal-title-in" placeholder="New event…" maxlength="80" required aria-label="Event title">' +
+            Calendar._repeatFields('', '', false) + Calendar._remindSelect() +
+            '<input type="text" name="tz" class="cal-input cal-tz" list="cal-tz-list" placeholder="' + Calendar._esc(zone) + '" aria-label="Time zone" autocomplete="off">' +
+            Calendar._zoneList() + this._calendarSelect() +
+            '<button type="submit" class="control-btn cal-add">Add</button>' +
+            '</form>';
+    }
+
+    // Edit form for this._editing, pre-filled in the event's own zone. An event of a series
+    // saves either "This occurrence" (an exception) or the "Whole series"; only the series save
+    // uses the repeat fields, and a series can't be turned back into a one-off here. <=60 lines.
+    _renderEditForm() {
+        console.assert(this._editing && this._editing.id, '_renderEditForm: event being edited');
+        console.assert(this.store, '_renderEditForm: store');
+        var src = this._editSource();
+        if (!src) return '';
+        var ev = src.raw, rule = src.series || ev, esc = Calendar._esc;
+        var save = src.series
+            ? '<button type="submit" class="control-btn" name="scope" value="one">This occurrence</button>' +
+              '<button type="submit" class="control-btn" name="scope" value="series">Whole series</button>'
+            : '<button type="submit" class="control-btn" name="scope" value="event">Save</button>';
+        return '<form class="cal-form cal-edit" data-cal="edit-save" aria-label="Edit event">' +
+            '<input type="time" name="time" class="cal-input cal-time" aria-label="Start time (empty for all day)" value="' + esc(ev.allDay ? '' : ev.time) + '">' +
+            '<input type="time" name="end" class="cal-input cal-time" aria-label="End time" value="' + esc(ev.allDay ? '' : ev.endTime) + '">' +
+            '<input type="text" name="title" class="cal-input cal-title-in" maxlength="80" required aria-label="Event title" value="' + esc(ev.title) + '">' +
+            Calendar._repeatFields(rule.rrule || '', rule.exdates || '', !!src.series) +
+            '<input type="text" name="tz" class="cal-input cal-tz" list="cal-tz-list" placeholder="' + esc(this.store.zone || '') + '" aria-label="Time zone" autocomplete="off" value="' + esc(ev.tz || '') + '">' +
+            Calendar._zoneList() + save +
+            '<button type="button" class="cal-nav" data-cal="edit-cancel">Cancel</button>' +
+            '</form>';
+    }
+
+    // What the edit form works on: `raw`, the stored record in its own zone (an untouched
+    // occurrence is its series on that day), the live `series` if any, and `occ`, the
+    // occurrence's original date that names its exception. null once the event is gone.
+    _editSource() {
+        console.assert(this._editing && typeof this._editing.on === 'string', '_editSource: event being edited');
+        console.assert(this.store, '_editSource: store');
+        var m = this._editing, inst = this.store.forDate(m.on).filter(function (e) { return e.id === m.id; })[0];
+        if (!inst) return null;
+        var series = inst.seriesId ? this.store.get(inst.seriesId) : null;
+        if (series && (series.deleted || !series.rrule)) series = null;
+        if (!series) { var own = this.store.get(inst.id); return own && !own.deleted ? { raw: own, series: null, occ: '' } : null; }
+        var occ = inst.id === series.id ? inst.occurrence : String(inst.id).slice(series.id.length + 1);
+        var raw = inst.id === series.id ? Object.assign({}, series, { date: occ }) : this.store.get(inst.id);
+        return raw ? { raw: raw, series: series, occ: occ } : null;
+    }
+
+    // Repeat picker and its rule details — every N, weekdays (weekly), how many times or until
+    // when, dates to skip — pre-filled from `rrule` / `exdates`. `keep`: no "Once" (a series
+    // stays a series). Just the picker without Recurrence.js. <=60 lines.
+    static _repeatFields(rrule, exdates, keep) {
+        console.assert(typeof rrule === 'string' && typeof exdates === 'string', '_repeatFields: rule strings');
+        var has = typeof Recurrence !== 'undefined';
+        var r = (has && Recurrence.parse(rrule)) || { freq: '', interval: 1, byday: [], count: 0, until: '' };
+        var freqs = [['', 'Once'], ['DAILY', 'Daily'], ['WEEKLY', 'Weekly'], ['MONTHLY', 'Monthly'], ['YEARLY', 'Yearly']].slice(keep ? 1 : 0);
+        console.assert(freqs.length >= 4, '_repeatFields: choices');
+        var pick = '<select name="repeat" class="cal-input cal-repeat" aria-label="Repeat">' + freqs.map(function (f) {
+            return '<option value="' + f[0] + '"' + (f[0] === r.freq ? ' selected' : '') + '>' + f[1] + '</option>';
+        }).join('') + '</select>';
+        if (!has) return pick;
+        var on = r.byday.map(function (b) { return b.day; }), names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        var days = names.map(function (d, i) {
+            return '<label class="cal-rule-day"><input type="checkbox" name="byday" value="' + Recurrence.DAYS[i] + '"' + (on.indexOf(i) >= 0 ? ' checked' : '') + '>' + d + '</label>';
+        }).join('');
+        var open = r.interval > 1 || on.length || r.count || r.until || exdates;
+        return pick + '<details class="cal-rule"' + (open ? ' open' : '') + '><summary>Repeat options</summary>' +
+            '<label>every <input type="number" name="interval" class="cal-input cal-rule-num" min="1" max="99" value="' + r.interval + '" aria-label="Repeat every (days, weeks, months or years)"></label>' +
+            '<span class="cal-rule-days" role="group" aria-label="On these weekdays (weekly)">' + days + '</span>' +
+            '<label><input type="number" name="count" class="cal-input cal-rule-num" min="1" max="999" value="' + (r.count || '') + '" aria-label="Number of times"> times</label>' +
+            '<label>or until <input type="date" name="until" class="cal-input" value="' + Calendar._esc(r.until) + '" aria-label="Repeat until"></label>' +
+            '<label>skip <input type="text" name="exdates" class="cal-input cal-rule-skip" placeholder="2026-12-25, …" value="' + Calendar._esc(exdates.split(',').join(', ')) + '" aria-label="Dates to skip"></label>' +
+            '</details>';
+    }
+
+    // { rrule, exdates } from a form's repeat fields (both '' when it doesn't repeat). BYDAY only
+    // applies to weekly rules; COUNT wins over UNTIL (Recurrence.format). Rule 5: 2 asserts.
+    static _ruleFrom(form) {
+        console.assert(form && form.nodeType === 1, '_ruleFrom: form');
+        var freq = form.repeat ? form.repeat.value : '';
+        if (!freq) return { rrule: '', exdates: '' };
+        if (typeof Recurrence === 'undefined' || !form.interval) return { rrule: 'FREQ=' + freq, exdates: '' };
+        console.assert(Recurrence.FREQS.indexOf(freq) >= 0, '_ruleFrom: known FREQ');
+        var byday = Array.prototype.filter.call(form.querySelectorAll('[name="byday"]'), function (b) { return b.checked; })
+            .map(function (b) { return { day: Recurrence.DAYS.indexOf(b.value), nth: 0 }; });
+        var rule = {
+            freq: freq, interval: Math.min(99, Math.max(1, parseInt(form.interval.value, 10) || 1)),
+            byday: freq === 'WEEKLY' ? byday : [], count: Math.min(999, Math.max(0, parseInt(form.count.value, 10) || 0)),
+            until: /^\d{4}-\d{2}-\d{2}$/.test(form.until.value) ? form.until.value : ''
+        };
+        var skip = (String(form.exdates.value).match(/\d{4}-\d{2}-\d{2}/g) || []).slice(0, 366);
+        return { rrule: Recurrence.format(rule), exdates: skip.join(',') };
+    }
+
+    // Week view: the Sunday-start week containing the selected day — an all-day row, then one
+    // column per day with timed events drawn at their start, sized by duration and laid side
+    // by side when they overlap. Clicking an hour slot selects the day and pre-fills the add
+    // form's time. <=60 lines.
+    _renderWeek(todayIso) {
+        console.assert(typeof todayIso === 'string', '_renderWeek: today');
+        console.assert(this.store, '_renderWeek: store');
+        var self = this, start = this._addDays(this.selected, -this._date(this.selected).getDay()), days = [];
+        for (var i = 0; i < 7; i++) days.push(this._addDays(start, i));
+        var byDay = days.map(function (iso) { return self.store.forDate(iso); }), color = this._colorStyle.bind(this);
+        var cols = days.map(function (iso, i) {
+            var cls = (iso === todayIso ? ' cal-is-today' : '') + (iso === self.selected ? ' cal-selected' : '');
+            return '<button class="cal-wk-day' + cls + '" data-cal="day" data-date="' + iso + '">' +
+                self._DOW[i] + ' <span class="cal-num">' + self._date(iso).getDate() + '</span></button>';
+        }).join('');
+        var allDay = byDay.map(function (evs, i) {
+            return '<div class="cal-wk-cell cal-wk-allday" data-cal="day" data-date="' + days[i] + '">' +
+                Calendar._chips(evs.filter(Calendar._isAllDay), color, days[i]) + '</div>';
+        }).join('');
+        var hours = '';
+        for (var h = 0; h < 24; h++) hours += '<div class="cal-wk-hour">' + String(h).padStart(2, '0') + ':00</div>';
+        var body = byDay.map(function (evs, i) { return Calendar._weekColumn(days[i], evs, color); }).join('');
+        var range = this._date(days[0]).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) + ' – ' +
+            this._date(days[6]).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+        return '<div class="cal-month cal-week">' + this._renderHead(range) +
+            '<div class="cal-wk-grid cal-wk-top"><span></span>' + cols + '<div class="cal-wk-hour">all day</div>' + allDay + '</div>' +
+            '<div class="cal-wk-scroll"><div class="cal-wk-grid"><div class="cal-wk-hours">' + hours + '</div>' + body + '</div></div></div>';
+    }
+
+    // One week-view day: 24 clickable hour slots with the day's timed events positioned over
+    // them (percentages of the column, so the CSS slot height is the only size). `color(calId)`
+    // gives an event's inline colour style. <=60 lines.
+    static _weekColumn(iso, evs, color) {
+        console.assert(typeof iso === 'string', '_weekColumn: date');
+        console.assert(Array.isArray(evs), '_weekColumn: events');
+        var slots = '';
+        for (var h = 0; h < 24; h++) {
+            var hh = String(h).padStart(2, '0');
+            slots += '<div class="cal-wk-cell cal-wk-slot" data-cal="slot" data-date="' + iso + '" data-time="' + hh + ':00"></div>';
+        }
+        var timed = evs.filter(function (e) { return !Calendar._isAllDay(e); }).slice(0, 40);
+        var spans = timed.map(function (e) { return Calendar._span(e, iso); });
+        var lanes = Calendar._lanes(spans);
+        var blocks = timed.map(function (e, i) {
+            var sp = spans[i], ln = lanes[i], pct = function (m) { return (m / 1440 * 100).toFixed(3) + '%'; };
+            var style = (color ? color(e.calendarId) + ';' : '') + 'top:' + pct(sp.start) + ';height:' + pct(sp.end - sp.start) +
+                ';left:' + (ln.lane / ln.of * 100).toFixed(2) + '%;width:' + (100 / ln.of).toFixed(2) + '%';
+            return '<button class="cal-wk-ev' + (ln.of > 1 ? ' cal-ev-clash' : '') + '" data-cal="day" data-date="' + iso + '" style="' + style + '"' +
+                ' draggable="true" data-ev="' + Calendar._esc(e.id) + '" data-on="' + iso + '"' +
+                ' title="' + Calendar._esc(Calendar._timeLabel(e, iso) + ' ' + e.title) + '">' +
+                '<span class="cal-wk-ev-time">' + Calendar._esc(Calendar._timeLabel(e, iso)) + '</span> ' + Calendar._esc(e.title) + '</button>';
+        }).join('');
+        return '<div class="cal-wk-col">' + slots + blocks + '</div>';
+    }
+
+    // ---- durations & overlap (display zone, minutes from the day's midnight) ----
+    static get DEFAULT_MINS() { return 30; }       // drawn length of an event with no end time
+
+    static _isAllDay(e) { return !!e.allDay || !e.time; }
+
+    static _mins(hhmm) {
+        var p = String(hhmm || '').split(':');
+        return (parseInt(p[0], 10) || 0) * 60 + (parseInt(p[1], 10) || 0);
+    }
+
+    // The part of a timed event that falls on `day`: { start, end } in minutes, clipped to
+    // 0..1440 (an event running past midnight fills the rest of its first day, and so on).
+    static _span(e, day) {
+        console.assert(e && typeof day === 'string', '_span: event + day');
+        console.assert(!Calendar._isAllDay(e), '_span: timed event');
+        var start = e.date < day ? 0 : Calendar._mins(e.time), end;
+        if (!e.endTime) end = start + Calendar.DEFAULT_MINS;
+        else end = (e.endDate && e.endDate > day) ? 1440 : Calendar._mins(e.endTime);
+        if (end <= start) end = start + Calendar.DEFAULT_MINS;
+        return { start: start, end: Math.min(1440, end) };
+    }
+
+    // Side-by-side layout: each span gets a lane, and `of` = lanes used by its overlap group.
+    // Greedy first-fit over spans sorted by start; bounded by the (capped) span count.
+    static _lanes(spans) {
+        console.assert(Array.isArray(spans), '_lanes: spans');
+        console.assert(spans.length <= 1000, '_lanes: bounded input');
+        var order = spans.map(function (_s, i) { return i; }).sort(function (a, b) { return spans[a].start - spans[b].start || spans[b].end - spans[a].end; });
+        var out = spans.map(function () { return { lane: 0, of: 1 }; });
+        var group = [], laneEnds = [], groupEnd = -1;
+        var close = function () { group.forEach(function (i) { out[i].of = laneEnds.length; }); group = []; laneEnds = []; };
+        order.forEach(function (i) {
+            if (spans[i].start >= groupEnd) close();
+            var lane = laneEnds.findIndex(function (end) { return end <= spans[i].start; });
+            if (lane < 0) { lane = laneEnds.length; laneEnds.push(0); }
+            laneEnds[lane] = spans[i].end;
+            out[i].lane = lane;
+            group.push(i);
+            groupEnd = Math.max(groupEnd, spans[i].end);
+        });
+        close();
+        return out;
+    }
+
+    // Indexes (into `evs`) of timed events that overlap another timed event on `day`.
+    static _clashes(evs, day) {
+        console.assert(Array.isArray(evs), '_clashes: events');
+        console.assert(typeof day === 'string', '_clashes: day');
+        var timed = [], hit = new Set();
+        evs.forEach(function (e, i) { if (!Calendar._isAllDay(e)) timed.push({ i: i, s: Calendar._span(e, day) }); });
+        for (var a = 0; a < timed.length && a < 200; a++) {
+            for (var b = a + 1; b < timed.length && b < 200; b++) {
+                if (timed[a].s.start < timed[b].s.end && timed[b].s.start < timed[a].s.end) { hit.add(timed[a].i); hit.add(timed[b].i); }
+            }
+        }
+        return hit;
+    }
+
+    // Reminder marker; the tooltip lists the offsets.
+    static _bell(e) {
+        if (!e.reminders || typeof Reminders === 'undefined') return '';
+        var offs = Reminders.parse(e.reminders);
+        if (!offs.length) return '';
+        return '<span class="cal-ev-bell" title="' + Calendar._esc(offs.map(Reminders.label).join(', ')) + '" aria-label="Has reminders">&#128276;</span>';
+    }
+
+    // "09:00–10:30" on `day`; "…" marks a side that lies on another day.
+    static _timeLabel(e, day) {
+        if (Calendar._isAllDay(e)) return 'all day';
+        var from = e.date < day ? '…' : e.time;
+        if (!e.endTime) return from;
+        return from + '–' + ((e.endDate && e.endDate > day) ? '…' : e.endTime);
+    }
+
+    // Whole length of a timed event, e.g. "1h 30m" ('' without an end time). Uses the
+    // display wall-clock, so a DST change inside the event can be off by an hour.
+    static _duration(e) {
+        if (Calendar._isAllDay(e) || !e.endTime) return '';
+        var days = 0;
+        if (e.endDate && e.endDate > e.date) days = Math.round((Date.parse(e.endDate) - Date.parse(e.date)) / 86400000);
+        var m = days * 1440 + Calendar._mins(e.endTime) - Calendar._mins(e.time);
+        if (m <= 0) return '';
+        return (m >= 60 ? Math.floor(m / 60) + 'h' : '') + (m >= 60 && m % 60 ? ' ' : '') + (m % 60 ? (m % 60) + 'm' : '');
+    }
+
+    // Reminder picker for the add form (offsets from Reminders.CHOICES).
+    static _remindSelect() {
+        if (typeof Reminders === 'undefined') return '';
+        return '<select name="remind" class="cal-input cal-remind" aria-label="Reminder">' +
+            Reminders.CHOICES.map(function (c) {
+                return '<option value="' + c + '">' + (c === '' ? 'No reminder' : Reminders.label(Number(c))) + '</option>';
+            }).join('') + '</select>';
+    }
+
+    // <datalist> of IANA zones for the add form, built once (a few hundred entries).
+    static _zoneList() {
+        if (!Calendar._zoneHtml) {
+            var zones = typeof TimeZone !== 'undefined' ? TimeZone.list().slice(0, 600) : [];
+            Calendar._zoneHtml = '<datalist id="cal-tz-list">' +
+                zones.map(function (z) { return '<option value="' + Calendar._esc(z) + '">'; }).join('') + '</datalist>';
+        }
+        return Calendar._zoneHtml;
+    }
+
+    // Agenda view: the next AGENDA_DAYS days from the selected day, grouped by date. <=60 lines.
+    _renderAgenda(todayIso) {
+        console.assert(typeof todayIso === 'string', '_renderAgenda: today');
+        console.assert(this.store, '_renderAgenda: store');
+        var html = '', shown = 0, self = this;
+        for (var i = 0; i < Calendar.AGENDA_DAYS && shown < 300; i++) {
+            var iso = this._addDays(this.selected, i), evs = this.store.forDate(iso);
+            if (!evs.length) continue;
+            var clash = Calendar._clashes(evs, iso);
+            shown += evs.length;
+            var label = this._date(iso).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+            html += '<li class="cal-ag-day' + (iso === todayIso ? ' cal-is-today' : '') + '">' +
+                '<button class="cal-ag-date" data-cal="day" data-date="' + iso + '">' + Calendar._esc(label) + '</button>' +
+                '<ul class="cal-ev-list">' + evs.map(function (e, j) { return Calendar._evItem(e, iso, clash.has(j), '', self._colorStyle(e.calendarId)); }).join('') + '</ul></li>';
+        }
+        var end = this._addDays(this.selected, Calendar.AGENDA_DAYS - 1);
+        return '<div class="cal-month cal-agenda">' + this._renderHead(this.selected + ' – ' + end) +
+            '<ul class="cal-ag-list">' + (html || '<li class="cal-empty">Nothing scheduled in these ' + Calendar.AGENDA_DAYS + ' days.</li>') + '</ul></div>';
+    }
+
+    // Compact event chips for week-view cells.
+    static _chips(evs, color, day) {
+        return evs.slice(0, 4).map(function (e) {
+            return '<span class="cal-chip" style="' + (color ? color(e.calendarId) : '') + '" draggable="true" data-ev="' + Calendar._esc(e.id) +
+                '" data-on="' + Calendar._esc(day) + '" title="' + Calendar._esc((e.time ? e.time + ' ' : '') + e.title) + '">' + Calendar._esc(e.title) + '</span>';
+        }).join('') + (evs.length > 4 ? '<span class="cal-chip cal-chip-more">+' + (evs.length - 4) + '</span>' : '');
+    }
+
+    // One day-panel row: time range on `day`, duration, the event's own wall-clock when it
+    // was scheduled in another zone, and a clash marker. Series occurrences and their
+    // exceptions get a repeat marker plus a second delete button for the whole series (it asks
+    // first); the plain &times; only ever removes this day. `style` carries the calendar colour.
+    // Rows drag (data-ev / data-on), have a ⇄ button for moving them from the keyboard and a ✎
+    // button that opens the edit form.
+    static _evItem(e, day, clash, extra, style) {
+        console.assert(e && e.id, '_evItem: event');
+        console.assert(day === undefined || typeof day === 'string', '_evItem: day');
+        var on = day || e.date, series = e.seriesId ? Calendar._esc(e.seriesId) : '';
+        var rule = e.rrule && typeof Recurrence !== 'undefined' ? Recurrence.describe(e.rrule) : '';
+        var mark = series ? '<span class="cal-ev-rep" title="' + Calendar._esc(rule || 'Edited occurrence') + '" aria-label="Repeats">&#8635;</span>' : '';
+        var del = series
+            ? '<button class="cal-ev-del" data-cal="del-occ" data-id="' + Calendar._esc(e.id) + '" data-series="' + series + '" data-date="' + Calendar._esc(e.occurrence || e.date) + '" aria-label="Delete this occurrence">&times;</button>' +
+              '<button class="cal-ev-del cal-ev-del-series" data-cal="del-series" data-series="' + series + '" aria-label="Delete whole series">all</button>'
+            : '<button class="cal-ev-del" data-cal="del" data-id="' + Calendar._esc(e.id) + '" aria-label="Delete event">&times;</button>';
+        var move = '<button class="cal-ev-move" data-cal="pick-move" data-id="' + Calendar._esc(e.id) + '" data-date="' + Calendar._esc(on) +
+            '" aria-label="Move event" title="Move to another day or time">&#8644;</button>' +
+            '<button class="cal-ev-move cal-ev-edit" data-cal="edit" data-id="' + Calendar._esc(e.id) + '" data-date="' + Calendar._esc(on) +
+            '" aria-label="Edit event" title="Edit">&#9998;</button>';
+        var dur = Calendar._duration(e);
+        var meta = (dur ? '<span class="cal-ev-dur">' + dur + '</span>' : '') +
+            (e.srcTime ? '<span class="cal-ev-tz" title="Scheduled in ' + Calendar._esc(e.tz) + '">' + Calendar._esc(e.srcTime + ' ' + TimeZone.label(e.tz)) + '</span>' : '') +
+            (Calendar._isAllDay(e) && e.endDate > e.date ? '<span class="cal-ev-dur">until ' + Calendar._esc(e.endDate) + '</span>' : '') +
+            (clash ? '<span class="cal-ev-clash-mark" title="Overlaps another event">overlap</span>' : '') +
+            Calendar._bell(e);
+        return '<li class="cal-ev' + (clash ? ' cal-ev-clash' : '') + '"' + (style ? ' style="' + style + '"' : '') +
+            ' draggable="true" data-ev="' + Calendar._esc(e.id) + '" data-on="' + Calendar._esc(on) + '"><span class="cal-ev-time">' + Calendar._esc(Calendar._timeLabel(e, on)) + '</span>' +
+            '<span class="cal-ev-title">' + Calendar._esc(e.title) + '</span>' + meta + mark + (extra || '') + move + del + '</li>';
     }
 
     _handleClick(e) {
@@ -129,28 +737,295 @@ class Calendar {
         var el = e.target.closest('[data-cal]');
         if (!el) return;
         var kind = el.getAttribute('data-cal');
+        if (this._moving && (kind === 'day' || kind === 'slot')) { this._dropMoving(el.getAttribute('data-date'), kind === 'slot' ? el.getAttribute('data-time') : undefined); return; }
         if (kind === 'prev') { this._shift(-1); }
         else if (kind === 'next') { this._shift(1); }
-        else if (kind === 'today') { var t = new Date(); this.viewYear = t.getFullYear(); this.viewMonth = t.getMonth(); this.selected = this._iso(t); this.render(); }
-        else if (kind === 'day') { this.selected = el.getAttribute('data-date'); this.render(); }
+        else if (kind === 'today') { this._goToday(); }
+        else if (kind === 'view') { this.setView(el.getAttribute('data-view')); }
+        else if (kind === 'day') { this.selected = el.getAttribute('data-date'); this._prefillTime = ''; this.render(); }
+        else if (kind === 'slot') { this.selected = el.getAttribute('data-date'); this._prefillTime = el.getAttribute('data-time'); this.render(); this._focusAdd(); }
         else if (kind === 'del') { e.preventDefault(); this.store.remove(el.getAttribute('data-id')); }
+        else if (kind === 'del-occ') { e.preventDefault(); this._removeOccurrence(el.getAttribute('data-id'), el.getAttribute('data-series'), el.getAttribute('data-date')); }
+        else if (kind === 'del-series') { e.preventDefault(); this._removeSeries(el.getAttribute('data-series')); }
+        else if (kind === 'edit') { this._startEdit(el.getAttribute('data-id'), el.getAttribute('data-date')); }
+        else if (kind === 'edit-cancel') { this._editing = null; this.render(); }
+        else if (kind === 'meeting-note') { this._meetingNote(el.getAttribute('data-id'), el.getAttribute('data-date')); }
+        else if (kind === 'day-note') { this._dayNote(el.getAttribute('data-date')); }
+        else if (kind === 'open-note' && this.openNote) { this.openNote(el.getAttribute('data-id')); }
+        else if (kind === 'cal-toggle') { var id = el.getAttribute('data-id'); this.calendars.setVisible(id, !this.calendars.visible(id)); }
+        else if (kind === 'cal-manage') { this._manage = !this._manage; this.render(); }
+        else if (kind === 'cal-code') { this._calendarCode(el.getAttribute('data-id')); }
+        else if (kind === 'cal-del') { this._deleteCalendar(el.getAttribute('data-id')); }
+        else if (kind === 'pick-move') { this._pickMove(el.getAttribute('data-id'), el.getAttribute('data-date')); }
+        else if (kind === 'cancel-move') { this._moving = null; this.render(); }
+        else if (kind === 'undo') { this._undoMove(); }
+    }
+
+    // "Delete this occurrence": a series occurrence carries the series id itself, an already
+    // edited occurrence is its own exception record and is simply tombstoned. Rule 5: 2 asserts.
+    _removeOccurrence(id, seriesId, date) {
+        console.assert(typeof seriesId === 'string' && seriesId, '_removeOccurrence: series id');
+        console.assert(this.store, '_removeOccurrence: store');
+        if (id !== seriesId) return this.store.remove(id);
+        return this.store.removeOccurrence(seriesId, date || this.selected);
+    }
+
+    // "Delete whole series" asks first: every occurrence and edited exception goes with it.
+    _removeSeries(seriesId) {
+        console.assert(typeof seriesId === 'string' && seriesId, '_removeSeries: series id');
+        console.assert(this.store, '_removeSeries: store');
+        var series = this.store.get(seriesId);
+        if (!series || series.deleted) return false;
+        var rule = typeof Recurrence !== 'undefined' ? Recurrence.describe(series.rrule) : '';
+        if (!window.confirm('Delete every occurrence of "' + series.title + '"' + (rule ? ' (' + rule.toLowerCase() + ')' : '') + '?')) return false;
+        return this.store.removeSeries(seriesId);
+    }
+
+    // Open the edit form for the event `id` as shown on `on` (that day gets selected).
+    _startEdit(id, on) {
+        console.assert(typeof id === 'string' && id, '_startEdit: id');
+        console.assert(typeof on === 'string', '_startEdit: day');
+        this._editing = { id: id, on: on };
+        this.selected = on;
+        this._followSelected();
+        this.render();
+        return this._focusAdd();
+    }
+
+    // Save the edit form. 'one' writes this occurrence's exception, 'series' rewrites the series
+    // (from its first date, with the form's rule), 'event' the single event. <=60 lines.
+    _saveEdit(form, scope) {
+        console.assert(form && form.nodeType === 1, '_saveEdit: form');
+        console.assert(this._editing, '_saveEdit: event being edited');
+        var src = this._editSource(), title = (form.title && form.title.value || '').trim();
+        if (!src || !title) return false;
+        var base = scope === 'series' && src.series ? src.series : src.raw;
+        var ev = this._timing((form.time && form.time.value) || '', (form.end && form.end.value) || '', ((form.tz && form.tz.value) || '').trim(), base.date);
+        if (!ev) return false;
+        ev.allDay = !ev.time;
+        if (ev.time) { ev.endDate = ev.endDate || ''; ev.tz = ev.tz || this.store.zone || ''; }
+        this._editing = null;
+        if (scope === 'one' && src.series) {
+            return !!this.store.updateOccurrence(src.series.id, src.occ, {
+                title: title, time: ev.time || '', endTime: ev.endTime || '', endDate: ev.endDate || '', allDay: ev.allDay,
+                tz: ev.tz != null ? ev.tz : (src.raw.tz || '')
+            });
+        }
+        var rule = Calendar._ruleFrom(form);
+        if (src.series && !rule.rrule) return false;
+        return !!this.store.upsert(Object.assign({}, base, ev, { title: title, rrule: rule.rrule, exdates: rule.exdates }));
     }
 
     _handleSubmit(e) {
         console.assert(e && e.target, '_handleSubmit: event');
         console.assert(this.store, '_handleSubmit: store');
+        if (e.target.matches('[data-cal="cal-add"], [data-cal="cal-save"]')) { e.preventDefault(); this._calendarSubmit(e.target); return; }
+        if (e.target.matches('[data-cal="edit-save"]')) { e.preventDefault(); this._saveEdit(e.target, (e.submitter && e.submitter.value) || 'event'); return; }
         if (!e.target.matches('[data-cal="add"]')) return;
         e.preventDefault();
         var title = (e.target.title && e.target.title.value || '').trim();
         var time = (e.target.time && e.target.time.value) || '';
         if (!title) return;
-        this.store.upsert({ date: this.selected, time: time, title: title });
+        var ev = this._timing(time, (e.target.end && e.target.end.value) || '', ((e.target.tz && e.target.tz.value) || '').trim());
+        if (!ev) return;
+        var remind = (e.target.remind && e.target.remind.value) || '';
+        // Still inside the submit gesture, so the browser allows the permission prompt.
+        if (remind && typeof Reminders !== 'undefined') Reminders.requestPermission();
+        this._prefillTime = '';
+        if (e.target.calendar) { this._addCal = e.target.calendar.value; ev.calendarId = this._addCal; }
+        this.store.upsert(Object.assign(ev, Calendar._ruleFrom(e.target), { title: title, reminders: remind }));
         e.target.reset();
     }
 
+    // Date/time/zone fields from the add or edit form, on `date` (default: the selected day).
+    // Times are wall-clock in the chosen zone (default: the store's, i.e. the viewer's); an end
+    // at or before the start ends the next day. No start time = all day. Returns null (with a
+    // status message) on a bad zone.
+    _timing(time, end, tz, date) {
+        console.assert(typeof time === 'string' && typeof end === 'string', '_timing: times');
+        console.assert(typeof tz === 'string', '_timing: zone');
+        var day = date || this.selected;
+        if (!time) return { date: day, allDay: true };
+        if (tz && typeof TimeZone !== 'undefined' && !TimeZone.isValid(tz)) { this._flash('Unknown time zone: ' + tz); return null; }
+        var ev = { date: day, time: time, endTime: end };
+        if (end && end <= time) ev.endDate = this._addDays(day, 1);
+        if (tz) ev.tz = tz;
+        return ev;
+    }
+
+    // ---- .ics import / export (ICalendar.js) ----------------------------------
+    // Read one dropped/picked file and merge it into the store. Resolves the import
+    // summary, or null when the file could not be used. <=60 lines.
+    importFile(file) {
+        console.assert(this.store, 'importFile: store');
+        console.assert(!file || typeof file.text === 'function', 'importFile: File required');
+        var self = this;
+        if (!file || typeof ICalendar === 'undefined') return Promise.resolve(null);
+        if (!/\.ics$/i.test(file.name || '') && file.type !== 'text/calendar') {
+            this._flash('Not an .ics file: ' + (file.name || 'unknown'));
+            return Promise.resolve(null);
+        }
+        return file.text().then(function (text) {
+            var res = ICalendar.importInto(self.store, text);
+            self._flash('Imported ' + file.name + ': ' + res.added + ' added, ' + res.updated + ' updated, ' + res.skipped + ' unchanged');
+            return res;
+        }).catch(function (err) {
+            console.warn('[Calendar] import failed:', err && err.message);
+            self._flash('Import failed: ' + (file.name || 'file'));
+            return null;
+        });
+    }
+
+    // Download every event as mrcargon-calendar.ics. Rule 5: 2 asserts.
+    exportIcs() {
+        console.assert(this.store, 'exportIcs: store');
+        console.assert(typeof document !== 'undefined', 'exportIcs: document');
+        if (typeof ICalendar === 'undefined') return false;
+        var blob = new Blob([ICalendar.exportStore(this.store)], { type: 'text/calendar;charset=utf-8' });
+        var url = URL.createObjectURL(blob), a = document.createElement('a');
+        a.href = url; a.download = 'mrcargon-calendar.ics';
+        document.body.appendChild(a); a.click(); a.remove();
+        setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+        return true;
+    }
+
+    // dragover / dragleave: .ics files anywhere, or an event over a day / hour slot.
+    _handleDrag(e) {
+        console.assert(e && e.type, '_handleDrag: event');
+        var types = (e.dataTransfer && e.dataTransfer.types) || [];
+        if (this._dragging && Array.prototype.indexOf.call(types, Calendar.DRAG_TYPE) >= 0) {
+            var target = e.target.closest && e.target.closest('[data-cal="day"], [data-cal="slot"]');
+            this._markTarget(e.type === 'dragover' ? target : null);
+            if (!target) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            return;
+        }
+        if (Array.prototype.indexOf.call(types, 'Files') < 0) return;
+        e.preventDefault();                              // required, or the browser never fires drop
+        this.root.classList.toggle('cal-drop', e.type === 'dragover');
+    }
+
+    // dragstart on an event (data-ev) remembers it; dragend forgets it.
+    _handleDragStart(e) {
+        console.assert(e && (e.type === 'dragstart' || e.type === 'dragend'), '_handleDragStart: drag event');
+        console.assert(this.root, '_handleDragStart: root');
+        var el = e.target && e.target.closest ? e.target.closest('[data-ev]') : null;
+        if (e.type === 'dragend' || !el) { this._dragging = null; this._markTarget(null); return; }
+        this._dragging = { id: el.getAttribute('data-ev'), on: el.getAttribute('data-on') };
+        e.dataTransfer.setData(Calendar.DRAG_TYPE, JSON.stringify(this._dragging));
+        e.dataTransfer.setData('text/plain', (el.querySelector('.cal-ev-title') || el).textContent);
+        e.dataTransfer.effectAllowed = 'move';
+    }
+
+    _markTarget(el) {
+        var prev = this.root.querySelector('.cal-drop-target');
+        if (prev && prev !== el) prev.classList.remove('cal-drop-target');
+        if (el) el.classList.add('cal-drop-target');
+        return true;
+    }
+
+    _handleDrop(e) {
+        console.assert(e && e.type === 'drop', '_handleDrop: drop event');
+        console.assert(this.root, '_handleDrop: root');
+        var files = e.dataTransfer && e.dataTransfer.files, drag = this._dragging;
+        this.root.classList.remove('cal-drop');
+        if (drag) {
+            var target = e.target.closest && e.target.closest('[data-cal="day"], [data-cal="slot"]');
+            this._dragging = null;
+            this._markTarget(null);
+            if (!target) return;
+            e.preventDefault();
+            var slot = target.getAttribute('data-cal') === 'slot';
+            this._moveEvent(drag, target.getAttribute('data-date'), slot ? target.getAttribute('data-time') : undefined);
+            return;
+        }
+        if (!files || !files.length) return;
+        e.preventDefault();
+        var self = this;
+        Array.prototype.slice.call(files, 0, 10).forEach(function (f) { self.importFile(f); });
+    }
+
+    // ---- rescheduling -------------------------------------------------------
+    // Move the event shown as `src` ({ id, on }: its id and a day it shows on) to `day`: a
+    // multi-day event keeps its length (its start shifts by the same number of days); `time`
+    // (an hour slot) sets the start time, undefined keeps it. One store.move(). <=60 lines.
+    _moveEvent(src, day, time) {
+        console.assert(src && src.id && typeof src.on === 'string', '_moveEvent: dragged event');
+        console.assert(typeof day === 'string', '_moveEvent: target day');
+        var inst = this.store.forDate(src.on).filter(function (e) { return e.id === src.id; })[0];
+        if (!inst) return null;
+        var shift = Math.round((this._date(day) - this._date(src.on)) / 86400000);
+        var date = this._addDays(inst.date, shift);
+        if (date === inst.date && (time === undefined || time === (inst.time || ''))) return null;
+        var rec = this.store.move(inst, date, time);
+        if (!rec) return null;
+        this._undo = { id: rec.id, date: inst.date, time: inst.time || '', title: inst.title };
+        this.selected = day;
+        this._followSelected();
+        this._flash('Moved “' + inst.title + '” to ' + date + (time ? ' ' + time : ''));
+        return rec;
+    }
+
+    // Keyboard move: remember the event and show the move banner; the selected day is the target.
+    _pickMove(id, on) {
+        console.assert(typeof id === 'string' && id, '_pickMove: id');
+        console.assert(typeof on === 'string', '_pickMove: day');
+        var inst = this.store.forDate(on).filter(function (e) { return e.id === id; })[0];
+        if (!inst) return false;
+        this._moving = { id: id, on: on, title: inst.title };
+        this.selected = on;                              // arrows start from the event's day
+        this._followSelected();
+        this.render();
+        var banner = this.root.querySelector('.cal-moving');
+        if (banner) banner.focus();                      // arrow keys now pick the day
+        return true;
+    }
+
+    _dropMoving(day, time) {
+        console.assert(this._moving, '_dropMoving: move in progress');
+        console.assert(typeof day === 'string', '_dropMoving: day');
+        var m = this._moving;
+        this._moving = null;
+        if (!this._moveEvent(m, day, time)) this.render();
+        return true;
+    }
+
+    // Put the last moved event back where it was (one more store.move()).
+    _undoMove() {
+        console.assert(this.store, '_undoMove: store');
+        console.assert(this._undo === null || this._undo.id, '_undoMove: undo record');
+        var u = this._undo, rec = u ? this.store.get(u.id) : null;
+        this._undo = null;
+        if (!rec || rec.deleted) return false;
+        this.store.move(rec, u.date, u.time);
+        this.selected = u.date;
+        this._followSelected();
+        this._flash('Moved “' + u.title + '” back to ' + u.date);
+        return true;
+    }
+
+    // Show a one-line status above the grid for a few seconds (a move's Undo goes with it).
+    _flash(msg) {
+        console.assert(typeof msg === 'string', '_flash: message');
+        var self = this;
+        this._status = msg;
+        if (this._statusTimer) clearTimeout(this._statusTimer);
+        this._statusTimer = setTimeout(function () { self._status = ''; self._undo = null; self._statusTimer = null; self.render(); }, 5000);
+        this.render();
+        return true;
+    }
+
+    // Previous / next period for the current view. Rule 5: 2 asserts.
     _shift(delta) {
         console.assert(delta === 1 || delta === -1, '_shift: +/-1');
         console.assert(Number.isInteger(this.viewMonth), '_shift: month');
+        if (this.view === 'week' || this.view === 'agenda') {
+            this.selected = this._addDays(this.selected, delta * (this.view === 'week' ? 7 : Calendar.AGENDA_DAYS));
+            this._followSelected();
+            this.render();
+            return true;
+        }
         this.viewMonth += delta;
         if (this.viewMonth < 0) { this.viewMonth = 11; this.viewYear--; }
         else if (this.viewMonth > 11) { this.viewMonth = 0; this.viewYear++; }
@@ -158,6 +1033,64 @@ class Calendar {
         return true;
     }
 
+    _goToday() {
+        return this.goTo(this._iso(new Date()));
+    }
+
+    /** Select a 'YYYY-MM-DD' day and bring it into view (e.g. from launcher search). */
+    goTo(iso) {
+        console.assert(typeof iso === 'string', 'goTo: date string');
+        console.assert(this.root, 'goTo: root');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(iso)) return false;
+        this.selected = iso;
+        this._prefillTime = '';
+        this._followSelected();
+        this.render();
+        return true;
+    }
+
+    // Keyboard navigation while focus is inside the calendar (never while typing). <=60 lines.
+    _handleKey(e) {
+        console.assert(e && e.key !== undefined, '_handleKey: key event');
+        console.assert(this.root, '_handleKey: root');
+        var tag = e.target && e.target.tagName, k = e.key.toLowerCase();
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+        if ((e.ctrlKey || e.metaKey) && k === 'z' && this._undo) { e.preventDefault(); this._undoMove(); return; }
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (this._moving && this._moveKey(e)) return;
+        var views = { m: 'month', w: 'week', a: 'agenda' };
+        if (e.key === 'ArrowLeft' || e.key === 'PageUp') this._shift(-1);
+        else if (e.key === 'ArrowRight' || e.key === 'PageDown') this._shift(1);
+        else if (k === 't') this._goToday();
+        else if (views[k]) this.setView(views[k]);
+        else return;
+        e.preventDefault();
+        // render() replaced the focused button; keep focus in the calendar for the next key.
+        var nav = this.root.querySelector('[data-cal="' + (e.key === 'ArrowLeft' || e.key === 'PageUp' ? 'prev' : 'next') + '"]');
+        if (nav) nav.focus();
+    }
+
+    // Move mode keys: arrows pick the target day, Enter drops the event there, Escape cancels.
+    _moveKey(e) {
+        console.assert(this._moving, '_moveKey: move in progress');
+        console.assert(e && typeof e.key === 'string', '_moveKey: key event');
+        var step = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 }[e.key];
+        if (step) this.goTo(this._addDays(this.selected, step));
+        else if (e.key === 'Enter') this._dropMoving(this.selected);
+        else if (e.key === 'Escape') { this._moving = null; this.render(); }
+        else return false;
+        e.preventDefault();
+        var banner = this.root.querySelector('.cal-moving') || this.root.querySelector('[data-cal="next"]');
+        if (banner) banner.focus();
+        return true;
+    }
+
+    _focusAdd() {
+        var t = this.root.querySelector('.cal-title-in');
+        if (t) t.focus();
+        return !!t;
+    }
+
     static _esc(s) {
         return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
             return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;' }[c];
@@ -0,0 +1,123 @@
+// LauncherSearch.js — the launcher's search box: live results from a SearchIndex over the
+// Calendar and Notes stores, each one jumping straight to its day or note. Keyboard: ↑/↓ move
+// through results, Enter opens, Escape clears. classic script, window global.
+// NASA Power-of-10: bounded loops, >=2 asserts/method, methods <=60 lines, graceful fallback.
+
+class LauncherSearch {
+    constructor(root, index, onOpen) {
+        console.assert(root && root.nodeType === 1, 'LauncherSearch: root element required');
+        console.assert(index && typeof index.search === 'function' && typeof onOpen === 'function', 'LauncherSearch: index + onOpen');
+        this.root = root;
+        this.index = index;
+        this.onOpen = onOpen;            // fn({ type, id, date }) — navigation lives in PageManager
+        this.results = [];
+        this.active = -1;
+        this._timer = null;
+        this._onInput = this._handleInput.bind(this);
+        this._onKey = this._handleKey.bind(this);
+        this._onClick = this._handleClick.bind(this);
+    }
+
+    static get LIMIT() { return 12; }
+    static get DEBOUNCE_MS() { return 120; }
+
+    mount() {
+        console.assert(this.root, 'mount: root');
+        console.assert(this.index, 'mount: index');
+        this.root.innerHTML =
+            '<input type="search" class="launcher-search-in" placeholder="Search events and notes…" ' +
+                'aria-label="Search events and notes" aria-controls="launcher-results" autocomplete="off" spellcheck="false">' +
+            '<ul class="launcher-results" id="launcher-results" role="listbox" aria-label="Search results"></ul>';
+        this.input = this.root.querySelector('.launcher-search-in');
+        this.list = this.root.querySelector('.launcher-results');
+        this.root.addEventListener('input', this._onInput);
+        this.root.addEventListener('keydown', this._onKey);
+        this.root.addEventListener('click', this._onClick);
+        return true;
+    }
+
+    dispose() {
+        console.assert(this.root, 'dispose: root');
+        console.assert(this._onInput, 'dispose: handler');
+        if (this._timer) { clearTimeout(this._timer); this._timer = null; }
+        this.root.removeEventListener('input', this._onInput);
+        this.root.removeEventListener('keydown', this._onKey);
+        this.root.removeEventListener('click', this._onClick);
+        return true;
+    }
+
+    /** Run `query` now and render its results. */
+    run(query) {
+        console.assert(typeof query === 'string', 'run: query');
+        console.assert(this.list, 'run: mounted');
+        this.results = query.trim() ? this.index.search(query, LauncherSearch.LIMIT) : [];
+        this.active = this.results.length ? 0 : -1;
+        this._render(query.trim());
+        return this.results.length;
+    }
+
+    _render(query) {
+        console.assert(this.list, '_render: list');
+        console.assert(Array.isArray(this.results), '_render: results');
+        var self = this;
+        if (!query) { this.list.innerHTML = ''; return true; }
+        if (!this.results.length) {
+            this.list.innerHTML = '<li class="launcher-empty">No events or notes match “' + SearchIndex._esc(query) + '”.</li>';
+            return true;
+        }
+        this.list.innerHTML = this.results.map(function (r, i) {
+            var icon = r.type === 'event' ? '📅' : '📝';
+            var meta = r.type === 'event' ? SearchIndex._esc(r.date) : 'Note';
+            return '<li role="option" aria-selected="' + (i === self.active) + '">' +
+                '<button type="button" class="launcher-hit' + (i === self.active ? ' active' : '') + '" data-hit="' + i + '">' +
+                    '<span class="launcher-hit-icon" aria-hidden="true">' + icon + '</span>' +
+                    '<span class="launcher-hit-main"><span class="launcher-hit-title">' + r.titleHtml + '</span>' +
+                    (r.snippetHtml ? '<span class="launcher-hit-snip">' + r.snippetHtml + '</span>' : '') + '</span>' +
+                    '<span class="launcher-hit-meta">' + meta + '</span>' +
+                '</button></li>';
+        }).join('');
+        return true;
+    }
+
+    _handleInput(e) {
+        console.assert(e && e.target, '_handleInput: event');
+        console.assert(LauncherSearch.DEBOUNCE_MS > 0, '_handleInput: debounce');
+        if (e.target !== this.input) return;
+        var self = this;
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = setTimeout(function () { self._timer = null; self.run(self.input.value); }, LauncherSearch.DEBOUNCE_MS);
+    }
+
+    _handleKey(e) {
+        console.assert(e && e.key !== undefined, '_handleKey: key event');
+        console.assert(Array.isArray(this.results), '_handleKey: results');
+        var n = this.results.length;
+        if (e.key === 'Escape') { this.input.value = ''; this.run(''); return; }
+        if (e.key === 'Enter') {
+            if (this._timer) { clearTimeout(this._timer); this._timer = null; this.run(this.input.value); }
+            if (this.active >= 0) { e.preventDefault(); this._open(this.active); }
+            return;
+        }
+        if (!n || (e.key !== 'ArrowDown' && e.key !== 'ArrowUp')) return;
+        e.preventDefault();
+        this.active = (this.active + (e.key === 'ArrowDown' ? 1 : n - 1)) % n;
+        this._render(this.input.value.trim());
+    }
+
+    _handleClick(e) {
+        console.assert(e && e.target, '_handleClick: event');
+        console.assert(this.root, '_handleClick: root');
+        var el = e.target.closest('[data-hit]');
+        if (el) this._open(parseInt(el.getAttribute('data-hit'), 10));
+    }
+
+    _open(i) {
+        var r = this.results[i];
+        if (!r) return false;
+        this.onOpen({ type: r.type, id: r.id, date: r.date });
+        return true;
+    }
+}
+
+if (typeof window !== 'undefined') window.LauncherSearch = LauncherSearch;
+if (typeof module !== 'undefined' && module.exports) module.exports = { LauncherSearch: LauncherSearch };
@@ -1,16 +1,29 @@
-// Notes.js — notes UI for the launcher. List + editor with debounced autosave. Local-first
-// via NotesStore. On store change ONLY the list re-renders (never the editor), so typing
-// never loses focus. classic script, window global. NASA Power-of-10: >=2 asserts/method,
-// methods <=60 lines, bounded, graceful fallback.
+// Notes.js — notes UI for the launcher. Sidebar (all / pinned / folders / tags) + filtered,
+// sortable list + editor with debounced autosave. Local-first via NotesStore. On store change
+// ONLY the sidebar and list re-render (never the editor), so typing never loses focus. Bodies are Markdown: the editor has edit / split / preview modes
+// (remembered per device) and task-list checkboxes in the preview write straight back.
+// A History panel lists the note's saved revisions, diffs one against the editor and
+// restores it as a new edit. Conflicted copies (see NotesStore) get a banner to reconcile them.
+// A note can belong to a Calendar day or event: the editor shows the link (event titles from
+// opts.events, a CalendarStore) and opts.showDate(date) opens that day in the Calendar.
+// classic script, window global. NASA Power-of-10: >=2 asserts/method,
+// methods <=60 lines, bounded, graceful fallback (plain text when Markdown.js is absent).
 
 class Notes {
-    constructor(root, store) {
+    constructor(root, store, opts) {
         console.assert(root && root.nodeType === 1, 'Notes: root element required');
         console.assert(store && typeof store.list === 'function', 'Notes: NotesStore required');
         this.root = root;
         this.store = store;
+        this.events = (opts && opts.events && typeof opts.events.get === 'function') ? opts.events : null;
+        this.showDate = (opts && typeof opts.showDate === 'function') ? opts.showDate : null;
         this.editingId = null;
         this._saveTimer = null;
+        this.mode = Notes._loadMode();
+        this.filter = { kind: 'all', value: '' };   // kind: all | pinned | conflicts | folder | tag
+        this.sort = 'updated';
+        this.historyOpen = false;
+        this.historyRev = null;            // revision selected in the history panel
         this._onClick = this._handleClick.bind(this);
         this._onInput = this._handleInput.bind(this);
     }
@@ -19,11 +32,13 @@ class Notes {
         console.assert(this.root, 'mount: root required');
         console.assert(this.store, 'mount: store required');
         var self = this;
-        this.root.innerHTML = '<div class="notes-wrap"><aside class="notes-list" id="notes-list"></aside>' +
+        this.root.innerHTML = '<div class="notes-wrap"><nav class="notes-side" id="notes-side" aria-label="Browse notes"></nav>' +
+            '<aside class="notes-list" id="notes-list"></aside>' +
             '<section class="notes-editor" id="notes-editor"></section></div>';
         this.root.addEventListener('click', this._onClick);
         this.root.addEventListener('input', this._onInput);
-        this.store.onChange(function () { self._renderList(); });
+        this.store.onChange(function () { self._renderSide(); self._renderList(); self._renderHistory(); });
+        this._renderSide();
         this._renderList();
         var first = this.store.list()[0];
         this._openEditor(first ? first.id : null);
@@ -39,31 +54,137 @@ class Notes {
         return true;
     }
 
+    /** Open a note in the editor (e.g. from launcher search). False when it doesn't exist. */
+    open(id) {
+        console.assert(id != null, 'open: id required');
+        console.assert(this.store, 'open: store');
+        if (!this.store.get(String(id))) return false;
+        return this._openEditor(String(id));
+    }
+
+    static get MODES() { return ['edit', 'split', 'preview']; }
+    static get MODE_KEY() { return 'mrcargon.notes.mode'; }
+
+    static _loadMode() {
+        var m = null;
+        try { m = localStorage.getItem(Notes.MODE_KEY); } catch (e) { /* private mode */ }
+        return Notes.MODES.indexOf(m) >= 0 ? m : 'edit';
+    }
+
+    /** Switch the editor between 'edit', 'split' and 'preview'; remembered on this device. */
+    setMode(mode) {
+        console.assert(Notes.MODES.indexOf(mode) >= 0, 'setMode: known mode');
+        console.assert(this.root, 'setMode: root');
+        this.mode = mode;
+        try { localStorage.setItem(Notes.MODE_KEY, mode); } catch (e) { /* private mode */ }
+        var panes = this.root.querySelector('.note-panes');
+        if (panes) panes.className = 'note-panes mode-' + mode;
+        this.root.querySelectorAll('[data-note="mode"]').forEach(function (b) {
+            b.setAttribute('aria-pressed', String(b.getAttribute('data-mode') === mode));
+        });
+        this._renderPreview();
+        return true;
+    }
+
+    // Render the current textarea into the preview pane (skipped while it's hidden).
+    _renderPreview() {
+        console.assert(this.root, '_renderPreview: root');
+        console.assert(typeof this.mode === 'string', '_renderPreview: mode');
+        var out = this.root.querySelector('.note-preview'), body = this.root.querySelector('.note-body-in');
+        if (!out || !body || this.mode === 'edit') return false;
+        out.innerHTML = typeof Markdown !== 'undefined' ? Markdown.render(body.value)
+            : '<p>' + Notes._esc(body.value).replace(/\n/g, '<br>') + '</p>';
+        return true;
+    }
+
+    /** Show only `kind` ('all', 'pinned', 'conflicts', 'folder' or 'tag') notes; `value` names the folder/tag. */
+    setFilter(kind, value) {
+        console.assert(['all', 'pinned', 'conflicts', 'folder', 'tag'].indexOf(kind) >= 0, 'setFilter: kind');
+        console.assert(value === undefined || typeof value === 'string', 'setFilter: value');
+        this.filter = { kind: kind, value: value || '' };
+        this._renderSide();
+        this._renderList();
+        return true;
+    }
+
+    _listOpts() {
+        var f = this.filter, o = { sort: this.sort };
+        if (f.kind === 'pinned') o.pinned = true;
+        else if (f.kind === 'conflicts') o.conflicts = true;
+        else if (f.kind === 'folder') o.folder = f.value;
+        else if (f.kind === 'tag') o.tag = f.value;
+        return o;
+    }
+
+    // All / Pinned, then the folder tree (indented by depth) and the tags, each with counts.
+    _renderSide() {
+        console.assert(this.root, '_renderSide: root');
+        console.assert(this.store && typeof this.store.folders === 'function', '_renderSide: store');
+        var el = this.root.querySelector('#notes-side');
+        if (!el) return false;
+        var f = this.filter;
+        function entry(kind, value, label, count, depth) {
+            var on = f.kind === kind && f.value === value;
+            return '<button type="button" class="notes-side-item' + (on ? ' active' : '') + '" data-note="filter" data-kind="' + kind +
+                '" data-value="' + Notes._esc(value) + '" aria-pressed="' + on + '"' + (depth ? ' style="padding-left:' + (0.6 + depth * 0.8) + 'rem"' : '') + '>' +
+                '<span class="notes-side-label">' + label + '</span><span class="notes-side-count">' + count + '</span></button>';
+        }
+        var folders = this.store.folders(), tags = this.store.tags(), conflicts = this.store.list({ conflicts: true }).length;
+        var html = entry('all', '', 'All notes', this.store.list().length, 0) +
+            entry('pinned', '', '📌 Pinned', this.store.list({ pinned: true }).length, 0) +
+            (conflicts || f.kind === 'conflicts' ? entry('conflicts', '', '⚠ Conflicts', conflicts, 0) : '');
+        if (folders.length) {
+            html += '<h3 class="notes-side-head">Folders</h3>' + folders.map(function (x) {
+                var depth = x.name.split('/').length - 1;
+                return entry('folder', x.name, '📁 ' + Notes._esc(x.name.split('/').pop()), x.count, depth);
+            }).join('');
+        }
+        if (tags.length) {
+            html += '<h3 class="notes-side-head">Tags</h3>' + tags.map(function (x) {
+                return entry('tag', x.name, '#' + Notes._esc(x.name), x.count, 0);
+            }).join('');
+        }
+        el.innerHTML = html;
+        return true;
+    }
+
     _renderList() {
         console.assert(this.root, '_renderList: root');
         console.assert(this.store, '_renderList: store');
         var el = this.root.querySelector('#notes-list');
         if (!el) return false;
-        var self = this, notes = this.store.list();
+        var self = this, notes = this.store.list(this._listOpts());
         var items = notes.length ? notes.map(function (n) {
             var sel = n.id === self.editingId ? ' active' : '';
-            var title = n.title.trim() || '(untitled)';
-            var preview = n.body.replace(/\s+/g, ' ').trim().slice(0, 48);
+            var title = (n.conflictOf ? '⚠ ' : '') + (n.pinned ? '📌 ' : '') + (n.eventId || n.date ? '📅 ' : '') + (n.title.trim() || '(untitled)');
+            var tags = n.tags ? '<span class="note-item-tags">' + n.tags.split(',').map(function (t) { return '#' + Notes._esc(t); }).join(' ') + '</span>' : '';
             return '<button class="note-item' + sel + '" data-note="open" data-id="' + Notes._esc(n.id) + '">' +
                 '<span class="note-item-title">' + Notes._esc(title) + '</span>' +
-                '<span class="note-item-preview">' + Notes._esc(preview) + '</span></button>';
-        }).join('') : '<p class="notes-empty">No notes yet.</p>';
+                '<span class="note-item-preview">' + Notes._previewHtml(n.body) + '</span>' + tags + '</button>';
+        }).join('') : '<p class="notes-empty">' + (this.filter.kind === 'all' ? 'No notes yet.' : 'No notes here.') + '</p>';
         el.innerHTML = '<button class="control-btn notes-new" data-note="new">+ New note</button>' +
+            '<label class="notes-sort">Sort <select data-note="sort" aria-label="Sort notes">' + [['updated', 'Last edited'], ['title', 'Title'], ['folder', 'Folder']].map(function (o) {
+                return '<option value="' + o[0] + '"' + (o[0] === self.sort ? ' selected' : '') + '>' + o[1] + '</option>';
+            }).join('') + '</select></label>' +
             '<div class="note-items">' + items + '</div>';
         return true;
     }
 
+    // Inline-rendered one-line preview plus a "done/total" badge when the note has tasks.
+    static _previewHtml(body) {
+        if (typeof Markdown === 'undefined') return Notes._esc(String(body || '').replace(/\s+/g, ' ').trim().slice(0, 48));
+        var t = Markdown.taskStats(body);
+        var badge = t.total ? '<span class="note-item-tasks' + (t.done === t.total ? ' done' : '') + '">' + t.done + '/' + t.total + '</span> ' : '';
+        return badge + Markdown.preview(body, 80);
+    }
+
     _openEditor(id) {
         console.assert(this.root, '_openEditor: root');
         console.assert(id === null || typeof id === 'string', '_openEditor: id');
-        var el = this.root.querySelector('#notes-editor');
+        var el = this.root.querySelector('#notes-editor'), self = this;
         if (!el) return false;
         this.editingId = id;
+        this.historyRev = null;
         var n = id ? this.store.get(id) : null;
         if (!n) {
             el.innerHTML = '<div class="notes-placeholder">Select a note, or create a new one.</div>';
@@ -73,14 +194,71 @@ class Notes {
         el.innerHTML =
             '<div class="note-edit-head">' +
                 '<input type="text" class="note-title-in" data-note="title" value="' + Notes._esc(n.title) + '" placeholder="Title" maxlength="120" aria-label="Note title">' +
+                '<div class="note-modes" role="group" aria-label="Editor mode">' + Notes.MODES.map(function (m) {
+                    return '<button type="button" data-note="mode" data-mode="' + m + '" aria-pressed="' + (m === self.mode) + '">' +
+                        m.charAt(0).toUpperCase() + m.slice(1) + '</button>';
+                }).join('') + '</div>' +
+                '<button type="button" class="note-hist-btn" data-note="history" aria-expanded="' + this.historyOpen + '" aria-controls="note-history">History</button>' +
                 '<button class="note-del" data-note="del" data-id="' + Notes._esc(n.id) + '" aria-label="Delete note">Delete</button>' +
             '</div>' +
-            '<textarea class="note-body-in" data-note="body" placeholder="Write your note… (saved automatically)" aria-label="Note body">' + Notes._esc(n.body) + '</textarea>' +
+            this._conflictBanner(n) +
+            '<div class="note-meta-row">' +
+                '<input type="text" class="note-folder-in" data-note="folder" value="' + Notes._esc(n.folder) + '" placeholder="Folder (e.g. Work/Projects)" maxlength="120" aria-label="Folder" list="note-folders">' +
+                '<datalist id="note-folders">' + this.store.folders().map(function (x) { return '<option value="' + Notes._esc(x.name) + '">'; }).join('') + '</datalist>' +
+                '<input type="text" class="note-tags-in" data-note="tags" value="' + Notes._esc(n.tags.split(',').join(', ')) + '" placeholder="Tags, comma separated" maxlength="400" aria-label="Tags">' +
+                '<button type="button" class="note-pin" data-note="pin" aria-pressed="' + !!n.pinned + '">' + (n.pinned ? '📌 Pinned' : 'Pin') + '</button>' +
+            '</div>' +
+            '<div class="note-link-row" id="note-link-row">' + this._linkRow(n) + '</div>' +
+            '<div class="note-panes mode-' + this.mode + '">' +
+                '<textarea class="note-body-in" data-note="body" placeholder="Write your note in Markdown… (saved automatically)" aria-label="Note body">' + Notes._esc(n.body) + '</textarea>' +
+                '<div class="note-preview md" aria-label="Preview" aria-live="polite"></div>' +
+            '</div>' +
+            '<section class="note-history" id="note-history" aria-label="Revision history"' + (this.historyOpen ? '' : ' hidden') + '></section>' +
             '<span class="note-saved" id="note-saved"></span>';
         this._syncListActive();
+        this._renderPreview();
+        this._renderHistory();
         return true;
     }
 
+    // The note's Calendar link: its event (title, occurrence) with Unlink, or a day picker.
+    _linkRow(n) {
+        console.assert(n && n.id, '_linkRow: note');
+        console.assert(typeof n.date === 'string', '_linkRow: date field');
+        var ev = n.eventId && this.events ? this.events.get(n.eventId) : null, at = this._linkDate(n);
+        var show = at && this.showDate ? ' <button type="button" class="note-link-btn" data-note="show-date" data-date="' + Notes._esc(at) + '">Show in calendar</button>' : '';
+        if (n.eventId) {
+            return '<span class="note-link">📅 ' + Notes._esc(ev && !ev.deleted ? ev.title : 'A deleted event') + (n.date ? ' · ' + Notes._esc(n.date) : '') + '</span>' +
+                show + ' <button type="button" class="note-link-btn" data-note="unlink">Unlink</button>';
+        }
+        return '<label class="note-link">📅 Calendar day <input type="date" class="note-date-in" data-note="date" value="' + Notes._esc(n.date) + '" aria-label="Calendar day"></label>' + show;
+    }
+
+    // The day a linked note opens in the Calendar: its own date, else its one-off event's.
+    _linkDate(n) {
+        if (n.date) return n.date;
+        var ev = n.eventId && this.events ? this.events.get(n.eventId) : null;
+        return ev && !ev.deleted ? ev.date : '';
+    }
+
+    // For a conflicted copy: reconcile actions. For a note WITH copies: a pointer to them.
+    _conflictBanner(n) {
+        console.assert(n && n.id, '_conflictBanner: note');
+        console.assert(typeof this.store.conflicts === 'function', '_conflictBanner: store');
+        var orig = n.conflictOf ? this.store.get(n.conflictOf) : null;
+        if (n.conflictOf) {
+            return '<div class="note-conflict" role="alert">⚠ This is a conflicted copy' + (orig ? ' of “' + Notes._esc(orig.title || '(untitled)') + '”' : '') +
+                ': two devices changed the note at the same time and this text lost.' +
+                (orig ? ' <button type="button" data-note="resolve" data-action="keep">Use this text</button>' +
+                    ' <button type="button" data-note="open" data-id="' + Notes._esc(orig.id) + '">Open original</button>' : '') +
+                ' <button type="button" data-note="resolve" data-action="discard">Discard copy</button></div>';
+        }
+        var copies = this.store.conflicts(n.id);
+        if (!copies.length) return '';
+        return '<div class="note-conflict" role="alert">⚠ This note has ' + copies.length + ' conflicted ' + (copies.length === 1 ? 'copy' : 'copies') +
+            ' from simultaneous edits. <button type="button" data-note="open" data-id="' + Notes._esc(copies[0].id) + '">Review</button></div>';
+    }
+
     _syncListActive() {
         var self = this;
         var items = this.root.querySelectorAll('.note-item');
@@ -91,11 +269,13 @@ class Notes {
     _handleClick(e) {
         console.assert(e && e.target, '_handleClick: event');
         console.assert(this.store, '_handleClick: store');
+        if (e.target.matches && e.target.matches('.note-preview input[data-task]')) { this._toggleTask(e.target); return; }
         var el = e.target.closest('[data-note]');
         if (!el) return;
         var kind = el.getAttribute('data-note');
         if (kind === 'new') {
-            var rec = this.store.upsert({ title: '', body: '' });
+            var f = this.filter;
+            var rec = this.store.upsert({ title: '', body: '', folder: f.kind === 'folder' ? f.value : '', tags: f.kind === 'tag' ? f.value : '', pinned: f.kind === 'pinned' });
             this._openEditor(rec.id);
             var t = this.root.querySelector('.note-title-in'); if (t) t.focus();
         } else if (kind === 'open') {
@@ -105,29 +285,154 @@ class Notes {
             this.store.remove(el.getAttribute('data-id'));
             var next = this.store.list()[0];
             this._openEditor(next ? next.id : null);
+        } else if (kind === 'mode') {
+            this.setMode(el.getAttribute('data-mode'));
+        } else if (kind === 'filter') {
+            this.setFilter(el.getAttribute('data-kind'), el.getAttribute('data-value'));
+        } else if (kind === 'pin' && this.editingId) {
+            var pinned = !(this.store.get(this.editingId) || {}).pinned;
+            this.store.upsert({ id: this.editingId, pinned: pinned });
+            el.setAttribute('aria-pressed', String(pinned));
+            el.textContent = pinned ? '📌 Pinned' : 'Pin';
+        } else if (kind === 'resolve' && this.editingId) {
+            this._resolve(el.getAttribute('data-action'));
+        } else if (kind === 'history') {
+            this.toggleHistory();
+        } else if (kind === 'rev') {
+            this.historyRev = el.getAttribute('data-rev');
+            this._renderHistory();
+        } else if (kind === 'restore' && this.editingId && this.historyRev) {
+            this.restore(this.historyRev);
+        } else if (kind === 'show-date' && this.showDate) {
+            this.showDate(el.getAttribute('data-date'));
+        } else if (kind === 'unlink' && this.editingId) {
+            var row = this.root.querySelector('#note-link-row');
+            var rec2 = this.store.upsert({ id: this.editingId, eventId: '', date: '' });
+            if (row) row.innerHTML = this._linkRow(rec2);
         }
     }
 
+    // Reconcile the open conflicted copy, then show the original.
+    _resolve(action) {
+        console.assert(action === 'keep' || action === 'discard', '_resolve: action');
+        console.assert(this.editingId, '_resolve: open note');
+        var copy = this.store.get(this.editingId);
+        if (!copy || !copy.conflictOf) return false;
+        if (this._saveTimer) { clearTimeout(this._saveTimer); this._saveTimer = null; this.store.upsert(this._editorFields()); }
+        this.store.resolveConflict(copy.id, action);
+        var next = this.store.get(copy.conflictOf) || this.store.list()[0];
+        this._openEditor(next ? next.id : null);
+        return true;
+    }
+
+    /** Show / hide the revision history of the open note. */
+    toggleHistory() {
+        console.assert(this.root, 'toggleHistory: root');
+        console.assert(typeof this.historyOpen === 'boolean', 'toggleHistory: state');
+        this.historyOpen = !this.historyOpen;
+        var panel = this.root.querySelector('#note-history'), btn = this.root.querySelector('.note-hist-btn');
+        if (panel) panel.hidden = !this.historyOpen;
+        if (btn) btn.setAttribute('aria-expanded', String(this.historyOpen));
+        this._renderHistory();
+        return this.historyOpen;
+    }
+
+    // Revision list plus, for the selected one, a diff from that revision to the editor as typed.
+    _renderHistory() {
+        console.assert(this.root, '_renderHistory: root');
+        console.assert(this.store && typeof this.store.history === 'function', '_renderHistory: store');
+        var el = this.root.querySelector('#note-history');
+        if (!el || !this.historyOpen || !this.editingId) return false;
+        var self = this, revs = this.store.history(this.editingId);
+        var sel = revs.filter(function (r) { return r.rev === self.historyRev; })[0] || null;
+        var items = revs.map(function (r) {
+            return '<li><button type="button" class="note-rev' + (r === sel ? ' active' : '') + '" data-note="rev" data-rev="' + Notes._esc(r.rev) +
+                '" aria-pressed="' + (r === sel) + '">' + Notes._esc(new Date(r.at).toLocaleString()) +
+                '<span class="note-rev-src">' + Notes.REV_SOURCES[r.source] + '</span></button></li>';
+        }).join('');
+        el.innerHTML = revs.length ? '<ol class="note-revs">' + items + '</ol>' + (sel ? this._revisionDiff(sel) : '<p class="note-rev-hint">Pick a revision to compare it with the current text.</p>')
+            : '<p class="note-rev-hint">No earlier versions yet — they are kept on this device as you edit.</p>';
+        return true;
+    }
+
+    static get REV_SOURCES() { return { edit: 'edited', remote: 'replaced by sync', restore: 'before a restore' }; }
+
+    _revisionDiff(rev) {
+        console.assert(rev && typeof rev.body === 'string', '_revisionDiff: revision');
+        console.assert(this.editingId, '_revisionDiff: open note');
+        var now = this._editorFields(), meta = [];
+        if (now.title !== undefined && now.title !== rev.title) meta.push('Title was “' + Notes._esc(rev.title || '(untitled)') + '”');
+        if (now.folder !== undefined && NotesStore.cleanFolder(now.folder) !== rev.folder) meta.push('Folder was “' + Notes._esc(rev.folder || 'none') + '”');
+        if (now.tags !== undefined && NotesStore.parseTags(now.tags).join(',') !== rev.tags) meta.push('Tags were “' + Notes._esc(rev.tags || 'none') + '”');
+        var diff = '';
+        if (typeof TextDiff !== 'undefined') {
+            var ops = TextDiff.lines(rev.body, now.body), st = TextDiff.stats(ops);
+            diff = '<p class="note-rev-stat">Since this version: <span class="diff-add-n">+' + st.added + '</span> <span class="diff-del-n">−' + st.removed + '</span> lines</p>' +
+                '<div class="note-diff">' + TextDiff.html(ops, 2) + '</div>';
+        }
+        return '<div class="note-rev-detail">' + (meta.length ? '<p class="note-rev-meta">' + meta.join(' · ') + '</p>' : '') + diff +
+            '<button type="button" class="control-btn note-restore" data-note="restore">Restore this version</button></div>';
+    }
+
+    /** Restore revision `rev` of the open note as a new edit (unsaved typing is saved first). */
+    restore(rev) {
+        console.assert(typeof rev === 'string', 'restore: rev id');
+        console.assert(this.editingId, 'restore: open note');
+        if (this._saveTimer) { clearTimeout(this._saveTimer); this._saveTimer = null; this.store.upsert(this._editorFields()); }
+        var rec = this.store.restore(this.editingId, rev);
+        if (!rec) return false;
+        this._openEditor(rec.id);
+        var s = this.root.querySelector('#note-saved'); if (s) s.textContent = 'restored';
+        return true;
+    }
+
+    // A preview checkbox was clicked: flip that task in the source and save NOW (any pending
+    // debounced save is folded in, so the two can't race).
+    _toggleTask(box) {
+        console.assert(box && box.getAttribute, '_toggleTask: checkbox');
+        console.assert(typeof Markdown !== 'undefined', '_toggleTask: Markdown');
+        var bodyEl = this.root.querySelector('.note-body-in');
+        if (!bodyEl || !this.editingId) return false;
+        if (this._saveTimer) { clearTimeout(this._saveTimer); this._saveTimer = null; }
+        bodyEl.value = Markdown.toggleTask(bodyEl.value, parseInt(box.getAttribute('data-task'), 10));
+        this.store.upsert(this._editorFields());
+        var s = this.root.querySelector('#note-saved'); if (s) s.textContent = 'saved';
+        this._renderPreview();
+        return true;
+    }
+
     // Debounced autosave from the editor inputs. Does NOT re-render the editor. <=60 lines.
     _handleInput(e) {
         console.assert(e && e.target, '_handleInput: event');
         console.assert(this.store, '_handleInput: store');
         var field = e.target.getAttribute && e.target.getAttribute('data-note');
-        if (field !== 'title' && field !== 'body') return;
+        if (field === 'sort') { this.sort = e.target.value; this._renderList(); return; }
+        if (['title', 'body', 'folder', 'tags', 'date'].indexOf(field) < 0) return;
         if (!this.editingId) return;
         var self = this;
+        if (field === 'body') this._renderPreview();
         var saved = this.root.querySelector('#note-saved');
         if (saved) saved.textContent = 'saving…';
         if (this._saveTimer) clearTimeout(this._saveTimer);
         this._saveTimer = setTimeout(function () {
-            var cur = self.store.get(self.editingId) || { id: self.editingId };
-            var titleEl = self.root.querySelector('.note-title-in');
-            var bodyEl = self.root.querySelector('.note-body-in');
-            self.store.upsert({ id: self.editingId, title: titleEl ? titleEl.value : cur.title, body: bodyEl ? bodyEl.value : cur.body });
+            self._saveTimer = null;
+            self.store.upsert(self._editorFields());
             var s = self.root.querySelector('#note-saved'); if (s) s.textContent = 'saved';
         }, 400);
     }
 
+    // The open note as currently typed; fields whose input is missing keep their saved value.
+    _editorFields() {
+        console.assert(this.editingId, '_editorFields: open note');
+        console.assert(this.root, '_editorFields: root');
+        var rec = { id: this.editingId }, self = this;
+        [['title', '.note-title-in'], ['body', '.note-body-in'], ['folder', '.note-folder-in'], ['tags', '.note-tags-in'], ['date', '.note-date-in']].forEach(function (f) {
+            var el = self.root.querySelector(f[1]);
+            if (el) rec[f[0]] = el.value;
+        });
+        return rec;
+    }
+
     static _esc(s) {
         return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
             return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;' }[c];
@@ -0,0 +1,225 @@
+// Tasks.js — to-do UI for the launcher. A view bar (open / today / overdue / upcoming / done
+// / all, with counts), a quick-add form and the task list. A task expands in place to edit
+// its title, due date, priority and notes, and to manage its subtasks. Local-first via
+// TasksStore; re-renders on any store change (including remote sync) except while an edit
+// field of the expanded task has focus — then it waits for the blur, so typing is never lost.
+// classic script, window global. NASA Power-of-10: >=2 asserts/method, methods <=60 lines,
+// bounded, graceful fallback.
+
+class Tasks {
+    constructor(root, store) {
+        console.assert(root && root.nodeType === 1, 'Tasks: root element required');
+        console.assert(store && typeof store.list === 'function', 'Tasks: TasksStore required');
+        this.root = root;
+        this.store = store;
+        this.view = 'open';
+        this.expandedId = null;
+        this._stale = false;                 // a render was skipped while editing
+        this._onClick = this._handleClick.bind(this);
+        this._onChange = this._handleChange.bind(this);
+        this._onSubmit = this._handleSubmit.bind(this);
+        this._onFocusOut = this._handleFocusOut.bind(this);
+    }
+
+    static get VIEW_LABELS() {
+        return { open: 'Open', today: 'Today', overdue: 'Overdue', upcoming: 'Upcoming', done: 'Done', all: 'All' };
+    }
+
+    mount() {
+        console.assert(this.root, 'mount: root required');
+        console.assert(this.store, 'mount: store required');
+        var self = this;
+        this.root.innerHTML = '<div class="tasks-wrap">' +
+            '<div class="tasks-views" id="tasks-views" role="group" aria-label="Show tasks"></div>' +
+            '<form class="tasks-add" data-task="add">' +
+                '<input type="text" name="title" class="tasks-in tasks-title-in" placeholder="New task…" maxlength="200" required aria-label="Task title">' +
+                '<input type="date" name="due" class="tasks-in" aria-label="Due date">' +
+                Tasks._prioritySelect(0, 'priority') +
+                '<button type="submit" class="control-btn">Add</button>' +
+            '</form>' +
+            '<ul class="tasks-list" id="tasks-list"></ul></div>';
+        this.root.addEventListener('click', this._onClick);
+        this.root.addEventListener('change', this._onChange);
+        this.root.addEventListener('submit', this._onSubmit);
+        this.root.addEventListener('focusout', this._onFocusOut);
+        this.store.onChange(function () { self.render(); });
+        this.render();
+        return true;
+    }
+
+    dispose() {
+        console.assert(this.root, 'dispose: root');
+        console.assert(this._onClick, 'dispose: handler');
+        this.root.removeEventListener('click', this._onClick);
+        this.root.removeEventListener('change', this._onChange);
+        this.root.removeEventListener('submit', this._onSubmit);
+        this.root.removeEventListener('focusout', this._onFocusOut);
+        return true;
+    }
+
+    /** Show one of TasksStore.VIEWS. */
+    setView(view) {
+        console.assert(TasksStore.VIEWS.indexOf(view) >= 0, 'setView: known view');
+        console.assert(this.root, 'setView: root');
+        this.view = view;
+        this.render();
+        return true;
+    }
+
+    /** Expand task `id` (e.g. from the Calendar). False when it doesn't exist. */
+    open(id) {
+        console.assert(id != null, 'open: id required');
+        console.assert(this.store, 'open: store');
+        var t = this.store.get(String(id));
+        if (!t) return false;
+        if (t.parentId) t = this.store.get(t.parentId) || t;
+        if (!TasksStore._inView(t, this.view, TasksStore.today())) this.view = t.done ? 'done' : 'open';
+        this.expandedId = t.id;
+        this.render();
+        return true;
+    }
+
+    // Re-render the view bar and list, unless a field of the expanded task is being edited.
+    render() {
+        console.assert(this.root, 'render: root');
+        console.assert(this.store, 'render: store');
+        var active = typeof document !== 'undefined' ? document.activeElement : null;
+        if (active && active.hasAttribute && active.hasAttribute('data-field') && this.root.contains(active)) { this._stale = true; return false; }
+        this._stale = false;
+        var views = this.root.querySelector('#tasks-views'), list = this.root.querySelector('#tasks-list');
+        if (!views || !list) return false;
+        var counts = this.store.counts(), self = this, labels = Tasks.VIEW_LABELS;
+        views.innerHTML = TasksStore.VIEWS.map(function (v) {
+            var on = v === self.view;
+            return '<button type="button" class="tasks-view-btn' + (on ? ' active' : '') + (v === 'overdue' && counts[v] ? ' warn' : '') +
+                '" data-task="view" data-view="' + v + '" aria-pressed="' + on + '">' + labels[v] + ' <span class="tasks-count">' + counts[v] + '</span></button>';
+        }).join('');
+        var today = TasksStore.today(), tasks = this.store.list({ view: this.view });
+        list.innerHTML = tasks.length ? tasks.map(function (t) { return self._item(t, today); }).join('')
+            : '<li class="tasks-empty">' + (this.view === 'done' ? 'Nothing completed yet.' : 'No tasks here.') + '</li>';
+        return true;
+    }
+
+    _handleFocusOut() {
+        var self = this;
+        if (this._stale) setTimeout(function () { if (self._stale) self.render(); }, 0);   // after focus settles
+        return true;
+    }
+
+    // One task row; the expanded one also carries its editor and subtasks. <=60 lines.
+    _item(t, today) {
+        console.assert(t && t.id, '_item: task');
+        console.assert(typeof today === 'string', '_item: today');
+        var open = t.id === this.expandedId, p = this.store.progress(t.id), esc = Tasks._esc;
+        var cls = 'task-item prio-' + t.priority + (t.done ? ' done' : '') + (!t.done && t.due && t.due < today ? ' overdue' : '');
+        var meta = (t.due ? '<span class="task-due">' + esc(Tasks._dueLabel(t.due, today)) + '</span>' : '') +
+            (t.priority ? '<span class="task-prio">' + TasksStore.PRIORITIES[t.priority] + '</span>' : '') +
+            (p.total ? '<span class="task-subs' + (p.done === p.total ? ' complete' : '') + '" title="Subtasks done">' + p.done + '/' + p.total + '</span>' : '');
+        return '<li class="' + cls + '" data-id="' + esc(t.id) + '">' +
+            '<div class="task-row">' +
+                '<input type="checkbox" class="task-check" data-task="toggle"' + (t.done ? ' checked' : '') + ' aria-label="Done: ' + esc(t.title || '(untitled)') + '">' +
+                '<button type="button" class="task-title" data-task="expand" aria-expanded="' + open + '">' + esc(t.title || '(untitled)') + '</button>' +
+                '<span class="task-meta">' + meta + '</span>' +
+                '<button type="button" class="task-del" data-task="del" aria-label="Delete task">&#215;</button>' +
+            '</div>' + (open ? this._detail(t) : '') + '</li>';
+    }
+
+    // Editor + subtasks for the expanded task. Fields save on change.
+    _detail(t) {
+        console.assert(t && t.id, '_detail: task');
+        console.assert(this.store && typeof this.store.subtasks === 'function', '_detail: store');
+        var esc = Tasks._esc;
+        var subs = this.store.subtasks(t.id).map(function (s) {
+            return '<li class="task-sub' + (s.done ? ' done' : '') + '" data-id="' + esc(s.id) + '">' +
+                '<input type="checkbox" class="task-check" data-task="toggle"' + (s.done ? ' checked' : '') + ' aria-label="Done: ' + esc(s.title) + '">' +
+                '<input type="text" class="tasks-in task-sub-title" data-field="title" value="' + esc(s.title) + '" maxlength="200" aria-label="Subtask title">' +
+                '<button type="button" class="task-del" data-task="del" aria-label="Delete subtask">&#215;</button></li>';
+        }).join('');
+        return '<div class="task-detail">' +
+            '<div class="task-fields">' +
+                '<input type="text" class="tasks-in task-title-in" data-field="title" value="' + esc(t.title) + '" maxlength="200" aria-label="Title">' +
+                '<input type="date" class="tasks-in" data-field="due" value="' + esc(t.due) + '" aria-label="Due date">' +
+                Tasks._prioritySelect(t.priority, '', 'data-field="priority"') +
+            '</div>' +
+            '<textarea class="tasks-in task-notes-in" data-field="notes" rows="2" maxlength="4000" placeholder="Notes" aria-label="Notes">' + esc(t.notes) + '</textarea>' +
+            '<ul class="task-subs-list" aria-label="Subtasks">' + subs + '</ul>' +
+            '<form class="task-sub-add" data-task="add-sub" data-parent="' + esc(t.id) + '">' +
+                '<input type="text" name="title" class="tasks-in" placeholder="Add a subtask…" maxlength="200" required aria-label="New subtask">' +
+                '<button type="submit" class="control-btn">Add</button>' +
+            '</form></div>';
+    }
+
+    static _prioritySelect(value, name, attr) {
+        return '<select class="tasks-in tasks-prio"' + (name ? ' name="' + name + '"' : '') + (attr ? ' ' + attr : '') + ' aria-label="Priority">' +
+            TasksStore.PRIORITIES.map(function (label, i) {
+                return '<option value="' + i + '"' + (i === value ? ' selected' : '') + '>' + (i ? label.charAt(0).toUpperCase() + label.slice(1) : 'No priority') + '</option>';
+            }).join('') + '</select>';
+    }
+
+    // 'Today', 'Tomorrow', 'Yesterday', else the date itself.
+    static _dueLabel(due, today) {
+        var d = Math.round((Date.parse(due + 'T00:00:00Z') - Date.parse(today + 'T00:00:00Z')) / 86400000);
+        if (d === 0) return 'Today';
+        if (d === 1) return 'Tomorrow';
+        if (d === -1) return 'Yesterday';
+        return due;
+    }
+
+    _handleClick(e) {
+        console.assert(e && e.target, '_handleClick: event');
+        console.assert(this.store, '_handleClick: store');
+        var el = e.target.closest('[data-task]');
+        if (!el || el.tagName === 'INPUT' || el.tagName === 'FORM') return;
+        var kind = el.getAttribute('data-task'), item = el.closest('[data-id]'), id = item ? item.getAttribute('data-id') : null;
+        if (kind === 'view') this.setView(el.getAttribute('data-view'));
+        else if (kind === 'expand' && id) { this.expandedId = this.expandedId === id ? null : id; this.render(); }
+        else if (kind === 'del' && id) {
+            if (id === this.expandedId) this.expandedId = null;
+            this.store.remove(id);
+        }
+    }
+
+    // Checkboxes complete tasks; detail fields save the task they belong to.
+    _handleChange(e) {
+        console.assert(e && e.target, '_handleChange: event');
+        console.assert(this.store, '_handleChange: store');
+        var el = e.target, item = el.closest('[data-id]'), id = item ? item.getAttribute('data-id') : null;
+        if (!id) return;
+        if (el.getAttribute('data-task') === 'toggle') { this.store.toggle(id, el.checked); return; }
+        var field = el.getAttribute('data-field');
+        if (!field) return;
+        var change = { id: id };
+        change[field] = field === 'priority' ? Number(el.value) : el.value;
+        if (field === 'title' && !el.value.trim()) return;                 // keep the old title
+        this.store.upsert(change);
+    }
+
+    _handleSubmit(e) {
+        console.assert(e && e.target, '_handleSubmit: event');
+        console.assert(this.store, '_handleSubmit: store');
+        var form = e.target, kind = form.getAttribute('data-task');
+        if (kind !== 'add' && kind !== 'add-sub') return;
+        e.preventDefault();
+        var title = (form.elements.title.value || '').trim();
+        if (!title) return;
+        if (kind === 'add') {
+            this.store.upsert({ title: title, due: form.elements.due.value, priority: Number(form.elements.priority.value) || 0 });
+        } else {
+            this.store.upsert({ title: title, parentId: form.getAttribute('data-parent') });
+            var again = this.root.querySelector('.task-sub-add input[name="title"]');
+            if (again) again.focus();                                      // keep adding subtasks
+            return;
+        }
+        form.reset();
+        form.elements.title.focus();
+    }
+
+    static _esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;' }[c];
+        });
+    }
+}
+
+if (typeof window !== 'undefined') window.Tasks = Tasks;
+if (typeof module !== 'undefined' && module.exports) module.exports = { Tasks: Tasks };
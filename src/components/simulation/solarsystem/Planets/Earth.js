@@ -182,6 +182,10 @@ class Earth extends Planet {
             this.presencePins = (typeof PresencePins !== 'undefined' && this.mesh)
                 ? new PresencePins(this.mesh, this.data.radius)
                 : null;
+            // Opt-in activity heatmap (anonymous per-cell counts, PresenceActivity). Hidden until enabled.
+            this.presenceHeat = (typeof PresenceHeatmap !== 'undefined' && this.mesh)
+                ? new PresenceHeatmap(this.mesh, this.data.radius)
+                : null;
             return true;
         } catch (err) {
             console.error('Earth.init: failed to initialize:', err);
@@ -1032,6 +1036,7 @@ class Earth extends Planet {
         if (this.troposphereObjects) { this.troposphereObjects.dispose(); this.troposphereObjects = null; }
         if (this.explorePins) { this.explorePins.dispose(); this.explorePins = null; }
         if (this.presencePins) { this.presencePins.dispose(); this.presencePins = null; }
+        if (this.presenceHeat) { this.presenceHeat.dispose(); this.presenceHeat = null; }
         // clouds.map and moon.map/bumpMap are ResourceLoader-cached — skip
         // disposing those textures (pass false) so a recreated Earth keeps valid
         // textures. Geometry + material are still disposed.
@@ -1319,8 +1319,11 @@ class SpaceEnvironment {
             }
             // Tear down live presence on exit (stops heartbeat / cross-tab channel) and
             // reset its toggle buttons so re-entering Explore starts clean.
+            if (earth.presenceHeat) earth.presenceHeat.setVisible(false);     // shown again on re-entry if opted in
             if (this._presence) {
                 this._presence.setEnabled(false);
+                this._stopFollowPeer('');
+                this._renderPresencePeers();
                 ['explore-toggle-presence', 'explore-share-location'].forEach((id) => {
                     const b = document.getElementById(id);
                     if (b) { b.setAttribute('aria-pressed', 'false'); b.classList.remove('active'); }
@@ -1371,6 +1374,7 @@ class SpaceEnvironment {
         if (earth && typeof earth.highlightRegion === 'function') earth.highlightRegion(null, null);
         if (earth && typeof earth.highlightCountry === 'function') earth.highlightCountry(null);
         if (this._tooltipEl) this._tooltipEl.hidden = true;
+        if (this._presenceCardEl) this._presenceCardEl.hidden = true;
 
         this.teardownExplorePanel();
         this.announceExplore('Exited Explore Earth mode.');
@@ -1418,11 +1422,12 @@ class SpaceEnvironment {
     /**
      * Re-orient the globe so a chosen (lat,lng) faces the camera, keeping the
      * centre-orbit pivot (you then spin the globe around it). Used by "Center on SF"
-     * and by clicking any place / region / zip. Holds the current zoom distance.
+     * and by clicking any place / region / zip. Holds the current zoom distance
+     * unless `distR` (radii, clamped to the zoom range) asks for another.
      * Rule 4: <=60 lines | Rule 5: 2 asserts.
      * @returns {boolean}
      */
-    centerOnLatLng(lat, lng) {
+    centerOnLatLng(lat, lng, distR) {
         console.assert(Number.isFinite(lat) && Number.isFinite(lng), 'centerOnLatLng: coords required');
         console.assert(typeof GlobeMath !== 'undefined', 'centerOnLatLng: GlobeMath required');
         const earth = this.getEarthObject();
@@ -1434,7 +1439,10 @@ class SpaceEnvironment {
         const surfWorld = mesh.localToWorld(this._scratchSurf.copy(local));
         const dir = this._scratchTarget.copy(surfWorld).sub(earthPos).normalize();
         if (dir.lengthSq() < 1e-6) dir.set(0, 0, 1);
-        const dist = this.camera.position.distanceTo(earthPos);
+        const rng = this._zoomRange();
+        const dist = Number.isFinite(distR)
+            ? earth.data.radius * Math.max(rng.minR, Math.min(rng.maxR, distR))
+            : this.camera.position.distanceTo(earthPos);
         const destPos = earthPos.clone().addScaledVector(dir, dist);
         if (this.prefersReducedMotion()) {
             this.camera.position.copy(destPos); this.controls.target.copy(earthPos); this.controls.update();
@@ -1636,6 +1644,7 @@ class SpaceEnvironment {
         if (earth.presencePins && typeof earth.presencePins.update === 'function') {
             earth.presencePins.update(rr, (typeof performance !== 'undefined' ? performance.now() : Date.now()) / 1000);
         }
+        if (earth.presenceHeat) earth.presenceHeat.update(rr);
         if (earth.streetTiles || earth.satelliteTiles) {
             const now = (typeof performance !== 'undefined' ? performance.now() : Date.now());
             if (now - this._lastStreetsUpdateTime >= this._streetsUpdateIntervalMs) {
@@ -1847,12 +1856,13 @@ class SpaceEnvironment {
 
         this._detailEl = document.getElementById('explore-detail');
         this._tooltipEl = document.getElementById('country-tooltip');
+        this._presenceCardEl = document.getElementById('presence-card');
 
         // The canvas is raised to z-index 30 in explore; the panel's z is trapped
         // inside #content's stacking context (painted below the canvas → unclickable).
         // Reparent the explore UI to <body> so it's in the root stacking context and
         // sits above the canvas. Idempotent.
-        [panel, this._detailEl, this._tooltipEl].forEach((el) => {
+        [panel, this._detailEl, this._tooltipEl, this._presenceCardEl].forEach((el) => {
             if (el && el.parentElement !== document.body) document.body.appendChild(el);
         });
         // #footer-container is position:relative z-index:200 in the root stacking
@@ -1861,6 +1871,7 @@ class SpaceEnvironment {
         if (panel) panel.style.zIndex = '210';
         if (this._detailEl) this._detailEl.style.zIndex = '211';
         if (this._tooltipEl) this._tooltipEl.style.zIndex = '212';
+        if (this._presenceCardEl) this._presenceCardEl.style.zIndex = '212';
         this._makePanelDraggable(panel);   // movable by its background; buttons still click
 
         if (!panel.dataset.wired) {
@@ -1882,6 +1893,13 @@ class SpaceEnvironment {
             const shareLoc = document.getElementById('explore-share-location');
             if (presenceToggle) presenceToggle.addEventListener('click', () => this._togglePresence(presenceToggle));
             if (shareLoc) shareLoc.addEventListener('click', () => this._toggleShareLocation(shareLoc));
+            const room = document.getElementById('explore-presence-room');
+            const roomLink = document.getElementById('explore-presence-link');
+            if (room) room.addEventListener('change', () => this._setPresenceRoom(room.value));
+            if (roomLink) roomLink.addEventListener('click', () => this._copyPresenceLink(roomLink));
+            this._wirePresenceProfile();          // display name / colour / status
+            this._wirePresenceHeat();             // opt-in activity heatmap + 24 h scrubber
+            this._wirePresenceFollow();           // follow a visitor / everyone in view
             const mode = document.getElementById('explore-mode');
             if (mode) mode.addEventListener('click', () => this._cycleMapMode(mode));
             const exit = document.getElementById('explore-exit');
@@ -1897,6 +1915,10 @@ class SpaceEnvironment {
         const earth = this.getEarthObject();
         if (earth && earth.explorePins) earth.explorePins.setVisible(true);
         this._renderPinList();
+        this._syncPresenceRoom();            // a shared '#room=…' link picks the room
+        this._syncPresenceProfile();
+        this._syncPresenceHeat();
+        this._renderPresencePeers();
         this._syncDetailSubToggles();
         this._applyAllStyles(earth);   // apply persisted per-layer colour/opacity
         this._syncStyleUI();
@@ -1912,8 +1934,12 @@ class SpaceEnvironment {
         const earth = this.getEarthObject();
         if (!earth || !earth.presencePins || typeof Presence === 'undefined') return null;
         const self = this;
+        this._presenceActivity = (typeof PresenceActivity !== 'undefined') ? new PresenceActivity() : null;
+        if (this._presenceActivity) this._presenceActivity.onChange(() => self._renderPresenceHeat());
         this._presence = new Presence(earth.presencePins, {
-            onCount: (n) => self._updatePresenceCount(n)
+            activity: this._presenceActivity,
+            room: Presence.roomFromHash(window.location.hash),
+            onCount: (n) => { self._updatePresenceCount(n); self._onPresenceRoster(); }
         });
         return this._presence;
     }
@@ -1928,6 +1954,7 @@ class SpaceEnvironment {
         p.setEnabled(on);
         btn.setAttribute('aria-pressed', String(on));
         btn.classList.toggle('active', on);
+        if (!on) { this._stopFollowPeer('Stopped following.'); this._renderPresencePeers(); }
         return on;
     }
 
@@ -1947,12 +1974,371 @@ class SpaceEnvironment {
         return on;
     }
 
-    // Reflect the online count in the panel header. Rule 5: 2 asserts.
+    // Reflect the online count (and the room, when not the public lobby) in the panel
+    // header. Rule 5: 2 asserts.
     _updatePresenceCount(n) {
         console.assert(Number.isFinite(n), '_updatePresenceCount: number required');
         console.assert(typeof document !== 'undefined', '_updatePresenceCount: document required');
+        this._presenceCount = n;
+        const room = this._presence ? this._presence.room : '';
         const el = document.getElementById('explore-presence-count');
-        if (el) el.textContent = (n > 0) ? (n + ' online') : '';
+        if (el) {
+            el.textContent = [n > 0 ? n + ' online' : '', room ? '#' + room : ''].filter(Boolean).join(' · ');
+            el.title = room ? 'Room “' + room + '” — only people with this room see each other' : '';
+        }
+        return true;
+    }
+
+    // Switch the presence room ('' = everyone) and keep the address bar a shareable link to it.
+    // replaceState, not location.hash: no hashchange, so the page router stays put. Rule 5.
+    _setPresenceRoom(name) {
+        console.assert(typeof name === 'string', '_setPresenceRoom: string required');
+        console.assert(typeof window !== 'undefined', '_setPresenceRoom: window required');
+        const p = this._getPresence();
+        if (!p) return false;
+        p.setRoom(name);
+        const input = document.getElementById('explore-presence-room');
+        if (input) input.value = p.room;
+        const hadRoom = Presence.roomFromHash(window.location.hash) !== '';
+        if ((p.room || hadRoom) && window.history && window.history.replaceState) {
+            window.history.replaceState(window.history.state, '', Presence.roomLink(p.room, window.location.href));
+        }
+        this._updatePresenceCount(p.isEnabled() ? (this._presenceCount || 0) : 0);
+        return true;
+    }
+
+    // On panel open: join the room named in the URL hash, if any, and show the current one.
+    _syncPresenceRoom() {
+        console.assert(typeof window !== 'undefined', '_syncPresenceRoom: window required');
+        console.assert(typeof document !== 'undefined', '_syncPresenceRoom: document required');
+        const p = this._getPresence();
+        if (!p) return false;
+        const fromHash = Presence.roomFromHash(window.location.hash);
+        if (fromHash && fromHash !== p.room) p.setRoom(fromHash);
+        const input = document.getElementById('explore-presence-room');
+        if (input && document.activeElement !== input) input.value = p.room;
+        this._updatePresenceCount(this._presenceCount || 0);
+        return true;
+    }
+
+    // Wire the profile inputs once: each change is saved and, while sharing, sent at once.
+    // Rule 5: 2 asserts.
+    _wirePresenceProfile() {
+        console.assert(typeof document !== 'undefined', '_wirePresenceProfile: document required');
+        console.assert(typeof Presence !== 'undefined', '_wirePresenceProfile: Presence.js required');
+        const list = document.getElementById('explore-presence-statuses');
+        if (list && !list.children.length) Presence.STATUSES.forEach((st) => {
+            const o = document.createElement('option'); o.value = st; list.appendChild(o);
+        });
+        const fields = { name: 'explore-presence-name', color: 'explore-presence-color', status: 'explore-presence-status' };
+        Object.keys(fields).forEach((k) => {
+            const el = document.getElementById(fields[k]);
+            if (!el) return;
+            el.addEventListener('change', () => {
+                const p = this._getPresence();
+                if (p) p.setProfile({ [k]: el.value });
+                this._syncPresenceProfile();
+            });
+        });
+        return true;
+    }
+
+    // Show the saved profile in the inputs (cleaned: what peers would see). Rule 5: 2 asserts.
+    _syncPresenceProfile() {
+        console.assert(typeof document !== 'undefined', '_syncPresenceProfile: document required');
+        console.assert(typeof this._getPresence === 'function', '_syncPresenceProfile: presence getter');
+        const p = this._getPresence();
+        if (!p) return false;
+        const set = (id, v) => { const el = document.getElementById(id); if (el && document.activeElement !== el) el.value = v; };
+        set('explore-presence-name', p.profile.name);
+        set('explore-presence-color', p.profile.color || '#ffa500');      // PresencePins' self colour
+        set('explore-presence-status', p.profile.status);
+        return true;
+    }
+
+    // Wire the heatmap toggle, the 24 h scrubber and "forget" once. Rule 5: 2 asserts.
+    _wirePresenceHeat() {
+        console.assert(typeof document !== 'undefined', '_wirePresenceHeat: document required');
+        console.assert(typeof this._getPresence === 'function', '_wirePresenceHeat: presence getter');
+        const btn = document.getElementById('explore-presence-heat');
+        const time = document.getElementById('explore-presence-heat-time');
+        const clear = document.getElementById('explore-presence-heat-clear');
+        if (btn) btn.addEventListener('click', () => this._togglePresenceHeat());
+        if (time) time.addEventListener('input', () => this._renderPresenceHeat());
+        if (clear) clear.addEventListener('click', () => { if (this._presenceActivity) this._presenceActivity.clear(); });
+        return true;
+    }
+
+    // Opt in / out of collecting activity; the layer shows exactly while collecting.
+    _togglePresenceHeat() {
+        console.assert(typeof document !== 'undefined', '_togglePresenceHeat: document required');
+        console.assert(typeof this._getPresence === 'function', '_togglePresenceHeat: presence getter');
+        if (!this._getPresence() || !this._presenceActivity) return false;
+        this._presenceActivity.setEnabled(!this._presenceActivity.enabled);
+        return this._syncPresenceHeat();
+    }
+
+    // Button, scrubber and layer visibility from the (remembered) opt-in. Rule 5: 2 asserts.
+    _syncPresenceHeat() {
+        console.assert(typeof document !== 'undefined', '_syncPresenceHeat: document required');
+        console.assert(typeof this.getEarthObject === 'function', '_syncPresenceHeat: earth getter');
+        const on = !!(this._getPresence() && this._presenceActivity && this._presenceActivity.enabled);
+        const btn = document.getElementById('explore-presence-heat');
+        const ctrl = document.getElementById('explore-presence-heat-ctrl');
+        if (btn) { btn.setAttribute('aria-pressed', String(on)); btn.classList.toggle('active', on); }
+        if (ctrl) ctrl.hidden = !on;
+        const earth = this.getEarthObject();
+        if (earth && earth.presenceHeat) earth.presenceHeat.setVisible(on);
+        this._renderPresenceHeat();
+        return on;
+    }
+
+    // Draw the heat as of the scrubber's hour and label it ("now" / "5 h ago · 14:00 · 3 seen").
+    _renderPresenceHeat() {
+        console.assert(typeof document !== 'undefined', '_renderPresenceHeat: document required');
+        console.assert(typeof this.getEarthObject === 'function', '_renderPresenceHeat: earth getter');
+        const act = this._presenceActivity;
+        const earth = this.getEarthObject();
+        if (!act || !act.enabled || !earth || !earth.presenceHeat) return false;
+        const time = document.getElementById('explore-presence-heat-time');
+        const ago = time ? Math.max(0, -Number(time.value) || 0) : 0;
+        const cells = act.at(ago);
+        earth.presenceHeat.setCells(cells);
+        const seen = cells.reduce((n, c) => n + c.count, 0);
+        const at = new Date(Date.now() - ago * 3600000);
+        const label = document.getElementById('explore-presence-heat-label');
+        if (label) {
+            label.textContent = (ago ? ago + ' h ago · ' + String(at.getHours()).padStart(2, '0') + ':00' : 'now')
+                + ' · ' + (seen ? seen + ' seen' : 'nobody yet');
+        }
+        return true;
+    }
+
+    /**
+     * Hover card for the presence marker under the cursor (ray already set by the caller):
+     * initials in the user's colour, name and status. textContent only — it is peer-supplied.
+     * Returns true when a card is shown. Rule 4: <=60 lines.
+     */
+    _hoverPresence(earth, event) {
+        console.assert(earth && typeof earth === 'object', '_hoverPresence: earth required');
+        console.assert(this._exploreRaycaster, '_hoverPresence: raycaster required');
+        const card = this._presenceCardEl || (this._presenceCardEl = document.getElementById('presence-card'));
+        const u = this._presenceUnderRay(earth);
+        if (!card) return !!u;
+        if (!u) { card.hidden = true; return false; }
+        card.textContent = '';
+        const dot = document.createElement('span');
+        dot.className = 'presence-initials';
+        dot.style.background = u.color;
+        dot.textContent = u.initials;
+        const text = document.createElement('span');
+        const name = document.createElement('strong');
+        name.textContent = (u.name || 'Someone') + (u.self ? ' (you)' : '');
+        text.appendChild(name);
+        if (u.status) {
+            const st = document.createElement('div');
+            st.className = 'presence-status';
+            st.textContent = u.status;
+            text.appendChild(st);
+        }
+        card.appendChild(dot);
+        card.appendChild(text);
+        card.style.left = (event.clientX + 14) + 'px';
+        card.style.top = (event.clientY + 14) + 'px';
+        card.hidden = false;
+        return true;
+    }
+
+    // The presence marker profile on the current ray ({ id, name, status, color, initials, self }),
+    // or null — while the layer is on. Caller has run setFromCamera. Rule 5: 2 asserts.
+    _presenceUnderRay(earth) {
+        console.assert(earth && typeof earth === 'object', '_presenceUnderRay: earth required');
+        console.assert(this._exploreRaycaster, '_presenceUnderRay: raycaster required');
+        const pins = earth.presencePins;
+        const meshes = (this._presence && this._presence.isEnabled() && pins && typeof pins.getPickMeshes === 'function')
+            ? pins.getPickMeshes() : [];
+        const hits = meshes.length ? this._exploreRaycaster.intersectObjects(meshes, false) : [];
+        return hits.length ? hits[0].object.userData.presence : null;
+    }
+
+    // Copy the link to the current room; the button says whether it worked. Rule 5: 2 asserts.
+    _copyPresenceLink(btn) {
+        console.assert(btn && btn.setAttribute, '_copyPresenceLink: btn required');
+        console.assert(typeof window !== 'undefined', '_copyPresenceLink: window required');
+        const p = this._getPresence();
+        const link = Presence.roomLink(p ? p.room : '', window.location.href);
+        const done = (ok) => {
+            btn.textContent = ok ? '✓' : '✗';
+            btn.title = ok ? 'Link copied' : link;             // on failure: the link to copy by hand
+            setTimeout(() => { btn.textContent = '🔗'; btn.title = 'Copy a link to this room'; }, 1500);
+        };
+        if (navigator.clipboard && navigator.clipboard.writeText) navigator.clipboard.writeText(link).then(() => done(true), () => done(false));
+        else done(false);
+        return link;
+    }
+
+    // Wire "everyone in view", stop-following and the online list (follow toggles; clicking a
+    // name flies there once) plus the Follow button of a clicked marker's card. Rule 5: 2 asserts.
+    _wirePresenceFollow() {
+        console.assert(typeof document !== 'undefined', '_wirePresenceFollow: document required');
+        console.assert(typeof this._followPeer === 'function', '_wirePresenceFollow: follow required');
+        const frame = document.getElementById('explore-presence-frame');
+        const stop = document.getElementById('explore-presence-unfollow');
+        const list = document.getElementById('explore-presence-peers');
+        const detail = document.getElementById('explore-detail');
+        if (frame) frame.addEventListener('click', () => this._framePresencePeers());
+        if (stop) stop.addEventListener('click', () => this._stopFollowPeer('Stopped following.'));
+        if (list) list.addEventListener('click', (e) => {
+            const li = e.target.closest('.ep-pin'); if (!li) return;
+            const earth = this.getEarthObject();
+            const u = earth && earth.presencePins ? earth.presencePins.user(li.dataset.peerId) : null;
+            if (e.target.closest('.ep-follow')) this._followPeer(li.dataset.peerId);
+            else if (u) this.centerOnLatLng(u.lat, u.lng);
+        });
+        if (detail) detail.addEventListener('click', (e) => {
+            const b = e.target.closest('[data-follow]');
+            if (b) { this._followPeer(b.dataset.follow); detail.hidden = true; }
+        });
+        return true;
+    }
+
+    // Follow an online visitor: fly to them now and again whenever their record moves (see
+    // _onPresenceRoster). Following the one already followed stops. Rule 5: 2 asserts.
+    _followPeer(id) {
+        console.assert(id != null, '_followPeer: id required');
+        console.assert(typeof this.centerOnLatLng === 'function', '_followPeer: centerOnLatLng required');
+        const earth = this.getEarthObject();
+        const u = earth && earth.presencePins ? earth.presencePins.user(id) : null;
+        if (!u || u.self) return false;
+        const name = u.name || 'Someone';
+        if (this._presenceFollow && this._presenceFollow.id === u.id) {
+            this._stopFollowPeer('Stopped following ' + name + '.');
+            return false;
+        }
+        this._presenceFollow = { id: u.id, name: name, lat: u.lat, lng: u.lng };
+        this.centerOnLatLng(u.lat, u.lng);
+        this._renderPresencePeers();
+        this.announceExplore('Following ' + name + '.');
+        return true;
+    }
+
+    // End a follow (message '' = silently). Returns whether one was running. Rule 5: 2 asserts.
+    _stopFollowPeer(message) {
+        console.assert(typeof message === 'string', '_stopFollowPeer: message string');
+        console.assert(typeof this._renderPresencePeers === 'function', '_stopFollowPeer: render required');
+        const was = !!this._presenceFollow;
+        this._presenceFollow = null;
+        if (!was) return false;
+        this._renderPresencePeers();
+        if (message) this.announceExplore(message);
+        return true;
+    }
+
+    // Each roster: refresh the list and keep a followed visitor centred — re-flying only when
+    // their coarse position changed, so heartbeats don't fight the user's own dragging.
+    _onPresenceRoster() {
+        console.assert(typeof this.getEarthObject === 'function', '_onPresenceRoster: earth getter');
+        console.assert(typeof this._renderPresencePeers === 'function', '_onPresenceRoster: render required');
+        const f = this._presenceFollow;
+        const earth = this.getEarthObject();
+        const u = f && earth && earth.presencePins ? earth.presencePins.user(f.id) : null;
+        if (f && !u) {
+            this._stopFollowPeer(f.name + ' went offline — stopped following.');
+            return false;
+        }
+        this._renderPresencePeers();
+        if (!u || (u.lat === f.lat && u.lng === f.lng)) return false;
+        f.lat = u.lat; f.lng = u.lng;
+        if (this.exploreMode) this.centerOnLatLng(u.lat, u.lng);
+        return true;
+    }
+
+    // "Everyone in view": centre on the online visitors and back off until all fit in the
+    // narrower half field of view (GlobeMath.frameLatLngs). Ends any follow. Rule 5: 2 asserts.
+    _framePresencePeers() {
+        console.assert(typeof GlobeMath !== 'undefined', '_framePresencePeers: GlobeMath required');
+        console.assert(typeof this.getEarthObject === 'function', '_framePresencePeers: earth getter');
+        const earth = this.getEarthObject();
+        const on = !!(this._presence && this._presence.isEnabled());
+        const users = on && earth && earth.presencePins ? earth.presencePins.users() : [];
+        if (!users.length || !this.camera) {
+            this.announceExplore('Nobody online to bring into view.');
+            return false;
+        }
+        const halfV = this.camera.fov / 2;
+        const halfH = Math.atan(Math.tan(halfV * Math.PI / 180) * (this.camera.aspect || 1)) * 180 / Math.PI;
+        const view = GlobeMath.frameLatLngs(users, Math.min(halfV, halfH));
+        if (!view) return false;
+        this._stopFollowPeer('');
+        this.centerOnLatLng(view.lat, view.lng, view.distance);
+        this.announceExplore(users.length + (users.length === 1 ? ' person' : ' people') + ' in view.');
+        return true;
+    }
+
+    // The online list (colour, name · status, a follow toggle for everyone but you) and the
+    // "following …" line. textContent only — names are peer-supplied. Rule 4: <=60 lines.
+    _renderPresencePeers() {
+        console.assert(typeof document !== 'undefined', '_renderPresencePeers: document required');
+        console.assert(typeof this.getEarthObject === 'function', '_renderPresencePeers: earth getter');
+        const f = this._presenceFollow;
+        const row = document.getElementById('explore-presence-following');
+        const who = document.getElementById('explore-presence-following-name');
+        if (row) row.hidden = !f;
+        if (who) who.textContent = f ? f.name : '';
+        const list = document.getElementById('explore-presence-peers');
+        const frame = document.getElementById('explore-presence-frame');
+        const earth = this.getEarthObject();
+        const on = !!(this._presence && this._presence.isEnabled());
+        const users = on && earth && earth.presencePins ? earth.presencePins.users() : [];
+        if (frame) frame.disabled = !users.length;
+        if (!list) return false;
+        list.textContent = '';
+        const max = Math.min(users.length, 50);              // Rule 2: bounded
+        for (let i = 0; i < max; i++) {
+            const u = users[i];
+            const li = document.createElement('li');
+            li.className = 'ep-pin'; li.dataset.peerId = u.id;
+            const dot = document.createElement('span');
+            dot.className = 'ep-dot';
+            dot.style.background = u.color;
+            const nm = document.createElement('span');
+            nm.className = 'ep-nm';
+            nm.textContent = (u.name || 'Someone') + (u.self ? ' (you)' : '') + (u.status ? ' · ' + u.status : '');
+            li.appendChild(dot); li.appendChild(nm);
+            if (!u.self) {
+                const following = !!(f && f.id === u.id);
+                const b = document.createElement('button');
+                b.type = 'button'; b.className = 'ep-iconbtn ep-follow'; b.textContent = '📡';
+                b.setAttribute('aria-pressed', String(following));
+                b.title = (following ? 'Stop following ' : 'Follow ') + (u.name || 'Someone');
+                b.setAttribute('aria-label', b.title);
+                li.appendChild(b);
+            }
+            list.appendChild(li);
+        }
+        return true;
+    }
+
+    // Card for a clicked visitor marker: name, status and Follow / Stop following. Rule 5.
+    _showPresenceDetail(u) {
+        console.assert(u && typeof u === 'object', '_showPresenceDetail: profile required');
+        console.assert(this._detailEl, '_showPresenceDetail: detail card required');
+        const el = this._detailEl;
+        el.textContent = '';
+        const strong = document.createElement('strong');
+        strong.textContent = (u.name || 'Someone') + (u.self ? ' (you)' : '');
+        el.appendChild(strong);
+        if (u.status) {
+            el.appendChild(document.createElement('br'));
+            el.appendChild(document.createTextNode(u.status));
+        }
+        if (!u.self) {
+            const b = document.createElement('button');
+            b.type = 'button'; b.className = 'ep-btn'; b.dataset.follow = u.id;
+            b.textContent = (this._presenceFollow && this._presenceFollow.id === u.id) ? '⏹ Stop following' : '📡 Follow';
+            el.appendChild(b);
+        }
+        el.hidden = false;
         return true;
     }
 
@@ -2593,8 +2979,9 @@ class SpaceEnvironment {
      */
     _handleExploreClick(event) {
         if (!this.exploreMode || !this.camera || !this._detailEl) return;
+        if (event.target && event.target.closest && event.target.closest('#explore-detail')) return;   // its own buttons
         const earth = this.getEarthObject();
-        if (!earth || !earth.pickables || !earth.pickables.length) return;
+        if (!earth) return;
         const rect = this._getCanvasRect();
         if (!rect) return;
         this._ndc.set(
@@ -2602,7 +2989,9 @@ class SpaceEnvironment {
             -((event.clientY - rect.top) / rect.height) * 2 + 1
         );
         this._exploreRaycaster.setFromCamera(this._ndc, this.camera);
-        const pick = earth.pickables.filter((m) => m.visible && (!m.parent || m.parent.visible));
+        const peer = this._presenceUnderRay(earth);
+        if (peer) { this._showPresenceDetail(peer); return; }
+        const pick = (earth.pickables || []).filter((m) => m.visible && (!m.parent || m.parent.visible));
         const hits = this._exploreRaycaster.intersectObjects(pick, false);
         if (hits.length) {
             const u = hits[0].object.userData || {};
@@ -2716,6 +3105,11 @@ class SpaceEnvironment {
         this.camera.updateMatrixWorld();
         earth.mesh.updateMatrixWorld();
         this._exploreRaycaster.setFromCamera(this._ndc, this.camera);
+        // An online visitor's marker under the cursor wins: show their card, not the country.
+        if (this._hoverPresence(earth, event)) {
+            if (this._tooltipEl) this._tooltipEl.hidden = true;
+            return;
+        }
         // Pick at the OVERLAY shell (where districts/streets render), not the base
         // sphere — otherwise parallax selects a neighbouring region (the reported
         // "hover one district, select another"). 1.0007 ≈ the tight overlay band.
@@ -2796,6 +3190,7 @@ class SpaceEnvironment {
         this._distEl = null;
         this._detailEl = null;
         this._tooltipEl = null;
+        this._presenceCardEl = null;
         return true;
     }
 
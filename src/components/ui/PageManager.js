@@ -145,6 +145,8 @@ class PageManager {
             launcher: {
                 path: 'src/components/pages/launcherPage.html',
                 title: 'Apps - Launcher',
+                init: () => { this.initLauncherSearch(); this.initBackup(); },
+                cleanup: () => this.cleanupLauncherSearch(),
                 preload: false
             },
             calendar: {
@@ -161,6 +163,13 @@ class PageManager {
                 cleanup: () => this.cleanupNotesPage(),
                 preload: false
             },
+            tasks: {
+                path: 'src/components/pages/tasksPage.html',
+                title: 'Tasks - Launcher',
+                init: () => this.initTasksPage(),
+                cleanup: () => this.cleanupTasksPage(),
+                preload: false
+            },
             contact: {
                 path: 'src/components/pages/contactPage.html',
                 title: 'Contact - Get In Touch', 
@@ -263,6 +272,7 @@ class PageManager {
  // Start background processes
             this.startPreloading();
             this.setupPerformanceTracking();
+            this.startCalendarReminders();
             
             // PageManager initialization complete
             return true;
@@ -2516,6 +2526,127 @@ class PageManager {
         return true;
     }
 
+    /**
+     * Initialize the launcher's search box: a SearchIndex over on-device Calendar and Notes
+     * stores (no sync attached here). A hit is remembered and picked up by the target page's
+     * init, then we navigate there. Rule 4: ≤60 lines | Rule 5: 2+ assertions | Rule 6: Graceful fallback.
+     */
+    initLauncherSearch() {
+        console.assert(typeof document !== 'undefined', 'initLauncherSearch: document required');
+        console.assert(this._boundHandlers, 'initLauncherSearch: handlers');
+        const root = document.getElementById('launcher-search');
+        if (!root || typeof SearchIndex === 'undefined' || typeof LauncherSearch === 'undefined') return false;
+        try {
+            const index = new SearchIndex();
+            if (typeof CalendarStore === 'function') index.addSource('event', new CalendarStore(), SearchIndex.calendarDocs);
+            if (typeof NotesStore === 'function') index.addSource('note', new NotesStore(), SearchIndex.notesDocs);
+            index.watchStorage();
+            this._searchIndex = index;
+            this._launcherSearch = new LauncherSearch(root, index, (hit) => this._showTarget(hit));
+            this._launcherSearch.mount();
+            return true;
+        } catch (error) {
+            console.error('Launcher search init error:', error);
+            return false;
+        }
+    }
+
+    cleanupLauncherSearch() {
+        console.assert(typeof document !== 'undefined', 'cleanupLauncherSearch: document');
+        console.assert(this._boundHandlers, 'cleanupLauncherSearch: handlers');
+        if (this._launcherSearch) this._launcherSearch.dispose();
+        if (this._searchIndex) this._searchIndex.dispose();
+        this._launcherSearch = null;
+        this._searchIndex = null;
+        return true;
+    }
+
+    /**
+     * Wire the launcher's "Your data" panel: download a backup of everything stored on this
+     * device, or restore one (merge / replace). A restore reloads the page so every module
+     * reads the restored data. Rule 4: ≤60 lines | Rule 5: 2+ assertions | Rule 6: Graceful fallback.
+     */
+    initBackup() {
+        console.assert(typeof document !== 'undefined', 'initBackup: document required');
+        console.assert(this._boundHandlers, 'initBackup: handlers');
+        const exportBtn = document.getElementById('backup-export-btn');
+        const importBtn = document.getElementById('backup-import-btn');
+        const fileIn = document.getElementById('backup-import-file');
+        if (!exportBtn || !importBtn || !fileIn || typeof Backup === 'undefined') return false;
+        this._boundHandlers.backupExport = () => {
+            Backup.toFile().then((f) => {
+                const url = URL.createObjectURL(f.blob), a = document.createElement('a');
+                a.href = url; a.download = f.name;
+                document.body.appendChild(a); a.click(); a.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+                this._backupStatus('Backup saved as ' + f.name + '.', false);
+            }).catch((error) => this._backupStatus('Backup failed: ' + (error && error.message), true));
+        };
+        this._boundHandlers.backupPick = () => fileIn.click();
+        this._boundHandlers.backupFile = () => {
+            const file = fileIn.files && fileIn.files[0];
+            fileIn.value = '';                               // same file can be picked again
+            if (file) this._restoreBackup(file);
+        };
+        exportBtn.addEventListener('click', this._boundHandlers.backupExport);
+        importBtn.addEventListener('click', this._boundHandlers.backupPick);
+        fileIn.addEventListener('change', this._boundHandlers.backupFile);
+        return true;
+    }
+
+    // Read, confirm (replace only) and restore a picked backup file. Rule 5: 2 asserts.
+    _restoreBackup(file) {
+        console.assert(file && typeof file.text === 'function', '_restoreBackup: file');
+        console.assert(typeof Backup !== 'undefined', '_restoreBackup: Backup');
+        const modeEl = document.getElementById('backup-mode');
+        const mode = modeEl && modeEl.value === 'replace' ? 'replace' : 'merge';
+        return file.text().then((text) => {
+            const checked = Backup.check(text);
+            if (!checked.ok) { this._backupStatus(checked.error + '.', true); return null; }
+            if (mode === 'replace' && !window.confirm('Replace this device\'s events, notes, map pins and settings with the backup? This cannot be undone.')) return null;
+            return Backup.restore(text, mode);
+        }).then((res) => {
+            if (!res) return false;
+            const parts = Object.keys(res.counts).map((k) => res.counts[k] + ' ' + k);
+            let msg = (res.ok ? 'Restored.' : 'Partly restored.') + (parts.length ? ' This device now has ' + parts.join(', ') + '.' : '');
+            if (res.dropped) msg += ' Skipped ' + res.dropped + ' malformed item(s).';
+            if (!res.ok) msg += ' ' + res.error + '.';
+            this._backupStatus(msg + ' Reloading…', !res.ok || res.dropped > 0);
+            setTimeout(() => window.location.reload(), 1500);
+            return true;
+        }).catch((error) => { this._backupStatus('Restore failed: ' + (error && error.message), true); return false; });
+    }
+
+    _backupStatus(text, warn) {
+        console.assert(typeof text === 'string', '_backupStatus: text');
+        console.assert(typeof document !== 'undefined', '_backupStatus: document');
+        const el = document.getElementById('backup-status');
+        if (!el) return false;
+        el.textContent = text;
+        el.classList.toggle('warn', !!warn);
+        return true;
+    }
+
+    // Go to the page that shows `target` ({ type: 'event', date } or { type: 'note', id }: a
+    // search hit, or a Calendar <-> Notes link); that page's init picks it up. Rule 5: 2 asserts.
+    _showTarget(target) {
+        console.assert(target && (target.type === 'event' || target.type === 'note'), '_showTarget: target');
+        console.assert(typeof this.navigateToPage === 'function', '_showTarget: router');
+        this._searchTarget = target;
+        this.navigateToPage(target.type === 'event' ? 'calendar' : 'notes', true);
+        return true;
+    }
+
+    // One-shot hand-off from a launcher search hit to the page that shows it.
+    _takeSearchTarget(type) {
+        console.assert(typeof type === 'string', '_takeSearchTarget: type');
+        console.assert(this._searchTarget === undefined || this._searchTarget === null || typeof this._searchTarget === 'object', '_takeSearchTarget: target');
+        const t = this._searchTarget;
+        if (!t || t.type !== type) return null;
+        this._searchTarget = null;
+        return t;
+    }
+
     /**
      * Initialize the Calendar launcher module (local-first store + optional sync + UI).
      * Rule 4: ≤60 lines | Rule 5: 2+ assertions | Rule 6: Graceful fallback.
@@ -2529,12 +2660,22 @@ class PageManager {
             return false;
         }
         try {
-            const sync = (typeof CalendarSync === 'function') ? new CalendarSync() : null;
+            const calendars = this._initCalendarList();
+            const sync = this._calendarSyncFor(calendars);
             const notify = (typeof DiscordNotify === 'function') ? new DiscordNotify() : null;
             const store = new CalendarStore({ sync: sync, notify: notify });
-            this._calendar = new Calendar(root, store);
-            this._calendar.mount();
             this._calendarSync = sync;
+            // Due-date markers read an unsynced TasksStore; the Tasks page owns that sync. Meeting
+            // notes are written here, so this NotesStore syncs like the Notes page's.
+            const tasks = (typeof TasksStore === 'function') ? new TasksStore() : null;
+            this._calendarNotesSync = (typeof NotesStore === 'function' && typeof CalendarSync === 'function') ? new CalendarSync({ collection: 'notes' }) : null;
+            const notes = (typeof NotesStore === 'function') ? new NotesStore({ sync: this._calendarNotesSync }) : null;
+            this._calendar = new Calendar(root, store, { tasks: tasks, notes: notes, calendars: calendars, openNote: (id) => this._showTarget({ type: 'note', id: id }) });
+            this._calendar.mount();
+            // The reminder scheduler reads its own store instance; keep it current.
+            store.onChange(() => { if (this._reminders) this._reminders.refresh(); });
+            this._watchStorage(store, 'cal-storage');
+            if (sync && typeof sync.onStatus === 'function') sync.onStatus(() => this._updateCalSyncUI());
             this._updateCalSyncUI();
             const btn = document.getElementById('cal-sync-btn');
             if (btn && sync) {
@@ -2542,10 +2683,15 @@ class PageManager {
                     const code = window.prompt('Personal sync code to sync this calendar across your devices (blank = off). Treat it like a password.', sync.syncCode || '');
                     if (code === null) return;
                     sync.setSyncCode(code.trim());
+                    if (this._calendarListSync) this._calendarListSync.setSyncCode(code.trim());
                     this._updateCalSyncUI();
                 };
                 btn.addEventListener('click', this._boundHandlers.calSync);
             }
+            this._bindCalendarIO();
+            this._bindCalendarReminders();
+            const target = this._takeSearchTarget('event');
+            if (target && target.date) this._calendar.goTo(target.date);
             return true;
         } catch (error) {
             console.error('Calendar init error:', error);
@@ -2553,15 +2699,172 @@ class PageManager {
         }
     }
 
-    // Reflect sync state (on-device vs synced) in the header pill. Rule 5: 2 asserts.
+    // The named calendars (CalendarList), synced under the main calendar code; null without the
+    // script. Rule 5: 2 asserts.
+    _initCalendarList() {
+        console.assert(typeof window !== 'undefined', '_initCalendarList: window');
+        console.assert(this._calendarListSync === undefined || this._calendarListSync === null, '_initCalendarList: once per visit');
+        if (typeof CalendarList !== 'function') return null;
+        this._calendarListSync = (typeof CalendarSync === 'function') ? new CalendarSync({ collection: 'calendars' }) : null;
+        return new CalendarList({ sync: this._calendarListSync });
+    }
+
+    // The events' sync: the main code plus a route per calendar with its own code
+    // (CalendarSyncGroup), kept in step with the calendar list. Rule 5: 2 asserts.
+    _calendarSyncFor(calendars) {
+        console.assert(calendars === null || typeof calendars.list === 'function', '_calendarSyncFor: calendar list');
+        console.assert(typeof window !== 'undefined', '_calendarSyncFor: window');
+        if (typeof CalendarSync !== 'function') return null;
+        if (!calendars || typeof CalendarSyncGroup !== 'function') return new CalendarSync();
+        const group = new CalendarSyncGroup();
+        group.setCalendars(calendars.list());
+        calendars.onChange(() => group.setCalendars(calendars.list()));
+        return group;
+    }
+
+    // Wire the header's Import/Export .ics buttons to the Calendar instance. Rule 5: 2 asserts.
+    _bindCalendarIO() {
+        console.assert(typeof document !== 'undefined', '_bindCalendarIO: document');
+        console.assert(this._calendar, '_bindCalendarIO: calendar required');
+        const importBtn = document.getElementById('cal-import-btn');
+        const exportBtn = document.getElementById('cal-export-btn');
+        const fileIn = document.getElementById('cal-import-file');
+        if (importBtn && fileIn) {
+            this._boundHandlers.calImportPick = () => fileIn.click();
+            this._boundHandlers.calImportFile = () => {
+                if (this._calendar && fileIn.files && fileIn.files[0]) this._calendar.importFile(fileIn.files[0]);
+                fileIn.value = '';                           // same file can be re-imported
+            };
+            importBtn.addEventListener('click', this._boundHandlers.calImportPick);
+            fileIn.addEventListener('change', this._boundHandlers.calImportFile);
+        }
+        if (exportBtn) {
+            this._boundHandlers.calExport = () => { if (this._calendar) this._calendar.exportIcs(); };
+            exportBtn.addEventListener('click', this._boundHandlers.calExport);
+        }
+        return true;
+    }
+
+    /**
+     * Start calendar reminders for the whole app session, whichever page is open: a read-only
+     * CalendarStore (no sync, no Discord notify) feeding the Reminders scheduler.
+     * Rule 4: ≤60 lines | Rule 5: 2+ assertions | Rule 6: Graceful fallback.
+     */
+    startCalendarReminders() {
+        console.assert(typeof window !== 'undefined', 'startCalendarReminders: window required');
+        console.assert(this._reminders === undefined || this._reminders === null, 'startCalendarReminders: once');
+        if (typeof Reminders === 'undefined' || typeof CalendarStore === 'undefined') return false;
+        try {
+            this._reminders = new Reminders(new CalendarStore());
+            this._reminders.start();
+            return true;
+        } catch (error) {
+            console.error('Calendar reminders init error:', error);
+            this._reminders = null;
+            return false;
+        }
+    }
+
+    // Header "Reminders" button: asks for notification permission and shows its state.
+    // Rule 5: 2 asserts.
+    _bindCalendarReminders() {
+        console.assert(typeof document !== 'undefined', '_bindCalendarReminders: document');
+        console.assert(this._boundHandlers, '_bindCalendarReminders: handlers');
+        const btn = document.getElementById('cal-remind-btn');
+        if (!btn) return false;
+        if (typeof Reminders === 'undefined' || !Reminders.supported()) { btn.hidden = true; return false; }
+        this._boundHandlers.calRemind = () => {
+            Reminders.requestPermission().then(() => {
+                this._updateCalRemindUI();
+                if (this._reminders) this._reminders.refresh();
+            });
+        };
+        btn.addEventListener('click', this._boundHandlers.calRemind);
+        this._updateCalRemindUI();
+        return true;
+    }
+
+    _updateCalRemindUI() {
+        console.assert(typeof document !== 'undefined', '_updateCalRemindUI: document');
+        console.assert(typeof Reminders !== 'undefined', '_updateCalRemindUI: Reminders');
+        const btn = document.getElementById('cal-remind-btn');
+        if (!btn) return false;
+        const perm = Reminders.supported() ? Notification.permission : 'unsupported';
+        btn.textContent = perm === 'granted' ? 'Reminders on' : (perm === 'denied' ? 'Reminders blocked' : 'Enable reminders');
+        btn.classList.toggle('synced', perm === 'granted');
+        btn.title = perm === 'denied' ? 'Notifications are blocked for this site in the browser settings' : 'Show a notification before events with a reminder';
+        return true;
+    }
+
+    // Reflect sync state (on-device / synced / edits still queued) in the header pill. Rule 5: 2 asserts.
     _updateCalSyncUI() {
         console.assert(typeof document !== 'undefined', '_updateCalSyncUI: document');
         console.assert(this._calendarSync !== undefined, '_updateCalSyncUI: sync ref');
-        const el = document.getElementById('cal-sync-state');
+        return this._renderSyncPill(document.getElementById('cal-sync-state'), this._calendarSync);
+    }
+
+    // Shared by the Calendar, Notes and Tasks pills: "On-device", "Synced", "Syncing… 3 pending" or
+    // "Offline · 3 pending" (CalendarSync's outbox). Rule 5: 2 asserts.
+    _renderSyncPill(el, sync) {
+        console.assert(el === null || el.nodeType === 1, '_renderSyncPill: element');
+        console.assert(sync === null || typeof sync === 'object', '_renderSyncPill: sync adapter');
         if (!el) return false;
-        const on = !!(this._calendarSync && typeof this._calendarSync.enabled === 'function' && this._calendarSync.enabled());
-        el.textContent = on ? 'Synced' : 'On-device';
-        el.classList.toggle('synced', on);
+        const on = !!(sync && typeof sync.enabled === 'function' && sync.enabled());
+        const st = on && typeof sync.status === 'function' ? sync.status() : { pending: 0, online: true, lastError: '' };
+        el.textContent = !on ? 'On-device' : !st.pending ? 'Synced'
+            : (st.online ? 'Syncing… ' : 'Offline · ') + st.pending + ' pending';
+        el.classList.toggle('synced', on && !st.pending);
+        el.classList.toggle('pending', on && st.pending > 0);
+        el.title = st.pending && st.lastError ? 'Waiting to retry (' + st.lastError + ')' : 'Sync status';
+        return true;
+    }
+
+    // Storage upkeep for a Calendar / Notes / Tasks store: compact old tombstones once loaded (and at
+    // most hourly after that), and keep the "Stored on this device" line current — refreshed at most
+    // every 10 s (storage.estimate() is not free and autosave changes the store per keystroke), but at
+    // once when the store's save error appears or clears. Rule 5: 2 asserts.
+    _watchStorage(store, elId) {
+        console.assert(store && typeof store.onChange === 'function', '_watchStorage: store');
+        console.assert(typeof elId === 'string', '_watchStorage: element id');
+        let lastCompact = 0, lastRender = 0, shownError = '', timer = null;
+        const render = () => {
+            timer = null;
+            lastRender = Date.now();
+            shownError = store.storageError || '';
+            this._renderStorage(document.getElementById(elId), store);
+        };
+        const update = () => {
+            if (!store.loading() && Date.now() - lastCompact > 3600000) {
+                lastCompact = Date.now();
+                store.compact();
+            }
+            const wait = (store.storageError || '') !== shownError ? 0 : lastRender + 10000 - Date.now();
+            if (wait <= 0) { if (timer) clearTimeout(timer); render(); }
+            else if (!timer) timer = setTimeout(render, wait);
+        };
+        store.onChange(update);
+        update();
+        return true;
+    }
+
+    // "Stored on this device (IndexedDB) · 40 KB of localStorage in use · 3% of …", or the store's
+    // last save error ("Storage full — …") as a warning. Rule 5: 2 asserts.
+    _renderStorage(el, store) {
+        console.assert(el === null || el.nodeType === 1, '_renderStorage: element');
+        console.assert(store && typeof store.key === 'string', '_renderStorage: store');
+        if (!el || typeof LocalDB === 'undefined') return false;
+        const where = LocalDB.where(store.key) === 'indexeddb' ? 'IndexedDB' : 'localStorage';
+        LocalDB.usage().then((u) => {
+            if (store.storageError) {
+                el.textContent = store.storageError + '. Recent changes may not be saved: export or delete something.';
+                el.classList.add('warn');
+                return;
+            }
+            let text = 'Stored on this device (' + where + ') · ' + LocalDB.formatBytes(u.local) + ' of localStorage in use';
+            if (u.quota > 0) text += ' · ' + Math.max(1, Math.round(u.usage / u.quota * 100)) + '% of available space used';
+            el.textContent = text;
+            el.classList.toggle('warn', u.quota > 0 && u.usage / u.quota > 0.9);
+        });
         return true;
     }
 
@@ -2571,8 +2874,12 @@ class PageManager {
         console.assert(this._boundHandlers, 'cleanupCalendarPage: handlers');
         if (this._calendar && typeof this._calendar.dispose === 'function') this._calendar.dispose();
         if (this._calendarSync && typeof this._calendarSync.detach === 'function') this._calendarSync.detach();
+        if (this._calendarNotesSync && typeof this._calendarNotesSync.detach === 'function') this._calendarNotesSync.detach();
+        if (this._calendarListSync && typeof this._calendarListSync.detach === 'function') this._calendarListSync.detach();
         this._calendar = null;
         this._calendarSync = null;
+        this._calendarNotesSync = null;
+        this._calendarListSync = null;
         return true;
     }
 
@@ -2591,9 +2898,14 @@ class PageManager {
         try {
             const sync = (typeof CalendarSync === 'function') ? new CalendarSync({ collection: 'notes' }) : null;
             const store = new NotesStore({ sync: sync });
-            this._notesUi = new Notes(root, store);
+            const events = (typeof CalendarStore === 'function') ? new CalendarStore() : null;
+            this._notesUi = new Notes(root, store, { events: events, showDate: (date) => this._showTarget({ type: 'event', date: date }) });
             this._notesUi.mount();
+            const target = this._takeSearchTarget('note');
+            if (target) this._notesUi.open(target.id);
             this._notesSync = sync;
+            this._watchStorage(store, 'notes-storage');
+            if (sync && typeof sync.onStatus === 'function') sync.onStatus(() => this._updateNotesSyncUI());
             this._updateNotesSyncUI();
             const btn = document.getElementById('notes-sync-btn');
             if (btn && sync) {
@@ -2615,12 +2927,7 @@ class PageManager {
     _updateNotesSyncUI() {
         console.assert(typeof document !== 'undefined', '_updateNotesSyncUI: document');
         console.assert(this._notesSync !== undefined, '_updateNotesSyncUI: sync ref');
-        const el = document.getElementById('notes-sync-state');
-        if (!el) return false;
-        const on = !!(this._notesSync && typeof this._notesSync.enabled === 'function' && this._notesSync.enabled());
-        el.textContent = on ? 'Synced' : 'On-device';
-        el.classList.toggle('synced', on);
-        return true;
+        return this._renderSyncPill(document.getElementById('notes-sync-state'), this._notesSync);
     }
 
     cleanupNotesPage() {
@@ -2633,6 +2940,60 @@ class PageManager {
         return true;
     }
 
+    /**
+     * Initialize the Tasks launcher module (local-first store + optional sync + UI).
+     * Mirrors the Notes module. Rule 4: ≤60 lines | Rule 5: 2+ assertions.
+     */
+    initTasksPage() {
+        console.assert(typeof document !== 'undefined', 'initTasksPage: document required');
+        console.assert(typeof TasksStore !== 'undefined', 'initTasksPage: TasksStore required');
+        const root = document.getElementById('tasks-root');
+        if (!root || typeof Tasks === 'undefined' || typeof TasksStore === 'undefined') {
+            console.warn('Tasks module not available');
+            return false;
+        }
+        try {
+            const sync = (typeof CalendarSync === 'function') ? new CalendarSync({ collection: 'tasks' }) : null;
+            const store = new TasksStore({ sync: sync });
+            this._tasksUi = new Tasks(root, store);
+            this._tasksUi.mount();
+            this._tasksSync = sync;
+            this._watchStorage(store, 'tasks-storage');
+            if (sync && typeof sync.onStatus === 'function') sync.onStatus(() => this._updateTasksSyncUI());
+            this._updateTasksSyncUI();
+            const btn = document.getElementById('tasks-sync-btn');
+            if (btn && sync) {
+                this._boundHandlers.tasksSync = () => {
+                    const code = window.prompt('Personal sync code to sync tasks across your devices (blank = off). Same code as your other synced modules.', sync.syncCode || '');
+                    if (code === null) return;
+                    sync.setSyncCode(code.trim());
+                    this._updateTasksSyncUI();
+                };
+                btn.addEventListener('click', this._boundHandlers.tasksSync);
+            }
+            return true;
+        } catch (error) {
+            console.error('Tasks init error:', error);
+            return false;
+        }
+    }
+
+    _updateTasksSyncUI() {
+        console.assert(typeof document !== 'undefined', '_updateTasksSyncUI: document');
+        console.assert(this._tasksSync !== undefined, '_updateTasksSyncUI: sync ref');
+        return this._renderSyncPill(document.getElementById('tasks-sync-state'), this._tasksSync);
+    }
+
+    cleanupTasksPage() {
+        console.assert(typeof document !== 'undefined', 'cleanupTasksPage: document');
+        console.assert(this._boundHandlers, 'cleanupTasksPage: handlers');
+        if (this._tasksUi && typeof this._tasksUi.dispose === 'function') this._tasksUi.dispose();
+        if (this._tasksSync && typeof this._tasksSync.detach === 'function') this._tasksSync.detach();
+        this._tasksUi = null;
+        this._tasksSync = null;
+        return true;
+    }
+
     /**
      * Launch game with enhanced loading
      * Purpose: Load and initialize game instances
@@ -0,0 +1,249 @@
+// Backup.js — one-file backup / restore of everything the launcher keeps on this device.
+//
+// The launcher's data is spread over separate `mrcargon.*` keys (calendar events, notes and
+// their history, tasks, explore pins / layers / style, the presence profile, views, the sync
+// code), some of them moved to IndexedDB by LocalDB. collect() gathers the SECTIONS below into
+// one versioned JSON archive:
+//
+//     { format: 'mrcargon-backup', version: 1, created: ISO time, data: { <key>: value } }
+//
+// restore(archive, mode) validates it first — wrong format, a newer version or a malformed
+// section are reported, bad records inside a section are dropped and counted — then writes:
+//   'replace' — the backup's sections replace this device's (sections missing from the backup
+//               are emptied, settings it lacks are left alone);
+//   'merge'   — records are merged by id (RecordMerge: field by field, newer wins), pins and
+//               note revisions are unioned, and settings are taken only where this device has none.
+// Device-only state (device id, sync outbox / cursors, fired reminders) is never backed up.
+// With sync on, restored records are re-sent on the next pull (its cursor is reset); records
+// still on the sync backend come back after a 'replace' unless deleted on another device.
+//
+// classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
+// methods <=60 lines, graceful fallback.
+
+var Backup = {
+    FORMAT: 'mrcargon-backup',
+    VERSION: 1,
+    MAX_RECORDS: 50000,              // per section (CalendarStore / NotesStore / TasksStore hold the same)
+    MAX_PINS: 200,                   // ExplorePins' default cap
+    MAX_SETTING_CHARS: 100000,
+    SECTIONS: [
+        { key: 'mrcargon.calendar.events', kind: 'records', label: 'events', text: 'notes' },
+        { key: 'mrcargon.notes', kind: 'records', label: 'notes', text: 'body' },
+        { key: 'mrcargon.tasks', kind: 'records', label: 'tasks' },
+        { key: 'mrcargon.calendar.calendars', kind: 'records', label: 'calendars' },
+        { key: 'mrcargon.notes.history', kind: 'history', label: 'note histories' },
+        { key: 'mrcargon.explore.pins', kind: 'pins', label: 'map pins' },
+        { key: 'mrcargon.explore.layers', kind: 'object', label: 'map layers' },
+        { key: 'mrcargon.explore.style', kind: 'object', label: 'map style' },
+        { key: 'mrcargon.presence.profile', kind: 'object', label: 'presence profile' },
+        { key: 'mrcargon.calendar.view', kind: 'string', label: 'calendar view' },
+        { key: 'mrcargon.notes.mode', kind: 'string', label: 'notes mode' },
+        { key: 'mrcargon.calendar.synccode', kind: 'string', label: 'sync code' }
+    ],
+    SYNC_COLLECTIONS: ['events', 'notes', 'tasks', 'calendars'],
+
+    // One section's current value (null when unset). Strings are stored raw, the rest as JSON.
+    _read(sec) {
+        console.assert(sec && typeof sec.key === 'string', 'Backup._read: section');
+        console.assert(typeof LocalDB !== 'undefined', 'Backup._read: LocalDB.js required');
+        if (sec.kind === 'string') {
+            var raw = null;
+            try { raw = window.localStorage ? window.localStorage.getItem(sec.key) : null; } catch (e) { /* private mode */ }
+            return Promise.resolve(raw);
+        }
+        return new Promise(function (resolve) { LocalDB.read(sec.key, resolve); });
+    },
+
+    /** Everything in SECTIONS, as an archive object (see the header). */
+    collect() {
+        console.assert(Array.isArray(this.SECTIONS), 'Backup.collect: sections');
+        console.assert(this.VERSION >= 1, 'Backup.collect: version');
+        var self = this;
+        return Promise.all(this.SECTIONS.map(function (sec) { return self._read(sec); })).then(function (values) {
+            var data = {};
+            values.forEach(function (v, i) { if (v !== null && v !== undefined) data[self.SECTIONS[i].key] = v; });
+            return { format: self.FORMAT, version: self.VERSION, created: new Date().toISOString(), data: data };
+        });
+    },
+
+    /** collect() as a downloadable Blob plus a dated file name. */
+    toFile() {
+        console.assert(typeof Blob !== 'undefined', 'Backup.toFile: Blob');
+        console.assert(typeof this.collect === 'function', 'Backup.toFile: collect');
+        return this.collect().then(function (archive) {
+            return {
+                blob: new Blob([JSON.stringify(archive)], { type: 'application/json' }),
+                name: 'mrcargon-backup-' + archive.created.slice(0, 10) + '.json',
+                archive: archive
+            };
+        });
+    },
+
+    /**
+     * Validate an archive (parsed object or JSON text). Returns { ok, error, data: { key: clean
+     * value }, dropped: records / revisions / pins left out as malformed, unknown: [keys] }.
+     */
+    check(input) {
+        console.assert(input !== undefined, 'Backup.check: input');
+        console.assert(Array.isArray(this.SECTIONS), 'Backup.check: sections');
+        var a = input, res = { ok: false, error: '', data: {}, dropped: 0, unknown: [] };
+        if (typeof a === 'string') {
+            try { a = JSON.parse(a); } catch (e) { res.error = 'Not a backup file (invalid JSON)'; return res; }
+        }
+        if (!a || typeof a !== 'object' || a.format !== this.FORMAT) { res.error = 'Not a launcher backup file'; return res; }
+        if (!Number.isInteger(a.version) || a.version < 1) { res.error = 'Backup version missing'; return res; }
+        if (a.version > this.VERSION) { res.error = 'Backup made by a newer version (v' + a.version + ')'; return res; }
+        if (!a.data || typeof a.data !== 'object' || Array.isArray(a.data)) { res.error = 'Backup has no data'; return res; }
+        var self = this, known = {};
+        this.SECTIONS.forEach(function (sec) {
+            known[sec.key] = true;
+            if (!(sec.key in a.data)) return;
+            var c = self._clean(sec, a.data[sec.key]);
+            if (c.value === null) { res.error = 'Malformed ' + sec.label + ' section'; return; }
+            res.data[sec.key] = c.value;
+            res.dropped += c.dropped;
+        });
+        res.unknown = Object.keys(a.data).filter(function (k) { return !known[k]; }).slice(0, 100);
+        res.ok = !res.error;
+        return res;
+    },
+
+    // { value (null = section unusable), dropped } for one section of an archive. <=60 lines.
+    _clean(sec, v) {
+        console.assert(sec && typeof sec.kind === 'string', 'Backup._clean: section');
+        console.assert(this.MAX_RECORDS > 0, 'Backup._clean: bound');
+        var self = this, out, cap;
+        if (sec.kind === 'string') return { value: typeof v === 'string' && v.length <= 200 ? v : null, dropped: 0 };
+        if (sec.kind === 'object') {
+            var ok = v && typeof v === 'object' && !Array.isArray(v) && JSON.stringify(v).length <= this.MAX_SETTING_CHARS;
+            return { value: ok ? v : null, dropped: 0 };
+        }
+        if (sec.kind === 'history') {
+            if (!v || typeof v !== 'object' || Array.isArray(v)) return { value: null, dropped: 0 };
+            var dropped = 0;
+            out = {};
+            Object.keys(v).slice(0, this.MAX_RECORDS).forEach(function (id) {
+                if (!Array.isArray(v[id])) { dropped++; return; }
+                var revs = v[id].filter(self._validRevision);
+                dropped += v[id].length - revs.length;
+                if (revs.length) out[id] = revs;
+            });
+            return { value: out, dropped: dropped };
+        }
+        if (!Array.isArray(v)) return { value: null, dropped: 0 };
+        cap = sec.kind === 'pins' ? this.MAX_PINS : this.MAX_RECORDS;
+        out = v.slice(0, cap).filter(sec.kind === 'pins' ? this._validPin : this._validRecord);
+        return { value: out, dropped: v.length - out.length };
+    },
+
+    // A store record: flat (string / number / boolean / null values, <=50 keys) with an id.
+    _validRecord(r) {
+        if (!r || typeof r !== 'object' || Array.isArray(r)) return false;
+        if (typeof r.id !== 'string' || !r.id || r.id.length > 200) return false;
+        var keys = Object.keys(r);
+        if (keys.length > 50 || (r.updated !== undefined && !Number.isFinite(r.updated))) return false;
+        return keys.every(function (k) { return r[k] === null || ['string', 'number', 'boolean'].indexOf(typeof r[k]) >= 0; });
+    },
+
+    _validRevision(r) {
+        return !!r && typeof r === 'object' && typeof r.rev === 'string' && Number.isFinite(r.at)
+            && typeof r.title === 'string' && typeof r.body === 'string';
+    },
+
+    _validPin(p) {
+        return !!p && typeof p === 'object' && typeof p.id === 'string' && p.id.length > 0
+            && Number.isFinite(p.lat) && Number.isFinite(p.lng);
+    },
+
+    /**
+     * Validate and write an archive. mode: 'merge' or 'replace'. Resolves { ok, error,
+     * counts: { label: items now stored } for the data sections written, dropped, unknown }.
+     */
+    restore(input, mode) {
+        console.assert(mode === 'merge' || mode === 'replace', 'Backup.restore: mode');
+        console.assert(typeof LocalDB !== 'undefined', 'Backup.restore: LocalDB.js required');
+        var checked = this.check(input), self = this, counts = {}, errors = [];
+        if (!checked.ok) return Promise.resolve({ ok: false, error: checked.error, counts: counts, dropped: 0, unknown: [] });
+        var jobs = this.SECTIONS.map(function (sec) {
+            var has = sec.key in checked.data;
+            if (!has && (mode === 'merge' || sec.kind === 'string' || sec.kind === 'object')) return Promise.resolve(false);
+            var incoming = has ? checked.data[sec.key] : (sec.kind === 'history' ? {} : []);
+            var next = mode === 'merge'
+                ? self._read(sec).then(function (cur) { return self._merge(sec, cur, incoming); })
+                : Promise.resolve(incoming);
+            return next.then(function (value) {
+                if (value === null) return false;
+                if (sec.kind !== 'string' && sec.kind !== 'object') counts[sec.label] = Array.isArray(value) ? value.length : Object.keys(value).length;
+                return self._write(sec, value).then(function (err) {
+                    if (err) errors.push(sec.label + ': ' + err);
+                    return !err && sec.kind === 'records';
+                });
+            });
+        });
+        return Promise.all(jobs).then(function (records) {
+            if (records.indexOf(true) >= 0) self._resync();
+            return { ok: !errors.length, error: errors.join('; '), counts: counts, dropped: checked.dropped, unknown: checked.unknown };
+        });
+    },
+
+    // Merge mode: the value to write for one section (null = keep this device's as is).
+    _merge(sec, cur, incoming) {
+        console.assert(sec && typeof sec.kind === 'string', 'Backup._merge: section');
+        console.assert(incoming !== undefined, 'Backup._merge: incoming');
+        if (sec.kind === 'string' || sec.kind === 'object') return cur === null || cur === undefined || cur === '' ? incoming : null;
+        if (sec.kind === 'history') return this._mergeHistory(cur && typeof cur === 'object' ? cur : {}, incoming);
+        var list = Array.isArray(cur) ? cur.slice(0, this.MAX_RECORDS) : [], byId = new Map();
+        list.forEach(function (r) { if (r && r.id) byId.set(String(r.id), r); });
+        var cap = sec.kind === 'pins' ? this.MAX_PINS : this.MAX_RECORDS;
+        incoming.forEach(function (r) {
+            var mine = byId.get(r.id);
+            if (!mine) { if (byId.size < cap) byId.set(r.id, r); return; }
+            if (sec.kind === 'pins') return;                               // same pin: keep ours
+            if (typeof RecordMerge !== 'undefined') byId.set(r.id, RecordMerge.merge(mine, r, sec.text ? [sec.text] : []).record);
+            else if ((Number(r.updated) || 0) > (Number(mine.updated) || 0)) byId.set(r.id, r);
+        });
+        return Array.from(byId.values());
+    },
+
+    // Union of note revisions by rev id, oldest first, capped like NotesStore's history.
+    _mergeHistory(cur, incoming) {
+        console.assert(cur && typeof cur === 'object', 'Backup._mergeHistory: current');
+        console.assert(incoming && typeof incoming === 'object', 'Backup._mergeHistory: incoming');
+        var out = Object.assign({}, cur), max = typeof NotesStore !== 'undefined' ? NotesStore.HISTORY_MAX : 50;
+        Object.keys(incoming).slice(0, this.MAX_RECORDS).forEach(function (id) {
+            var seen = {}, all = (Array.isArray(out[id]) ? out[id] : []).concat(incoming[id]);
+            all = all.filter(function (r) { if (seen[r.rev]) return false; seen[r.rev] = true; return true; });
+            all.sort(function (a, b) { return (a.saved || a.at) - (b.saved || b.at); });
+            out[id] = all.slice(-max);
+        });
+        return out;
+    },
+
+    // Resolves '' when saved, else the error text.
+    _write(sec, value) {
+        console.assert(sec && typeof sec.key === 'string', 'Backup._write: section');
+        console.assert(value !== undefined && value !== null, 'Backup._write: value');
+        if (sec.kind !== 'string') return LocalDB.write(sec.key, value).then(function (r) { return r.ok ? '' : r.error; });
+        try { if (window.localStorage) window.localStorage.setItem(sec.key, value); return Promise.resolve(''); }
+        catch (e) { return Promise.resolve((e && e.name) || 'not saved'); }
+    },
+
+    // Restored records must reach the sync backend: a reset cursor makes the next pull a full
+    // listing, after which CalendarSync queues every local record it hasn't sent.
+    _resync() {
+        console.assert(Array.isArray(this.SYNC_COLLECTIONS), 'Backup._resync: collections');
+        console.assert(this.SYNC_COLLECTIONS.length <= 10, 'Backup._resync: bounded');
+        try {
+            var ls = window.localStorage, prefix = 'mrcargon.sync.cursor.', keys = [];
+            if (!ls) return true;
+            this.SYNC_COLLECTIONS.forEach(function (c) { ls.removeItem(prefix + c); });
+            // Calendars with their own sync code keep a cursor each ('…cursor.events.<calendar id>').
+            for (var i = 0; i < ls.length && i < 10000; i++) { if (String(ls.key(i)).indexOf(prefix + 'events.') === 0) keys.push(ls.key(i)); }
+            keys.forEach(function (k) { ls.removeItem(k); });
+        } catch (e) { /* private mode: nothing synced anyway */ }
+        return true;
+    }
+};
+
+if (typeof window !== 'undefined') window.Backup = Backup;
+if (typeof module !== 'undefined' && module.exports) module.exports = { Backup: Backup };
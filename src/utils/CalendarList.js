@@ -0,0 +1,218 @@
+// CalendarList.js — the named calendars events belong to (Personal, Work, Releases, …).
+// Same local-first pattern as the other stores, kept small: on-device (LocalDB), soft-delete
+// tombstones, field-level merge (RecordMerge.js), change events, pluggable sync adapter
+// (CalendarSync with collection:'calendars', under the main sync code).
+//
+// Calendar shape: { id, name, color, syncCode, updated, deleted, stamps }
+//   color    — '#rrggbb', used for the month-grid dots and event chips
+//   syncCode — '' = the calendar's events sync with the main calendar code; otherwise its own
+//              code, so it can be shared (say, Work with a colleague) without sharing the rest.
+//              Routing is CalendarSyncGroup's job; the code itself syncs with the list, across
+//              your own devices, end-to-end encrypted like everything else
+// DEFAULT_ID ('default', "Personal") always exists — events without a calendarId belong to it.
+// It can be renamed and recoloured, never deleted.
+//
+// Which calendars are SHOWN is a per-device choice, kept apart under `<key>.hidden` (not synced).
+// classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
+// methods <=60 lines, pre-allocated structures, graceful fallback.
+
+class CalendarList {
+    constructor(opts) {
+        console.assert(typeof window !== 'undefined', 'CalendarList: window required');
+        console.assert(!opts || typeof opts === 'object', 'CalendarList: opts object');
+        var o = opts || {};
+        this.key = o.key || 'mrcargon.calendar.calendars';
+        this.sync = o.sync || null;
+        this._cals = new Map();           // id -> calendar
+        this._hidden = this._readHidden();
+        this._listeners = [];
+        this.storageError = '';
+        var self = this;
+        LocalDB.read(this.key, function (arr) { self._loaded(arr); });
+        this._attachSync();
+    }
+
+    static get DEFAULT_ID() { return 'default'; }
+    static get MAX_CALENDARS() { return 20; }
+    static get COLORS() { return ['#60a5fa', '#4ade80', '#f472b6', '#fbbf24', '#a78bfa', '#f87171', '#2dd4bf', '#fb923c']; }
+
+    _attachSync() {
+        if (!this.sync || typeof this.sync.attach !== 'function') return false;
+        var self = this;
+        this.sync.attach({
+            onRemote: function (list) { self._mergeRemote(list); },
+            all: function () { return Array.from(self._cals.values()); }
+        });
+        return true;
+    }
+
+    _loaded(arr) {
+        console.assert(arr === null || typeof arr === 'object', '_loaded: list');
+        console.assert(this._cals instanceof Map, '_loaded: calendars map');
+        var self = this;
+        (Array.isArray(arr) ? arr : []).slice(0, 200).forEach(function (c) {
+            if (c && c.id) self._cals.set(String(c.id), CalendarList._normalize(c));
+        });
+        this._emit();
+        return true;
+    }
+
+    _persist() {
+        console.assert(this._cals instanceof Map, '_persist: calendars map');
+        console.assert(typeof this.key === 'string', '_persist: key');
+        var self = this;
+        LocalDB.write(this.key, Array.from(this._cals.values())).then(function (res) {
+            var err = res.ok ? '' : res.error;
+            if (err !== self.storageError) { self.storageError = err; self._emit(); }
+        });
+        this._emit();
+        return true;
+    }
+
+    /** '#RGB' / '#rrggbb' -> '#rrggbb'; anything else -> ''. */
+    static cleanColor(v) {
+        var s = String(v == null ? '' : v).trim().toLowerCase();
+        if (/^#[0-9a-f]{3}$/.test(s)) s = '#' + s[1] + s[1] + s[2] + s[2] + s[3] + s[3];
+        return /^#[0-9a-f]{6}$/.test(s) ? s : '';
+    }
+
+    static _normalize(c) {
+        c.id = String(c.id);
+        c.name = String(c.name || '').trim().slice(0, 40) || (c.id === CalendarList.DEFAULT_ID ? 'Personal' : 'Calendar');
+        c.color = CalendarList.cleanColor(c.color) || CalendarList.COLORS[0];
+        c.syncCode = c.syncCode ? String(c.syncCode).slice(0, 200) : '';
+        return c;
+    }
+
+    // The built-in calendar until it has been edited (then it is a stored record like the rest).
+    static _defaultCalendar() {
+        return { id: CalendarList.DEFAULT_ID, name: 'Personal', color: CalendarList.COLORS[0], syncCode: '', updated: 0, deleted: false };
+    }
+
+    /** Live calendars, the default one first, then by name. */
+    list() {
+        console.assert(this._cals instanceof Map, 'list: calendars map');
+        var out = [], def = this._cals.get(CalendarList.DEFAULT_ID);
+        this._cals.forEach(function (c) { if (c && !c.deleted && c.id !== CalendarList.DEFAULT_ID) out.push(c); });
+        out.sort(function (a, b) { return a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }); });
+        out.unshift(def && !def.deleted ? def : CalendarList._defaultCalendar());
+        console.assert(out.length <= this._cals.size + 1, 'list: bounded');
+        return out;
+    }
+
+    /** A live calendar; unknown ids (e.g. deleted on another device) fall back to nothing. */
+    get(id) {
+        console.assert(id != null, 'get: id required');
+        console.assert(this._cals instanceof Map, 'get: calendars map');
+        var c = this._cals.get(String(id));
+        if (c && !c.deleted) return c;
+        return String(id) === CalendarList.DEFAULT_ID ? CalendarList._defaultCalendar() : null;
+    }
+
+    /** Colour of calendar `id` (an event's calendarId); unknown ones show in the default's colour. */
+    color(id) {
+        var c = this.get(id || CalendarList.DEFAULT_ID) || this.get(CalendarList.DEFAULT_ID);
+        return c.color;
+    }
+
+    /** New calendar { name, color? }; null once MAX_CALENDARS exist. */
+    add(cal) {
+        console.assert(cal && typeof cal === 'object', 'add: calendar object');
+        console.assert(this._cals instanceof Map, 'add: calendars map');
+        var n = this.list().length;
+        if (n >= CalendarList.MAX_CALENDARS) return null;
+        var id = 'cal-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 6);
+        return this.update(id, { name: cal.name, color: cal.color || CalendarList.COLORS[n % CalendarList.COLORS.length], syncCode: '' });
+    }
+
+    // Rename / recolour / set the sync code. Fields left out keep their values.
+    update(id, changes) {
+        console.assert(id != null, 'update: id required');
+        console.assert(changes && typeof changes === 'object', 'update: changes object');
+        var cur = this.get(id) || {};
+        function pick(k) { return changes[k] !== undefined ? changes[k] : cur[k]; }
+        var rec = CalendarList._normalize({ id: String(id), name: pick('name'), color: pick('color'), syncCode: pick('syncCode'), updated: Date.now(), deleted: false });
+        if (typeof RecordMerge !== 'undefined') RecordMerge.touch(this._cals.get(rec.id) || null, rec);
+        this._cals.set(rec.id, rec);
+        this._persist();
+        if (this.sync && typeof this.sync.push === 'function') this.sync.push(rec);
+        return rec;
+    }
+
+    /** Delete a calendar (not the default). Its events are the caller's to move first. */
+    remove(id) {
+        console.assert(id != null, 'remove: id required');
+        console.assert(this._cals instanceof Map, 'remove: calendars map');
+        var cur = this._cals.get(String(id));
+        if (!cur || cur.deleted || cur.id === CalendarList.DEFAULT_ID) return false;
+        var rec = Object.assign({}, cur, { deleted: true, updated: Date.now() });
+        if (typeof RecordMerge !== 'undefined') RecordMerge.touch(cur, rec);
+        this._cals.set(rec.id, rec);
+        this.setVisible(rec.id, true);                    // forget its hidden flag
+        this._persist();
+        if (this.sync && typeof this.sync.push === 'function') this.sync.push(rec);
+        return true;
+    }
+
+    _mergeRemote(list) {
+        console.assert(Array.isArray(list), '_mergeRemote: array');
+        console.assert(this._cals instanceof Map, '_mergeRemote: calendars map');
+        var self = this, changed = false, back = [];
+        list.slice(0, 200).forEach(function (r) {
+            if (!r || !r.id) return;
+            var cur = self._cals.get(String(r.id)), m;
+            if (!cur) m = { record: r, changed: true, pushBack: false };
+            else if (typeof RecordMerge !== 'undefined') m = RecordMerge.merge(cur, r, []);
+            else m = { record: r, changed: (Number(r.updated) || 0) > (Number(cur.updated) || 0), pushBack: false };
+            if (!m.changed) return;
+            var rec = CalendarList._normalize(m.record);
+            self._cals.set(rec.id, rec); changed = true;
+            if (m.pushBack) back.push(rec);
+        });
+        if (changed) this._persist();
+        if (this.sync && typeof this.sync.push === 'function') back.forEach(function (rec) { self.sync.push(rec); });
+        return changed;
+    }
+
+    // ---- visibility (this device only) ----------------------------------------------
+    _readHidden() {
+        try {
+            var v = JSON.parse((window.localStorage && window.localStorage.getItem(this.key + '.hidden')) || '[]');
+            return Array.isArray(v) ? v.filter(function (id) { return typeof id === 'string'; }).slice(0, 200) : [];
+        } catch (e) { return []; }
+    }
+
+    /** Ids of the calendars hidden on this device. */
+    hidden() {
+        console.assert(Array.isArray(this._hidden), 'hidden: list');
+        console.assert(this._hidden.length <= 200, 'hidden: bounded');
+        return this._hidden.slice();
+    }
+
+    visible(id) { return this._hidden.indexOf(String(id)) < 0; }
+
+    setVisible(id, on) {
+        console.assert(id != null, 'setVisible: id required');
+        console.assert(typeof on === 'boolean', 'setVisible: boolean');
+        var sid = String(id), has = this._hidden.indexOf(sid) >= 0;
+        if (has === !on) return false;
+        this._hidden = on ? this._hidden.filter(function (h) { return h !== sid; }) : this._hidden.concat([sid]);
+        try { if (window.localStorage) window.localStorage.setItem(this.key + '.hidden', JSON.stringify(this._hidden)); } catch (e) { /* private mode */ }
+        this._emit();
+        return true;
+    }
+
+    onChange(fn) {
+        console.assert(typeof fn === 'function', 'onChange: fn');
+        console.assert(Array.isArray(this._listeners), 'onChange: listeners');
+        this._listeners.push(fn);
+        return true;
+    }
+    _emit() {
+        this._listeners.forEach(function (fn) { try { fn(); } catch (e) { /* isolate */ } });
+        return true;
+    }
+}
+
+if (typeof window !== 'undefined') window.CalendarList = CalendarList;
+if (typeof module !== 'undefined' && module.exports) module.exports = { CalendarList: CalendarList };
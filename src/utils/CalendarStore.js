@@ -5,8 +5,35 @@
 // "works without config, syncs when configured" pattern as Presence.js. Nothing here
 // depends on the network; sync is additive.
 //
-// Event shape: { id, date:'YYYY-MM-DD', time:'HH:MM'|'' , title, notes, updated, deleted }
-//   - soft-delete (deleted:true + tombstone) so removals also sync/merge cleanly.
+// Event shape: { id, date:'YYYY-MM-DD', time:'HH:MM'|'', endDate:'YYYY-MM-DD'|'', endTime:'HH:MM'|'',
+//                allDay, tz, title, notes, rrule, exdates, reminders, seriesId, uid, conflictOf, calendarId,
+//                stamps, updated, deleted }
+//   - start = date+time, end = (endDate || date)+endTime, both WALL-CLOCK in `tz` (IANA zone,
+//     see TimeZone.js). Stored data never changes with the device's zone; queries convert
+//     timed events into the viewer's zone (`opts.zone`). tz '' = floating (legacy records).
+//   - allDay: no times, no zone; endDate (inclusive) makes a multi-day all-day event.
+//   - `uid` is set only on records imported from .ics (see ICalendar.js), for re-import dedup.
+//   - `reminders`: minutes before the start, comma-separated ('10,1440'); see Reminders.js.
+//   - `calendarId`: the named calendar it belongs to (CalendarList.js); missing on older
+//     records = DEFAULT_CALENDAR. Exceptions follow their series. setHidden(ids) leaves the
+//     events of hidden calendars out of every query (the per-device visibility toggles).
+//   - soft-delete (deleted:true + tombstone) so removals also sync/merge cleanly. compact()
+//     drops tombstones older than `tombstoneDays` once every known device has synced them
+//     (CalendarSync.purgeable); deleted occurrences of a live series are kept — they hide a date.
+//   - recurring series: `rrule` (RRULE string, see Recurrence.js) + `exdates` ('YYYY-MM-DD,…');
+//     `date` is the series start. Occurrences are expanded on the fly, never stored.
+//   - per-occurrence EXCEPTIONS are ordinary records with the deterministic id
+//     `<seriesId>@<original date>` and `seriesId` set: an edited occurrence is a live record,
+//     a deleted one is a tombstone. Separate ids mean two devices editing different
+//     occurrences never clobber each other, and each exception merges on its own.
+//   - `stamps`: per-field edit stamps. Remote records merge FIELD BY FIELD (RecordMerge.js), so
+//     a time changed on one device and a title on another both survive. Concurrent edits of
+//     the `notes` text keep the losing text as a "conflicted copy": a one-off event with
+//     `conflictOf` = the original's id and "(conflicted copy)" in its title.
+//
+// Storage goes through LocalDB.js: localStorage, moved to IndexedDB when it outgrows it (then
+// the records load asynchronously, with a change event). A failed save is kept in
+// `storageError` and announced with a change event, so the UI can say so.
 //
 // classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
 // methods <=60 lines, pre-allocated structures, graceful fallback.
@@ -21,64 +48,266 @@ class CalendarStore {
         this.notify = o.notify || null;      // optional DiscordNotify-like adapter (fire-and-forget)
         this._events = new Map();            // id -> event (pre-allocated structure)
         this._listeners = [];
+        this._batch = null;                  // { quiet, dirty } while inside batch()
+        this._hidden = new Set();            // calendar ids left out of queries
+        this.zone = o.zone || (typeof TimeZone !== 'undefined' ? TimeZone.local() : '');  // viewer's zone
+        this.tombstoneDays = LocalDB.tombstoneDays(o.tombstoneDays);
+        this.storageError = '';              // last failed save ('' = saved fine)
+        this._loading = false;               // records still coming from IndexedDB
+        this._dirty = false;                 // changed while loading: save once loaded
         this._load();
-        if (this.sync && typeof this.sync.attach === 'function') {
-            var self = this;
-            this.sync.attach({ onRemote: function (list) { self._mergeRemote(list); } });
-        }
+        if (!this._loading) this._attachSync();
+    }
+
+    static get MAX_RECORDS() { return 50000; }
+    static get DEFAULT_CALENDAR() { return 'default'; }      // = CalendarList.DEFAULT_ID
+
+    _attachSync() {
+        console.assert(!this._loading, '_attachSync: records loaded first');
+        if (!this.sync || typeof this.sync.attach !== 'function') return false;
+        var self = this;
+        this.sync.attach({
+            onRemote: function (list) { self._mergeRemote(list); },
+            all: function () { return Array.from(self._events.values()); }     // incl. tombstones, for re-seeding
+        });
+        return true;
     }
 
     // ---- persistence -------------------------------------------------------
     _load() {
         console.assert(typeof this.key === 'string', '_load: key required');
         console.assert(this._events instanceof Map, '_load: events map required');
-        try {
-            var raw = window.localStorage ? window.localStorage.getItem(this.key) : null;
-            var arr = raw ? JSON.parse(raw) : [];
-            if (!Array.isArray(arr)) arr = [];
-            var self = this;
-            arr.slice(0, 5000).forEach(function (e) { if (e && e.id) self._events.set(String(e.id), e); });
-        } catch (err) {
-            console.warn('[CalendarStore] load failed, starting empty:', err && err.message);
-        }
+        var self = this;
+        this._loading = LocalDB.where(this.key) === 'indexeddb';
+        LocalDB.read(this.key, function (arr) { self._loaded(arr); });
+        return true;
+    }
+
+    // Records read from storage. From IndexedDB they arrive after the constructor: anything
+    // merged or edited meanwhile is kept when newer, changes made meanwhile are saved, and
+    // sync attaches. <=60 lines.
+    _loaded(arr) {
+        console.assert(arr === null || typeof arr === 'object', '_loaded: list');
+        console.assert(this._events instanceof Map, '_loaded: events map');
+        var self = this, late = this._loading;
+        (Array.isArray(arr) ? arr : []).slice(0, CalendarStore.MAX_RECORDS).forEach(function (e) {
+            if (!e || !e.id) return;
+            var cur = late ? self._events.get(String(e.id)) : null;
+            if (!cur || (Number(cur.updated) || 0) < (Number(e.updated) || 0)) self._events.set(String(e.id), e);
+        });
+        if (!late) return true;
+        this._loading = false;
+        if (this._dirty) { this._dirty = false; this._persist(); }
+        else this._emit();
+        this._attachSync();
         return true;
     }
 
+    // Re-read the saved list — another tab, or another store instance in this tab, wrote it.
+    reload() {
+        console.assert(typeof this.key === 'string', 'reload: key required');
+        console.assert(this._batch === null, 'reload: not inside batch()');
+        if (this._loading) return false;                  // the first load is still on its way
+        var self = this;
+        LocalDB.read(this.key, function (arr) {
+            if (self._loading) return;
+            self._events.clear();
+            self._loaded(arr);
+            self._emit();
+        });
+        return true;
+    }
+
+    /** True until a store kept in IndexedDB has finished its first (asynchronous) load. */
+    loading() {
+        console.assert(typeof this._loading === 'boolean', 'loading: flag');
+        console.assert(typeof this.key === 'string', 'loading: key');
+        return this._loading;
+    }
+
     _persist() {
         console.assert(this._events instanceof Map, '_persist: events map');
         console.assert(typeof this.key === 'string', '_persist: key');
-        try {
-            var arr = [];
-            this._events.forEach(function (e) { arr.push(e); });
-            if (window.localStorage) window.localStorage.setItem(this.key, JSON.stringify(arr));
-        } catch (err) {
-            console.warn('[CalendarStore] persist failed:', err && err.message);
-        }
+        if (this._batch) { this._batch.dirty = true; return true; }     // flushed once by batch()
+        if (this._loading) { this._dirty = true; this._emit(); return true; }
+        var arr = [], self = this;
+        this._events.forEach(function (e) { arr.push(e); });
+        LocalDB.write(this.key, arr).then(function (res) { self._saved(res); });
+        this._emit();
+        return true;
+    }
+
+    // Keep the outcome of a save; a change (failing, or working again) is announced.
+    _saved(res) {
+        console.assert(res && typeof res.ok === 'boolean', '_saved: result');
+        var err = res.ok ? '' : res.error;
+        if (err === this.storageError) return false;
+        if (err) console.warn('[CalendarStore] persist failed:', err);
+        this.storageError = err;
         this._emit();
         return true;
     }
 
     // ---- queries -----------------------------------------------------------
-    // All live (non-deleted) events for a 'YYYY-MM-DD' date, sorted by time. <=60 lines.
+    // All live events showing on a 'YYYY-MM-DD' date in the VIEWER's zone: all-day first,
+    // then by start time. Returned objects are display copies when anything was converted
+    // or expanded — never upsert() them back; use move()/updateOccurrence(). <=60 lines.
     forDate(date) {
         console.assert(typeof date === 'string', 'forDate: date string');
         console.assert(this._events instanceof Map, 'forDate: events map');
         var out = [];
-        this._events.forEach(function (e) {
-            if (e && !e.deleted && e.date === date) out.push(e);
+        this._instances(date, date, function (_d, inst) { out.push(inst); });
+        out.sort(function (a, b) {
+            var aa = !!a.allDay || !a.time, ba = !!b.allDay || !b.time;     // legacy records: no allDay field
+            if (aa !== ba) return aa ? -1 : 1;
+            return String(a.time || '').localeCompare(String(b.time || ''));
         });
-        out.sort(function (a, b) { return String(a.time || '').localeCompare(String(b.time || '')); });
         return out;
     }
 
-    // Map of 'YYYY-MM-DD' -> live event count, for month-grid dots. Bounded by store size.
-    countsByDate() {
+    // Map of 'YYYY-MM-DD' -> live event count, for month-grid dots. Recurring series are
+    // expanded and multi-day events counted on every day inside [from, to] (default: a year
+    // either side of today). Bounded by store size.
+    countsByDate(from, to) {
         console.assert(this._events instanceof Map, 'countsByDate: events map');
+        console.assert(from === undefined || typeof from === 'string', 'countsByDate: from string');
+        var lo = from || this._shiftIso(-366), hi = to || this._shiftIso(366);
         var counts = Object.create(null);
+        this._instances(lo, hi, function (d) { counts[d] = (counts[d] || 0) + 1; });
+        return counts;
+    }
+
+    // Map of 'YYYY-MM-DD' -> { calendarId: live event count } inside [from, to], for the
+    // month grid's colour-coded dots. Same expansion rules as countsByDate.
+    calendarsByDate(from, to) {
+        console.assert(typeof from === 'string' && typeof to === 'string', 'calendarsByDate: range');
+        console.assert(this._events instanceof Map, 'calendarsByDate: events map');
+        var out = Object.create(null);
+        this._instances(from, to, function (d, inst) {
+            var day = out[d] || (out[d] = {}), cal = inst.calendarId || CalendarStore.DEFAULT_CALENDAR;
+            day[cal] = (day[cal] || 0) + 1;
+        });
+        return out;
+    }
+
+    /** Leave the events of calendars `ids` out of every query (visibility toggles). */
+    setHidden(ids) {
+        console.assert(Array.isArray(ids), 'setHidden: ids array');
+        console.assert(ids.length <= 200, 'setHidden: bounded');
+        var next = new Set(ids.map(String)), same = next.size === this._hidden.size;
+        next.forEach(function (id) { if (!this._hidden.has(id)) same = false; }, this);
+        if (same) return false;
+        this._hidden = next;
+        this._emit();
+        return true;
+    }
+
+    // Visit every (day, display instance) pair inside [lo, hi]. The candidate window is
+    // widened by the event's own length plus one day, because zone conversion can move a
+    // start across midnight and a multi-day event starts before the days it covers. <=60 lines.
+    _instances(lo, hi, fn) {
+        console.assert(typeof lo === 'string' && typeof hi === 'string', '_instances: range');
+        console.assert(typeof fn === 'function', '_instances: visitor');
+        var self = this;
         this._events.forEach(function (e) {
-            if (e && !e.deleted && e.date) counts[e.date] = (counts[e.date] || 0) + 1;
+            if (!e || e.deleted || !e.date || self._hidden.has(e.calendarId || CalendarStore.DEFAULT_CALENDAR)) return;
+            var len = self._lenDays(e), from = self._addDays(lo, -len - 1), to = self._addDays(hi, 1);
+            var occ = [];
+            if (!e.rrule) { if (e.date >= from && e.date <= to) occ.push(e); }
+            else if (self._hasRecurrence() && e.date <= to) {
+                Recurrence.expand(e, from, to).forEach(function (d) {
+                    if (!self._events.has(e.id + '@' + d)) occ.push(self._occurrence(e, d));
+                });
+            }
+            occ.forEach(function (inst) {
+                var disp = self._toViewer(inst);
+                self._days(disp, lo, hi).forEach(function (d) { fn(d, disp); });
+            });
         });
-        return counts;
+        return true;
+    }
+
+    // Display copy of a timed, zoned event in the viewer's zone (srcDate/srcTime keep the
+    // original wall-clock for the UI). Floating and all-day events are returned as-is.
+    _toViewer(ev) {
+        console.assert(ev && ev.date, '_toViewer: event');
+        if (ev.allDay || !ev.time || !ev.tz || !this.zone || ev.tz === this.zone || typeof TimeZone === 'undefined') return ev;
+        var s = TimeZone.convert(ev.date, ev.time, ev.tz, this.zone);
+        var e = ev.endTime ? TimeZone.convert(ev.endDate || ev.date, ev.endTime, ev.tz, this.zone) : null;
+        return Object.assign({}, ev, {
+            date: s.date, time: s.time, endDate: e ? e.date : '', endTime: e ? e.time : '',
+            srcDate: ev.date, srcTime: ev.time
+        });
+    }
+
+    // Days in [lo, hi] a display instance covers. A timed event ending at 00:00 does not
+    // spill into its end day. Bounded to MAX_SPAN days.
+    _days(ev, lo, hi) {
+        var start = ev.date, end = ev.endDate && ev.endDate > ev.date ? ev.endDate : ev.date, out = [];
+        if (!ev.allDay && ev.endTime === '00:00' && end > start) end = this._addDays(end, -1);
+        var d = start < lo ? lo : start;
+        for (var i = 0; i < CalendarStore.MAX_SPAN && d <= end && d <= hi; i++) { out.push(d); d = this._addDays(d, 1); }
+        return out;
+    }
+
+    // Whole days between start and end date (0 for single-day), capped at MAX_SPAN.
+    _lenDays(ev) {
+        if (!ev.endDate || ev.endDate <= ev.date) return 0;
+        var a = ev.date.split('-'), b = ev.endDate.split('-');
+        var n = Math.round((Date.UTC(+b[0], +b[1] - 1, +b[2]) - Date.UTC(+a[0], +a[1] - 1, +a[2])) / 86400000);
+        return Math.max(0, Math.min(CalendarStore.MAX_SPAN, n || 0));
+    }
+
+    _addDays(iso, n) {
+        var p = String(iso).split('-'), d = new Date(Date.UTC(+p[0], +p[1] - 1, +p[2] + n));
+        return d.toISOString().slice(0, 10);
+    }
+
+    // Every record, sorted by date then time; tombstones only when asked (export needs them
+    // to emit EXDATEs). Recurring series are returned once, unexpanded. Bounded by store size.
+    all(includeDeleted) {
+        console.assert(this._events instanceof Map, 'all: events map');
+        console.assert(includeDeleted === undefined || typeof includeDeleted === 'boolean', 'all: boolean flag');
+        var out = [];
+        this._events.forEach(function (e) { if (e && (includeDeleted || !e.deleted)) out.push(e); });
+        out.sort(function (a, b) { return (String(a.date) + String(a.time || '')).localeCompare(String(b.date) + String(b.time || '')); });
+        return out;
+    }
+
+    // Record matching an iCalendar UID — an imported `uid`, or one of our own exported ids.
+    findByUid(uid) {
+        console.assert(typeof uid === 'string', 'findByUid: uid string');
+        console.assert(this._events instanceof Map, 'findByUid: events map');
+        var hit = null, suffix = (typeof ICalendar !== 'undefined') ? ICalendar.UID_SUFFIX : '@mrcargon.github.io';
+        this._events.forEach(function (e) {
+            if (!hit && e && !e.seriesId && (e.uid === uid || String(e.id) + suffix === uid)) hit = e;
+        });
+        return hit;
+    }
+
+    // Look up any record (live or tombstone) by id. Rule 5: 2 asserts.
+    get(id) {
+        console.assert(id != null, 'get: id required');
+        console.assert(this._events instanceof Map, 'get: events map');
+        return this._events.get(String(id)) || null;
+    }
+
+    _hasRecurrence() { return typeof Recurrence !== 'undefined' && typeof Recurrence.expand === 'function'; }
+
+    // Occurrence copy of a series on `date` (series zone). `occurrence` keeps that original
+    // date for exception ids even after _toViewer() moves the display date.
+    _occurrence(series, date) {
+        var len = this._lenDays(series);
+        return Object.assign({}, series, {
+            date: date, endDate: series.endDate ? this._addDays(date, len) : '', seriesId: series.id, occurrence: date
+        });
+    }
+
+    // Today +/- n days as 'YYYY-MM-DD' (local calendar day).
+    _shiftIso(n) {
+        var d = new Date();
+        d.setDate(d.getDate() + n);
+        return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
     }
 
     // ---- mutations ---------------------------------------------------------
@@ -86,53 +315,266 @@ class CalendarStore {
         console.assert(ev && typeof ev === 'object', 'upsert: event object');
         console.assert(ev.date && typeof ev.date === 'string', 'upsert: event.date required');
         var id = ev.id ? String(ev.id) : ('ev-' + Date.now() + '-' + Math.random().toString(36).slice(2, 7));
-        var isNew = !this._events.has(id);
-        var rec = {
-            id: id, date: ev.date, time: ev.time || '', title: ev.title || '(untitled)',
-            notes: ev.notes || '', updated: Date.now(), deleted: false
+        var prev = this._events.get(id), isNew = !prev;
+        var rec = Object.assign({
+            id: id, title: ev.title || '(untitled)',
+            notes: ev.notes || '', rrule: ev.rrule || '', exdates: ev.exdates || '', reminders: ev.reminders ? String(ev.reminders) : '',
+            seriesId: ev.seriesId || '', uid: ev.uid || '', calendarId: String(ev.calendarId || (prev && prev.calendarId) || CalendarStore.DEFAULT_CALENDAR),
+            updated: Date.now(), deleted: false
+        }, this._when(ev));
+        return this._commit(rec, isNew ? 'created' : 'updated');
+    }
+
+    // Normalised start/end/all-day/zone fields of an incoming event. A timed event with no
+    // `tz` field (new events, or a legacy record on its first edit) is pinned to the viewer's
+    // zone; an explicit '' keeps it floating. All-day events never carry times or a zone. An
+    // end before the start on the same day is dropped (it would export DTEND before DTSTART).
+    _when(ev) {
+        console.assert(ev && typeof ev.date === 'string', '_when: event.date');
+        console.assert(this.zone === '' || typeof this.zone === 'string', '_when: zone');
+        var allDay = ev.allDay === true || !ev.time;
+        var endDate = ev.endDate && ev.endDate > ev.date ? ev.endDate : '';
+        if (allDay) return { date: ev.date, time: '', endDate: endDate, endTime: '', allDay: true, tz: '' };
+        var endTime = ev.endTime || '';
+        if (endTime && !endDate && this._mins(endTime) < this._mins(ev.time)) endTime = '';
+        return {
+            date: ev.date, time: ev.time, endDate: endDate, endTime: endTime, allDay: false,
+            tz: ev.tz !== undefined ? String(ev.tz || '') : this.zone
         };
-        this._events.set(id, rec);
+    }
+
+    /**
+     * Move an event (or ONE occurrence of a series) to a new start given in the VIEWER's
+     * zone — the way the UI shows it (`time` undefined keeps the shown time, '' makes it
+     * all-day). Duration and the event's own zone are kept: the start is converted back into
+     * that zone before it is stored. Exactly one write. <=60 lines.
+     */
+    move(inst, date, time) {
+        console.assert(inst && inst.id, 'move: display instance required');
+        console.assert(typeof date === 'string', 'move: date string');
+        var pure = !!(inst.occurrence && inst.seriesId === inst.id);
+        var series = pure ? this._events.get(String(inst.seriesId)) : null;
+        var base = pure ? (series && this._occurrence(series, inst.occurrence)) : this._events.get(String(inst.id));
+        if (!base || base.deleted) return null;
+        var t = (time === undefined) ? (inst.time || '') : time;
+        var start = { date: date, time: t };
+        if (t && base.tz && this.zone && base.tz !== this.zone && typeof TimeZone !== 'undefined') {
+            start = TimeZone.convert(date, t, this.zone, base.tz);
+        }
+        var changes = Object.assign({ date: start.date, time: start.time, allDay: !start.time }, this._endAfter(base, start));
+        if (pure) return this.updateOccurrence(inst.seriesId, inst.occurrence, changes);
+        return this.upsert(Object.assign({}, base, changes));
+    }
+
+    // New end for `base` re-started at `start`, keeping its duration. Rule 5: 2 asserts.
+    _endAfter(base, start) {
+        console.assert(base && typeof base.date === 'string', '_endAfter: base event');
+        console.assert(start && typeof start.date === 'string', '_endAfter: new start');
+        if (!start.time) {
+            return { endDate: base.allDay && base.endDate ? this._addDays(start.date, this._lenDays(base)) : '', endTime: '' };
+        }
+        if (!base.time || !base.endTime) return { endDate: '', endTime: '' };
+        var dur = this._lenDays(base) * 1440 + this._mins(base.endTime) - this._mins(base.time);
+        var total = this._mins(start.time) + Math.max(0, dur), days = Math.floor(total / 1440);
+        return {
+            endDate: days > 0 ? this._addDays(start.date, days) : '',
+            endTime: String(Math.floor((total % 1440) / 60)).padStart(2, '0') + ':' + String(total % 60).padStart(2, '0')
+        };
+    }
+
+    _mins(hhmm) {
+        var p = String(hhmm || '0:0').split(':');
+        return (parseInt(p[0], 10) || 0) * 60 + (parseInt(p[1], 10) || 0);
+    }
+
+    // Run many mutations as one: a single persist + change event at the end, and with
+    // { quiet:true } no per-record notifications (bulk imports must not flood Discord).
+    // Sync pushes still happen per record. <=60 lines.
+    batch(fn, opts) {
+        console.assert(typeof fn === 'function', 'batch: fn required');
+        console.assert(this._batch === null, 'batch: already batching');
+        this._batch = { quiet: !!(opts && opts.quiet), dirty: false };
+        var b = this._batch;
+        try { fn(); }
+        finally {
+            this._batch = null;
+            if (b.dirty) this._persist();
+        }
+        return true;
+    }
+
+    // Persist + push + notify one record. Shared by every mutation. Rule 5: 2 asserts.
+    _commit(rec, action) {
+        console.assert(rec && rec.id, '_commit: record.id required');
+        console.assert(typeof action === 'string', '_commit: action string');
+        var prev = this._events.get(String(rec.id));
+        this._stamp(prev, rec);
+        this._events.set(String(rec.id), rec);
         this._persist();
-        if (this.sync && typeof this.sync.push === 'function') this.sync.push(rec);
+        if (this.sync && typeof this.sync.push === 'function') this.sync.push(rec, prev || null);   // prev: a calendar move may change its route
         // Fire-and-forget: a notify failure must never break the local save above,
         // which has already happened by this point.
-        if (this.notify && typeof this.notify.calendarEvent === 'function') {
-            this.notify.calendarEvent(isNew ? 'created' : 'updated', rec);
+        if (this.notify && typeof this.notify.calendarEvent === 'function' && !(this._batch && this._batch.quiet)) {
+            this.notify.calendarEvent(action, rec);
         }
         return rec;
     }
 
+    // ---- recurring series: "this occurrence" vs "the whole series" -----------
+    // Edit ONE occurrence: writes the `<seriesId>@<date>` exception record (the series itself
+    // is untouched). `changes` may move it to another date/time; without an end of its own the
+    // end moves with the start, keeping the duration (as move() does). <=60 lines.
+    updateOccurrence(seriesId, date, changes) {
+        console.assert(seriesId != null && typeof date === 'string', 'updateOccurrence: seriesId + date');
+        console.assert(!changes || typeof changes === 'object', 'updateOccurrence: changes object');
+        var series = this._events.get(String(seriesId));
+        if (!series || series.deleted || !series.rrule) return null;
+        var c = changes || {}, exId = series.id + '@' + date;
+        var prev = this._events.get(exId);
+        var base = (prev && !prev.deleted) ? prev : this._occurrence(series, date);
+        var allDay = c.allDay != null ? c.allDay : base.allDay;
+        var start = { date: c.date || base.date, time: allDay === true ? '' : (c.time != null ? c.time : base.time) };
+        var end = (c.endDate != null || c.endTime != null)
+            ? { endDate: c.endDate != null ? c.endDate : base.endDate, endTime: c.endTime != null ? c.endTime : base.endTime }
+            : this._endAfter(base, start);
+        var when = this._when({
+            date: start.date, time: start.time, endDate: end.endDate, endTime: end.endTime,
+            allDay: allDay, tz: c.tz != null ? c.tz : (base.tz || '')
+        });
+        var rec = Object.assign({
+            id: exId, title: c.title || base.title, notes: c.notes != null ? c.notes : base.notes,
+            reminders: c.reminders != null ? String(c.reminders) : (base.reminders || ''),
+            rrule: '', exdates: '', seriesId: series.id, uid: '', calendarId: series.calendarId || CalendarStore.DEFAULT_CALENDAR, updated: Date.now(), deleted: false
+        }, when);
+        return this._commit(rec, 'updated');
+    }
+
+    // Delete ONE occurrence: an exception tombstone, so the delete syncs like any other.
+    removeOccurrence(seriesId, date) {
+        console.assert(seriesId != null && typeof date === 'string', 'removeOccurrence: seriesId + date');
+        console.assert(this._events instanceof Map, 'removeOccurrence: events map');
+        var series = this._events.get(String(seriesId));
+        if (!series || !series.rrule) return false;
+        var prev = this._events.get(series.id + '@' + date);
+        var base = (prev && !prev.deleted) ? prev : this._occurrence(series, date);
+        var rec = Object.assign({
+            id: series.id + '@' + date, title: base.title, notes: base.notes, rrule: '', exdates: '',
+            seriesId: series.id, uid: '', calendarId: series.calendarId || CalendarStore.DEFAULT_CALENDAR, updated: Date.now(), deleted: true
+        }, this._when(Object.assign({}, base, { tz: base.tz || '' })));
+        this._commit(rec, 'deleted');
+        return true;
+    }
+
+    // Delete the WHOLE series: tombstones every exception that hangs off it (synced, but not
+    // announced — the one 'deleted' notification is for the series itself), then the series.
+    // Whole-series EDITS need no helper: upsert() with the series id.
+    removeSeries(seriesId) {
+        console.assert(seriesId != null, 'removeSeries: id required');
+        console.assert(this._events instanceof Map, 'removeSeries: events map');
+        var sid = String(seriesId), self = this, now = Date.now();
+        this._events.forEach(function (e) {
+            if (!e || e.seriesId !== sid || e.deleted) return;
+            var t = self._stamp(e, Object.assign({}, e, { deleted: true, updated: now }));
+            self._events.set(t.id, t);
+            if (self.sync && typeof self.sync.push === 'function') self.sync.push(t);
+        });
+        return this.remove(sid);
+    }
+
+    /**
+     * Move every event (series and exceptions included) of calendar `fromId` to `toId` — e.g.
+     * before that calendar is deleted. One persist; each record syncs. Returns the count.
+     */
+    moveCalendar(fromId, toId) {
+        console.assert(typeof fromId === 'string' && typeof toId === 'string', 'moveCalendar: ids');
+        console.assert(this._batch === null, 'moveCalendar: not inside batch()');
+        var self = this, n = 0, list = [];
+        this._events.forEach(function (e) { if (e && !e.deleted && (e.calendarId || CalendarStore.DEFAULT_CALENDAR) === fromId) list.push(e); });
+        this.batch(function () {
+            list.forEach(function (e) { self._commit(Object.assign({}, e, { calendarId: toId, updated: Date.now() }), 'updated'); n++; });
+        }, { quiet: true });
+        return n;
+    }
+
     remove(id) {
         console.assert(id != null, 'remove: id required');
         console.assert(this._events instanceof Map, 'remove: events map');
-        var rec = this._events.get(String(id));
-        if (!rec) return false;
-        rec.deleted = true; rec.updated = Date.now();     // tombstone, so the delete syncs too
-        this._events.set(String(id), rec);
-        this._persist();
-        if (this.sync && typeof this.sync.push === 'function') this.sync.push(rec);
-        if (this.notify && typeof this.notify.calendarEvent === 'function') {
-            this.notify.calendarEvent('deleted', rec);
-        }
+        var cur = this._events.get(String(id));
+        if (!cur) return false;
+        var rec = Object.assign({}, cur, { deleted: true, updated: Date.now() });   // tombstone, so the delete syncs too
+        this._commit(rec, 'deleted');
         return true;
     }
 
-    // ---- remote merge (last-write-wins by `updated`) -----------------------
+    _stamp(prev, rec) {
+        if (typeof RecordMerge !== 'undefined') RecordMerge.touch(prev || null, rec);
+        return rec;
+    }
+
+    // ---- tombstone compaction ----------------------------------------------
+    /**
+     * Forget tombstones deleted more than `tombstoneDays` ago that every known device has
+     * synced (CalendarSync.purgeable; with sync off, age alone), here and on the backend. A
+     * deleted occurrence of a live series stays: it is what hides that date. Returns the count.
+     */
+    compact(now) {
+        console.assert(this._events instanceof Map, 'compact: events map');
+        console.assert(now === undefined || Number.isFinite(now), 'compact: now');
+        if (this._loading || this._batch) return 0;
+        var self = this, cutoff = (now || Date.now()) - this.tombstoneDays * 86400000, ids = [];
+        this._events.forEach(function (e) {
+            if (!e.deleted || (Number(e.updated) || 0) > cutoff) return;
+            var series = e.seriesId ? self._events.get(String(e.seriesId)) : null;
+            if (!series || series.deleted) ids.push(String(e.id));
+        });
+        var sync = this.sync && typeof this.sync.enabled === 'function' && this.sync.enabled() ? this.sync : null;
+        if (sync) ids = typeof sync.purgeable === 'function' ? sync.purgeable(ids) : [];
+        if (!ids.length) return 0;
+        ids.forEach(function (id) { self._events.delete(id); });
+        this._persist();
+        if (sync && typeof sync.purge === 'function') sync.purge(ids);
+        return ids.length;
+    }
+
+    // ---- remote merge (field by field; whole-record last-write-wins without RecordMerge.js) ----
+    // Merged records holding local edits the backend lacks, and new conflicted copies, are
+    // pushed back. <=60 lines.
     _mergeRemote(list) {
         console.assert(Array.isArray(list), '_mergeRemote: array');
         console.assert(this._events instanceof Map, '_mergeRemote: events map');
-        var self = this, changed = false;
+        var self = this, changed = false, out = [];
         list.slice(0, 5000).forEach(function (r) {
             if (!r || !r.id) return;
-            var cur = self._events.get(String(r.id));
-            if (!cur || (Number(r.updated) || 0) > (Number(cur.updated) || 0)) {
-                self._events.set(String(r.id), r); changed = true;
-            }
+            var cur = self._events.get(String(r.id)), m;
+            if (!cur) m = { record: r, changed: true, pushBack: false, conflicts: [] };
+            else if (typeof RecordMerge !== 'undefined') m = RecordMerge.merge(cur, r, ['notes']);
+            else m = { record: r, changed: (Number(r.updated) || 0) > (Number(cur.updated) || 0), pushBack: false, conflicts: [] };
+            if (!m.changed && !m.conflicts.length) return;
+            self._events.set(String(r.id), m.record); changed = true;
+            if (m.pushBack) out.push(m.record);
+            if (!m.record.deleted) m.conflicts.forEach(function (c) { var copy = self._conflictCopy(m.record, c); if (copy) out.push(copy); });
         });
         if (changed) this._persist();
+        if (this.sync && typeof this.sync.push === 'function') out.forEach(function (rec) { self.sync.push(rec); });
         return changed;
     }
 
+    // The losing notes of a concurrent edit, as a one-off event at the same time. The id comes
+    // from the loser's stamp, so every device that detects the conflict makes the SAME copy.
+    _conflictCopy(rec, c) {
+        console.assert(rec && rec.id && c && c.field === 'notes', '_conflictCopy: event + notes conflict');
+        console.assert(this._events instanceof Map, '_conflictCopy: events map');
+        var id = rec.id + '~' + c.t;
+        if (this._events.has(id)) return null;
+        var copy = Object.assign({}, rec, {
+            id: id, title: (rec.title || '(untitled)') + ' (conflicted copy)', notes: String(c.value || ''),
+            rrule: '', exdates: '', reminders: '', seriesId: '', uid: '', conflictOf: rec.id, updated: Date.now(), deleted: false
+        });
+        delete copy.stamps;
+        this._events.set(id, this._stamp(null, copy));
+        return copy;
+    }
+
     // ---- change notification ----------------------------------------------
     onChange(fn) {
         console.assert(typeof fn === 'function', 'onChange: fn');
@@ -147,5 +589,7 @@ class CalendarStore {
     }
 }
 
+CalendarStore.MAX_SPAN = 62;     // Rule 2: longest event (days) expanded across the grid
+
 if (typeof window !== 'undefined') window.CalendarStore = CalendarStore;
 if (typeof module !== 'undefined' && module.exports) module.exports = { CalendarStore: CalendarStore };
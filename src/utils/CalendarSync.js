@@ -1,13 +1,51 @@
-// CalendarSync.js — optional cross-device sync for CalendarStore via Firebase Firestore's
-// REST API (no SDK, no bundler — same approach as the Presence Firebase adapter).
+// CalendarSync.js — optional cross-device sync for CalendarStore / NotesStore over a
+// pluggable storage ADAPTER (SyncAdapters.js): Firestore REST, a WebDAV folder or the
+// self-hosted server.cjs endpoint, picked from configuration like Presence picks its backend.
 //
-// Local-first: if no Firebase projectId or no sync code is set, EVERY method is a safe
+// Local-first: if no backend is configured or no sync code is set, EVERY method is a safe
 // no-op and the calendar stays purely on-device. When configured, events are mirrored to
-// Firestore under a user-chosen "sync code" so the same code on another device pulls them
-// (last-write-wins by `updated`). A sync code avoids a full auth flow for a personal tool;
-// treat it like a password (see CalendarConfig.js for the security note).
+// the backend under a user-chosen "sync code" so the same code on another device pulls them
+// (merged by the stores, see RecordMerge.js). A sync code avoids a full auth flow for a
+// personal tool; treat it like a password.
+//
+// End-to-end encrypted: PBKDF2 (WebCrypto, SHA-256) stretches the sync code into an AES-GCM
+// key plus an opaque SPACE id, and documents live under that space — the backend never
+// sees the code, titles, notes or note bodies. Each document keeps only id / updated / deleted
+// / _pushed in clear (merging and delta queries need them); the whole record is the AES-GCM
+// ciphertext `ct` (random IV, id bound as additional data so ciphertexts can't be swapped
+// between documents). Without WebCrypto (e.g. plain-http pages) sync stays off rather than
+// fall back to plaintext. Changing the sync code ROTATES the key: the new space starts empty,
+// so the attached store's records are queued again and re-encrypted under the new key.
+//
+// Adapter contract used by the stores: attach({ onRemote, all }) / push(record) / pull().
+// `all()` (optional) returns every local record, tombstones included, for re-encryption.
+// purgeable(ids) / purge(ids) back the stores' compact() (see Tombstone GC below).
+//
+// Offline-safe pushes: push() never sends directly. It drops the record into a persistent
+// OUTBOX (localStorage, one per collection; a newer push of the same id replaces the queued
+// one) and flush() drains it. Failed sends stay queued and retry with exponential backoff,
+// immediately when the browser comes back online, and on the next attach (page load).
+// status()/onStatus() expose the pending count for the sync pills in the UI.
+//
+// Cheap pulls: the BACKEND stamps every stored document with `_pushed` (its own clock, never
+// the device's — see SyncAdapters.js). The first pull for a sync code lists the whole
+// collection; after that each pull asks the adapter for `_pushed > cursor - SKEW_MS` only (a
+// Firestore query, a filtered WebDAV listing, a server query), paged, so only changed
+// documents travel. The cursor (newest `_pushed` seen) is saved per collection. Polling
+// adapts: fast (POLL_MIN_MS) right after changes or local edits, backing off toward
+// POLL_MAX_MS while idle, and an immediate pull when the tab becomes visible.
+//
+// Per-calendar codes: opts.scope keeps one instance's local state (cursor, outbox, GC) apart
+// from another's on the same collection, and opts.codeKey: null leaves its code unpersisted —
+// CalendarSyncGroup.js runs one such instance per calendar that has its own sync code.
+//
+// Tombstone GC: after pulling, each device publishes a CHECKPOINT document ('~device.<id>',
+// encrypted like any record, at most hourly) saying how far its cursor has got; the stores
+// never see these. A tombstone may be forgotten (purgeable/purge, driven by the stores'
+// compact()) once this device knows when it reached the backend and every device that
+// checked in within PEER_STALE_MS has pulled past that point; purge() also deletes it from
+// the backend. A device gone longer than that is no longer waited for.
 //
-// Adapter contract used by CalendarStore: attach({onRemote}) / push(record) / pull().
 // classic script, window global. NASA Power-of-10: >=2 asserts/method, <=60 lines, bounded.
 
 class CalendarSync {
@@ -15,112 +53,494 @@ class CalendarSync {
         console.assert(typeof window !== 'undefined', 'CalendarSync: window required');
         console.assert(!opts || typeof opts === 'object', 'CalendarSync: opts object');
         var o = opts || {};
-        var cfg = (typeof window !== 'undefined' && window.MRCARGON_FIREBASE) ? window.MRCARGON_FIREBASE : {};
-        this.projectId = o.projectId || cfg.projectId || '';
+        this.adapter = o.adapter || (o.projectId ? new FirestoreSyncAdapter({ projectId: o.projectId }) : CalendarSync.defaultAdapter());
+        this._codeKey = o.codeKey !== undefined ? o.codeKey : 'mrcargon.calendar.synccode';   // null: not saved
         this.syncCode = o.syncCode || this._readCode();
         this.collection = o.collection || 'events';   // reusable: 'events', 'notes', …
-        this.pollMs = Number.isFinite(o.pollMs) ? o.pollMs : 15000;
+        var local = this.collection + (o.scope ? '.' + o.scope : '');
+        this.pollMs = Number.isFinite(o.pollMs) ? o.pollMs : 15000;     // starting interval; adapts
         this.onRemote = null;
-        this._poll = null;
+        this._poll = null;               // next-pull timer
+        this._interval = this.pollMs;
+        this._pulling = false;
+        this._cursorKey = 'mrcargon.sync.cursor.' + local;
+        this._onVisible = this._handleVisible.bind(this);
+        this._all = null;                // store's records, for seeding a new space
+        this._keys = null;               // Promise<{ key, space }> for _keysCode
+        this._keysCode = null;
+        this._outKey = 'mrcargon.sync.outbox.' + local;
+        this._gcKey = 'mrcargon.sync.gc.' + local;
+        this._retry = null;              // backoff timer
+        this._attempt = 0;
+        this._flushing = false;
+        this.lastError = '';
+        this._statusFns = [];
+        this._onNet = this._handleNet.bind(this);
+        if (this.adapter.ready() && this.syncCode && !CalendarSync.cryptoSupported()) this.lastError = 'encryption unavailable (needs HTTPS)';
     }
 
-    // Enabled only when we have both a project and a code. <=60 lines.
+    static get OUTBOX_MAX() { return 5000; }        // queued records, oldest dropped past this
+    static get FLUSH_BATCH() { return 25; }         // records sent per round
+    static get RETRY_BASE_MS() { return 2000; }
+    static get RETRY_MAX_MS() { return 300000; }
+    static get PAGE_SIZE() { return 300; }
+    static get MAX_PAGES() { return 100; }          // Rule 2: 30 000 documents per pull at most
+    static get SKEW_MS() { return 300000; }         // re-read window: stamps that land out of order
+    static get POLL_MIN_MS() { return 5000; }
+    static get POLL_MAX_MS() { return 300000; }
+    static get KDF_ITERATIONS() { return 210000; }
+    static get CHECKPOINT_PREFIX() { return '~device.'; }
+    static get CHECKPOINT_MS() { return 3600000; }            // publish our checkpoint at most hourly
+    static get PEER_STALE_MS() { return 90 * 86400000; }      // stop waiting for a silent device
+
+    // Enabled only when we have a backend, a code, and WebCrypto to encrypt with. <=60 lines.
     enabled() {
-        console.assert(typeof this.projectId === 'string', 'enabled: projectId');
+        console.assert(this.adapter && typeof this.adapter.ready === 'function', 'enabled: adapter');
         console.assert(typeof this.syncCode === 'string', 'enabled: syncCode');
-        return this.projectId.length > 0 && this.syncCode.length > 0;
+        return this.adapter.ready() && this.syncCode.length > 0 && CalendarSync.cryptoSupported();
+    }
+
+    /**
+     * The configured backend: SyncConfig.js serverURL, else its webdavURL, else Firestore with
+     * PresenceConfig.js's projectId (not ready() when that is empty: sync stays off).
+     */
+    static defaultAdapter() {
+        console.assert(typeof window !== 'undefined', 'defaultAdapter: window');
+        console.assert(typeof FirestoreSyncAdapter === 'function', 'defaultAdapter: SyncAdapters.js required');
+        var cfg = window.MRCARGON_SYNC || {}, fb = window.MRCARGON_FIREBASE || {};
+        try {
+            if (typeof cfg.serverURL === 'string' && cfg.serverURL.trim()) return new ServerSyncAdapter({ serverURL: cfg.serverURL.trim() });
+            if (typeof cfg.webdavURL === 'string' && cfg.webdavURL.trim()) return new WebDAVSyncAdapter(cfg);
+        } catch (e) { console.warn('[CalendarSync] backend init failed, using Firestore config:', e && e.message); }
+        return new FirestoreSyncAdapter({ projectId: fb.projectId || '' });
+    }
+
+    static cryptoSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle && typeof crypto.getRandomValues === 'function' && typeof TextEncoder !== 'undefined';
     }
 
     _readCode() {
-        try { return (window.localStorage && window.localStorage.getItem('mrcargon.calendar.synccode')) || ''; }
+        if (!this._codeKey) return '';
+        try { return (window.localStorage && window.localStorage.getItem(this._codeKey)) || ''; }
         catch (e) { return ''; }
     }
     setSyncCode(code) {
         console.assert(typeof code === 'string', 'setSyncCode: string');
-        console.assert(typeof this.projectId === 'string', 'setSyncCode: projectId');
+        console.assert(this.adapter, 'setSyncCode: adapter');
         this.syncCode = code || '';
-        try { if (window.localStorage) window.localStorage.setItem('mrcargon.calendar.synccode', this.syncCode); } catch (e) {}
-        if (this.enabled()) this.pull();
+        try { if (window.localStorage && this._codeKey) window.localStorage.setItem(this._codeKey, this.syncCode); } catch (e) {}
+        this._saveCursor(0);                      // new space (new key): full listing, then re-seed
+        if (this.enabled()) { this.flush(); if (this.onRemote) this._schedule(0); }
+        this._emitStatus();
         return true;
     }
 
-    _base() {
-        return 'https://firestore.googleapis.com/v1/projects/' + encodeURIComponent(this.projectId)
-            + '/databases/(default)/documents/calendars/' + encodeURIComponent(this.syncCode)
-            + '/' + encodeURIComponent(this.collection);
+    // ---- encryption -----------------------------------------------------------------
+    // { key, space } for the current sync code, derived once per code (PBKDF2 is slow on purpose).
+    _keysNow() {
+        console.assert(typeof this.syncCode === 'string', '_keysNow: code');
+        console.assert(CalendarSync.cryptoSupported(), '_keysNow: WebCrypto');
+        if (!this._keys || this._keysCode !== this.syncCode) {
+            this._keysCode = this.syncCode;
+            this._keys = CalendarSync.deriveKeys(this.syncCode, this.adapter.saltId);
+        }
+        return this._keys;
+    }
+
+    /** PBKDF2(code) -> 384 bits: AES-GCM-256 key (first 32 bytes) + 128-bit space id (hex). */
+    static deriveKeys(code, saltId) {
+        console.assert(typeof code === 'string' && code, 'deriveKeys: code');
+        console.assert(typeof saltId === 'string', 'deriveKeys: saltId');
+        var enc = new TextEncoder(), subtle = crypto.subtle;
+        return subtle.importKey('raw', enc.encode(code), 'PBKDF2', false, ['deriveBits']).then(function (base) {
+            return subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: enc.encode('mrcargon-sync/v1/' + saltId), iterations: CalendarSync.KDF_ITERATIONS }, base, 384);
+        }).then(function (bits) {
+            var b = new Uint8Array(bits), space = '';
+            for (var i = 32; i < 48; i++) space += (b[i] < 16 ? '0' : '') + b[i].toString(16);
+            return subtle.importKey('raw', b.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt'])
+                .then(function (key) { return { key: key, space: space }; });
+        });
+    }
+
+    // Record -> sealed document: id / updated / deleted clear, the rest in `ct`. No `_pushed`:
+    // the backend adds it when it stores the document.
+    _seal(rec, keys) {
+        console.assert(rec && rec.id, '_seal: record');
+        console.assert(keys && keys.key, '_seal: key');
+        var iv = crypto.getRandomValues(new Uint8Array(12)), enc = new TextEncoder();
+        return crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv, additionalData: enc.encode(String(rec.id)) }, keys.key, enc.encode(JSON.stringify(rec)))
+            .then(function (ct) {
+                var all = new Uint8Array(12 + ct.byteLength);
+                all.set(iv, 0); all.set(new Uint8Array(ct), 12);
+                return { id: String(rec.id), updated: Number(rec.updated) || 0, deleted: !!rec.deleted, ct: CalendarSync._b64(all) };
+            });
+    }
+
+    // Sealed document -> record (with `_pushed` for the cursor), or null when it doesn't open
+    // with this key (wrong code, tampered, or a stray plaintext document).
+    _open(doc, keys) {
+        console.assert(keys && keys.key, '_open: key');
+        if (!doc || !doc.id || typeof doc.ct !== 'string') return Promise.resolve(null);
+        var raw = CalendarSync._unb64(doc.ct), enc = new TextEncoder();
+        console.assert(raw instanceof Uint8Array, '_open: bytes');
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv: raw.slice(0, 12), additionalData: enc.encode(doc.id) }, keys.key, raw.slice(12))
+            .then(function (pt) {
+                var rec = JSON.parse(new TextDecoder().decode(pt));
+                if (!rec || String(rec.id) !== doc.id) return null;
+                rec._pushed = doc._pushed;
+                return rec;
+            })
+            .catch(function () { console.warn('[CalendarSync] document did not decrypt, skipped:', doc.id); return null; });
+    }
+
+    static _b64(bytes) {
+        var s = '';
+        for (var i = 0; i < bytes.length; i += 8192) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+        return btoa(s);
+    }
+    static _unb64(str) {
+        var s = atob(String(str || '')), out = new Uint8Array(s.length);
+        for (var i = 0; i < s.length; i++) out[i] = s.charCodeAt(i);
+        return out;
+    }
+
+    // Queue every local record (new space / rotated key): they're re-encrypted as they're sent.
+    _seed() {
+        console.assert(this._all === null || typeof this._all === 'function', '_seed: all()');
+        console.assert(typeof this._outKey === 'string', '_seed: outbox');
+        var list = [];
+        try { list = this._all ? (this._all() || []) : []; } catch (e) { console.warn('[CalendarSync] seed failed:', e && e.message); }
+        var q = this._readOutbox();
+        list.slice(0, CalendarSync.OUTBOX_MAX).forEach(function (r) { if (r && r.id && !q[r.id]) q[r.id] = r; });
+        this._writeOutbox(q);
+        this._emitStatus();
+        this.flush();
+        return list.length;
     }
 
     attach(handlers) {
         console.assert(handlers && typeof handlers.onRemote === 'function', 'attach: onRemote required');
         console.assert(this._poll === null, 'attach: already attached');
         this.onRemote = handlers.onRemote;
+        this._all = typeof handlers.all === 'function' ? handlers.all : null;
+        if (window.addEventListener) { window.addEventListener('online', this._onNet); window.addEventListener('offline', this._onNet); }
+        if (typeof document !== 'undefined' && document.addEventListener) document.addEventListener('visibilitychange', this._onVisible);
         if (!this.enabled()) return false;        // local-only until configured
-        var self = this;
-        this.pull();
-        this._poll = setInterval(function () { self.pull(); }, this.pollMs);
+        this.flush();
+        this._schedule(0);
         return true;
     }
 
-    // Mirror one event to Firestore (PATCH = create-or-update). <=60 lines.
+    // Queue one record for the backend and try to send it now. <=60 lines.
     push(rec) {
         console.assert(rec && rec.id, 'push: record.id required');
-        console.assert(typeof this._base === 'function', 'push: base');
+        console.assert(this.adapter, 'push: adapter');
         if (!this.enabled()) return false;
-        var url = this._base() + '/' + encodeURIComponent(rec.id);
-        var body = JSON.stringify({ fields: this._encode(rec) });
-        fetch(url, { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: body })
-            .catch(function (e) { console.warn('[CalendarSync] push failed:', e && e.message); });
+        this._enqueue([rec]);
+        this._interval = CalendarSync.POLL_MIN_MS;    // others may answer soon: look sooner
+        if (this.onRemote && this._poll) this._schedule(this._interval);
         return true;
     }
 
-    pull() {
-        console.assert(typeof this._base === 'function', 'pull: base');
-        console.assert(this.onRemote === null || typeof this.onRemote === 'function', 'pull: onRemote');
-        if (!this.enabled() || !this.onRemote) return false;
+    // Outbox entries: records, or { id, _purge: true } to delete a document. Then flush.
+    _enqueue(list) {
+        console.assert(Array.isArray(list), '_enqueue: list');
+        console.assert(CalendarSync.OUTBOX_MAX > 0, '_enqueue: bound');
+        var q = this._readOutbox(), keys;
+        list.slice(0, CalendarSync.OUTBOX_MAX).forEach(function (rec) {
+            delete q[rec.id];                     // re-insert: the queue stays oldest-edit first
+            q[rec.id] = rec;
+        });
+        keys = Object.keys(q);
+        if (keys.length > CalendarSync.OUTBOX_MAX) keys.slice(0, keys.length - CalendarSync.OUTBOX_MAX).forEach(function (k) { delete q[k]; });
+        this._writeOutbox(q);
+        this._emitStatus();
+        this.flush();
+        return true;
+    }
+
+    _readOutbox() {
+        try {
+            var raw = window.localStorage ? window.localStorage.getItem(this._outKey) : null;
+            var q = raw ? JSON.parse(raw) : {};
+            return (q && typeof q === 'object' && !Array.isArray(q)) ? q : {};
+        } catch (e) { return {}; }
+    }
+    _writeOutbox(q) {
+        try { if (window.localStorage) window.localStorage.setItem(this._outKey, JSON.stringify(q)); }
+        catch (e) { console.warn('[CalendarSync] outbox not saved:', e && e.message); }
+        return true;
+    }
+
+    /**
+     * Send up to FLUSH_BATCH queued records (PATCH = create-or-update). Sent records leave the
+     * queue unless re-edited meanwhile; any failure schedules a backoff retry. <=60 lines.
+     */
+    flush() {
+        console.assert(typeof this._outKey === 'string', 'flush: outbox key');
+        console.assert(this._attempt >= 0, 'flush: attempt count');
+        if (!this.enabled() || this._flushing) return false;
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) { this._emitStatus(); return false; }
+        var self = this, q = this._readOutbox(), ids = Object.keys(q).slice(0, CalendarSync.FLUSH_BATCH);
+        if (!ids.length) return false;
+        this._flushing = true;
+        return Promise.all(ids.map(function (id) {
+            return self._send(q[id]).then(function (res) { return { id: id, json: JSON.stringify(q[id]), res: res }; });
+        })).then(function (results) {
+            var now = self._readOutbox(), failed = false;
+            results.forEach(function (r) {
+                if (r.res === false) { failed = true; return; }
+                if (now[r.id] && JSON.stringify(now[r.id]) === r.json) delete now[r.id];
+            });
+            self._writeOutbox(now);
+            self._flushing = false;
+            if (failed) self._scheduleRetry();
+            else { self._attempt = 0; self.lastError = ''; if (Object.keys(now).length) setTimeout(function () { self.flush(); }, 0); }
+            self._emitStatus();
+            return !failed;
+        });
+    }
+
+    // One encrypted write through the adapter. Resolves true (stored), 'rejected' (400: the
+    // record itself is bad — dropped rather than retried forever) or false (network / server
+    // trouble: retry later).
+    // A { id, _purge } entry deletes the document instead (a 404 means it is already gone).
+    _send(rec) {
+        console.assert(rec && rec.id, '_send: record');
+        console.assert(typeof this.adapter.put === 'function', '_send: adapter');
         var self = this;
-        fetch(this._base(), { method: 'GET' })
-            .then(function (r) { return r && r.ok ? r.json() : null; })
-            .then(function (data) {
-                var docs = (data && data.documents) || [];
-                var list = docs.slice(0, 5000).map(function (d) { return self._decode(d.fields); }).filter(Boolean);
-                self.onRemote(list);
+        return this._keysNow().then(function (keys) {
+            if (rec._purge) return self.adapter.remove(keys.space, self.collection, rec.id);
+            return self._seal(rec, keys).then(function (doc) { return self.adapter.put(keys.space, self.collection, doc); });
+        })
+            .then(function (r) {
+                if (r && (r.ok || (rec._purge && r.status === 404))) { self._noteSent(rec); return true; }
+                self.lastError = 'HTTP ' + (r ? r.status : '?');
+                if (r && r.status === 400) { console.warn('[CalendarSync] record rejected, dropped:', rec.id); return 'rejected'; }
+                return false;
             })
-            .catch(function (e) { console.warn('[CalendarSync] pull failed:', e && e.message); });
+            .catch(function (e) { self.lastError = (e && e.message) || 'network error'; return false; });
+    }
+
+    _scheduleRetry() {
+        console.assert(this._attempt >= 0, '_scheduleRetry: attempt');
+        console.assert(CalendarSync.RETRY_BASE_MS > 0, '_scheduleRetry: base delay');
+        if (this._retry) return false;
+        var self = this, delay = Math.min(CalendarSync.RETRY_MAX_MS, CalendarSync.RETRY_BASE_MS * Math.pow(2, Math.min(this._attempt, 16)));
+        this._attempt++;
+        this._retry = setTimeout(function () { self._retry = null; self.flush(); }, Math.round(delay * (0.8 + Math.random() * 0.4)));
         return true;
     }
 
-    detach() {
-        if (this._poll) { clearInterval(this._poll); this._poll = null; }
-        this.onRemote = null;
+    // Back online: retry right away, with a fresh backoff. Offline: just refresh the status.
+    _handleNet(e) {
+        this._emitStatus();
+        if (!e || e.type !== 'online') return;
+        if (this._retry) { clearTimeout(this._retry); this._retry = null; }
+        this._attempt = 0;
+        this.flush();
+    }
+
+    /** Records waiting to reach Firestore. */
+    pending() { return Object.keys(this._readOutbox()).length; }
+
+    /** { enabled, pending, online, retrying, lastError } for the sync pills. */
+    status() {
+        return {
+            enabled: this.enabled(), pending: this.enabled() ? this.pending() : 0,
+            online: typeof navigator === 'undefined' || navigator.onLine !== false,
+            retrying: !!this._retry, lastError: this.lastError
+        };
+    }
+
+    onStatus(fn) {
+        console.assert(typeof fn === 'function', 'onStatus: fn');
+        console.assert(Array.isArray(this._statusFns), 'onStatus: listeners');
+        this._statusFns.push(fn);
+        return true;
+    }
+    _emitStatus() {
+        var st = this.status();
+        this._statusFns.forEach(function (fn) { try { fn(st); } catch (e) { /* isolate */ } });
         return true;
     }
 
-    // ---- Firestore typed-value (de)serialization (field-agnostic) ----------
-    // Encodes any flat record of string/number/boolean values, so this adapter is reusable
-    // across modules (calendar events, notes, …). <=60 lines.
-    _encode(rec) {
-        console.assert(rec && typeof rec === 'object', '_encode: record');
-        console.assert(rec.id != null, '_encode: record.id required');
-        var fields = {};
-        Object.keys(rec).slice(0, 50).forEach(function (k) {
-            var v = rec[k];
-            if (typeof v === 'boolean') fields[k] = { booleanValue: v };
-            else if (typeof v === 'number' && Number.isFinite(v)) fields[k] = { integerValue: String(Math.trunc(v)) };
-            else fields[k] = { stringValue: String(v == null ? '' : v) };
+    // ---- pulling ------------------------------------------------------------------
+    // Next pull in `ms`, replacing any pull already scheduled.
+    _schedule(ms) {
+        console.assert(Number.isFinite(ms) && ms >= 0, '_schedule: delay');
+        console.assert(this._interval > 0, '_schedule: interval');
+        var self = this;
+        if (this._poll) clearTimeout(this._poll);
+        this._poll = setTimeout(function () {
+            self._poll = null;
+            var p = self.pull();
+            var after = function (n) {
+                self._interval = n > 0 ? CalendarSync.POLL_MIN_MS : Math.min(CalendarSync.POLL_MAX_MS, Math.round(self._interval * 1.5));
+                if (self.onRemote && self.enabled() && !self._poll) self._schedule(self._interval);
+            };
+            if (p && typeof p.then === 'function') p.then(after); else after(0);
+        }, ms);
+        return true;
+    }
+
+    _handleVisible() {
+        if (typeof document === 'undefined' || document.visibilityState !== 'visible') return;
+        if (this.onRemote && this.enabled()) { this._interval = CalendarSync.POLL_MIN_MS; this._schedule(0); }
+    }
+
+    _readCursor() {
+        try {
+            var c = JSON.parse((window.localStorage && window.localStorage.getItem(this._cursorKey)) || 'null');
+            return c && c.code === this.syncCode && c.e2e ? Number(c.at) || 0 : 0;   // pre-encryption cursors: re-list
+        } catch (e) { return 0; }
+    }
+    _saveCursor(at) {
+        try { if (window.localStorage) window.localStorage.setItem(this._cursorKey, JSON.stringify({ code: this.syncCode, e2e: 1, at: at })); }
+        catch (e) { /* next pull is just a full one */ }
+        return true;
+    }
+
+    /**
+     * Fetch what changed since the saved cursor (everything, the first time) and hand it to
+     * onRemote page by page. Resolves to the number of documents received (0 on failure).
+     */
+    pull() {
+        console.assert(typeof this.adapter.list === 'function', 'pull: adapter');
+        console.assert(this.onRemote === null || typeof this.onRemote === 'function', 'pull: onRemote');
+        if (!this.enabled() || !this.onRemote || this._pulling) return false;
+        var self = this, since = this._readCursor(), max = since, code = this.syncCode;
+        this._pulling = true;
+        return this._keysNow().then(function (keys) {
+            function take(docs) {                        // decrypt one page, hand it over, count it
+                return Promise.all(docs.map(function (d) { return self._open(d, keys); })).then(function (recs) {
+                    recs.forEach(function (r) { if (r) max = Math.max(max, Number(r._pushed) || 0); });
+                    var list = self._noteReceived(recs.filter(Boolean));
+                    list.forEach(function (r) { delete r._pushed; });
+                    if (list.length && self.onRemote) self.onRemote(list);
+                    return list.length;
+                });
+            }
+            var opts = { since: since > 0 ? since - CalendarSync.SKEW_MS : null, pageSize: CalendarSync.PAGE_SIZE, maxPages: CalendarSync.MAX_PAGES };
+            return self.adapter.list(keys.space, self.collection, opts, take);
+        }).then(function (n) {
+            if (self.syncCode !== code) return n;       // rotated mid-pull: the new space lists afresh
+            if (max > since) self._saveCursor(max);
+            if (since === 0) {                           // first listing of this space: deltas from now on,
+                if (max <= since) self._saveCursor(1);   // and make sure all our records are in it
+                self._seed();
+            }
+            self._checkpoint(Math.max(max, since));
+            return n;
+        }).catch(function (e) {
+            console.warn('[CalendarSync] pull failed:', e && e.message);
+            return 0;
+        }).then(function (n) { self._pulling = false; return n; });
+    }
+
+    // ---- tombstone GC ---------------------------------------------------------------
+    // { code, peers: { device: { at, seen } }, tombs: { id: _pushed }, published } for this
+    // collection and sync code; another code (another space) starts empty.
+    _readGc() {
+        console.assert(typeof this._gcKey === 'string', '_readGc: key');
+        console.assert(typeof this.syncCode === 'string', '_readGc: code');
+        try {
+            var g = JSON.parse((window.localStorage && window.localStorage.getItem(this._gcKey)) || 'null');
+            if (g && g.code === this.syncCode && g.peers && g.tombs) return g;
+        } catch (e) { /* corrupt: start over, nothing is purged until peers check in again */ }
+        return { code: this.syncCode, peers: {}, tombs: {}, published: 0 };
+    }
+    _writeGc(g) {
+        console.assert(g && g.peers && g.tombs, '_writeGc: state');
+        console.assert(g.code === this.syncCode, '_writeGc: same code');
+        try { if (window.localStorage) window.localStorage.setItem(this._gcKey, JSON.stringify(g)); }
+        catch (e) { console.warn('[CalendarSync] GC state not saved:', e && e.message); }
+        return true;
+    }
+
+    // After a confirmed send the id's push time is unknown until a pull lists the document with
+    // the backend's stamp (_noteReceived); till then a tombstone is not purgeable.
+    _noteSent(rec) {
+        console.assert(rec && rec.id, '_noteSent: record');
+        console.assert(typeof this._gcKey === 'string', '_noteSent: GC key');
+        if (rec.id.indexOf(CalendarSync.CHECKPOINT_PREFIX) === 0) return false;
+        var g = this._readGc();
+        if (!(rec.id in g.tombs)) return false;
+        delete g.tombs[rec.id];
+        return this._writeGc(g);
+    }
+
+    // Split a pulled page: peers' checkpoints are recorded (never handed to the store), and
+    // tombstones' push times noted. Returns the ordinary records.
+    _noteReceived(recs) {
+        console.assert(Array.isArray(recs), '_noteReceived: records');
+        console.assert(recs.length <= CalendarSync.PAGE_SIZE * 10, '_noteReceived: one page');
+        var g = this._readGc(), me = typeof RecordMerge !== 'undefined' ? RecordMerge.device() : '', prefix = CalendarSync.CHECKPOINT_PREFIX;
+        var out = recs.filter(function (r) {
+            if (r.id.indexOf(prefix) !== 0) {
+                if (r.deleted) g.tombs[r.id] = Math.max(g.tombs[r.id] || 0, Number(r._pushed) || 0);
+                else delete g.tombs[r.id];
+                return true;
+            }
+            var dev = r.id.slice(prefix.length), at = Number(r.checkpoint) || 0, seen = Number(r.updated) || 0;
+            if (dev !== me && (!g.peers[dev] || g.peers[dev].seen <= seen)) g.peers[dev] = { at: at, seen: seen };
+            return false;
         });
-        return fields;
-    }
-    _decode(f) {
-        if (!f || !f.id) return null;
-        var rec = {};
-        Object.keys(f).slice(0, 50).forEach(function (k) {
-            var v = f[k];
-            if (v && Object.prototype.hasOwnProperty.call(v, 'booleanValue')) rec[k] = !!v.booleanValue;
-            else if (v && Object.prototype.hasOwnProperty.call(v, 'integerValue')) rec[k] = Number(v.integerValue) || 0;
-            else rec[k] = (v && v.stringValue) || '';
+        if (recs.length) this._writeGc(g);
+        return out;
+    }
+
+    // Tell the other devices how far we have pulled (at most every CHECKPOINT_MS).
+    _checkpoint(at) {
+        console.assert(Number.isFinite(at), '_checkpoint: cursor');
+        console.assert(CalendarSync.CHECKPOINT_MS > 0, '_checkpoint: interval');
+        if (at <= 1 || typeof RecordMerge === 'undefined') return false;
+        var g = this._readGc(), now = Date.now();
+        if (now - g.published < CalendarSync.CHECKPOINT_MS) return false;
+        g.published = now;
+        this._writeGc(g);
+        this._enqueue([{ id: CalendarSync.CHECKPOINT_PREFIX + RecordMerge.device(), checkpoint: at, updated: now, deleted: false }]);
+        return true;
+    }
+
+    /**
+     * Which of these (old, local) tombstones every recently seen device has pulled, so the
+     * store may forget them. Unknown push time, or still queued: not yet.
+     */
+    purgeable(ids) {
+        console.assert(Array.isArray(ids), 'purgeable: ids');
+        console.assert(CalendarSync.PEER_STALE_MS > 0, 'purgeable: staleness');
+        if (!this.enabled()) return [];
+        var g = this._readGc(), q = this._readOutbox(), now = Date.now(), limit = Infinity;
+        Object.keys(g.peers).slice(0, CalendarSync.OUTBOX_MAX).forEach(function (dev) {
+            var p = g.peers[dev];
+            if (now - p.seen <= CalendarSync.PEER_STALE_MS) limit = Math.min(limit, p.at - CalendarSync.SKEW_MS);
         });
-        return rec.id ? rec : null;
+        return ids.filter(function (id) { return g.tombs[id] > 0 && g.tombs[id] <= limit && !(id in q); });
+    }
+
+    /** Delete these tombstones from the backend too (queued like any push). */
+    purge(ids) {
+        console.assert(Array.isArray(ids), 'purge: ids');
+        console.assert(ids.length <= CalendarSync.OUTBOX_MAX, 'purge: bounded');
+        if (!this.enabled() || !ids.length) return false;
+        return this._enqueue(ids.map(function (id) { return { id: id, _purge: true }; }));
+    }
+
+    detach() {
+        if (this._poll) { clearTimeout(this._poll); this._poll = null; }
+        if (typeof document !== 'undefined' && document.removeEventListener) document.removeEventListener('visibilitychange', this._onVisible);
+        if (this._retry) { clearTimeout(this._retry); this._retry = null; }   // the outbox stays saved for next time
+        if (window.removeEventListener) { window.removeEventListener('online', this._onNet); window.removeEventListener('offline', this._onNet); }
+        this._statusFns = [];
+        this.onRemote = null;
+        return true;
     }
+
+    // Firestore typed values for any flat record (kept here for callers and tests; the
+    // codec itself lives with the Firestore adapter).
+    _encode(rec) { return FirestoreSyncAdapter.encode(rec); }
+    _decode(f) { return FirestoreSyncAdapter.decode(f); }
 }
 
 if (typeof window !== 'undefined') window.CalendarSync = CalendarSync;
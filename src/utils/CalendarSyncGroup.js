@@ -0,0 +1,223 @@
+// CalendarSyncGroup.js — routes CalendarStore's sync across several sync codes: the main
+// calendar code (a CalendarSync) plus one CalendarSync per calendar that has its OWN code
+// (CalendarList.js), so sharing "Work" with a colleague shares only Work's events.
+//
+// It has the adapter contract CalendarStore expects (attach / push / pull / enabled / status /
+// onStatus / pending / purgeable / purge / detach / syncCode / setSyncCode), so the store does
+// not know it is talking to more than one space:
+//   - push(rec, prev) goes to the route of rec.calendarId. When an edit moves an event to a
+//     calendar with another route, the old route gets a tombstone of it (a hair older than the
+//     edit, so it never wins against the moved record on devices that see both routes).
+//   - Records pulled from a calendar's own code take that calendar's LOCAL id: the colleague's
+//     device knows the same calendar under its own id.
+//   - all() (seeding a new space) is split the same way: each route seeds only its events.
+// A calendar whose code equals the main code is simply on the main route. Per-calendar
+// instances keep their local state apart (CalendarSync opts.scope = calendar id) and never
+// save their code themselves: it lives, synced, in the calendar list.
+//
+// classic script, window global. NASA Power-of-10: >=2 asserts/method, <=60 lines, bounded.
+
+class CalendarSyncGroup {
+    constructor(opts) {
+        console.assert(typeof window !== 'undefined', 'CalendarSyncGroup: window required');
+        console.assert(!opts || typeof opts === 'object', 'CalendarSyncGroup: opts object');
+        var o = opts || {}, self = this;
+        this.main = o.main || new CalendarSync();
+        this.syncCode = this.main.syncCode;
+        this._make = o.make || function (cal) {
+            return new CalendarSync({ collection: 'events', scope: cal.id, codeKey: null, syncCode: cal.syncCode });
+        };
+        this._routes = new Map();         // calendar id -> { code, sync }
+        this._list = [];                  // last calendars given to setCalendars
+        this._handlers = null;            // the store's { onRemote, all } once attached
+        this._statusFns = [];
+        this._onStatus = function () { self._emitStatus(); };
+        if (typeof this.main.onStatus === 'function') this.main.onStatus(this._onStatus);
+    }
+
+    static get MAX_ROUTES() { return 20; }          // = CalendarList.MAX_CALENDARS
+    static get DEFAULT_CALENDAR() { return 'default'; }
+
+    _calOf(rec) { return String((rec && rec.calendarId) || CalendarSyncGroup.DEFAULT_CALENDAR); }
+
+    // The CalendarSync that carries calendar `calId`'s events.
+    _route(calId) {
+        console.assert(calId != null, '_route: calendar id');
+        console.assert(this._routes instanceof Map, '_route: routes map');
+        var r = this._routes.get(String(calId));
+        return r ? r.sync : this.main;
+    }
+
+    // The store's records that travel on route `sync`.
+    _recordsFor(sync) {
+        console.assert(sync && typeof sync.push === 'function', '_recordsFor: sync');
+        console.assert(this._handlers, '_recordsFor: attached');
+        var self = this, list = [];
+        try { list = (this._handlers.all && this._handlers.all()) || []; } catch (e) { return []; }
+        return list.filter(function (r) { return r && self._route(self._calOf(r)) === sync; });
+    }
+
+    /**
+     * Match the per-calendar routes to `calendars` (CalendarList.list()): start one for each new
+     * own code, stop those whose calendar is gone or back on the main code. A calendar leaving
+     * its own code re-sends its events on the main route. Returns true when routes changed.
+     */
+    setCalendars(calendars) {
+        console.assert(Array.isArray(calendars), 'setCalendars: calendars');
+        console.assert(calendars.length <= 200, 'setCalendars: bounded');
+        var self = this, want = new Map(), changed = false, back = [];
+        this._list = calendars.slice(0, CalendarSyncGroup.MAX_ROUTES);
+        this._list.forEach(function (c) {
+            if (c && c.id && c.syncCode && c.syncCode !== self.main.syncCode) want.set(String(c.id), c);
+        });
+        this._routes.forEach(function (r, id) {
+            var c = want.get(id);
+            if (c && c.syncCode === r.code) return;
+            r.sync.detach();
+            self._routes.delete(id);
+            if (!c) back.push(id);
+            changed = true;
+        });
+        want.forEach(function (c, id) {
+            if (self._routes.has(id)) return;
+            var sync = self._make(c);
+            self._routes.set(id, { code: c.syncCode, sync: sync });
+            if (typeof sync.onStatus === 'function') sync.onStatus(self._onStatus);
+            if (self._handlers) self._attachRoute(id, sync);
+            changed = true;
+        });
+        if (this._handlers && back.length) {
+            this._recordsFor(this.main).forEach(function (r) { if (back.indexOf(self._calOf(r)) >= 0) self.main.push(r); });
+        }
+        if (changed) this._emitStatus();
+        return changed;
+    }
+
+    _attachRoute(calId, sync) {
+        console.assert(typeof calId === 'string', '_attachRoute: calendar id');
+        console.assert(this._handlers, '_attachRoute: attached');
+        var self = this;
+        return sync.attach({
+            onRemote: function (list) {
+                self._handlers.onRemote(list.map(function (r) { return Object.assign({}, r, { calendarId: calId }); }));
+            },
+            all: function () { return self._recordsFor(sync); }
+        });
+    }
+
+    attach(handlers) {
+        console.assert(handlers && typeof handlers.onRemote === 'function', 'attach: onRemote required');
+        console.assert(this._handlers === null, 'attach: already attached');
+        var self = this;
+        this._handlers = handlers;
+        this._routes.forEach(function (r, id) { self._attachRoute(id, r.sync); });
+        return this.main.attach({ onRemote: handlers.onRemote, all: function () { return self._recordsFor(self.main); } });
+    }
+
+    // Send `rec` on its calendar's route; `prev` (the record before this edit) tells a move.
+    push(rec, prev) {
+        console.assert(rec && rec.id, 'push: record.id required');
+        console.assert(!prev || prev.id === rec.id, 'push: same record');
+        var to = this._route(this._calOf(rec));
+        if (prev && !prev.deleted) {
+            var from = this._route(this._calOf(prev));
+            if (from !== to) from.push(Object.assign({}, prev, { deleted: true, updated: (Number(rec.updated) || Date.now()) - 1, stamps: '' }));
+        }
+        return to.push(rec);
+    }
+
+    pull() {
+        console.assert(this.main && typeof this.main.pull === 'function', 'pull: main sync');
+        console.assert(this._routes.size <= CalendarSyncGroup.MAX_ROUTES, 'pull: bounded');
+        var all = [this.main].concat(this._syncs()).map(function (s) { return Promise.resolve(s.pull()).then(function (n) { return Number(n) || 0; }); });
+        return Promise.all(all).then(function (ns) { return ns.reduce(function (a, b) { return a + b; }, 0); });
+    }
+
+    _syncs() {
+        var out = [];
+        this._routes.forEach(function (r) { out.push(r.sync); });
+        return out;
+    }
+
+    enabled() { return this.main.enabled() || this._syncs().some(function (s) { return s.enabled(); }); }
+
+    pending() { return [this.main].concat(this._syncs()).reduce(function (n, s) { return n + (s.enabled() ? s.pending() : 0); }, 0); }
+
+    /** CalendarSync.status() summed over every route (the first error wins). */
+    status() {
+        console.assert(typeof this.main.status === 'function', 'status: main sync');
+        console.assert(this._routes.size <= CalendarSyncGroup.MAX_ROUTES, 'status: bounded');
+        var st = this.main.status();
+        this._syncs().forEach(function (s) {
+            var o = s.status();
+            st.enabled = st.enabled || o.enabled;
+            st.pending += o.pending;
+            st.retrying = st.retrying || o.retrying;
+            st.lastError = st.lastError || o.lastError;
+        });
+        return st;
+    }
+
+    onStatus(fn) {
+        console.assert(typeof fn === 'function', 'onStatus: fn');
+        console.assert(Array.isArray(this._statusFns), 'onStatus: listeners');
+        this._statusFns.push(fn);
+        return true;
+    }
+    _emitStatus() {
+        var st = this.status();
+        this._statusFns.forEach(function (fn) { try { fn(st); } catch (e) { /* isolate */ } });
+        return true;
+    }
+
+    /** The main code; calendars that had the new code as their own now share the main route. */
+    setSyncCode(code) {
+        console.assert(typeof code === 'string', 'setSyncCode: string');
+        console.assert(Array.isArray(this._list), 'setSyncCode: calendars');
+        this.main.setSyncCode(code);
+        this.syncCode = this.main.syncCode;
+        this.setCalendars(this._list);
+        return true;
+    }
+
+    // Tombstone GC, asked of the route each tombstone travels on.
+    _byRoute(ids) {
+        console.assert(Array.isArray(ids), '_byRoute: ids');
+        console.assert(ids.length <= 50000, '_byRoute: bounded');
+        var self = this, cal = new Map(), groups = new Map();
+        if (this._handlers && this._handlers.all) (this._handlers.all() || []).forEach(function (r) { if (r && r.id) cal.set(String(r.id), self._calOf(r)); });
+        ids.forEach(function (id) {
+            var s = self._route(cal.get(String(id)) || CalendarSyncGroup.DEFAULT_CALENDAR);
+            if (!groups.has(s)) groups.set(s, []);
+            groups.get(s).push(id);
+        });
+        return groups;
+    }
+
+    purgeable(ids) {
+        console.assert(Array.isArray(ids), 'purgeable: ids');
+        console.assert(this.main, 'purgeable: main sync');
+        var out = [];
+        this._byRoute(ids).forEach(function (list, s) { if (s.enabled()) out = out.concat(s.purgeable(list)); });
+        return out;
+    }
+
+    purge(ids) {
+        console.assert(Array.isArray(ids), 'purge: ids');
+        console.assert(this.main, 'purge: main sync');
+        this._byRoute(ids).forEach(function (list, s) { s.purge(list); });
+        return true;
+    }
+
+    detach() {
+        this.main.detach();
+        this._syncs().forEach(function (s) { s.detach(); });
+        this._routes.clear();
+        this._handlers = null;
+        this._statusFns = [];
+        return true;
+    }
+}
+
+if (typeof window !== 'undefined') window.CalendarSyncGroup = CalendarSyncGroup;
+if (typeof module !== 'undefined' && module.exports) module.exports = { CalendarSyncGroup: CalendarSyncGroup };
@@ -51,6 +51,34 @@ const GlobeMath = {
         while (lng < -180) lng += 360;
         while (lng > 180) lng -= 360;
         return { lat: lat, lng: lng };
+    },
+
+    /**
+     * The view that fits every point ("bring everyone into view"): the centre is the normalised
+     * mean of the points' unit vectors (the first point when they cancel out); the distance, in
+     * radii from the centre, keeps the farthest point inside `halfFovDeg` with a 20 % margin
+     * and on the near side of the horizon. Never closer than 1.5 radii.
+     * @param {Array<{lat:number, lng:number}>} points
+     * @param {number} halfFovDeg - the narrower half field of view of the camera
+     * @returns {{lat:number, lng:number, distance:number, spreadDeg:number}|null} null if no points
+     */
+    frameLatLngs(points, halfFovDeg) {
+        console.assert(Array.isArray(points), 'GlobeMath.frameLatLngs: points required');
+        console.assert(Number.isFinite(halfFovDeg) && halfFovDeg > 0, 'GlobeMath.frameLatLngs: fov invalid');
+        const unit = points.slice(0, 1000)
+            .filter((p) => p && Number.isFinite(p.lat) && Number.isFinite(p.lng))
+            .map((p) => this.latLngToVector3(Math.max(-90, Math.min(90, p.lat)), p.lng, 1));
+        if (!unit.length) return null;
+        const c = unit.reduce((acc, v) => acc.add(v), new THREE.Vector3());
+        if (c.lengthSq() < 1e-6) c.copy(unit[0]);
+        c.normalize();
+        let spread = 0;
+        unit.forEach((v) => { spread = Math.max(spread, Math.acos(Math.max(-1, Math.min(1, v.dot(c))))); });
+        const theta = Math.min(spread, 80 * Math.PI / 180);           // beyond ~80° not all can face us
+        const a = Math.max(5, halfFovDeg) * 0.8 * Math.PI / 180;
+        const fit = Math.cos(theta) + Math.sin(theta) / Math.tan(a);
+        const ll = this.vector3ToLatLng(c, 1);
+        return { lat: ll.lat, lng: ll.lng, distance: Math.max(1.5, fit, 1 / Math.cos(theta)), spreadDeg: spread * 180 / Math.PI };
     }
 };
 
@@ -0,0 +1,332 @@
+// ICalendar.js — RFC 5545 (.ics) import/export for CalendarStore.
+//
+// Export: one VCALENDAR with a VEVENT per live record. Recurring series carry their RRULE
+// plus EXDATEs (the `exdates` field AND every tombstoned exception); edited occurrences
+// become override VEVENTs sharing the series UID with a RECURRENCE-ID.
+// Timed events carry their IANA zone as TZID (floating when the record has none); all-day
+// events use VALUE=DATE with an exclusive DTEND.
+// Import: VEVENTs map onto CalendarStore records; all-day (VALUE=DATE) -> allDay, timed ->
+// 'HH:MM' wall-clock + tz: TZID is kept when the browser knows the zone, UTC (…Z) times are
+// stored as UTC, anything else stays floating. DTEND or DURATION gives the end. Re-importing the same file updates in place: records
+// are matched by UID (our own exports use `<id>@mrcargon.github.io`), so nothing duplicates.
+// Reminders travel as VALARM components with a start-relative TRIGGER (see Reminders.js).
+//
+// classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
+// methods <=60 lines, graceful fallback (unreadable VEVENTs are skipped, never thrown).
+
+var ICalendar = {
+    UID_SUFFIX: '@mrcargon.github.io',
+    MAX_EVENTS: 5000,              // Rule 2: matches CalendarStore's own load bound
+    MAX_LINES: 200000,
+
+    // ---- export --------------------------------------------------------------
+    /** Serialise every live record of a CalendarStore to an .ics string (CRLF, folded). */
+    exportStore(store) {
+        console.assert(store && typeof store.all === 'function', 'ICalendar.exportStore: CalendarStore required');
+        console.assert(typeof this._fold === 'function', 'ICalendar.exportStore: fold helper');
+        var self = this, all = store.all(true), byId = new Map(), lines = [
+            'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//MrCargon//Calendar//EN', 'CALSCALE:GREGORIAN'
+        ];
+        all.forEach(function (e) { byId.set(String(e.id), e); });
+        all.slice(0, this.MAX_EVENTS).forEach(function (e) {
+            if (e.deleted) return;
+            var series = e.seriesId ? byId.get(e.seriesId) : null;
+            if (e.seriesId && (!series || series.deleted)) return;       // orphaned exception
+            self._vevent(e, series, all).forEach(function (l) { lines.push(l); });
+        });
+        lines.push('END:VCALENDAR');
+        return lines.map(function (l) { return self._fold(l); }).join('\r\n') + '\r\n';
+    },
+
+    // Lines of one VEVENT. `series` is set for an edited occurrence (override). <=60 lines.
+    _vevent(e, series, all) {
+        console.assert(e && e.id && e.date, '_vevent: record with id + date');
+        console.assert(Array.isArray(all), '_vevent: all records');
+        var owner = series || e, timed = !!e.time && !e.allDay;
+        var out = ['BEGIN:VEVENT', 'UID:' + this._esc(this.uidOf(owner)), 'DTSTAMP:' + this._stamp(e.updated)];
+        if (series) out.push('RECURRENCE-ID' + this._dt(e.id.slice(series.id.length + 1), series.allDay ? '' : series.time, series.tz));
+        out.push('DTSTART' + this._dt(e.date, timed ? e.time : '', e.tz));
+        if (!timed) out.push('DTEND;VALUE=DATE:' + this._compact(this._nextDay(e.endDate || e.date)));
+        else if (e.endTime) out.push('DTEND' + this._dt(e.endDate || e.date, e.endTime, e.tz));
+        out.push('SUMMARY:' + this._esc(e.title || ''));
+        if (e.notes) out.push('DESCRIPTION:' + this._esc(e.notes));
+        this._alarms(e).forEach(function (l) { out.push(l); });
+        if (!series && e.rrule) {
+            out.push('RRULE:' + String(e.rrule).replace(/^RRULE:/i, ''));
+            var ex = this._exdates(e, all), self = this;
+            var head = this._dt(ex[0] || e.date, timed ? e.time : '', e.tz);
+            if (ex.length) out.push('EXDATE' + head.slice(0, head.indexOf(':') + 1) + ex.map(function (d) {
+                return self._compact(d) + (timed ? 'T' + e.time.replace(':', '') + '00' + (e.tz === 'UTC' ? 'Z' : '') : '');
+            }).join(','));
+        }
+        out.push('END:VEVENT');
+        return out;
+    },
+
+    // One VALARM per reminder offset: "10" -> TRIGGER:-PT10M, "-540" -> TRIGGER:PT540M.
+    _alarms(e) {
+        console.assert(e && typeof e === 'object', '_alarms: record');
+        var out = [], title = this._esc(e.title || 'Reminder');
+        String(e.reminders || '').split(',').slice(0, 5).forEach(function (s) {
+            var n = s.trim() === '' ? NaN : Number(s);
+            if (!Number.isInteger(n)) return;
+            out.push('BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:' + title,
+                'TRIGGER:' + (n > 0 ? '-' : '') + 'PT' + Math.abs(n) + 'M', 'END:VALARM');
+        });
+        return out;
+    },
+
+    // Union of the series' own exdates and the original dates of its tombstoned exceptions.
+    _exdates(series, all) {
+        console.assert(series && series.id, '_exdates: series');
+        console.assert(Array.isArray(all), '_exdates: records');
+        var set = new Set();
+        String(series.exdates || '').split(',').forEach(function (d) { if (d.trim()) set.add(d.trim()); });
+        all.forEach(function (e) {
+            if (e.deleted && e.seriesId === series.id) set.add(e.id.slice(series.id.length + 1));
+        });
+        return Array.from(set).sort();
+    },
+
+    /** UID a record exports under: an imported UID is kept, our own ids get a stable suffix. */
+    uidOf(e) {
+        console.assert(e && e.id, 'ICalendar.uidOf: record');
+        return e.uid || (String(e.id) + this.UID_SUFFIX);
+    },
+
+    // ";VALUE=DATE:20261005" all-day, ";TZID=Asia/Tokyo:20261005T090000" zoned,
+    // ":20261005T090000" floating, ":20261005T090000Z" for UTC.
+    _dt(date, time, tz) {
+        if (!time) return ';VALUE=DATE:' + this._compact(date);
+        var v = this._compact(date) + 'T' + time.replace(':', '') + '00';
+        if (tz === 'UTC') return ':' + v + 'Z';
+        return (tz ? ';TZID=' + tz : '') + ':' + v;
+    },
+    _compact(iso) { return String(iso).replace(/-/g, ''); },
+    _stamp(ms) { return new Date(Number(ms) || Date.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''); },
+    _nextDay(iso) { return this._addDays(iso, 1); },
+    _esc(s) { return String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n'); },
+
+    // Fold to <=75 octets per physical line (RFC 5545 §3.1), never splitting a UTF-8 sequence.
+    _fold(line) {
+        console.assert(typeof line === 'string', '_fold: string');
+        var out = '', width = 0;
+        for (var i = 0; i < line.length; i++) {
+            var cp = line.codePointAt(i), bytes = 1;
+            if (cp >= 0x10000) bytes = 4; else if (cp >= 0x800) bytes = 3; else if (cp >= 0x80) bytes = 2;
+            if (width + bytes > 75) { out += '\r\n '; width = 1; }    // continuation lines start with one space
+            out += String.fromCodePoint(cp); width += bytes;
+            if (cp > 0xffff) i++;
+        }
+        return out;
+    },
+
+    // ---- import --------------------------------------------------------------
+    /**
+     * Parse .ics text into plain VEVENT objects:
+     * { uid, date, time, title, notes, rrule, exdates, reminders, recurrenceId, cancelled }. <=60 lines.
+     */
+    parse(text) {
+        console.assert(typeof text === 'string', 'ICalendar.parse: text');
+        console.assert(this.MAX_LINES > 0, 'ICalendar.parse: bound');
+        var lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).slice(0, this.MAX_LINES);
+        var events = [], cur = null, depth = 0, alarm = false;
+        for (var i = 0; i < lines.length && events.length < this.MAX_EVENTS; i++) {
+            var p = this._prop(lines[i]);
+            if (!p) continue;
+            if (p.name === 'BEGIN' && p.value.toUpperCase() === 'VEVENT') { cur = { exdates: [], alarms: [] }; depth = 0; continue; }
+            if (!cur) continue;
+            if (p.name === 'BEGIN') {                                      // nested: only a VALARM TRIGGER is read
+                depth++;
+                if (depth === 1) alarm = p.value.toUpperCase() === 'VALARM';
+                continue;
+            }
+            if (p.name === 'END' && depth > 0) { depth--; continue; }
+            if (p.name === 'END' && p.value.toUpperCase() === 'VEVENT') {
+                var ev = this._finish(cur);
+                if (ev) events.push(ev);
+                cur = null; continue;
+            }
+            if (depth === 0) this._apply(cur, p);
+            else if (alarm && depth === 1 && p.name === 'TRIGGER') this._trigger(cur, p);
+        }
+        return events;
+    },
+
+    // Split "NAME;PARAM=a;PARAM2=\"x:y\":value" respecting quoted params.
+    _prop(line) {
+        if (!line) return null;
+        var inQ = false, colon = -1;
+        for (var i = 0; i < line.length; i++) {
+            var c = line.charAt(i);
+            if (c === '"') inQ = !inQ;
+            else if (c === ':' && !inQ) { colon = i; break; }
+        }
+        if (colon < 1) return null;
+        var head = line.slice(0, colon).split(';'), params = {};
+        head.slice(1, 20).forEach(function (kv) {
+            var eq = kv.indexOf('=');
+            if (eq > 0) params[kv.slice(0, eq).toUpperCase()] = kv.slice(eq + 1).replace(/^"|"$/g, '');
+        });
+        return { name: head[0].toUpperCase(), params: params, value: line.slice(colon + 1) };
+    },
+
+    _apply(cur, p) {
+        console.assert(cur && p && p.name, '_apply: event + property');
+        var self = this;
+        if (p.name === 'UID') cur.uid = p.value.trim();
+        else if (p.name === 'SUMMARY') cur.title = this._unesc(p.value);
+        else if (p.name === 'DESCRIPTION') cur.notes = this._unesc(p.value);
+        else if (p.name === 'DTSTART') cur.start = this._when(p.value, p.params);
+        else if (p.name === 'DTEND') cur.end = this._when(p.value, p.params);
+        else if (p.name === 'DURATION') cur.duration = this._duration(p.value);
+        else if (p.name === 'RECURRENCE-ID') cur.recurrenceId = this._when(p.value, p.params);
+        else if (p.name === 'RRULE') cur.rrule = p.value.trim();
+        else if (p.name === 'STATUS') cur.cancelled = p.value.trim().toUpperCase() === 'CANCELLED';
+        else if (p.name === 'EXDATE') {
+            p.value.split(',').slice(0, 500).forEach(function (v) {
+                var w = self._when(v, p.params);
+                if (w) cur.exdates.push(w);
+            });
+        }
+        return true;
+    },
+
+    // Start-relative TRIGGER -> minutes before the start (absolute and END-related ones are
+    // skipped: a reminder here always hangs off the start).
+    _trigger(cur, p) {
+        console.assert(cur && Array.isArray(cur.alarms), '_trigger: event');
+        console.assert(p && p.name === 'TRIGGER', '_trigger: property');
+        if (p.params.VALUE === 'DATE-TIME' || p.params.RELATED === 'END') return false;
+        var m = /^([+-])?(P.*)$/.exec(String(p.value || '').trim());
+        if (!m || cur.alarms.length >= 5) return false;
+        if (!/^P(?:\d+W)?(?:\d+D)?(?:T(?:\d+H)?(?:\d+M)?(?:\d+S)?)?$/.test(m[2]) || /^PT?$/.test(m[2])) return false;
+        var mins = this._duration(m[2]), off = m[1] === '-' ? mins : -mins;
+        if (cur.alarms.indexOf(off) < 0) cur.alarms.push(off === 0 ? 0 : off);
+        return true;
+    },
+
+    // Resolve one collected VEVENT: end from DTEND/DURATION, EXDATE/RECURRENCE-ID expressed
+    // in the start's zone (a UTC exception of a zoned series names that zone's date). <=60 lines.
+    _finish(cur) {
+        if (!cur || !cur.start) return null;
+        var st = cur.start, self = this;
+        var inZone = function (w) { return w ? self._toZone(w, st.tz).date : ''; };
+        var end = cur.end ? this._toZone(cur.end, st.tz) : this._plus(st, cur.duration);
+        var endDate = '', endTime = '';
+        if (end && !st.time) endDate = this._prevDay(end.date) > st.date ? this._prevDay(end.date) : '';   // DTEND exclusive
+        else if (end && st.time) { endTime = end.time; endDate = end.date > st.date ? end.date : ''; }
+        return {
+            uid: cur.uid || '', date: st.date, time: st.time, endDate: endDate, endTime: endTime,
+            allDay: !st.time, tz: st.time ? st.tz : '', title: cur.title || '',
+            notes: cur.notes || '', rrule: cur.rrule || '', exdates: cur.exdates.map(inZone).filter(Boolean).join(','),
+            reminders: cur.alarms.slice().sort(function (a, b) { return a - b; }).join(','),
+            recurrenceId: inZone(cur.recurrenceId), cancelled: !!cur.cancelled
+        };
+    },
+
+    // DATE / DATE-TIME value -> { date:'YYYY-MM-DD', time:'HH:MM'|'', tz } exactly as written.
+    _when(value, params) {
+        var m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value || '').trim());
+        if (!m) return null;
+        var date = m[1] + '-' + m[2] + '-' + m[3];
+        if (!m[4] || (params && params.VALUE === 'DATE')) return { date: date, time: '', tz: '' };
+        var tz = '';
+        if (m[7]) tz = 'UTC';
+        else if (params && params.TZID && typeof TimeZone !== 'undefined' && TimeZone.isValid(params.TZID)) tz = params.TZID;
+        return { date: date, time: m[4] + ':' + m[5], tz: tz };
+    },
+
+    // Re-express `w` in zone `tz` (no-op for dates, same zones, or floating values).
+    _toZone(w, tz) {
+        if (!w.time || !w.tz || !tz || w.tz === tz || typeof TimeZone === 'undefined') return w;
+        var c = TimeZone.convert(w.date, w.time, w.tz, tz);
+        return { date: c.date, time: c.time, tz: tz };
+    },
+
+    // RFC 5545 DURATION ("PT1H30M", "P1D", "P2W") -> minutes; 0 when unreadable.
+    _duration(v) {
+        var m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(v || '').trim());
+        if (!m || m[1] === '-') return 0;
+        return (+m[2] || 0) * 10080 + (+m[3] || 0) * 1440 + (+m[4] || 0) * 60 + (+m[5] || 0);
+    },
+
+    // Start + DURATION minutes as an end value (all-day starts count whole days).
+    _plus(st, mins) {
+        if (!mins) return null;
+        if (!st.time) return { date: this._addDays(st.date, Math.max(1, Math.round(mins / 1440))), time: '', tz: '' };
+        var p = st.time.split(':'), total = (+p[0]) * 60 + (+p[1]) + mins, days = Math.floor(total / 1440);
+        var r = total % 1440;
+        return { date: this._addDays(st.date, days), time: String(Math.floor(r / 60)).padStart(2, '0') + ':' + String(r % 60).padStart(2, '0'), tz: st.tz };
+    },
+
+    _addDays(iso, n) {
+        var p = iso.split('-');
+        return new Date(Date.UTC(+p[0], +p[1] - 1, +p[2] + n)).toISOString().slice(0, 10);
+    },
+    _prevDay(iso) { return this._addDays(iso, -1); },
+
+    _unesc(s) {
+        return String(s).replace(/\\([\\;,nN])/g, function (_m, c) { return (c === 'n' || c === 'N') ? '\n' : c; });
+    },
+
+    /**
+     * Import .ics text into a CalendarStore in ONE batch (single persist, no per-event
+     * notifications). Deduplicates by UID. @returns {{added, updated, skipped}} <=60 lines.
+     */
+    importInto(store, text) {
+        console.assert(store && typeof store.batch === 'function', 'ICalendar.importInto: CalendarStore required');
+        console.assert(typeof text === 'string', 'ICalendar.importInto: text');
+        var self = this, res = { added: 0, updated: 0, skipped: 0 };
+        var events = this.parse(text), all = store.all(true);
+        // Masters first, so every override finds its series even if it came earlier in the file.
+        events.sort(function (a, b) { return (a.recurrenceId ? 1 : 0) - (b.recurrenceId ? 1 : 0); });
+        store.batch(function () {
+            events.forEach(function (ev) {
+                var kind = ev.recurrenceId ? self._importOverride(store, ev) : self._importMaster(store, ev, all);
+                res[kind]++;
+            });
+        }, { quiet: true });
+        return res;
+    },
+
+    // `all` is the pre-import record list, so a re-imported export compares its EXDATEs against
+    // the same union the export produced (exdates field + tombstoned exceptions).
+    _importMaster(store, ev, all) {
+        console.assert(store && ev, '_importMaster: store + event');
+        console.assert(Array.isArray(all), '_importMaster: records');
+        if (ev.cancelled) return 'skipped';
+        var cur = ev.uid ? store.findByUid(ev.uid) : null;
+        var rec = { id: cur ? cur.id : undefined, uid: ev.uid, date: ev.date, time: ev.time, endDate: ev.endDate,
+            endTime: ev.endTime, allDay: ev.allDay, tz: ev.tz, title: ev.title, notes: ev.notes, rrule: ev.rrule, reminders: ev.reminders,
+            exdates: ev.exdates.split(',').filter(Boolean).sort().join(',') };
+        var same = cur && !cur.deleted && this._exdates(cur, all).join(',') === rec.exdates &&
+            this._sameFields(cur, rec, ['date', 'time', 'endDate', 'endTime', 'tz', 'title', 'notes', 'rrule', 'reminders']);
+        if (same) return 'skipped';
+        store.upsert(rec);
+        return cur ? 'updated' : 'added';
+    },
+
+    _importOverride(store, ev) {
+        console.assert(store && ev && ev.recurrenceId, '_importOverride: store + override');
+        var series = ev.uid ? store.findByUid(ev.uid) : null;
+        if (!series || !series.rrule) return 'skipped';
+        var cur = store.get(series.id + '@' + ev.recurrenceId);
+        if (ev.cancelled) {
+            if (cur && cur.deleted) return 'skipped';
+            return store.removeOccurrence(series.id, ev.recurrenceId) ? 'updated' : 'skipped';
+        }
+        var changes = { date: ev.date, time: ev.time, endDate: ev.endDate, endTime: ev.endTime, allDay: ev.allDay,
+            tz: ev.tz, title: ev.title, notes: ev.notes, reminders: ev.reminders };
+        if (cur && !cur.deleted && this._sameFields(cur, changes, ['date', 'time', 'endDate', 'endTime', 'tz', 'title', 'notes', 'reminders'])) return 'skipped';
+        store.updateOccurrence(series.id, ev.recurrenceId, changes);
+        return 'updated';
+    },
+
+    _sameFields(a, b, keys) {
+        return keys.every(function (k) { return String(a[k] || '') === String(b[k] || ''); });
+    }
+};
+
+if (typeof window !== 'undefined') window.ICalendar = ICalendar;
+if (typeof module !== 'undefined' && module.exports) module.exports = { ICalendar: ICalendar };
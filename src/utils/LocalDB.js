@@ -0,0 +1,176 @@
+// LocalDB.js — where the local-first stores (CalendarStore, NotesStore) keep their data:
+// localStorage while it is small, IndexedDB once it outgrows it.
+//
+// localStorage is synchronous and simple, but small (~5 MB per origin, shared by every key)
+// and a full quota only shows up as an exception. The stores read and write through LocalDB
+// instead: a key stays in localStorage until its JSON passes MIGRATE_CHARS or a write hits
+// the quota; then the value MOVES to IndexedDB (one object store, same key) and localStorage
+// keeps a tiny stub '{"@idb":<rev>}' under the key. The stub tells readers where the data
+// lives and, because its rev changes on every IndexedDB write, cross-tab `storage` events keep
+// firing for the key. Without IndexedDB a write past the quota fails and is REPORTED (write()
+// resolves ok:false with an error for the UI) instead of vanishing into the console.
+//
+// classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
+// methods <=60 lines, graceful fallback.
+
+var LocalDB = {
+    DB_NAME: 'mrcargon',
+    STORE: 'kv',
+    PREFIX: 'mrcargon.',             // this app's localStorage keys (usage reporting)
+    MIGRATE_CHARS: 1500000,          // ~3 MB as UTF-16: leaves the rest of the quota to other keys
+    MAX_KEYS: 10000,
+    _db: null,                       // Promise<IDBDatabase>
+    _moved: {},                      // keys whose IndexedDB write started before their stub landed
+    _rev: 0,
+
+    supported() {
+        try { return typeof indexedDB !== 'undefined' && !!indexedDB; } catch (e) { return false; }
+    },
+
+    // Is `key` kept in IndexedDB (stub in localStorage, or a move in flight in this tab)?
+    _inIdb(key) {
+        if (this._moved[key]) return true;
+        try {
+            var raw = window.localStorage ? window.localStorage.getItem(key) : null;
+            return !!raw && raw.length < 64 && raw.indexOf('{"@idb":') === 0;
+        } catch (e) { return false; }
+    },
+
+    /** 'localStorage' or 'indexeddb'. */
+    where(key) {
+        console.assert(typeof key === 'string' && key, 'LocalDB.where: key');
+        return this._inIdb(key) ? 'indexeddb' : 'localStorage';
+    },
+
+    /**
+     * Read `key` and call fn(value | null). Synchronous while the key is in localStorage
+     * (returns true); asynchronous once it has moved to IndexedDB (returns false).
+     */
+    read(key, fn) {
+        console.assert(typeof key === 'string' && key, 'LocalDB.read: key');
+        console.assert(typeof fn === 'function', 'LocalDB.read: callback');
+        if (this._inIdb(key)) {
+            this._tx('readonly', function (os) { return os.get(key); })
+                .then(function (v) { fn(v === undefined ? null : v); })
+                .catch(function (err) { console.warn('[LocalDB] read failed:', key, err && err.message); fn(null); });
+            return false;
+        }
+        var v = null;
+        try {
+            var raw = window.localStorage ? window.localStorage.getItem(key) : null;
+            v = raw ? JSON.parse(raw) : null;
+        } catch (err) { console.warn('[LocalDB] read failed:', key, err && err.message); }
+        fn(v);
+        return true;
+    },
+
+    /**
+     * Save `value` (JSON-able) under `key`. The localStorage write happens before this returns;
+     * the promise resolves { ok, where, error } either way.
+     */
+    write(key, value) {
+        console.assert(typeof key === 'string' && key, 'LocalDB.write: key');
+        console.assert(value !== undefined, 'LocalDB.write: value');
+        if (this._inIdb(key)) return this._writeIdb(key, value);
+        var json = JSON.stringify(value);
+        if (json.length > this.MIGRATE_CHARS && this.supported()) return this._writeIdb(key, value);
+        try {
+            if (window.localStorage) window.localStorage.setItem(key, json);
+            return Promise.resolve({ ok: true, where: 'localStorage', error: '' });
+        } catch (err) {
+            if (this.supported()) return this._writeIdb(key, value);          // quota hit: move it
+            return Promise.resolve({ ok: false, where: 'localStorage', error: 'Storage full — ' + ((err && err.name) || 'quota exceeded') });
+        }
+    },
+
+    // Put into IndexedDB, then (re)write the stub, which also frees the old localStorage value.
+    _writeIdb(key, value) {
+        console.assert(typeof key === 'string' && key, '_writeIdb: key');
+        console.assert(this.supported(), '_writeIdb: IndexedDB');
+        var self = this;
+        this._moved[key] = true;            // later writes in this tab queue behind this one
+        return this._tx('readwrite', function (os) { return os.put(value, key); }).then(function () {
+            try {
+                window.localStorage.removeItem(key);
+                window.localStorage.setItem(key, '{"@idb":' + (Date.now() * 1000 + (self._rev++ % 1000)) + '}');
+            } catch (e) {
+                return { ok: false, where: 'indexeddb', error: 'Storage full — index entry not saved' };
+            }
+            return { ok: true, where: 'indexeddb', error: '' };
+        }).catch(function (err) {
+            return { ok: false, where: 'indexeddb', error: 'Storage full — ' + ((err && (err.name || err.message)) || 'IndexedDB write failed') };
+        });
+    },
+
+    _open() {
+        console.assert(this.supported(), '_open: IndexedDB');
+        console.assert(typeof this.STORE === 'string', '_open: store name');
+        if (this._db) return this._db;
+        var self = this;
+        this._db = new Promise(function (resolve, reject) {
+            var req = indexedDB.open(self.DB_NAME, 1);
+            req.onupgradeneeded = function () {
+                if (!req.result.objectStoreNames.contains(self.STORE)) req.result.createObjectStore(self.STORE);
+            };
+            req.onsuccess = function () { resolve(req.result); };
+            req.onerror = function () { self._db = null; reject(req.error); };
+        });
+        return this._db;
+    },
+
+    // One request in its own transaction; resolves with its result once the transaction commits.
+    // Transactions start in call order, so writes to a key land in the order they were made.
+    _tx(mode, fn) {
+        console.assert(mode === 'readonly' || mode === 'readwrite', '_tx: mode');
+        console.assert(typeof fn === 'function', '_tx: request builder');
+        var self = this;
+        return this._open().then(function (db) {
+            return new Promise(function (resolve, reject) {
+                var tx = db.transaction(self.STORE, mode), req = fn(tx.objectStore(self.STORE));
+                tx.oncomplete = function () { resolve(req.result); };
+                tx.onerror = tx.onabort = function () { reject(tx.error || req.error); };
+            });
+        });
+    },
+
+    /**
+     * What this app stores: { local: bytes of its localStorage keys, indexeddb: [keys moved
+     * there], usage, quota: the origin's totals from navigator.storage.estimate() (0 = unknown) }.
+     */
+    usage() {
+        console.assert(typeof this.PREFIX === 'string', 'LocalDB.usage: prefix');
+        console.assert(this.MAX_KEYS > 0, 'LocalDB.usage: bound');
+        var local = 0, moved = [];
+        try {
+            var ls = window.localStorage, n = ls ? Math.min(ls.length, this.MAX_KEYS) : 0;
+            for (var i = 0; i < n; i++) {
+                var k = ls.key(i), v = k ? ls.getItem(k) || '' : '';
+                if (!k || k.indexOf(this.PREFIX) !== 0) continue;
+                local += (k.length + v.length) * 2;                           // UTF-16
+                if (v.indexOf('{"@idb":') === 0) moved.push(k);
+            }
+        } catch (e) { /* storage blocked: report zeros */ }
+        var est = (typeof navigator !== 'undefined' && navigator.storage && typeof navigator.storage.estimate === 'function')
+            ? navigator.storage.estimate().catch(function () { return {}; }) : Promise.resolve({});
+        return est.then(function (e) {
+            return { local: local, indexeddb: moved, usage: Number(e && e.usage) || 0, quota: Number(e && e.quota) || 0 };
+        });
+    },
+
+    /** Days a store keeps tombstones: the store option, else SyncConfig.js's tombstoneDays, else 30. */
+    tombstoneDays(v) {
+        var cfg = (typeof window !== 'undefined' && window.MRCARGON_SYNC) || {};
+        var d = Number.isFinite(v) ? v : Number(cfg.tombstoneDays);
+        return Number.isFinite(d) && d >= 1 ? d : 30;
+    },
+
+    /** 1536 -> '1.5 KB'. */
+    formatBytes(n) {
+        var b = Math.max(0, Number(n) || 0), units = ['B', 'KB', 'MB', 'GB'], i = 0;
+        while (b >= 1024 && i < units.length - 1) { b /= 1024; i++; }
+        return (i === 0 ? String(b) : b.toFixed(b < 10 ? 1 : 0)) + ' ' + units[i];
+    }
+};
+
+if (typeof window !== 'undefined') window.LocalDB = LocalDB;
+if (typeof module !== 'undefined' && module.exports) module.exports = { LocalDB: LocalDB };
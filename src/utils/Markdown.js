@@ -0,0 +1,210 @@
+// Markdown.js — small, SAFE Markdown renderer for Notes (CommonMark subset).
+//
+// Safety model: every character of the source is HTML-escaped FIRST; the renderer only ever
+// adds its own fixed tags around escaped text, so raw HTML in a note shows up as text and can
+// never inject markup. Links are emitted only for http(s):, mailto:, relative and #anchor
+// URLs (never javascript: / data:); external ones open with rel="noopener noreferrer".
+//
+// Blocks: ATX headings, paragraphs (two trailing spaces = line break), fenced code (``` / ~~~),
+// blockquotes, horizontal rules, flat bullet / numbered lists and task lists (- [ ] / - [x]).
+// Inline: `code`, **bold**, *italic* / _italic_, ~~strike~~, [text](url), bare https:// links.
+// Task checkboxes carry data-task="<n>" (n = order of task lines in the source, outside code
+// and quotes) so the UI can flip one with toggleTask() and save the result.
+//
+// classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
+// methods <=60 lines, graceful fallback (anything unrecognised renders as a plain paragraph).
+
+var Markdown = {
+    MAX_LINES: 5000,             // Rule 2: longest note rendered
+    MAX_QUOTE_DEPTH: 3,
+    FENCE: /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/,
+    HEADING: /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/,
+    HR: /^\s{0,3}([-*_])(\s*\1){2,}\s*$/,
+    QUOTE: /^\s{0,3}>\s?(.*)$/,
+    ITEM: /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/,
+    TASK: /^\[([ xX])\]\s+(.*)$/,
+
+    /** Markdown source -> safe HTML string. */
+    render(src) {
+        console.assert(src == null || typeof src === 'string', 'Markdown.render: string');
+        console.assert(this.MAX_LINES > 0, 'Markdown.render: bound');
+        var lines = String(src || '').replace(/\r\n?/g, '\n').split('\n').slice(0, this.MAX_LINES);
+        return this._blocks(lines, { task: 0 }, 0);
+    },
+
+    // Block pass over `lines`. `ctx.task` numbers checkboxes; depth > 0 = inside a quote,
+    // where checkboxes are shown but not clickable. <=60 lines.
+    _blocks(lines, ctx, depth) {
+        console.assert(Array.isArray(lines), '_blocks: lines');
+        console.assert(ctx && depth <= this.MAX_QUOTE_DEPTH, '_blocks: context + depth');
+        var out = [], i = 0, m;
+        while (i < lines.length) {
+            var line = lines[i];
+            if (!line.trim()) { i++; continue; }
+            if ((m = this.FENCE.exec(line))) {
+                var code = [], close = new RegExp('^\\s{0,3}' + m[1].charAt(0) + '{' + m[1].length + ',}\\s*$');
+                for (i++; i < lines.length && !close.test(lines[i]); i++) code.push(lines[i]);
+                i++;                                               // closing fence (or end of note)
+                out.push('<pre class="md-code"><code' + (m[2] ? ' data-lang="' + this._esc(m[2]) + '"' : '') + '>' + this._esc(code.join('\n')) + '</code></pre>');
+            } else if ((m = this.HEADING.exec(line))) {
+                out.push('<h' + m[1].length + '>' + this.inline(m[2]) + '</h' + m[1].length + '>'); i++;
+            } else if (this.HR.test(line)) {
+                out.push('<hr>'); i++;
+            } else if (this.QUOTE.test(line)) {
+                var inner = [];
+                for (; i < lines.length && (m = this.QUOTE.exec(lines[i])); i++) inner.push(m[1]);
+                out.push('<blockquote>' + (depth < this.MAX_QUOTE_DEPTH ? this._blocks(inner, ctx, depth + 1) : this.inline(inner.join(' '))) + '</blockquote>');
+            } else if (this.ITEM.test(line)) {
+                i = this._list(lines, i, ctx, depth, out);
+            } else {
+                var para = [];
+                for (; i < lines.length && lines[i].trim() && !this._startsBlock(lines[i]); i++) para.push(lines[i]);
+                var self = this;
+                out.push('<p>' + para.map(function (l, k) {
+                    return self.inline(l.trim()) + (k < para.length - 1 ? (/ {2,}$/.test(l) ? '<br>' : '\n') : '');
+                }).join('') + '</p>');
+            }
+        }
+        return out.join('\n');
+    },
+
+    _startsBlock(line) {
+        return this.FENCE.test(line) || this.HEADING.test(line) || this.HR.test(line) || this.QUOTE.test(line) || this.ITEM.test(line);
+    },
+
+    // One run of list items (bullets or numbers, not mixed) starting at lines[i]; indented
+    // follow-on lines continue the previous item. Returns the next line index. <=60 lines.
+    _list(lines, i, ctx, depth, out) {
+        console.assert(this.ITEM.test(lines[i]), '_list: starts on an item');
+        console.assert(Array.isArray(out), '_list: output');
+        var ordered = /\d/.test(this.ITEM.exec(lines[i])[2]), items = [], m, start = parseInt(this.ITEM.exec(lines[i])[2], 10);
+        for (; i < lines.length; i++) {
+            var line = lines[i];
+            if ((m = this.ITEM.exec(line)) && /\d/.test(m[2]) === ordered) { items.push(m[3]); continue; }
+            if (items.length && line.trim() && /^\s+/.test(line) && !this._startsBlock(line)) { items[items.length - 1] += ' ' + line.trim(); continue; }
+            break;
+        }
+        var self = this, tasks = false;
+        var lis = items.map(function (text) {
+            var t = self.TASK.exec(text);
+            if (!t) return '<li>' + self.inline(text) + '</li>';
+            tasks = true;
+            var done = t[1] !== ' ', attr = depth === 0 ? ' data-task="' + (ctx.task++) + '"' : ' disabled';
+            return '<li class="md-task' + (done ? ' done' : '') + '"><label><input type="checkbox"' + attr + (done ? ' checked' : '') + '> ' +
+                '<span>' + self.inline(t[2]) + '</span></label></li>';
+        }).join('');
+        var tag = ordered ? 'ol' : 'ul';
+        out.push('<' + tag + (tasks ? ' class="md-tasks"' : '') + (ordered && start > 1 ? ' start="' + start + '"' : '') + '>' + lis + '</' + tag + '>');
+        return i;
+    },
+
+    /**
+     * Inline spans of ONE line -> safe HTML. Code spans and links are cut out first (as
+     * placeholders) so emphasis never reaches inside them. A code span may sit in a link's
+     * label but never in its URL: such a link stays text. <=60 lines.
+     */
+    inline(text) {
+        console.assert(text == null || typeof text === 'string', 'Markdown.inline: string');
+        console.assert(typeof this._esc === 'function', 'Markdown.inline: escaper');
+        var self = this, held = [];
+        var hold = function (html) { held.push(html); return '\u0000' + (held.length - 1) + '\u0000'; };
+        var s = String(text || '').replace(/\u0000/g, '');
+        s = s.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, function (_m, _t, code) { return hold('<code>' + self._esc(code.trim()) + '</code>'); });
+        s = s.replace(/\[([^\]\n]+)\]\(\s*([^)\s]+)(?:\s+"[^"]*")?\s*\)/g, function (m, label, url) {
+            return url.indexOf('\u0000') < 0 && self._safeUrl(url) ? hold(self._link(url, self._esc(label))) : m;
+        });
+        s = s.replace(/(^|[\s(])(https?:\/\/[^\s<>()\u0000]+[^\s<>().,;:!?'"\u0000])/g, function (_m, pre, url) {
+            return pre + hold(self._link(url, self._esc(url)));
+        });
+        s = this._esc(s)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/__(?=\S)([\s\S]*?\S)__(?!\w)/g, '<strong>$1</strong>')
+            .replace(/(^|[^*\w])\*(?=\S)([^*]*?\S)\*(?!\*)/g, '$1<em>$2</em>')
+            .replace(/(^|[^_\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+        for (var n = 0; n < 5 && s.indexOf('\u0000') >= 0; n++) {       // placeholders may nest once
+            s = s.replace(/\u0000(\d+)\u0000/g, function (_m, k) { return held[+k] || ''; });
+        }
+        return s;
+    },
+
+    // External targets open in a new tab, never with access to this window.
+    _link(url, labelHtml) {
+        var ext = /^(https?:|mailto:)/i.test(String(url).trim());
+        return '<a href="' + this._esc(url) + '"' + (ext ? ' target="_blank" rel="noopener noreferrer"' : '') + '>' + labelHtml + '</a>';
+    },
+
+    _safeUrl(url) {
+        var u = String(url || '').trim();
+        if (/^(https?:|mailto:)/i.test(u)) return true;
+        return !/^[a-z][a-z0-9+.-]*:/i.test(u);          // relative, /path, #anchor — no scheme at all
+    },
+
+    _esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;' }[c];
+        });
+    },
+
+    // ---- task lists ------------------------------------------------------------------
+    // Source line index of every clickable task, in data-task order (skips code and quotes).
+    _taskLines(lines) {
+        console.assert(Array.isArray(lines), '_taskLines: lines');
+        console.assert(typeof this.FENCE.test === 'function', '_taskLines: fence pattern');
+        var out = [], fence = null, m;
+        for (var i = 0; i < lines.length && i < this.MAX_LINES; i++) {
+            if (fence) { if (fence.test(lines[i])) fence = null; continue; }
+            if ((m = this.FENCE.exec(lines[i]))) { fence = new RegExp('^\\s{0,3}' + m[1].charAt(0) + '{' + m[1].length + ',}\\s*$'); continue; }
+            if ((m = this.ITEM.exec(lines[i])) && this.TASK.test(m[3])) out.push(i);
+        }
+        return out;
+    },
+
+    /** Flip task `n` ([ ] <-> [x]) in `src`; returns the new source (unchanged if no such task). */
+    toggleTask(src, n) {
+        console.assert(typeof src === 'string', 'Markdown.toggleTask: source');
+        console.assert(Number.isInteger(n) && n >= 0, 'Markdown.toggleTask: task index');
+        var nl = src.indexOf('\r\n') >= 0 ? '\r\n' : '\n', lines = src.split(/\r?\n/), at = this._taskLines(lines)[n];
+        if (at === undefined) return src;
+        lines[at] = lines[at].replace(/^(\s*(?:[-*+]|\d{1,9}[.)])\s+)\[([ xX])\]/, function (_m, head, mark) {
+            return head + (mark === ' ' ? '[x]' : '[ ]');
+        });
+        return lines.join(nl);
+    },
+
+    /** { done, total } over the clickable tasks of `src`. */
+    taskStats(src) {
+        console.assert(src == null || typeof src === 'string', 'Markdown.taskStats: string');
+        var lines = String(src || '').split(/\r?\n/), self = this, done = 0, idx = this._taskLines(lines);
+        console.assert(Array.isArray(idx), 'Markdown.taskStats: task lines');
+        idx.forEach(function (i) { if (self.TASK.exec(self.ITEM.exec(lines[i])[3])[1] !== ' ') done++; });
+        return { done: done, total: idx.length };
+    },
+
+    /**
+     * One-line HTML preview for note lists: block markers stripped (tasks become ☐ / ☑),
+     * cut to `max` characters of SOURCE text, then inline-rendered — so the cut can never
+     * split a tag. <=60 lines.
+     */
+    preview(src, max) {
+        console.assert(src == null || typeof src === 'string', 'Markdown.preview: string');
+        console.assert(max === undefined || max > 0, 'Markdown.preview: max');
+        var self = this, parts = [];
+        String(src || '').split(/\r?\n/).slice(0, 40).forEach(function (line) {
+            if (self.FENCE.test(line) || self.HR.test(line)) return;
+            var m, t = line;
+            if ((m = self.HEADING.exec(t))) t = m[2];
+            for (var q = 0; q < 3 && (m = self.QUOTE.exec(t)); q++) t = m[1];
+            if ((m = self.ITEM.exec(t))) {
+                var task = self.TASK.exec(m[3]);
+                t = task ? (task[1] === ' ' ? '☐ ' : '☑ ') + task[2] : m[3];
+            }
+            if (t.trim()) parts.push(t.trim());
+        });
+        var text = parts.join(' · ').slice(0, max || 80);
+        return this.inline(text);
+    }
+};
+
+if (typeof window !== 'undefined') window.Markdown = Markdown;
+if (typeof module !== 'undefined' && module.exports) module.exports = { Markdown: Markdown };
@@ -1,9 +1,28 @@
 // NotesStore.js — local-first notes store for the launcher's Notes module.
-// Same pattern as CalendarStore: on-device (localStorage), soft-delete tombstones,
-// last-write-wins merge, change events, pluggable sync adapter (CalendarSync with
-// collection:'notes'). Works fully OFFLINE; sync is additive.
+// Same pattern as CalendarStore: on-device (LocalDB: localStorage, IndexedDB once it grows),
+// soft-delete tombstones (compact() forgets old ones every device has synced), field-level
+// merge, change events, `storageError` on failed saves, pluggable sync adapter (CalendarSync
+// with collection:'notes'). Works fully OFFLINE; sync is additive.
 //
-// Note shape: { id, title, body, updated, deleted }
+// Note shape: { id, title, body, folder, tags, pinned, eventId, date, conflictOf, stamps, updated, deleted }
+//   folder — '' or a '/'-separated path ("Work/Projects"); a folder filter includes its subfolders
+//   tags   — comma-separated, lower-case, de-duplicated ("ideas,work"); a plain string rather
+//            than an array so records stay flat for CalendarSync's field-agnostic _encode/_decode
+//   pinned — pinned notes sort ahead of everything else
+//   eventId, date — the note's place in the Calendar: a note for an event carries the event id
+//            (a recurring event's SERIES id, with `date` = which occurrence; a one-off event
+//            leaves `date` empty so the note follows the event when it moves); a note for a day
+//            carries only `date` ('YYYY-MM-DD'). Both '' for an ordinary note
+//   stamps — per-field edit stamps; remote notes are merged field by field (RecordMerge.js), so
+//            a title edited on one device and the body on another both survive. When both
+//            devices changed the BODY at once, the losing text is kept as a "conflicted copy":
+//            a separate note with `conflictOf` = the original's id, until the user reconciles it
+//
+// Revision history (this device only, never synced): whenever a note's content is about to be
+// replaced — by an edit, a remote last-write-wins merge or a restore — the outgoing version is
+// snapshotted under `<key>.history`. Autosaves coalesce (at most one edit snapshot per
+// HISTORY_COALESCE_MS); remote overwrites and restores always snapshot. Bounded per note by
+// count and size, oldest dropped first.
 // classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
 // methods <=60 lines, pre-allocated structures, graceful fallback.
 
@@ -15,52 +34,232 @@ class NotesStore {
         this.key = o.key || 'mrcargon.notes';
         this.sync = o.sync || null;
         this._notes = new Map();          // id -> note
+        this._history = {};               // id -> [revision], oldest first
         this._listeners = [];
+        this.tombstoneDays = LocalDB.tombstoneDays(o.tombstoneDays);
+        this.storageError = '';
+        this._loading = false;            // notes still coming from IndexedDB
+        this._dirty = false;
         this._load();
-        if (this.sync && typeof this.sync.attach === 'function') {
-            var self = this;
-            this.sync.attach({ onRemote: function (list) { self._mergeRemote(list); } });
-        }
+        this._loadHistory();
+        if (!this._loading) this._attachSync();
+    }
+
+    static get MAX_RECORDS() { return 50000; }
+
+    _attachSync() {
+        console.assert(!this._loading, '_attachSync: notes loaded first');
+        if (!this.sync || typeof this.sync.attach !== 'function') return false;
+        var self = this;
+        this.sync.attach({
+            onRemote: function (list) { self._mergeRemote(list); },
+            all: function () { return Array.from(self._notes.values()); }     // incl. tombstones, for re-seeding
+        });
+        return true;
     }
 
     _load() {
         console.assert(typeof this.key === 'string', '_load: key required');
         console.assert(this._notes instanceof Map, '_load: notes map required');
-        try {
-            var raw = window.localStorage ? window.localStorage.getItem(this.key) : null;
-            var arr = raw ? JSON.parse(raw) : [];
-            if (!Array.isArray(arr)) arr = [];
-            var self = this;
-            arr.slice(0, 5000).forEach(function (n) { if (n && n.id) self._notes.set(String(n.id), n); });
-        } catch (err) {
-            console.warn('[NotesStore] load failed, starting empty:', err && err.message);
-        }
+        var self = this;
+        this._loading = LocalDB.where(this.key) === 'indexeddb';
+        LocalDB.read(this.key, function (arr) { self._loaded(arr); });
         return true;
     }
 
+    // Notes read from storage; a late (IndexedDB) load keeps newer notes merged or edited
+    // meanwhile, saves changes made meanwhile and attaches sync — as in CalendarStore.
+    _loaded(arr) {
+        console.assert(arr === null || typeof arr === 'object', '_loaded: list');
+        console.assert(this._notes instanceof Map, '_loaded: notes map');
+        var self = this, late = this._loading;
+        (Array.isArray(arr) ? arr : []).slice(0, NotesStore.MAX_RECORDS).forEach(function (n) {
+            if (!n || !n.id) return;
+            var cur = late ? self._notes.get(String(n.id)) : null;
+            if (!cur || (Number(cur.updated) || 0) < (Number(n.updated) || 0)) self._notes.set(String(n.id), NotesStore._normalize(n));
+        });
+        if (!late) return true;
+        this._loading = false;
+        if (this._dirty) { this._dirty = false; this._persist(); }
+        else this._emit();
+        this._attachSync();
+        return true;
+    }
+
+    // Re-read the saved list — another tab, or another store instance in this tab, wrote it.
+    reload() {
+        console.assert(typeof this.key === 'string', 'reload: key required');
+        console.assert(this._notes instanceof Map, 'reload: notes map');
+        if (this._loading) return false;                  // the first load is still on its way
+        var self = this;
+        LocalDB.read(this.key, function (arr) {
+            if (self._loading) return;
+            self._notes.clear();
+            self._loaded(arr);
+            self._emit();
+        });
+        this._loadHistory();
+        return true;
+    }
+
+    /** True until a store kept in IndexedDB has finished its first (asynchronous) load. */
+    loading() {
+        console.assert(typeof this._loading === 'boolean', 'loading: flag');
+        console.assert(typeof this.key === 'string', 'loading: key');
+        return this._loading;
+    }
+
     _persist() {
         console.assert(this._notes instanceof Map, '_persist: notes map');
         console.assert(typeof this.key === 'string', '_persist: key');
-        try {
-            var arr = [];
-            this._notes.forEach(function (n) { arr.push(n); });
-            if (window.localStorage) window.localStorage.setItem(this.key, JSON.stringify(arr));
-        } catch (err) {
-            console.warn('[NotesStore] persist failed:', err && err.message);
-        }
+        if (this._loading) { this._dirty = true; this._emit(); return true; }
+        var arr = [], self = this;
+        this._notes.forEach(function (n) { arr.push(n); });
+        LocalDB.write(this.key, arr).then(function (res) { self._saved(res); });
         this._emit();
         return true;
     }
 
-    // Live notes, newest-updated first. Bounded by store size. <=60 lines.
-    list() {
-        console.assert(this._notes instanceof Map, 'list: notes map');
+    // Keep the outcome of a save (notes or history); a change is announced.
+    _saved(res) {
+        console.assert(res && typeof res.ok === 'boolean', '_saved: result');
+        var err = res.ok ? '' : res.error;
+        if (err === this.storageError) return false;
+        if (err) console.warn('[NotesStore] persist failed:', err);
+        this.storageError = err;
+        this._emit();
+        return true;
+    }
+
+    static get MAX_TAGS() { return 20; }
+    static get SORTS() { return ['updated', 'title', 'folder']; }
+
+    /** 'Work, ideas,work' -> ['work', 'ideas'] (also accepts an array). */
+    static parseTags(v) {
+        var raw = Array.isArray(v) ? v : String(v == null ? '' : v).split(',');
         var out = [];
-        this._notes.forEach(function (n) { if (n && !n.deleted) out.push(n); });
-        out.sort(function (a, b) { return (Number(b.updated) || 0) - (Number(a.updated) || 0); });
+        raw.slice(0, 100).forEach(function (t) {
+            var tag = String(t).trim().replace(/^#/, '').replace(/\s+/g, ' ').toLowerCase().slice(0, 32);
+            if (tag && out.indexOf(tag) < 0 && out.length < NotesStore.MAX_TAGS) out.push(tag);
+        });
+        return out;
+    }
+
+    /** ' /Work//Projects/ ' -> 'Work/Projects'. */
+    static cleanFolder(v) {
+        return String(v == null ? '' : v).split('/').map(function (p) { return p.trim(); })
+            .filter(Boolean).slice(0, 8).join('/').slice(0, 120);
+    }
+
+    /** 'YYYY-MM-DD' when valid, else ''. */
+    static cleanDate(v) {
+        var d = String(v == null ? '' : v).trim();
+        var t = /^\d{4}-\d{2}-\d{2}$/.test(d) ? Date.parse(d + 'T00:00:00Z') : NaN;
+        return !isNaN(t) && new Date(t).toISOString().slice(0, 10) === d ? d : '';      // rejects 2030-02-30
+    }
+
+    // Fill fields older records (or older clients' synced records) don't carry.
+    static _normalize(n) {
+        n.title = n.title || ''; n.body = n.body || '';
+        n.folder = NotesStore.cleanFolder(n.folder);
+        n.tags = NotesStore.parseTags(n.tags).join(',');
+        n.pinned = n.pinned === true || n.pinned === 'true';
+        n.eventId = n.eventId ? String(n.eventId).slice(0, 200) : '';
+        n.date = NotesStore.cleanDate(n.date);
+        n.conflictOf = n.conflictOf ? String(n.conflictOf) : '';
+        return n;
+    }
+
+    /**
+     * Live notes, pinned first, then by `opts.sort` ('updated' newest first — the default —
+     * 'title' A–Z, or 'folder' then title). Optional filters: `opts.folder` (that folder and
+     * its subfolders; '' = unfiled only), `opts.tag`, `opts.pinned`, `opts.conflicts` (only / no
+     * conflicted copies). Bounded by store size.
+     */
+    list(opts) {
+        console.assert(this._notes instanceof Map, 'list: notes map');
+        console.assert(opts === undefined || (opts && typeof opts === 'object'), 'list: opts object');
+        var o = opts || {}, out = [], tag = o.tag ? NotesStore.parseTags(o.tag)[0] : null;
+        var folder = o.folder === undefined || o.folder === null ? null : NotesStore.cleanFolder(o.folder);
+        this._notes.forEach(function (n) {
+            if (!n || n.deleted) return;
+            if (o.pinned !== undefined && n.pinned !== !!o.pinned) return;
+            if (o.conflicts !== undefined && !!n.conflictOf !== !!o.conflicts) return;
+            if (tag && n.tags.split(',').indexOf(tag) < 0) return;
+            if (folder !== null && (folder === '' ? n.folder !== '' : (n.folder !== folder && n.folder.indexOf(folder + '/') !== 0))) return;
+            out.push(n);
+        });
+        var sort = NotesStore.SORTS.indexOf(o.sort) >= 0 ? o.sort : 'updated';
+        out.sort(function (a, b) {
+            if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+            if (sort === 'folder' && a.folder !== b.folder) return a.folder.localeCompare(b.folder);
+            if (sort !== 'updated') return (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' });
+            return (Number(b.updated) || 0) - (Number(a.updated) || 0);
+        });
         return out;
     }
 
+    /** Every folder path (parents included) with its live-note count, subfolders counted in. */
+    folders() {
+        console.assert(this._notes instanceof Map, 'folders: notes map');
+        var counts = new Map();
+        this._notes.forEach(function (n) {
+            if (!n || n.deleted || !n.folder) return;
+            var parts = n.folder.split('/');
+            for (var i = 1; i <= parts.length && i <= 8; i++) {
+                var path = parts.slice(0, i).join('/');
+                counts.set(path, (counts.get(path) || 0) + 1);
+            }
+        });
+        console.assert(counts.size <= this._notes.size * 8, 'folders: bounded');
+        return Array.from(counts.keys()).sort().map(function (f) { return { name: f, count: counts.get(f) }; });
+    }
+
+    /** Every tag in use with its live-note count, A–Z. */
+    tags() {
+        console.assert(this._notes instanceof Map, 'tags: notes map');
+        var counts = new Map();
+        this._notes.forEach(function (n) {
+            if (!n || n.deleted || !n.tags) return;
+            n.tags.split(',').forEach(function (t) { counts.set(t, (counts.get(t) || 0) + 1); });
+        });
+        console.assert(counts.size <= this._notes.size * NotesStore.MAX_TAGS, 'tags: bounded');
+        return Array.from(counts.keys()).sort().map(function (t) { return { name: t, count: counts.get(t) }; });
+    }
+
+    /**
+     * Live notes that belong on Calendar day `date`: notes for that day, plus notes for any of
+     * `eventIds` (the events shown that day — series ids for recurring ones) that are either
+     * for that occurrence or for the event as a whole. Oldest first. Bounded by store size.
+     */
+    linked(date, eventIds) {
+        console.assert(typeof date === 'string', 'linked: date');
+        console.assert(eventIds === undefined || Array.isArray(eventIds), 'linked: event ids array');
+        var ids = eventIds || [], out = [];
+        this._notes.forEach(function (n) {
+            if (!n || n.deleted || n.conflictOf) return;
+            if (n.eventId ? (ids.indexOf(n.eventId) >= 0 && (!n.date || n.date === date)) : n.date === date) out.push(n);
+        });
+        return out.sort(function (a, b) { return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0); });
+    }
+
+    /**
+     * The note for event `ev` as shown on `date` (a CalendarStore display instance), created
+     * and pre-filled from the event the first time: title, when, the event's own notes as the
+     * agenda, and empty Notes / Action items sections. Tagged 'meeting'.
+     */
+    meetingNote(ev, date) {
+        console.assert(ev && ev.id, 'meetingNote: event');
+        console.assert(NotesStore.cleanDate(date) === date, 'meetingNote: YYYY-MM-DD date');
+        var eventId = String(ev.seriesId || ev.id), on = ev.seriesId ? date : '';
+        var hit = this.linked(date, [eventId]).filter(function (n) { return n.eventId === eventId; })[0];
+        if (hit) return hit;
+        var when = date + (ev.time && !ev.allDay ? ' ' + ev.time + (ev.endTime ? '–' + ev.endTime : '') : ' (all day)');
+        var body = '**When:** ' + when + '\n\n' + (ev.notes ? '## Agenda\n\n' + String(ev.notes) + '\n\n' : '') +
+            '## Notes\n\n\n\n## Action items\n\n- [ ] ';
+        return this.upsert({ title: (ev.title || 'Meeting') + ' — ' + date, body: body, tags: 'meeting', eventId: eventId, date: on });
+    }
+
     get(id) {
         console.assert(id != null, 'get: id required');
         console.assert(this._notes instanceof Map, 'get: notes map');
@@ -68,11 +267,18 @@ class NotesStore {
         return (n && !n.deleted) ? n : null;
     }
 
+    // Fields left out of `note` keep their saved values, so e.g. { id, pinned: true } only pins.
     upsert(note) {
         console.assert(note && typeof note === 'object', 'upsert: note object');
         console.assert(this._notes instanceof Map, 'upsert: notes map');
         var id = note.id ? String(note.id) : ('nt-' + Date.now() + '-' + Math.random().toString(36).slice(2, 7));
-        var rec = { id: id, title: note.title || '', body: note.body || '', updated: Date.now(), deleted: false };
+        var cur = this.get(id) || {};
+        function pick(k, dflt) { return note[k] !== undefined ? note[k] : (cur[k] !== undefined ? cur[k] : dflt); }
+        var rec = NotesStore._normalize({ id: id, title: pick('title', ''), body: pick('body', ''), folder: pick('folder', ''),
+            tags: pick('tags', ''), pinned: !!pick('pinned', false), eventId: pick('eventId', ''), date: pick('date', ''),
+            conflictOf: String(pick('conflictOf', '')), updated: Date.now(), deleted: false });
+        if (cur.id && NotesStore._contentChanged(cur, rec)) this._snapshot(cur, note._source || 'edit');
+        this._stamp(this._notes.get(id), rec);
         this._notes.set(id, rec);
         this._persist();
         if (this.sync && typeof this.sync.push === 'function') this.sync.push(rec);
@@ -82,30 +288,179 @@ class NotesStore {
     remove(id) {
         console.assert(id != null, 'remove: id required');
         console.assert(this._notes instanceof Map, 'remove: notes map');
-        var rec = this._notes.get(String(id));
-        if (!rec) return false;
-        rec.deleted = true; rec.updated = Date.now();     // tombstone so the delete syncs too
+        var cur = this._notes.get(String(id));
+        if (!cur) return false;
+        var rec = Object.assign({}, cur, { deleted: true, updated: Date.now() });   // tombstone so the delete syncs too
+        this._stamp(cur, rec);
         this._notes.set(String(id), rec);
         this._persist();
         if (this.sync && typeof this.sync.push === 'function') this.sync.push(rec);
         return true;
     }
 
+    _stamp(prev, rec) {
+        if (typeof RecordMerge !== 'undefined') RecordMerge.touch(prev || null, rec);
+        return rec;
+    }
+
+    // Field-level merge of remote notes (whole-note last-write-wins without RecordMerge.js).
+    // Merged notes that carry local edits the backend lacks, and new conflicted copies, are
+    // pushed back. <=60 lines.
     _mergeRemote(list) {
         console.assert(Array.isArray(list), '_mergeRemote: array');
         console.assert(this._notes instanceof Map, '_mergeRemote: notes map');
-        var self = this, changed = false;
+        var self = this, changed = false, out = [];
         list.slice(0, 5000).forEach(function (r) {
             if (!r || !r.id) return;
-            var cur = self._notes.get(String(r.id));
-            if (!cur || (Number(r.updated) || 0) > (Number(cur.updated) || 0)) {
-                self._notes.set(String(r.id), r); changed = true;
-            }
+            var cur = self._notes.get(String(r.id)), m;
+            NotesStore._normalize(r);
+            if (!cur) m = { record: r, changed: true, pushBack: false, conflicts: [] };
+            else if (typeof RecordMerge !== 'undefined') m = RecordMerge.merge(cur, r, ['body']);
+            else m = { record: r, changed: (Number(r.updated) || 0) > (Number(cur.updated) || 0), pushBack: false, conflicts: [] };
+            if (!m.changed && !m.conflicts.length) return;
+            var rec = NotesStore._normalize(m.record);
+            if (cur && !cur.deleted && NotesStore._contentChanged(cur, rec)) self._snapshot(cur, 'remote');
+            self._notes.set(rec.id, rec); changed = true;
+            if (m.pushBack) out.push(rec);
+            if (!rec.deleted) m.conflicts.forEach(function (c) { var copy = self._conflictCopy(rec, c); if (copy) out.push(copy); });
         });
         if (changed) this._persist();
+        if (this.sync && typeof this.sync.push === 'function') out.forEach(function (rec) { self.sync.push(rec); });
         return changed;
     }
 
+    // The losing body of a concurrent edit, as its own note. The id is derived from the loser's
+    // stamp, so both devices that detect the same conflict create the SAME copy.
+    _conflictCopy(rec, c) {
+        console.assert(rec && rec.id && c && c.field === 'body', '_conflictCopy: note + body conflict');
+        console.assert(this._notes instanceof Map, '_conflictCopy: notes map');
+        var id = rec.id + '~' + c.t;
+        if (this._notes.has(id)) return null;
+        var copy = NotesStore._normalize({ id: id, title: (rec.title || '(untitled)') + ' (conflicted copy)', body: String(c.value || ''),
+            folder: rec.folder, tags: rec.tags, pinned: false, conflictOf: rec.id, updated: Date.now(), deleted: false });
+        this._stamp(null, copy);
+        this._notes.set(id, copy);
+        return copy;
+    }
+
+    /** Live conflicted copies of note `id` (all conflicted copies when `id` is omitted). */
+    conflicts(id) {
+        console.assert(id === undefined || id != null, 'conflicts: id');
+        console.assert(this._notes instanceof Map, 'conflicts: notes map');
+        return this.list({ conflicts: true }).filter(function (n) { return id === undefined || n.conflictOf === String(id); });
+    }
+
+    /**
+     * Reconcile conflicted copy `copyId`: 'keep' makes its text the original's body (a normal
+     * edit, so it syncs and lands in history); 'discard' just drops it. The copy is deleted either way.
+     */
+    resolveConflict(copyId, action) {
+        console.assert(copyId != null, 'resolveConflict: copy id');
+        console.assert(action === 'keep' || action === 'discard', 'resolveConflict: keep | discard');
+        var copy = this.get(copyId);
+        if (!copy || !copy.conflictOf) return false;
+        var orig = this.get(copy.conflictOf);
+        if (action === 'keep' && orig) this.upsert({ id: orig.id, body: copy.body });
+        this.remove(copy.id);
+        return true;
+    }
+
+    // ---- revision history ---------------------------------------------------------------
+    /**
+     * Forget notes deleted more than `tombstoneDays` ago that every known device has synced
+     * (CalendarSync.purgeable; with sync off, age alone), with their local history. Returns the count.
+     */
+    compact(now) {
+        console.assert(this._notes instanceof Map, 'compact: notes map');
+        console.assert(now === undefined || Number.isFinite(now), 'compact: now');
+        if (this._loading) return 0;
+        var self = this, cutoff = (now || Date.now()) - this.tombstoneDays * 86400000, ids = [];
+        this._notes.forEach(function (n) { if (n.deleted && (Number(n.updated) || 0) <= cutoff) ids.push(String(n.id)); });
+        var sync = this.sync && typeof this.sync.enabled === 'function' && this.sync.enabled() ? this.sync : null;
+        if (sync) ids = typeof sync.purgeable === 'function' ? sync.purgeable(ids) : [];
+        if (!ids.length) return 0;
+        ids.forEach(function (id) { self._notes.delete(id); delete self._history[id]; });
+        this._persist();
+        this._persistHistory();
+        if (sync && typeof sync.purge === 'function') sync.purge(ids);
+        return ids.length;
+    }
+
+    static get HISTORY_MAX() { return 25; }                 // revisions kept per note
+    static get HISTORY_MAX_CHARS() { return 200000; }       // per note, all revisions together
+    static get HISTORY_COALESCE_MS() { return 120000; }
+
+    static _contentChanged(a, b) {
+        return a.title !== b.title || a.body !== b.body || a.folder !== b.folder || a.tags !== b.tags;
+    }
+
+    // History lives under its own LocalDB key (it may move to IndexedDB on its own). Revisions
+    // taken before a late load finishes are appended to the loaded ones.
+    _loadHistory() {
+        console.assert(typeof this.key === 'string', '_loadHistory: key');
+        console.assert(this._history && typeof this._history === 'object', '_loadHistory: map');
+        var self = this, before = null;
+        this._historyLoading = true;
+        this._history = {};
+        var sync = LocalDB.read(this.key + '.history', function (obj) {
+            var loaded = obj && typeof obj === 'object' && !Array.isArray(obj) ? obj : {};
+            Object.keys(before || {}).slice(0, NotesStore.MAX_RECORDS).forEach(function (id) {
+                loaded[id] = (loaded[id] || []).concat(before[id]).slice(-NotesStore.HISTORY_MAX);
+            });
+            self._history = loaded;
+            self._historyLoading = false;
+            if (before && Object.keys(before).length) self._persistHistory();
+        });
+        if (!sync) before = this._history;     // same object the snapshots write into meanwhile
+        return true;
+    }
+
+    _persistHistory() {
+        console.assert(typeof this.key === 'string', '_persistHistory: key');
+        console.assert(this._history && typeof this._history === 'object', '_persistHistory: map');
+        if (this._historyLoading) return false;           // saved once the load has merged it
+        var self = this;
+        LocalDB.write(this.key + '.history', this._history).then(function (res) { if (!res.ok) self._saved(res); });
+        return true;
+    }
+
+    // Keep `prev` (the version being replaced) as a revision. Skips unchanged content and
+    // coalesces rapid autosaves. <=60 lines.
+    _snapshot(prev, source) {
+        console.assert(prev && prev.id, '_snapshot: previous note');
+        console.assert(['edit', 'remote', 'restore'].indexOf(source) >= 0, '_snapshot: source');
+        var list = this._history[prev.id] || [], last = list[list.length - 1], now = Date.now();
+        var rev = { rev: now + '-' + Math.random().toString(36).slice(2, 6), at: Number(prev.updated) || now, saved: now, source: source,
+            title: prev.title || '', body: prev.body || '', folder: prev.folder || '', tags: prev.tags || '' };
+        if (last && !NotesStore._contentChanged(last, rev)) return false;
+        if (source === 'edit' && last && last.source === 'edit' && now - last.saved < NotesStore.HISTORY_COALESCE_MS) return false;
+        list.push(rev);
+        var chars = 0;
+        for (var i = list.length - 1; i >= 0; i--) {
+            chars += list[i].title.length + list[i].body.length;
+            if (chars > NotesStore.HISTORY_MAX_CHARS && i < list.length - 1) { list = list.slice(i + 1); break; }
+        }
+        this._history[prev.id] = list.slice(-NotesStore.HISTORY_MAX);
+        this._persistHistory();
+        return true;
+    }
+
+    /** Saved revisions of note `id`, newest first: [{ rev, at, source, title, body, folder, tags }]. */
+    history(id) {
+        console.assert(id != null, 'history: id required');
+        console.assert(this._history && typeof this._history === 'object', 'history: map');
+        return (this._history[String(id)] || []).slice().reverse();
+    }
+
+    /** Make revision `rev` the current version, as a NEW edit (so it syncs, and is itself undoable). */
+    restore(id, rev) {
+        console.assert(id != null, 'restore: id required');
+        console.assert(typeof rev === 'string', 'restore: rev id');
+        var r = this.history(id).filter(function (x) { return x.rev === rev; })[0];
+        if (!r || !this.get(id)) return null;
+        return this.upsert({ id: String(id), title: r.title, body: r.body, folder: r.folder, tags: r.tags, _source: 'restore' });
+    }
+
     onChange(fn) {
         console.assert(typeof fn === 'function', 'onChange: fn');
         console.assert(Array.isArray(this._listeners), 'onChange: listeners');
@@ -6,24 +6,36 @@
 //   - Coordinates you share are rounded to ~1 decimal (~11 km) — never GPS-precise.
 //   - Nothing is persisted; rosters are ephemeral and pruned when peers go stale.
 //
+// PROFILES: a display name, marker colour and short status ("on call", "travelling") ride
+// along in your record — only while you share, and only what you typed. They are kept on this
+// device (PROFILE_KEY) so you do not retype them; peers' profiles are cleaned on arrival.
+//
+// ROOMS: everyone lands in the public lobby (room ''). A named room ('team-x', from the URL
+// hash '#room=team-x' or the explore panel) is its own roster: each adapter scopes its channel
+// / path to it, so a team sharing the link sees only each other. A room name is not a secret.
+//
 // Backends (zero-fee):
 //   - DemoAdapter            : seeded sample users + (if sharing) you. No network, $0, no signup.
 //   - BroadcastChannelAdapter: real presence across tabs on THIS machine. Proves multi-client
 //                              sync end-to-end, $0, no backend.
 //   - FirebaseAdapter        : real cross-internet presence via Firebase Realtime DB (Spark
 //                              plan, free-forever, no card). Enabled only if a config is given.
+//   - WebSocketAdapter       : real multi-machine presence through the relay in server.cjs, on
+//                              your own infrastructure; pushed, not polled. Enabled by relayURL.
 //
 // global window, classic script. NASA Power-of-10: bounded loops, >=2 asserts/method,
 // methods <=60 lines, graceful fallback.
 
 // ---- Adapters --------------------------------------------------------------
 
-// Seeded sample roster — gives the globe visible life with zero backend.
+// Seeded sample roster — gives the globe visible life with zero backend. The sample users
+// live in the lobby only; in a named room you are on your own.
 class DemoAdapter {
-    constructor() {
+    constructor(opts) {
+        var o = opts || {};
         this.onRoster = null;
         this._self = null;
-        this._seed = [
+        this._seed = o.room ? [] : [
             { id: 'demo-tokyo',   lat: 35.7,  lng: 139.7, name: 'Tokyo' },
             { id: 'demo-london',  lat: 51.5,  lng: -0.1,  name: 'London' },
             { id: 'demo-nyc',     lat: 40.7,  lng: -74.0, name: 'New York' },
@@ -58,7 +70,7 @@ class DemoAdapter {
 class BroadcastChannelAdapter {
     constructor(opts) {
         var o = opts || {};
-        this.channelName = o.channelName || 'mrcargon.presence';
+        this.channelName = (o.channelName || 'mrcargon.presence') + (o.room ? '.' + o.room : '');
         this.staleMs = Number.isFinite(o.staleMs) ? o.staleMs : 45000;
         this.onRoster = null;
         this._peers = new Map();        // id -> { record, lastSeen }
@@ -80,8 +92,9 @@ class BroadcastChannelAdapter {
     publish(record) {
         console.assert(this.onRoster, 'BCAdapter: connect first');
         console.assert(record === null || typeof record === 'object', 'BCAdapter: record');
+        var prev = this._self;          // 'bye' names the record we are withdrawing
         this._self = record;
-        if (this._bc) this._bc.postMessage(record ? { kind: 'here', record: record } : { kind: 'bye', record: this._self });
+        if (this._bc) this._bc.postMessage(record ? { kind: 'here', record: record } : { kind: 'bye', record: prev });
         this._emit();
         return true;
     }
@@ -126,7 +139,8 @@ class FirebaseAdapter {
         var o = opts || {};
         // strip trailing slashes so URL joins are clean
         this.databaseURL = String(o.databaseURL || '').replace(/\/+$/, '');
-        this.path = o.path || 'presence';
+        // rooms live beside the lobby (presence-rooms/<room>), so a lobby poll never downloads them
+        this.path = (o.path || 'presence') + (o.room ? '-rooms/' + o.room : '');
         this.staleMs = Number.isFinite(o.staleMs) ? o.staleMs : 75000;   // ~2.5x default heartbeat
         this.pollMs = Number.isFinite(o.pollMs) ? o.pollMs : 6000;
         this.onRoster = null;
@@ -152,7 +166,7 @@ class FirebaseAdapter {
         this._self = record;
         if (record && record.id != null) {
             this._lastId = String(record.id);
-            var body = JSON.stringify({ id: record.id, lat: record.lat, lng: record.lng, name: record.name, ts: Date.now() });
+            var body = JSON.stringify({ id: record.id, lat: record.lat, lng: record.lng, name: record.name, color: record.color || '', status: record.status || '', ts: Date.now() });
             fetch(this._url(record.id), { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: body })
                 .catch(function (e) { console.warn('[Presence/FB] publish failed:', e && e.message); });
         } else if (this._lastId) {
@@ -181,7 +195,7 @@ class FirebaseAdapter {
                 if (!rec || rec.id == null) return;
                 if (selfId !== null && String(rec.id) === selfId) return;              // self added below
                 if (typeof rec.ts === 'number' && (now - rec.ts) > self.staleMs) return; // prune stale
-                list.push({ id: rec.id, lat: rec.lat, lng: rec.lng, name: rec.name });
+                list.push({ id: rec.id, lat: rec.lat, lng: rec.lng, name: rec.name, color: rec.color, status: rec.status });
             });
         }
         if (this._self) list.push(Object.assign({ self: true }, this._self));
@@ -196,22 +210,146 @@ class FirebaseAdapter {
     }
 }
 
+// Real multi-machine presence through the self-hosted relay in server.cjs (/presence). One
+// WebSocket each way: the relay pushes the whole (coarse) roster the moment anyone arrives,
+// moves or leaves, so there is no polling. The controller's heartbeat re-publishes our record;
+// the relay prunes records whose heartbeat stops (TTL), so a hard close still disappears.
+// A dropped connection reconnects with backoff and announces us again.
+class WebSocketAdapter {
+    constructor(opts) {
+        var o = opts || {};
+        this.url = WebSocketAdapter.socketURL(o.relayURL || '', o.room || '');
+        this.onRoster = null;
+        this._self = null;
+        this._peers = [];               // last roster from the relay (ourselves included)
+        this._ws = null;
+        this._retry = null;
+        this._attempt = 0;
+    }
+
+    static get RETRY_BASE_MS() { return 1000; }
+    static get RETRY_MAX_MS() { return 60000; }
+
+    // 'https://relay.example.com', '/' (this site) or 'wss://…' -> the relay's ws(s):// URL
+    // (…/presence for the lobby, …/presence/<room> for a room).
+    static socketURL(base, room) {
+        console.assert(typeof base === 'string', 'WebSocketAdapter.socketURL: string');
+        console.assert(typeof window !== 'undefined' && window.location, 'WebSocketAdapter.socketURL: location');
+        var u = new URL(base.replace(/\/+$/, '') + '/presence' + (room ? '/' + encodeURIComponent(room) : ''), window.location.href);
+        if (u.protocol === 'https:') u.protocol = 'wss:';
+        else if (u.protocol === 'http:') u.protocol = 'ws:';
+        return u.href;
+    }
+
+    connect(handlers) {
+        console.assert(handlers && typeof handlers.onRoster === 'function', 'WSAdapter: onRoster required');
+        console.assert(typeof WebSocket !== 'undefined', 'WSAdapter: WebSocket unsupported');
+        this.onRoster = handlers.onRoster;
+        this._open();
+        this._emit();
+        return true;
+    }
+
+    // Open the socket; on open (re-)announce ourselves, on close retry while still connected.
+    _open() {
+        console.assert(this.onRoster, 'WSAdapter: connect first');
+        console.assert(this._ws === null, 'WSAdapter: one socket');
+        var self = this, ws;
+        try { ws = new WebSocket(this.url); }
+        catch (e) { console.warn('[Presence/WS] connect failed:', e && e.message); return this._scheduleRetry(); }
+        this._ws = ws;
+        ws.onopen = function () { self._attempt = 0; if (self._self) self._send({ type: 'here', record: self._self }); };
+        ws.onmessage = function (e) { self._onMessage(e.data); };
+        ws.onclose = function () {
+            if (self._ws !== ws) return;
+            self._ws = null;
+            self._peers = [];
+            self._emit();
+            if (self.onRoster) self._scheduleRetry();
+        };
+        return true;
+    }
+
+    _scheduleRetry() {
+        console.assert(this._attempt >= 0, 'WSAdapter: attempt');
+        console.assert(WebSocketAdapter.RETRY_BASE_MS > 0, 'WSAdapter: base delay');
+        if (this._retry) return false;
+        var self = this, delay = Math.min(WebSocketAdapter.RETRY_MAX_MS, WebSocketAdapter.RETRY_BASE_MS * Math.pow(2, Math.min(this._attempt, 16)));
+        this._attempt++;
+        this._retry = setTimeout(function () { self._retry = null; if (self.onRoster && !self._ws) self._open(); }, delay);
+        return true;
+    }
+
+    publish(record) {
+        console.assert(this.onRoster, 'WSAdapter: connect first');
+        console.assert(record === null || typeof record === 'object', 'WSAdapter: record');
+        var prev = this._self;
+        this._self = record;
+        if (!record && prev) this._peers = this._peers.filter(function (r) { return !r || String(r.id) !== String(prev.id); });
+        this._send(record ? { type: 'here', record: { id: record.id, lat: record.lat, lng: record.lng, name: record.name, color: record.color || '', status: record.status || '' } } : { type: 'bye' });
+        this._emit();
+        return true;
+    }
+
+    _send(msg) {
+        if (!this._ws || this._ws.readyState !== 1) return false;      // sent on (re)open instead
+        try { this._ws.send(JSON.stringify(msg)); } catch (e) { return false; }
+        return true;
+    }
+
+    // { type: 'roster', list } from the relay; anything else is ignored.
+    _onMessage(data) {
+        var msg = null;
+        try { msg = JSON.parse(String(data)); } catch (e) { return; }
+        if (!msg || msg.type !== 'roster' || !Array.isArray(msg.list)) return;
+        this._peers = msg.list.slice(0, 1000);
+        this._emit();
+    }
+
+    _emit() {
+        if (!this.onRoster) return;
+        var selfId = this._self ? String(this._self.id) : null, list = [];
+        this._peers.forEach(function (rec) {
+            if (rec && rec.id != null && String(rec.id) !== selfId) list.push({ id: rec.id, lat: rec.lat, lng: rec.lng, name: rec.name, color: rec.color, status: rec.status });
+        });
+        if (this._self) list.push(Object.assign({ self: true }, this._self));
+        this.onRoster(list);
+    }
+
+    disconnect() {
+        if (this._self) this._send({ type: 'bye' });
+        if (this._retry) { clearTimeout(this._retry); this._retry = null; }
+        this.onRoster = null;                                   // before close: no reconnect
+        if (this._ws) { try { this._ws.close(); } catch (e) { /* already closed */ } this._ws = null; }
+        this._self = null;
+        this._peers = [];
+        return true;
+    }
+}
+
 // ---- Controller ------------------------------------------------------------
 
 class Presence {
     /**
      * @param {PresencePins} pins - renderer
-     * @param {Object} [opts] - { adapter, heartbeatMs, coarseDecimals, onCount }
+     * @param {Object} [opts] - { adapter, makeAdapter(room), room, profile, profileKey, heartbeatMs,
+     *                            coarseDecimals, onCount, activity } (profileKey null = profile not
+     *                            saved; activity = a PresenceActivity fed every roster snapshot)
      */
     constructor(pins, opts) {
         console.assert(pins && typeof pins.setUsers === 'function', 'Presence: PresencePins required');
         console.assert(typeof window !== 'undefined', 'Presence: window required');
         var o = opts || {};
         this.pins = pins;
-        this.adapter = o.adapter || Presence.defaultAdapter();
+        this.room = Presence.cleanRoom(o.room);
+        this._makeAdapter = (typeof o.makeAdapter === 'function') ? o.makeAdapter : Presence.defaultAdapter;
+        this.adapter = o.adapter || this._makeAdapter(this.room);
         this.heartbeatMs = Number.isFinite(o.heartbeatMs) ? o.heartbeatMs : 30000;
         this.coarseDecimals = Number.isFinite(o.coarseDecimals) ? o.coarseDecimals : 1;
         this.onCount = (typeof o.onCount === 'function') ? o.onCount : null;
+        this.activity = (o.activity && typeof o.activity.record === 'function') ? o.activity : null;
+        this.profileKey = o.profileKey === undefined ? Presence.PROFILE_KEY : o.profileKey;
+        this.profile = Presence.cleanProfile(o.profile || this._readProfile());
         this.enabled = false;          // showing the layer at all
         this.sharing = false;          // sharing my own location
         this.selfId = 'me-' + Math.random().toString(36).slice(2, 9);
@@ -219,20 +357,63 @@ class Presence {
         this._self = null;
     }
 
-    // Pick the default free no-signup adapter. Rule 5: 2 asserts.
-    static defaultAdapter() {
+    static get MAX_ROOM() { return 32; }
+    static get PROFILE_KEY() { return 'mrcargon.presence.profile'; }
+    static get STATUSES() { return ['on call', 'travelling', 'focusing', 'away']; }      // suggestions only
+
+    // { name <=24, color '#rrggbb' | '', status <=32 }. Applied to our own profile and to every
+    // peer's record on arrival: a roster never carries oversized strings or odd colours.
+    static cleanProfile(p) {
+        var o = (p && typeof p === 'object') ? p : {};
+        var color = String(o.color || '').trim().toLowerCase();
+        return {
+            name: String(o.name || '').replace(/\s+/g, ' ').trim().slice(0, 24),
+            color: /^#[0-9a-f]{6}$/.test(color) ? color : '',
+            status: String(o.status || '').replace(/\s+/g, ' ').trim().slice(0, 32)
+        };
+    }
+
+    // 'Team X!' -> 'team-x': lowercase letters, digits, '-' and '_' ('' = the public lobby).
+    static cleanRoom(name) {
+        var s = String(name == null ? '' : name).trim().toLowerCase().replace(/\s+/g, '-');
+        return s.replace(/[^a-z0-9_-]/g, '').slice(0, Presence.MAX_ROOM);
+    }
+
+    // The room in a URL hash: '#room=team-x', or after the page, '#about?room=team-x'.
+    static roomFromHash(hash) {
+        var m = /(?:^#?|[?&])room=([^&]*)/.exec(String(hash || ''));
+        if (!m) return '';
+        try { return Presence.cleanRoom(decodeURIComponent(m[1])); } catch (e) { return ''; }
+    }
+
+    // The shareable link to `room` on page `href` (the lobby: no hash at all).
+    static roomLink(room, href) {
+        console.assert(typeof href === 'string', 'roomLink: href');
+        console.assert(room == null || typeof room === 'string', 'roomLink: room');
+        var r = Presence.cleanRoom(room);
+        return href.split('#')[0] + (r ? '#room=' + encodeURIComponent(r) : '');
+    }
+
+    // Pick the default free no-signup adapter, scoped to `room`. Rule 5: 2 asserts.
+    static defaultAdapter(room) {
         console.assert(typeof window !== 'undefined', 'defaultAdapter: window');
         console.assert(typeof DemoAdapter === 'function', 'defaultAdapter: DemoAdapter required');
+        // A self-hosted relay (window.MRCARGON_PRESENCE.relayURL) wins: pushed, own infrastructure.
+        var relay = window.MRCARGON_PRESENCE;
+        if (relay && typeof relay.relayURL === 'string' && relay.relayURL.trim() && typeof WebSocket !== 'undefined') {
+            try { return new WebSocketAdapter({ relayURL: relay.relayURL.trim(), room: room || '' }); }
+            catch (e) { console.warn('[Presence] relay init failed:', e && e.message); }
+        }
         // If a Firebase Realtime DB is configured (window.MRCARGON_FIREBASE.databaseURL),
         // use it for REAL cross-internet presence. Falls back to Demo on any init error so
         // the layer never breaks the page.
         var cfg = (typeof window !== 'undefined') ? window.MRCARGON_FIREBASE : null;
         if (cfg && typeof cfg.databaseURL === 'string' && cfg.databaseURL.trim() && typeof FirebaseAdapter === 'function') {
-            try { return new FirebaseAdapter(cfg); }
+            try { return new FirebaseAdapter(Object.assign({}, cfg, { room: room || '' })); }
             catch (e) { console.warn('[Presence] Firebase init failed, using Demo:', e && e.message); }
         }
         // Otherwise: a seeded world roster gives the globe immediate visible life, $0, no signup.
-        return new DemoAdapter();
+        return new DemoAdapter({ room: room || '' });
     }
 
     // Turn the presence layer on/off (receiving + rendering). Rule 5: 2 asserts.
@@ -263,7 +444,7 @@ class Presence {
         var self = this;
         this._locate(function (lat, lng) {
             self.sharing = true;
-            self._self = { id: self.selfId, lat: lat, lng: lng, name: 'You' };
+            self._self = self._record(lat, lng);
             self.adapter.publish(self._self);
             if (self._hb) clearInterval(self._hb);
             self._hb = setInterval(function () { if (self._self) self.adapter.publish(self._self); }, self.heartbeatMs);
@@ -271,6 +452,55 @@ class Presence {
         return true;
     }
 
+    // Our record: the coarse position plus the profile (the name defaults to 'You').
+    _record(lat, lng) {
+        console.assert(Number.isFinite(lat) && Number.isFinite(lng), '_record: coords');
+        console.assert(this.profile, '_record: profile');
+        return { id: this.selfId, lat: lat, lng: lng, name: this.profile.name || 'You', color: this.profile.color, status: this.profile.status };
+    }
+
+    _readProfile() {
+        if (!this.profileKey) return null;
+        try { return JSON.parse((window.localStorage && window.localStorage.getItem(this.profileKey)) || 'null'); }
+        catch (e) { return null; }
+    }
+
+    /**
+     * Set the display name / colour / status (fields left out keep their values). Saved on this
+     * device; while sharing, peers see the change at once. Returns the cleaned profile.
+     */
+    setProfile(changes) {
+        console.assert(changes && typeof changes === 'object', 'setProfile: changes object');
+        console.assert(this.profile, 'setProfile: profile');
+        this.profile = Presence.cleanProfile(Object.assign({}, this.profile, changes));
+        if (this.profileKey) {
+            try { if (window.localStorage) window.localStorage.setItem(this.profileKey, JSON.stringify(this.profile)); }
+            catch (e) { /* private mode — the profile lasts this visit */ }
+        }
+        if (this._self) {
+            this._self = this._record(this._self.lat, this._self.lng);
+            if (this.enabled) this.adapter.publish(this._self);
+        }
+        return this.profile;
+    }
+
+    // Move to another room: leave the old roster (our record goes with us), join the new one.
+    // Returns false when `room` is already the current one. Rule 5: 2 asserts.
+    setRoom(room) {
+        console.assert(room == null || typeof room === 'string', 'setRoom: string');
+        console.assert(typeof this._makeAdapter === 'function', 'setRoom: adapter factory');
+        var r = Presence.cleanRoom(room), self = this;
+        if (r === this.room) return false;
+        if (this.enabled) this.adapter.disconnect();
+        this.room = r;
+        this.adapter = this._makeAdapter(r);
+        if (this.enabled) {
+            this.adapter.connect({ onRoster: function (list) { self._onRoster(list); } });
+            if (this._self) this.adapter.publish(this._self);
+        }
+        return true;
+    }
+
     // One-shot geolocation, rounded coarse before it ever leaves the device. <=60 lines.
     _locate(cb) {
         console.assert(typeof cb === 'function', '_locate: cb required');
@@ -291,8 +521,10 @@ class Presence {
     _onRoster(list) {
         console.assert(Array.isArray(list), '_onRoster: array');
         console.assert(this.pins, '_onRoster: pins');
-        this.pins.setUsers(list);
-        if (this.onCount) this.onCount(list.length);
+        var users = list.slice(0, 1000).map(function (u) { return u ? Object.assign({}, u, Presence.cleanProfile(u)) : u; });
+        this.pins.setUsers(users);
+        if (this.activity) this.activity.record(users);          // no-op unless opted in
+        if (this.onCount) this.onCount(users.length);
     }
 
     isEnabled() { return this.enabled; }
@@ -312,7 +544,8 @@ if (typeof window !== 'undefined') {
     window.PresenceDemoAdapter = DemoAdapter;
     window.PresenceBroadcastAdapter = BroadcastChannelAdapter;
     window.PresenceFirebaseAdapter = FirebaseAdapter;
+    window.PresenceWebSocketAdapter = WebSocketAdapter;
 }
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Presence: Presence, DemoAdapter: DemoAdapter, BroadcastChannelAdapter: BroadcastChannelAdapter, FirebaseAdapter: FirebaseAdapter };
+    module.exports = { Presence: Presence, DemoAdapter: DemoAdapter, BroadcastChannelAdapter: BroadcastChannelAdapter, FirebaseAdapter: FirebaseAdapter, WebSocketAdapter: WebSocketAdapter };
 }
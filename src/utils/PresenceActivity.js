@@ -0,0 +1,196 @@
+// PresenceActivity.js - OPT-IN "where has the team been online today" aggregation. Presence
+// itself persists nothing; this layer, once switched on, folds each roster snapshot into
+// anonymous counts: per HOUR, per coarse CELL (CELL_DEG x CELL_DEG, ~220 km at 2°), the
+// most people seen there at once. No ids, names or per-user tracks are kept — only
+// { hour: { cell: count } } for the last HOURS hours, on this device (key), cleared on demand.
+//
+// at(hoursAgo) turns the bins into heat cells for PresenceHeatmap: the chosen hour at full
+// weight, the FADE_HOURS before it fading out, so the map shows where activity was and how
+// recently.
+//
+// global window, classic script. NASA Power-of-10: bounded loops, >=2 asserts/method,
+// methods <=60 lines, pre-allocated structures, graceful fallback.
+class PresenceActivity {
+    /**
+     * @param {Object} [opts] - { key, cellDeg, now() } (key null = nothing saved)
+     */
+    constructor(opts) {
+        console.assert(typeof window !== 'undefined', 'PresenceActivity: window required');
+        console.assert(!opts || typeof opts === 'object', 'PresenceActivity: opts object');
+        var o = opts || {};
+        this.key = o.key === undefined ? 'mrcargon.presence.activity' : o.key;
+        this.cellDeg = Number.isFinite(o.cellDeg) && o.cellDeg > 0 ? o.cellDeg : 2;
+        this._now = (typeof o.now === 'function') ? o.now : Date.now;
+        this.enabled = false;
+        this._hours = new Map();          // hour number -> Map(cell key -> peak count)
+        this._listeners = [];
+        this._load();
+    }
+
+    static get HOURS() { return 24; }
+    static get FADE_HOURS() { return 5; }
+    static get MAX_CELLS() { return 500; }           // per hour
+    static hourOf(ms) { return Math.floor(ms / 3600000); }
+
+    _load() {
+        console.assert(this._hours instanceof Map, '_load: hours map');
+        console.assert(this.key === null || typeof this.key === 'string', '_load: key');
+        var saved = null;
+        try { saved = this.key ? JSON.parse(window.localStorage.getItem(this.key) || 'null') : null; } catch (e) { saved = null; }
+        if (!saved || typeof saved !== 'object') return false;
+        this.enabled = saved.enabled === true;
+        var hours = (saved.hours && typeof saved.hours === 'object') ? saved.hours : {};
+        var self = this;
+        Object.keys(hours).slice(0, PresenceActivity.HOURS * 2).forEach(function (h) {
+            var cells = new Map();
+            Object.keys(hours[h] || {}).slice(0, PresenceActivity.MAX_CELLS).forEach(function (c) {
+                var n = Number(hours[h][c]);
+                if (/^-?\d+,-?\d+$/.test(c) && n > 0) cells.set(c, Math.min(n, 100000));
+            });
+            if (cells.size && Number.isFinite(Number(h))) self._hours.set(Number(h), cells);
+        });
+        this._prune();
+        return true;
+    }
+
+    _save() {
+        console.assert(this._hours instanceof Map, '_save: hours map');
+        console.assert(this._hours.size <= PresenceActivity.HOURS, '_save: bounded');
+        if (!this.key) return false;
+        var hours = {};
+        this._hours.forEach(function (cells, h) {
+            var o = {};
+            cells.forEach(function (n, c) { o[c] = n; });
+            hours[h] = o;
+        });
+        try { window.localStorage.setItem(this.key, JSON.stringify({ enabled: this.enabled, hours: hours })); }
+        catch (e) { return false; }     // quota / private mode — the map still works this visit
+        return true;
+    }
+
+    // Forget hours outside the window (and any 'future' ones a changed clock left behind).
+    _prune() {
+        var newest = PresenceActivity.hourOf(this._now()), oldest = newest - (PresenceActivity.HOURS - 1), self = this, gone = [];
+        this._hours.forEach(function (cells, h) { if (h < oldest || h > newest) gone.push(h); });
+        gone.forEach(function (h) { self._hours.delete(h); });
+        return gone.length > 0;
+    }
+
+    // Cell key for a position: cell indices, so '12,-3' is lat 24°..26°, lng -6°..-4° at 2°.
+    cellOf(lat, lng) {
+        console.assert(Number.isFinite(lat) && Number.isFinite(lng), 'cellOf: coords');
+        console.assert(this.cellDeg > 0, 'cellOf: cell size');
+        var la = Math.floor(Math.max(-90, Math.min(89.999, lat)) / this.cellDeg);
+        var ln = Math.floor((((lng + 180) % 360 + 360) % 360 - 180) / this.cellDeg);
+        return la + ',' + ln;
+    }
+
+    // Centre of a cell key.
+    cellCentre(key) {
+        var p = String(key).split(',');
+        return { lat: (Number(p[0]) + 0.5) * this.cellDeg, lng: (Number(p[1]) + 0.5) * this.cellDeg };
+    }
+
+    /** Start / stop collecting (the choice is remembered). Collected hours stay until clear(). */
+    setEnabled(on) {
+        console.assert(typeof on === 'boolean', 'setEnabled: boolean');
+        console.assert(this._hours instanceof Map, 'setEnabled: hours map');
+        if (on === this.enabled) return false;
+        this.enabled = on;
+        this._save();
+        this._emit();
+        return true;
+    }
+
+    /**
+     * Fold one roster snapshot ([{ lat, lng, … }]) into the current hour: per cell, the larger of
+     * what is there and how many are in the cell now. Identities are never looked at.
+     * Returns true when a count grew.
+     */
+    record(users) {
+        console.assert(Array.isArray(users), 'record: array');
+        console.assert(this._hours instanceof Map, 'record: hours map');
+        if (!this.enabled) return false;
+        var now = {}, self = this, h = PresenceActivity.hourOf(this._now());
+        users.slice(0, 1000).forEach(function (u) {
+            if (!u || !Number.isFinite(u.lat) || !Number.isFinite(u.lng)) return;
+            var c = self.cellOf(u.lat, u.lng);
+            now[c] = (now[c] || 0) + 1;
+        });
+        var cells = this._hours.get(h) || new Map(), grew = false;
+        Object.keys(now).forEach(function (c) {
+            if ((cells.get(c) || 0) >= now[c]) return;
+            if (!cells.has(c) && cells.size >= PresenceActivity.MAX_CELLS) return;
+            cells.set(c, now[c]);
+            grew = true;
+        });
+        if (cells.size) this._hours.set(h, cells);
+        var pruned = this._prune();
+        if (grew || pruned) { this._save(); this._emit(); }
+        return grew;
+    }
+
+    /**
+     * Heat cells as of `hoursAgo` (0 = this hour … HOURS-1): [{ lat, lng, count, weight 0..1 }].
+     * Each hour counts (1 - k / (FADE_HOURS + 1)) when it is k hours before the chosen one.
+     */
+    at(hoursAgo) {
+        console.assert(Number.isFinite(hoursAgo) && hoursAgo >= 0, 'at: hours ago');
+        console.assert(this._hours instanceof Map, 'at: hours map');
+        var h0 = PresenceActivity.hourOf(this._now()) - Math.min(Math.floor(hoursAgo), PresenceActivity.HOURS - 1);
+        var heat = new Map(), peak = new Map();
+        for (var k = 0; k <= PresenceActivity.FADE_HOURS; k++) {            // Rule 2: bounded
+            var cells = this._hours.get(h0 - k);
+            if (!cells) continue;
+            var f = 1 - k / (PresenceActivity.FADE_HOURS + 1);
+            cells.forEach(function (n, c) {
+                heat.set(c, (heat.get(c) || 0) + n * f);
+                if (k === 0) peak.set(c, n);
+            });
+        }
+        var max = 0, self = this, out = [];
+        heat.forEach(function (v) { if (v > max) max = v; });
+        heat.forEach(function (v, c) {
+            var p = self.cellCentre(c);
+            out.push({ lat: p.lat, lng: p.lng, count: peak.get(c) || 0, weight: max > 0 ? v / max : 0 });
+        });
+        return out.slice(0, PresenceActivity.MAX_CELLS);
+    }
+
+    /** Peak head-count per hour, oldest first (HOURS entries) — for the scrubber's scale. */
+    timeline() {
+        console.assert(this._hours instanceof Map, 'timeline: hours map');
+        console.assert(PresenceActivity.HOURS > 0, 'timeline: hours');
+        var h = PresenceActivity.hourOf(this._now()), out = [];
+        for (var i = PresenceActivity.HOURS - 1; i >= 0; i--) {
+            var cells = this._hours.get(h - i), n = 0;
+            if (cells) cells.forEach(function (v) { n += v; });
+            out.push(n);
+        }
+        return out;
+    }
+
+    /** Forget everything collected (collecting stays on or off as it was). */
+    clear() {
+        console.assert(this._hours instanceof Map, 'clear: hours map');
+        console.assert(Array.isArray(this._listeners), 'clear: listeners');
+        this._hours.clear();
+        this._save();
+        this._emit();
+        return true;
+    }
+
+    onChange(fn) {
+        console.assert(typeof fn === 'function', 'onChange: fn');
+        console.assert(Array.isArray(this._listeners), 'onChange: listeners');
+        this._listeners.push(fn);
+        return true;
+    }
+    _emit() {
+        this._listeners.forEach(function (fn) { try { fn(); } catch (e) { /* isolate */ } });
+        return true;
+    }
+}
+
+if (typeof window !== 'undefined') window.PresenceActivity = PresenceActivity;
+if (typeof module !== 'undefined' && module.exports) module.exports = PresenceActivity;
@@ -24,9 +24,19 @@
 //             ".write": true,
 //             ".validate": "newData.hasChildren(['lat','lng','ts'])"
 //           }
+//         },
+//         "presence-rooms": {
+//           "$room": {
+//             ".read": true,
+//             "$id": {
+//               ".write": true,
+//               ".validate": "newData.hasChildren(['lat','lng','ts'])"
+//             }
+//           }
 //         }
 //       }
 //     }
+//   Rooms (#room=team-x links) live under presence-rooms/<room>; no rule lists all rooms.
 //
 // ── FREE-TIER HEADROOM ────────────────────────────────────────────────────────────────
 //   Spark RTDB: 100 simultaneous connections, 1 GB stored, 10 GB/month down. This adapter
@@ -38,6 +48,22 @@ window.MRCARGON_FIREBASE = {
     path: 'presence',       // DB node the roster lives under (rules above match this)
     projectId: ''           // ← Firebase projectId — enables CALENDAR cross-device sync
                             //   (Firestore REST). Set a personal "sync code" in the Calendar
-                            //   header once this is filled. Firestore rules: allow read/write
-                            //   on /calendars/{code}/events for a personal tool (test mode ok).
+                            //   header once this is filled. Records are end-to-end encrypted
+                            //   with a key derived from the code and stored under
+                            //   /calendars/{space}/… (space = opaque id, also derived), so
+                            //   Firestore never sees the code or content. Rules: allow
+                            //   read/write on /calendars/{space}/{collection}/{id} (test mode ok).
+                            //   To sync without Google, see SyncConfig.js (WebDAV / server.cjs).
+};
+
+// ── OR: YOUR OWN RELAY (server.cjs) ───────────────────────────────────────────────────
+//   Real multi-machine presence on your own infrastructure, pushed over a WebSocket instead
+//   of polled. `npm run legacy-server` (or `node server.cjs`) serves a relay at /presence that
+//   fans out the coarse records and prunes them once their heartbeat stops (nothing on disk).
+//   relayURL = that server's address, e.g. 'https://presence.example.com', or '/' when the
+//   site itself is served by server.cjs. Behind HTTPS the page needs wss://, i.e. a reverse
+//   proxy that forwards WebSocket upgrades. A non-empty relayURL wins over databaseURL.
+
+window.MRCARGON_PRESENCE = {
+    relayURL: ''            // ← server.cjs relay — enables live GLOBE PRESENCE without Firebase
 };
@@ -0,0 +1,133 @@
+// PresenceHeatmap.js - the activity heatmap on the globe: one soft glowing spot per coarse
+// cell from PresenceActivity.at(), coloured blue -> yellow -> red by weight and dimmer as it
+// fades. A single THREE.Points cloud over pre-allocated buffers (MAX_CELLS), parented to the
+// Earth mesh so it tracks rotation. Renderer only — the aggregation lives in
+// PresenceActivity.js, the opt-in UI in SpaceEnvironment. Hidden until enabled.
+//
+// global THREE r128 + GlobeMath, classic script. NASA Power-of-10: bounded loops,
+// >=2 asserts/method, methods <=60 lines, pre-allocated structures, graceful fallback.
+class PresenceHeatmap {
+    /**
+     * @param {THREE.Mesh} earthMesh - globe mesh; the cloud is parented to it
+     * @param {number} radius - globe radius (scene units)
+     * @param {Object} [opts] - { maxCells }
+     */
+    constructor(earthMesh, radius, opts) {
+        console.assert(earthMesh && earthMesh.isObject3D, 'PresenceHeatmap: earthMesh required');
+        console.assert(Number.isFinite(radius) && radius > 0, 'PresenceHeatmap: radius required');
+        var o = opts || {};
+        this.earthMesh = earthMesh;
+        this.radius = radius;
+        this.maxCells = Number.isFinite(o.maxCells) ? o.maxCells : 500;
+        this._userVisible = false;
+        this._count = 0;
+        this.points = (typeof THREE !== 'undefined') ? this._build() : null;
+        if (this.points) this.earthMesh.add(this.points);
+    }
+
+    _build() {
+        console.assert(typeof THREE !== 'undefined', '_build: THREE required');
+        console.assert(this.maxCells > 0, '_build: capacity');
+        var geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.maxCells * 3), 3));
+        geo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(this.maxCells * 3), 3));
+        geo.setDrawRange(0, 0);
+        var mat = new THREE.PointsMaterial({
+            size: this.radius * 0.1, sizeAttenuation: true, vertexColors: true, map: this._spotTexture(),
+            transparent: true, opacity: 1, depthWrite: false, blending: THREE.AdditiveBlending
+        });
+        var pts = new THREE.Points(geo, mat);
+        pts.name = 'presenceHeatmap';
+        pts.visible = false;
+        pts.frustumCulled = false;           // positions change in place; the bounds would go stale
+        return pts;
+    }
+
+    // Radial white-to-clear spot, so additive points blend into a soft heat field.
+    _spotTexture() {
+        if (typeof document === 'undefined' || !THREE.CanvasTexture) return null;
+        var c = document.createElement('canvas');
+        c.width = c.height = 64;
+        var g = c.getContext && c.getContext('2d');
+        if (!g) return null;
+        var grad = g.createRadialGradient(32, 32, 0, 32, 32, 32);
+        grad.addColorStop(0, 'rgba(255,255,255,1)');
+        grad.addColorStop(0.4, 'rgba(255,255,255,0.45)');
+        grad.addColorStop(1, 'rgba(255,255,255,0)');
+        g.fillStyle = grad;
+        g.fillRect(0, 0, 64, 64);
+        return new THREE.CanvasTexture(c);
+    }
+
+    // Heat ramp for weight w (0..1) -> [r, g, b], pre-multiplied so faint cells stay faint.
+    static ramp(w) {
+        var t = Math.max(0, Math.min(1, Number(w) || 0));
+        var r = t < 0.5 ? t * 2 : 1;
+        var g = t < 0.5 ? 0.35 + t * 1.3 : 1 - (t - 0.5) * 1.6;
+        var b = t < 0.5 ? 1 - t * 2 : 0;
+        var k = 0.25 + 0.75 * t;
+        return [r * k, g * k, b * k];
+    }
+
+    /** Show `cells` ([{ lat, lng, weight }], PresenceActivity.at()); the rest of the buffer is unused. */
+    setCells(cells) {
+        console.assert(Array.isArray(cells), 'setCells: array required');
+        console.assert(typeof GlobeMath !== 'undefined', 'setCells: GlobeMath required');
+        if (!this.points) return false;
+        var pos = this.points.geometry.attributes.position, col = this.points.geometry.attributes.color;
+        var n = 0, max = Math.min(cells.length, this.maxCells);              // Rule 2: bounded
+        for (var i = 0; i < max; i++) {
+            var c = cells[i];
+            if (!c || !Number.isFinite(c.lat) || !Number.isFinite(c.lng) || !(c.weight > 0)) continue;
+            var p = GlobeMath.latLngToVector3(c.lat, c.lng, this.radius * 1.004);
+            var rgb = PresenceHeatmap.ramp(c.weight);
+            pos.setXYZ(n, p.x, p.y, p.z);
+            col.setXYZ(n, rgb[0], rgb[1], rgb[2]);
+            n++;
+        }
+        this._count = n;
+        this.points.geometry.setDrawRange(0, n);
+        pos.needsUpdate = true;
+        col.needsUpdate = true;
+        return n;
+    }
+
+    count() { return this._count; }
+
+    setVisible(vis) {
+        console.assert(typeof vis === 'boolean', 'setVisible: boolean required');
+        console.assert(this.points !== undefined, 'setVisible: points field expected');
+        this._userVisible = vis;
+        if (this.points) this.points.visible = vis;
+        return vis;
+    }
+
+    // Per-frame: fade out on approach, in the same band as the presence dots (ExplorePins).
+    update(distInRadii) {
+        console.assert(Number.isFinite(distInRadii), 'update: distance required');
+        console.assert(this.points !== undefined, 'update: points field expected');
+        if (!this.points || !this._userVisible) return false;
+        var far = (typeof ExplorePins !== 'undefined') ? ExplorePins.FADE_FAR : 1.22;
+        var near = (typeof ExplorePins !== 'undefined') ? ExplorePins.FADE_NEAR : 1.05;
+        var f = Math.max(0, Math.min(1, (distInRadii - near) / (far - near)));
+        var fade = f * f * (3 - 2 * f);
+        this.points.material.opacity = fade;
+        this.points.visible = fade > 0.01;
+        return this.points.visible;
+    }
+
+    dispose() {
+        console.assert(this.earthMesh, 'dispose: earthMesh');
+        console.assert(this.points !== undefined, 'dispose: points field expected');
+        if (!this.points) return true;
+        if (this.points.parent) this.points.parent.remove(this.points);
+        this.points.geometry.dispose();
+        if (this.points.material.map) this.points.material.map.dispose();
+        this.points.material.dispose();
+        this.points = null;
+        return true;
+    }
+}
+
+if (typeof window !== 'undefined') window.PresenceHeatmap = PresenceHeatmap;
+if (typeof module !== 'undefined' && module.exports) module.exports = PresenceHeatmap;
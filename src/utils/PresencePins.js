@@ -5,7 +5,10 @@
 // mesh so they track rotation.
 //
 // DATA + MESHES only. The backend (heartbeat/roster) lives in Presence.js; this module
-// just renders whatever roster it is handed via setUsers().
+// just renders whatever roster it is handed via setUsers(). A user's profile (name, colour,
+// status — see Presence.cleanProfile) shows as the marker colour plus an initials badge;
+// the badge/head carry it in userData.presence for the hover card (getPickMeshes), and
+// user(id) / users() hand back the roster as drawn for follow and "everyone in view".
 //
 // global THREE r128 + GlobeMath, classic script. NASA Power-of-10: bounded loops,
 // >=2 asserts/method, methods <=60 lines, pre-allocated structures, graceful fallback.
@@ -26,24 +29,37 @@ class PresencePins {
         this.peerColor = o.peerColor || '#5bd1ff';
         this._disposed = false;
         this.markers = new Map();                        // id -> THREE.Object3D
+        this._users = new Map();                         // id -> the user as last drawn (follow / framing)
         this.group = (typeof THREE !== 'undefined') ? new THREE.Group() : null;
         if (this.group) { this.group.name = 'presencePins'; this.group.visible = false; this.earthMesh.add(this.group); }
     }
 
+    // 'Ada Lovelace' -> 'AL', 'ana' -> 'A', '' -> '?'. Code points, so emoji/accents stay whole.
+    static initials(name) {
+        var words = String(name || '').trim().split(/\s+/).filter(Boolean).slice(0, 2);
+        var out = words.map(function (w) { return Array.from(w)[0].toUpperCase(); }).join('');
+        return out || '?';
+    }
+
     // Reconcile the rendered markers with a fresh roster: add new, move existing,
-    // remove vanished. Each user = { id, lat, lng, name, self }. Rule 4: <=60 lines.
+    // rebuild those whose profile changed, remove vanished. Each user = { id, lat, lng,
+    // name, color, status, self }. Rule 4: <=60 lines.
     setUsers(users) {
         console.assert(Array.isArray(users), 'setUsers: array required');
         console.assert(!this._disposed, 'setUsers: not disposed');
         if (!this.group) return false;
         var seen = Object.create(null);
+        this._users.clear();
         var max = Math.min(users.length, this.maxUsers);            // Rule 2: bounded
         for (var i = 0; i < max; i++) {
             var u = users[i];
             if (!u || !Number.isFinite(u.lat) || !Number.isFinite(u.lng) || u.id == null) continue;
             var id = String(u.id);
             seen[id] = true;
+            this._users.set(id, { id: id, lat: u.lat, lng: u.lng, name: String(u.name || ''), status: String(u.status || ''),
+                color: /^#[0-9a-f]{6}$/i.test(String(u.color)) ? u.color : (u.self ? this.selfColor : this.peerColor), self: !!u.self });
             var holder = this.markers.get(id);
+            if (holder && holder.userData.key !== this._profileKey(u)) { this._disposeMarker(id); holder = null; }
             if (holder) this._placeMarker(holder, u.lat, u.lng);
             else this._buildMarker(id, u);
         }
@@ -52,13 +68,20 @@ class PresencePins {
         return true;
     }
 
-    // Build one pulsing presence dot (sphere head + halo ring) for a user. Rule 4: <=60.
+    // What the marker shows besides its position: a change means rebuilding it.
+    _profileKey(u) {
+        return [u.self ? 1 : 0, u.name || '', u.color || '', u.status || ''].join('|');
+    }
+
+    // Build one pulsing presence dot (sphere head + halo ring) in the user's colour, with an
+    // initials badge above it. Rule 4: <=60.
     _buildMarker(id, u) {
         console.assert(typeof id === 'string', '_buildMarker: id required');
         console.assert(u && Number.isFinite(u.lat), '_buildMarker: coords required');
         if (typeof THREE === 'undefined' || !this.group) return null;
         if (this.markers.size >= this.maxUsers) return null;        // Rule 2: bounded
-        var col = new THREE.Color(u.self ? this.selfColor : this.peerColor);
+        var hex = /^#[0-9a-f]{6}$/i.test(String(u.color)) ? u.color : (u.self ? this.selfColor : this.peerColor);
+        var col = new THREE.Color(hex);
         var r = this.radius * 0.012;
         var holder = new THREE.Group();
         var head = new THREE.Mesh(new THREE.SphereGeometry(r, 14, 12),
@@ -69,13 +92,39 @@ class PresencePins {
                 side: THREE.DoubleSide, depthWrite: false }));
         ring.rotation.x = -Math.PI / 2;
         holder.add(head); holder.add(ring);
-        holder.userData = { presenceId: id, self: !!u.self, ring: ring, head: head, phase: Math.random() * 6.28 };
+        var profile = { id: id, name: String(u.name || ''), status: String(u.status || ''), color: hex,
+            initials: PresencePins.initials(u.name), self: !!u.self };
+        var badge = this._buildBadge(profile.initials, hex);
+        if (badge) { badge.position.y = r * 5.2; badge.scale.setScalar(r * 4.4); badge.userData.presence = profile; holder.add(badge); }
+        head.userData.presence = profile;
+        holder.userData = { presenceId: id, self: !!u.self, ring: ring, head: head, badge: badge,
+            phase: Math.random() * 6.28, key: this._profileKey(u), profile: profile };
         this._placeMarker(holder, u.lat, u.lng);
         this.group.add(holder);
         this.markers.set(id, holder);
         return holder;
     }
 
+    // A round camera-facing label with the initials, in the marker colour. Null without a
+    // canvas (non-DOM environments), the dot alone is still a complete marker.
+    _buildBadge(text, hex) {
+        console.assert(typeof text === 'string' && text.length > 0, '_buildBadge: text required');
+        console.assert(typeof hex === 'string', '_buildBadge: colour required');
+        if (typeof document === 'undefined' || !THREE.CanvasTexture || !THREE.Sprite) return null;
+        var c = document.createElement('canvas');
+        c.width = c.height = 64;
+        var g = c.getContext && c.getContext('2d');
+        if (!g) return null;
+        g.beginPath(); g.arc(32, 32, 29, 0, Math.PI * 2);
+        g.fillStyle = hex; g.fill();
+        g.lineWidth = 4; g.strokeStyle = 'rgba(8,12,24,0.85)'; g.stroke();
+        g.fillStyle = '#0b1020'; g.textAlign = 'center'; g.textBaseline = 'middle';
+        g.font = 'bold ' + (text.length > 1 ? 26 : 32) + 'px system-ui, sans-serif';
+        g.fillText(text, 32, 34);
+        var tex = new THREE.CanvasTexture(c);
+        return new THREE.Sprite(new THREE.SpriteMaterial({ map: tex, transparent: true, depthWrite: false }));
+    }
+
     // Position + orient a marker so local +Y is the surface normal. Rule 5: 2 asserts.
     _placeMarker(holder, lat, lng) {
         console.assert(holder && holder.isObject3D, '_placeMarker: holder required');
@@ -95,6 +144,7 @@ class PresencePins {
         if (!holder) return false;
         holder.traverse(function (o) {
             if (o.geometry && o.geometry.dispose) o.geometry.dispose();
+            if (o.material && o.material.map && o.material.map.dispose) o.material.map.dispose();
             if (o.material && o.material.dispose) o.material.dispose();
         });
         if (holder.parent) holder.parent.remove(holder);
@@ -112,6 +162,33 @@ class PresencePins {
         return vis;
     }
 
+    // The badge + head of every marker, for the hover-card raycast (userData.presence = profile).
+    getPickMeshes() {
+        console.assert(this.markers instanceof Map, 'getPickMeshes: markers required');
+        console.assert(!this._disposed, 'getPickMeshes: not disposed');
+        var out = [];
+        if (!this.group || !this.group.visible) return out;
+        this.markers.forEach(function (holder) {
+            if (holder.userData.badge) out.push(holder.userData.badge);
+            if (holder.userData.head) out.push(holder.userData.head);
+        });
+        return out;
+    }
+
+    /** The user `id` as last drawn ({ id, lat, lng, name, status, color (as drawn), self }), or null. */
+    user(id) {
+        console.assert(id != null, 'user: id required');
+        console.assert(this._users instanceof Map, 'user: users map');
+        return this._users.get(String(id)) || null;
+    }
+
+    /** Everyone drawn right now, roster order. */
+    users() {
+        console.assert(this._users instanceof Map, 'users: users map');
+        console.assert(this._users.size <= this.maxUsers, 'users: bounded');
+        return Array.from(this._users.values());
+    }
+
     count() { console.assert(this.markers instanceof Map, 'count: markers required');
         console.assert(!this._disposed, 'count: live'); return this.markers.size; }
 
@@ -148,6 +225,7 @@ class PresencePins {
                 m.opacity = m.userData.baseOpacity * fade;
                 m.transparent = true;
             }
+            if (ud && ud.badge && ud.badge.material) ud.badge.material.opacity = fade;
         });
         return true;
     }
@@ -160,6 +238,7 @@ class PresencePins {
         var self = this;
         this.markers.forEach(function (holder, id) { self._disposeMarker(id); });
         this.markers.clear();
+        this._users.clear();
         if (this.group && this.group.parent) this.group.parent.remove(this.group);
         return true;
     }
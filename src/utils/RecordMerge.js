@@ -0,0 +1,141 @@
+// RecordMerge.js — field-level merge for the local-first stores (CalendarStore, NotesStore).
+//
+// Whole-record last-write-wins loses work: edit a note's title on one device and its body on
+// another and one edit disappears. Instead every record carries per-field stamps, and a
+// remote record is merged into the local one FIELD BY FIELD.
+//
+// Stamps live in ONE flat string field so records stay flat for CalendarSync's field-agnostic
+// _encode/_decode:   stamps: 'title:1760000000000:d3k9x2:1750000000000,body:…'
+//                              field  time of edit   device  base
+// `base` is the stamp the edit started from; a device editing its own latest version keeps
+// the base it had, so one editing session is one step of history however often it autosaves.
+//
+// Per field: equal values -> nothing to do. One side DESCENDS from the other (its base is the
+// other's stamp, or both are the same device's edits) -> the newer one wins. Otherwise the
+// edits were concurrent -> the later stamp wins, and for TEXT fields (a note body, event
+// notes) the losing text is reported as a conflict so the store can keep a "conflicted copy".
+// Records without stamps (older data) fall back to last-write-wins by `updated`.
+//
+// classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
+// methods <=60 lines, graceful fallback.
+
+var RecordMerge = {
+    DEVICE_KEY: 'mrcargon.device',
+    MAX_FIELDS: 48,              // CalendarSync carries at most 50 fields per record
+    SKIP: ['id', 'updated', 'stamps'],
+    _device: null,
+
+    /** This device's short random id (persisted, so its edits stay one line of history). */
+    device() {
+        console.assert(this.DEVICE_KEY, 'RecordMerge.device: key');
+        if (this._device) return this._device;
+        var id = '';
+        try { id = (window.localStorage && window.localStorage.getItem(this.DEVICE_KEY)) || ''; } catch (e) { /* private mode */ }
+        if (!/^[a-z0-9]{4,16}$/.test(id)) {
+            id = 'd' + Math.random().toString(36).slice(2, 9);
+            try { if (window.localStorage) window.localStorage.setItem(this.DEVICE_KEY, id); } catch (e) { /* private mode */ }
+        }
+        console.assert(id.length >= 4, 'RecordMerge.device: id');
+        this._device = id;
+        return id;
+    },
+
+    /** 'f:t:dev:base,…' -> { f: { t, dev, base } }. */
+    parse(stamps) {
+        var out = {};
+        String(stamps || '').split(',').slice(0, this.MAX_FIELDS).forEach(function (part) {
+            var p = part.split(':');
+            if (p.length === 4 && p[0]) out[p[0]] = { t: Number(p[1]) || 0, dev: p[2], base: Number(p[3]) || 0 };
+        });
+        return out;
+    },
+
+    format(map) {
+        console.assert(map && typeof map === 'object', 'RecordMerge.format: map');
+        var keys = Object.keys(map).sort().slice(0, this.MAX_FIELDS);
+        console.assert(keys.length <= this.MAX_FIELDS, 'RecordMerge.format: bounded');
+        return keys.map(function (k) { var s = map[k]; return k + ':' + s.t + ':' + s.dev + ':' + s.base; }).join(',');
+    },
+
+    // The stamp of `field` in `rec` (unstamped records: `updated`, no device, no base).
+    _entry(rec, map, field) {
+        return map[field] || { t: Number(rec && rec.updated) || 0, dev: '', base: 0 };
+    },
+
+    _fields(a, b) {
+        var self = this, seen = {};
+        [a, b].forEach(function (r) {
+            Object.keys(r || {}).slice(0, 60).forEach(function (k) { if (self.SKIP.indexOf(k) < 0) seen[k] = true; });
+        });
+        return Object.keys(seen).slice(0, this.MAX_FIELDS);
+    },
+
+    /**
+     * Stamp `next` (about to replace `prev`, which may be null) in place: changed fields get
+     * `next.updated` from this device, unchanged ones keep their stamps. Returns `next`.
+     */
+    touch(prev, next) {
+        console.assert(next && next.id, 'RecordMerge.touch: next record');
+        console.assert(!prev || prev.id === next.id, 'RecordMerge.touch: same record');
+        var self = this, dev = this.device(), now = Number(next.updated) || Date.now();
+        var old = this.parse(prev && prev.stamps), out = {};
+        this._fields(prev, next).forEach(function (f) {
+            if (!(f in next)) return;
+            if (prev && prev[f] === next[f]) { out[f] = self._entry(prev, old, f); return; }
+            var pe = prev ? self._entry(prev, old, f) : null;
+            out[f] = { t: now, dev: dev, base: !pe ? 0 : (pe.dev === dev ? pe.base : pe.t) };
+        });
+        next.stamps = this.format(out);
+        return next;
+    },
+
+    // Is edit `x` built on top of edit `y` (same field)?
+    _descends(x, y) {
+        return x.base === y.t || (!!x.dev && x.dev === y.dev && x.t >= y.t);
+    },
+
+    /**
+     * Merge `remote` into `local`. `textFields` are the fields whose concurrent edits are kept
+     * as conflicts rather than silently dropped. Returns { record, changed (differs from local),
+     * pushBack (differs from remote: local edits the backend hasn't got), conflicts:
+     * [{ field, value, t }] (the LOSING values) }. <=60 lines.
+     */
+    merge(local, remote, textFields) {
+        console.assert(local && remote && local.id === remote.id, 'RecordMerge.merge: same record');
+        console.assert(!textFields || Array.isArray(textFields), 'RecordMerge.merge: textFields');
+        var res = { changed: false, pushBack: false, conflicts: [] };
+        if (!local.stamps || !remote.stamps) {                 // older data: whole-record LWW
+            res.changed = (Number(remote.updated) || 0) > (Number(local.updated) || 0);
+            res.record = res.changed ? remote : local;
+            return res;
+        }
+        var self = this, lm = this.parse(local.stamps), rm = this.parse(remote.stamps), out = { id: local.id }, stamps = {};
+        this._fields(local, remote).forEach(function (f) {
+            var le = self._entry(local, lm, f), re = self._entry(remote, rm, f), useRemote;
+            if (local[f] === remote[f]) useRemote = re.t > le.t;
+            else if (self._descends(re, le)) useRemote = true;
+            else if (self._descends(le, re)) useRemote = false;
+            else {
+                useRemote = re.t > le.t || (re.t === le.t && re.dev > le.dev);
+                if ((textFields || []).indexOf(f) >= 0) {
+                    var lose = useRemote ? local : remote;
+                    res.conflicts.push({ field: f, value: lose[f], t: (useRemote ? le : re).t });
+                }
+            }
+            var src = useRemote ? remote : local;
+            if (f in src) out[f] = src[f];
+            stamps[f] = useRemote ? re : le;
+            if (local[f] !== out[f]) res.changed = true;
+            if (remote[f] !== out[f]) res.pushBack = true;
+        });
+        out.updated = Math.max(Number(local.updated) || 0, Number(remote.updated) || 0);
+        out.stamps = this.format(stamps);
+        if (out.stamps !== local.stamps) res.changed = true;
+        if (out.stamps !== remote.stamps) res.pushBack = true;
+        res.record = out;
+        return res;
+    }
+};
+
+if (typeof window !== 'undefined') window.RecordMerge = RecordMerge;
+if (typeof module !== 'undefined' && module.exports) module.exports = { RecordMerge: RecordMerge };
@@ -0,0 +1,203 @@
+// Recurrence.js — RRULE subset for CalendarStore recurring events (RFC 5545 §3.3.10).
+//
+// Supported: FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, BYDAY (weekly: MO,WE,…;
+// monthly: optional ordinal, e.g. 2TU / -1FR), COUNT, UNTIL. Exception dates live beside
+// the rule on the series record as a comma-separated `exdates` string — flat, so the
+// field-agnostic CalendarSync encoder carries it unchanged.
+//
+// All date math is on UTC day numbers, so DST shifts can never move an occurrence.
+// Expansion is bounded (MAX_STEPS periods) and lazy: nothing is ever materialised in the
+// store. classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
+// methods <=60 lines, graceful fallback (an unparseable rule yields only the start date).
+
+var Recurrence = {
+    FREQS: ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'],
+    DAYS: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'],
+    MAX_STEPS: 5000,              // Rule 2: hard cap on periods walked per expansion
+    DAY_MS: 86400000,
+
+    /**
+     * Parse an RRULE string ("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10").
+     * A leading "RRULE:" is tolerated. @returns {Object|null} null when unusable.
+     */
+    parse(str) {
+        console.assert(str == null || typeof str === 'string', 'Recurrence.parse: string');
+        console.assert(Array.isArray(this.FREQS), 'Recurrence.parse: FREQS');
+        if (!str) return null;
+        var rule = { freq: '', interval: 1, byday: [], count: 0, until: '' };
+        var self = this;
+        String(str).replace(/^RRULE:/i, '').split(';').slice(0, 20).forEach(function (part) {
+            var kv = part.split('='), k = String(kv[0] || '').trim().toUpperCase(), v = String(kv[1] || '').trim().toUpperCase();
+            if (k === 'FREQ') rule.freq = v;
+            else if (k === 'INTERVAL') rule.interval = Math.max(1, parseInt(v, 10) || 1);
+            else if (k === 'COUNT') rule.count = Math.max(0, parseInt(v, 10) || 0);
+            else if (k === 'UNTIL') rule.until = self._untilIso(v);
+            else if (k === 'BYDAY') rule.byday = self._parseByday(v);
+        });
+        return this.FREQS.indexOf(rule.freq) >= 0 ? rule : null;
+    },
+
+    // "MO,-1FR,2TU" -> [{ day:1, nth:0 }, { day:5, nth:-1 }, { day:2, nth:2 }]
+    _parseByday(v) {
+        console.assert(typeof v === 'string', '_parseByday: string');
+        console.assert(this.DAYS.length === 7, '_parseByday: DAYS');
+        var self = this, out = [];
+        v.split(',').slice(0, 14).forEach(function (tok) {
+            var m = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(tok.trim());
+            if (m) out.push({ day: self.DAYS.indexOf(m[2]), nth: m[1] ? parseInt(m[1], 10) : 0 });
+        });
+        return out;
+    },
+
+    // UNTIL may be a DATE (20261231) or DATE-TIME (20261231T235959Z); we keep the date part.
+    _untilIso(v) {
+        var m = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(String(v || ''));
+        return m ? (m[1] + '-' + m[2] + '-' + m[3]) : '';
+    },
+
+    /** Serialise a parsed rule back to an RRULE string (no "RRULE:" prefix). */
+    format(rule) {
+        console.assert(rule && typeof rule === 'object', 'Recurrence.format: rule object');
+        console.assert(this.FREQS.indexOf(rule.freq) >= 0, 'Recurrence.format: known FREQ');
+        var self = this, parts = ['FREQ=' + rule.freq];
+        if (rule.interval > 1) parts.push('INTERVAL=' + rule.interval);
+        if (rule.byday && rule.byday.length) {
+            parts.push('BYDAY=' + rule.byday.map(function (b) { return (b.nth ? String(b.nth) : '') + self.DAYS[b.day]; }).join(','));
+        }
+        if (rule.count > 0) parts.push('COUNT=' + rule.count);
+        else if (rule.until) parts.push('UNTIL=' + rule.until.replace(/-/g, ''));
+        return parts.join(';');
+    },
+
+    /** Short human label for the UI, e.g. "Every 2 weeks on Mon, Wed". */
+    describe(str) {
+        console.assert(str == null || typeof str === 'string', 'Recurrence.describe: string');
+        console.assert(this.DAYS.length === 7, 'Recurrence.describe: DAYS');
+        var r = this.parse(str);
+        if (!r) return '';
+        var unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[r.freq];
+        var names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        var s = r.interval > 1 ? ('Every ' + r.interval + ' ' + unit + 's') : ('Every ' + unit);
+        if (r.byday.length) s += ' on ' + r.byday.map(function (b) { return (b.nth ? b.nth + ' ' : '') + names[b.day]; }).join(', ');
+        if (r.count) s += ', ' + r.count + ' times';
+        else if (r.until) s += ', until ' + r.until;
+        return s;
+    },
+
+    // ---- day-number helpers (UTC, DST-proof) ------------------------------
+    _day(iso) {
+        var m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(iso || ''));
+        return m ? Math.round(Date.UTC(+m[1], +m[2] - 1, +m[3]) / this.DAY_MS) : NaN;
+    },
+    _iso(dayNum) {
+        var d = new Date(dayNum * this.DAY_MS);
+        return d.getUTCFullYear() + '-' + String(d.getUTCMonth() + 1).padStart(2, '0') + '-' + String(d.getUTCDate()).padStart(2, '0');
+    },
+    _ymd(y, m, d) {
+        var t = Date.UTC(y, m, d), dt = new Date(t);
+        // Reject overflow (e.g. Feb 30 -> Mar 2): RFC 5545 skips invalid dates rather than rolling.
+        return (dt.getUTCMonth() === ((m % 12) + 12) % 12 && dt.getUTCDate() === d) ? Math.round(t / this.DAY_MS) : NaN;
+    },
+
+    /**
+     * Candidate day numbers of one period (sorted), before COUNT/UNTIL/range filtering.
+     * `step` is the period index (0 = the period containing the series start). <=60 lines.
+     */
+    _period(rule, start, step) {
+        console.assert(rule && Number.isInteger(step), '_period: rule + step');
+        console.assert(Number.isFinite(start), '_period: start day');
+        var s = new Date(start * this.DAY_MS), n = step * rule.interval, out = [];
+        if (rule.freq === 'DAILY') return [start + n];
+        if (rule.freq === 'WEEKLY') {
+            var weekStart = start - s.getUTCDay() + n * 7;
+            var days = rule.byday.length ? rule.byday.map(function (b) { return b.day; }) : [s.getUTCDay()];
+            days.forEach(function (d) { out.push(weekStart + d); });
+        } else if (rule.freq === 'MONTHLY') {
+            var y = s.getUTCFullYear() + Math.floor((s.getUTCMonth() + n) / 12), m = (s.getUTCMonth() + n) % 12;
+            if (!rule.byday.length) out.push(this._ymd(y, m, s.getUTCDate()));
+            else out = this._monthByday(rule.byday, y, m);
+        } else {
+            out.push(this._ymd(s.getUTCFullYear() + n, s.getUTCMonth(), s.getUTCDate()));
+        }
+        return out.filter(Number.isFinite).sort(function (a, b) { return a - b; });
+    },
+
+    // Monthly BYDAY: every matching weekday, or only the nth (negative counts from the end).
+    _monthByday(byday, y, m) {
+        console.assert(Array.isArray(byday), '_monthByday: byday');
+        console.assert(m >= 0 && m < 12, '_monthByday: month');
+        var first = this._ymd(y, m, 1), len = Math.round((Date.UTC(y, m + 1, 1) - Date.UTC(y, m, 1)) / this.DAY_MS);
+        var firstDow = new Date(first * this.DAY_MS).getUTCDay(), out = [];
+        byday.forEach(function (b) {
+            var matches = [];
+            for (var d = (b.day - firstDow + 7) % 7; d < len; d += 7) matches.push(first + d);
+            if (!b.nth) matches.forEach(function (x) { out.push(x); });
+            else {
+                var pick = b.nth > 0 ? matches[b.nth - 1] : matches[matches.length + b.nth];
+                if (pick != null) out.push(pick);
+            }
+        });
+        return out;
+    },
+
+    /**
+     * Expand a series record ({ date, rrule, exdates }) into the ISO dates it occurs on
+     * within [from, to] inclusive. EXDATEs are removed AFTER counting, per RFC 5545.
+     * A record without a usable rule yields just its own date (if in range). <=60 lines.
+     */
+    expand(ev, from, to) {
+        console.assert(ev && typeof ev.date === 'string', 'Recurrence.expand: event.date required');
+        console.assert(typeof from === 'string' && typeof to === 'string', 'Recurrence.expand: range strings');
+        var start = this._day(ev.date), lo = this._day(from), hi = this._day(to), out = [];
+        if (!Number.isFinite(start) || !Number.isFinite(lo) || !Number.isFinite(hi)) return out;
+        var rule = this.parse(ev.rrule);
+        if (!rule) return (start >= lo && start <= hi) ? [ev.date] : out;
+        var until = rule.until ? this._day(rule.until) : Infinity;
+        var ex = this.exdateSet(ev.exdates), seen = 0, done = false;
+        for (var step = rule.count ? 0 : this._skip(rule, start, lo); step < this.MAX_STEPS && !done; step++) {
+            var days = this._period(rule, start, step);
+            if (days.length && (days[0] > hi || days[0] > until)) break;
+            for (var i = 0; i < days.length && !done; i++) {
+                var d = days[i];
+                if (d < start) continue;
+                done = d > until || d > hi || (rule.count > 0 && seen >= rule.count);
+                if (done) break;
+                seen++;
+                var iso = this._iso(d);
+                if (d >= lo && !ex.has(iso)) out.push(iso);
+            }
+        }
+        return out;
+    },
+
+    // First period worth walking when COUNT is unset: jump (conservatively) to just before
+    // `lo`, so a years-old daily series costs a handful of steps instead of thousands.
+    _skip(rule, start, lo) {
+        console.assert(rule && rule.interval >= 1, '_skip: rule');
+        console.assert(Number.isFinite(start) && Number.isFinite(lo), '_skip: day numbers');
+        if (lo <= start) return 0;
+        var span = { DAILY: 1, WEEKLY: 7, MONTHLY: 28, YEARLY: 365 }[rule.freq] * rule.interval;
+        var approx = Math.floor((lo - start) / span);
+        // MONTHLY/YEARLY periods are longer than `span`, so back off by the worst-case drift.
+        var slack = rule.freq === 'MONTHLY' ? Math.ceil(approx * 3 / 31) + 1 : 1;
+        return Math.max(0, approx - slack);
+    },
+
+    /** Does the series occur on `date`? Convenience over expand() for single-day queries. */
+    occursOn(ev, date) {
+        console.assert(ev && typeof ev === 'object', 'Recurrence.occursOn: event');
+        console.assert(typeof date === 'string', 'Recurrence.occursOn: date');
+        if (!ev.date || date < ev.date) return false;
+        return this.expand(ev, date, date).length > 0;
+    },
+
+    /** "2026-01-05,2026-01-12" -> Set of ISO dates. */
+    exdateSet(str) {
+        var set = new Set();
+        String(str || '').split(',').slice(0, 1000).forEach(function (d) { if (d.trim()) set.add(d.trim()); });
+        return set;
+    }
+};
+
+if (typeof window !== 'undefined') window.Recurrence = Recurrence;
+if (typeof module !== 'undefined' && module.exports) module.exports = { Recurrence: Recurrence };
@@ -0,0 +1,249 @@
+// Reminders.js — local reminders for CalendarStore events, delivered as browser notifications.
+//
+// Each event may carry `reminders`: a flat comma-separated list of minute offsets BEFORE its
+// start ('10,1440'); a negative offset fires after the start, which is how all-day events
+// (start 00:00) ask for "09:00 on the day" (-540). Same semantics as an iCalendar VALARM
+// TRIGGER, so .ics round-trips keep them (see ICalendar.js).
+//
+// Nothing is stored about the schedule itself: it is recomputed from the store on load and on
+// every store change, so a reload, another tab or a sync merge can never leave it stale.
+// Delivery: with a service worker in control, the upcoming schedule is posted to sw.js, which
+// shows whatever is due, remembers what it already showed, and keeps the schedule so it can
+// still fire on a background wake-up ('periodicsync', where the browser grants it) with the
+// site closed. Without one, this page shows the notification itself (Notification API).
+//
+// classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
+// methods <=60 lines, graceful fallback (no Notification API / no permission = silent no-op).
+
+class Reminders {
+    constructor(store, opts) {
+        console.assert(store && typeof store.forDate === 'function', 'Reminders: CalendarStore required');
+        console.assert(!opts || typeof opts === 'object', 'Reminders: opts object');
+        var o = opts || {};
+        this.store = store;
+        this.firedKey = o.firedKey || 'mrcargon.calendar.reminders.fired';
+        this._now = o.now || function () { return Date.now(); };
+        this._fired = this._loadFired();     // tag -> fire time; page-side delivery only
+        this._timer = null;
+        this._started = false;
+        this._onChange = this._tick.bind(this);
+        this._onStorage = this._handleStorage.bind(this);
+    }
+
+    static get HORIZON_MS() { return 48 * 3600000; }     // how far ahead the schedule reaches
+    static get STALE_MS() { return 6 * 3600000; }        // missed by more than this: dropped
+    static get CHECK_MS() { return 15 * 60000; }         // re-check at least this often (sleep, clock drift)
+    static get MAX_OFFSET() { return 10080; }            // one week before
+    static get MIN_OFFSET() { return -1440; }            // one day after the start
+    static get MAX_PER_EVENT() { return 5; }
+    static get SYNC_TAG() { return 'mrcargon-reminders'; }
+    // Choices offered by the Calendar add form ['' = none].
+    static get CHOICES() { return ['', '0', '10', '30', '60', '1440', '-540']; }
+
+    /** '60,10,x,10' -> [10, 60]: valid, unique, sorted, capped. */
+    static parse(str) {
+        console.assert(str == null || typeof str === 'string' || typeof str === 'number', 'Reminders.parse: string');
+        console.assert(Reminders.MAX_PER_EVENT > 0, 'Reminders.parse: cap');
+        var out = [];
+        String(str == null ? '' : str).split(',').slice(0, 20).forEach(function (s) {
+            var n = s.trim() === '' ? NaN : Number(s);
+            if (Number.isInteger(n) && n >= Reminders.MIN_OFFSET && n <= Reminders.MAX_OFFSET && out.indexOf(n) < 0) out.push(n);
+        });
+        return out.sort(function (a, b) { return a - b; }).slice(0, Reminders.MAX_PER_EVENT);
+    }
+
+    /** Short label for one offset: "At start", "10 min before", "1 day before", "09:00 on the day". */
+    static label(off) {
+        console.assert(Number.isInteger(off), 'Reminders.label: integer minutes');
+        if (off === 0) return 'At start';
+        if (off < 0) return String(Math.floor(-off / 60)).padStart(2, '0') + ':' + String(-off % 60).padStart(2, '0') + ' on the day';
+        if (off % 1440 === 0) return (off / 1440) + (off === 1440 ? ' day' : ' days') + ' before';
+        if (off % 60 === 0) return (off / 60) + (off === 60 ? ' hour' : ' hours') + ' before';
+        return off + ' min before';
+    }
+
+    static supported() { return typeof window !== 'undefined' && 'Notification' in window; }
+
+    /** Ask for notification permission (call from a user gesture). Resolves the permission. */
+    static requestPermission() {
+        if (!Reminders.supported()) return Promise.resolve('unsupported');
+        if (Notification.permission !== 'default') return Promise.resolve(Notification.permission);
+        try { return Promise.resolve(Notification.requestPermission()).catch(function () { return 'denied'; }); }
+        catch (e) { return Promise.resolve('denied'); }
+    }
+
+    // ---- lifecycle -------------------------------------------------------------
+    start() {
+        console.assert(this.store, 'start: store');
+        console.assert(!this._started, 'start: already started');
+        this._started = true;
+        this.store.onChange(this._onChange);
+        if (typeof window !== 'undefined' && window.addEventListener) window.addEventListener('storage', this._onStorage);
+        this._registerWake();
+        this._tick();
+        return true;
+    }
+
+    stop() {
+        console.assert(this._started !== undefined, 'stop: state');
+        console.assert(this._onStorage, 'stop: handler');
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+        this._started = false;
+        if (typeof window !== 'undefined' && window.removeEventListener) window.removeEventListener('storage', this._onStorage);
+        return true;
+    }
+
+    /** Re-read the store (another CalendarStore instance in this tab saved). */
+    refresh() {
+        console.assert(this.store, 'refresh: store');
+        console.assert(typeof this.store.reload === 'function', 'refresh: store.reload');
+        return this.store.reload();          // emits onChange -> _tick
+    }
+
+    _handleStorage(e) {
+        if (e && e.key === this.store.key) this.store.reload();
+    }
+
+    // ---- schedule --------------------------------------------------------------
+    /**
+     * Every reminder whose fire time lies in [now - STALE_MS, now + HORIZON_MS], sorted by
+     * time: { tag, at, start, title, body }. The tag names the event, its start instant and
+     * the offset, so moving an event re-arms its reminders. Advance reminders of an event that
+     * has already started are dropped, and of several missed ones only the latest is kept.
+     */
+    upcoming(now) {
+        console.assert(Number.isFinite(now), 'upcoming: now');
+        console.assert(this.store, 'upcoming: store');
+        var self = this, out = [], lo = now - Reminders.STALE_MS, hi = now + Reminders.HORIZON_MS;
+        // A start can be up to MIN_OFFSET before `lo` or MAX_OFFSET after `hi`.
+        var first = this._isoOf(lo + Reminders.MIN_OFFSET * 60000 - 86400000);
+        var days = Math.ceil((hi - lo + (Reminders.MAX_OFFSET - Reminders.MIN_OFFSET) * 60000) / 86400000) + 2;
+        for (var i = 0; i < days && i < 20; i++) {
+            var day = this._addDays(first, i);
+            this.store.forDate(day).forEach(function (e) {
+                if (e.date !== day || !e.reminders) return;            // multi-day: only its first day
+                var start = self._instant(day, e.allDay || !e.time ? '' : e.time);
+                Reminders.parse(e.reminders).forEach(function (off) {
+                    var at = start - off * 60000;
+                    if (at < lo || at > hi || (off > 0 && start <= now)) return;
+                    out.push({ tag: 'rem:' + (e.occurrence ? e.seriesId + '@' + e.occurrence : e.id) + ':' + start + ':' + off,
+                        at: at, start: start, title: e.title, body: self._body(e) });
+                });
+            });
+        }
+        return this._latestDue(out.sort(function (a, b) { return a.at - b.at; }), now).slice(0, 500);
+    }
+
+    // Drop due reminders superseded by a later due one for the same start (sorted input).
+    _latestDue(items, now) {
+        console.assert(Array.isArray(items), '_latestDue: items');
+        console.assert(Number.isFinite(now), '_latestDue: now');
+        var last = {}, key = function (r) { return r.tag.slice(0, r.tag.lastIndexOf(':')); };
+        items.forEach(function (r) { if (r.at <= now) last[key(r)] = r.at; });
+        return items.filter(function (r) { return r.at > now || r.at === last[key(r)]; });
+    }
+
+    // Deliver what is due and arm one timer for the next reminder. Rule 5: 2 asserts.
+    _tick() {
+        console.assert(this.store, '_tick: store');
+        console.assert(typeof this._now === 'function', '_tick: clock');
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+        if (!this._started) return false;
+        var now = this._now(), items = this.upcoming(now), self = this;
+        this._deliver(items, now);
+        var next = items.filter(function (r) { return r.at > now; })[0];
+        var wait = Math.min(next ? next.at - now : Infinity, Reminders.CHECK_MS);
+        this._timer = setTimeout(function () { self._tick(); }, Math.max(1000, wait));
+        return true;
+    }
+
+    // Hand the schedule to the service worker, or show due items from this page. <=60 lines.
+    _deliver(items, now) {
+        console.assert(Array.isArray(items), '_deliver: items');
+        console.assert(Number.isFinite(now), '_deliver: now');
+        if (!Reminders.supported() || Notification.permission !== 'granted') return false;
+        var sw = typeof navigator !== 'undefined' && navigator.serviceWorker && navigator.serviceWorker.controller;
+        if (sw) {
+            sw.postMessage({ type: 'reminders', items: items });
+            return true;
+        }
+        var self = this;
+        items.forEach(function (r) {
+            if (r.at > now || self._fired[r.tag]) return;
+            self._fired[r.tag] = r.at;
+            try { new Notification(r.title, { body: r.body, tag: r.tag }); }
+            catch (e) { console.warn('[Reminders] notification failed:', e && e.message); }
+        });
+        this._saveFired(now);
+        return true;
+    }
+
+    // "09:00–10:00 · 2026-10-21" body text. Absolute, so it stays true if shown late.
+    _body(e) {
+        var when = e.allDay || !e.time ? 'All day' : e.time + (e.endTime ? '–' + e.endTime : '');
+        return when + ' · ' + e.date;
+    }
+
+    // Instant of a viewer-zone wall-clock ('' time = start of the day).
+    _instant(date, time) {
+        var t = time || '00:00';
+        if (typeof TimeZone !== 'undefined' && this.store.zone) return TimeZone.toUtc(date, t, this.store.zone);
+        var d = date.split('-'), h = t.split(':');
+        return new Date(+d[0], +d[1] - 1, +d[2], +h[0], +h[1]).getTime();
+    }
+
+    _isoOf(ms) {
+        if (typeof TimeZone !== 'undefined' && this.store.zone) {
+            var w = TimeZone.fromUtc(ms, this.store.zone);
+            if (w) return w.date;
+        }
+        var d = new Date(ms);
+        return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+    }
+
+    _addDays(iso, n) {
+        var p = iso.split('-');
+        return new Date(Date.UTC(+p[0], +p[1] - 1, +p[2] + n)).toISOString().slice(0, 10);
+    }
+
+    // Ask the browser to wake the service worker now and then, so the schedule it holds can
+    // fire with the site closed. Installed PWAs only; anywhere else this quietly does nothing.
+    _registerWake() {
+        console.assert(typeof Reminders.SYNC_TAG === 'string', '_registerWake: tag');
+        console.assert(this._started, '_registerWake: started');
+        if (typeof navigator === 'undefined' || !navigator.serviceWorker || !navigator.serviceWorker.ready) return false;
+        navigator.serviceWorker.ready.then(function (reg) {
+            if (reg && reg.periodicSync) return reg.periodicSync.register(Reminders.SYNC_TAG, { minInterval: Reminders.CHECK_MS });
+            return null;
+        }).catch(function () { /* not installed / not granted */ });
+        return true;
+    }
+
+    // ---- fired set (page-side delivery) -----------------------------------------
+    _loadFired() {
+        try {
+            var raw = window.localStorage ? window.localStorage.getItem(this.firedKey) : null;
+            var obj = raw ? JSON.parse(raw) : {};
+            return (obj && typeof obj === 'object' && !Array.isArray(obj)) ? obj : {};
+        } catch (e) { return {}; }
+    }
+
+    // Persist, forgetting anything older than the look-back window. Bounded by the schedule.
+    _saveFired(now) {
+        console.assert(Number.isFinite(now), '_saveFired: now');
+        console.assert(this._fired && typeof this._fired === 'object', '_saveFired: set');
+        var keep = {}, self = this;
+        Object.keys(this._fired).slice(0, 2000).forEach(function (k) {
+            if (self._fired[k] >= now - 2 * Reminders.STALE_MS) keep[k] = self._fired[k];
+        });
+        this._fired = keep;
+        try { if (window.localStorage) window.localStorage.setItem(this.firedKey, JSON.stringify(keep)); }
+        catch (e) { /* quota / private mode */ }
+        return true;
+    }
+}
+
+if (typeof window !== 'undefined') window.Reminders = Reminders;
+if (typeof module !== 'undefined' && module.exports) module.exports = { Reminders: Reminders };
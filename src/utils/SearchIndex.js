@@ -0,0 +1,257 @@
+// SearchIndex.js — in-browser full-text search over the launcher's local stores
+// (CalendarStore events, NotesStore notes). Nothing leaves the device.
+//
+// An inverted index: token -> Set of document keys ('event:<id>', 'note:<id>'), plus a
+// lazily sorted vocabulary so a query word matches every token it PREFIXES ("meet" finds
+// "meeting"). Multi-word queries are AND-ed. Tokens are lower-cased and accent-folded.
+// Updates are incremental: each source store's onChange re-reads its records, but only ones
+// whose `updated` stamp moved are re-tokenised, and vanished/deleted ones are dropped.
+//
+// classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
+// methods <=60 lines, pre-allocated structures, graceful fallback.
+
+class SearchIndex {
+    constructor() {
+        console.assert(typeof Map === 'function', 'SearchIndex: Map required');
+        console.assert(typeof Set === 'function', 'SearchIndex: Set required');
+        this._docs = new Map();          // key -> { key, type, id, date, title, body, updated, tokens }
+        this._postings = new Map();      // token -> Set(key)
+        this._vocab = null;              // sorted tokens, rebuilt on demand after changes
+        this._sources = [];              // { type, store, toDocs }
+        this._onStorage = this._handleStorage.bind(this);
+        this._watching = false;
+    }
+
+    static get MAX_TOKENS() { return 2000; }       // per document
+    static get MAX_EXPANSION() { return 200; }     // tokens one prefix may expand to
+    static get SNIPPET() { return 120; }           // snippet length, characters
+
+    /**
+     * Index a store and follow its changes. `toDocs(store)` returns
+     * [{ id, title, body, date, updated }] for every live record. Rule 5: 2 asserts.
+     */
+    addSource(type, store, toDocs) {
+        console.assert(typeof type === 'string' && type, 'addSource: type');
+        console.assert(store && typeof store.onChange === 'function' && typeof toDocs === 'function', 'addSource: store + toDocs');
+        var src = { type: type, store: store, toDocs: toDocs }, self = this;
+        this._sources.push(src);
+        store.onChange(function () { self._refresh(src); });
+        this._refresh(src);
+        return true;
+    }
+
+    // Re-read one source, re-tokenising only changed records. Bounded by store size. <=60 lines.
+    _refresh(src) {
+        console.assert(src && src.store, '_refresh: source');
+        console.assert(this._docs instanceof Map, '_refresh: docs');
+        var self = this, seen = new Set(), docs = [];
+        try { docs = src.toDocs(src.store) || []; } catch (e) { console.warn('[SearchIndex] source failed:', e && e.message); }
+        docs.slice(0, 10000).forEach(function (d) {
+            if (!d || d.id == null) return;
+            var key = src.type + ':' + d.id, cur = self._docs.get(key);
+            seen.add(key);
+            if (cur && cur.updated === d.updated && cur.date === (d.date || '')) return;
+            if (cur) self._unindex(cur);
+            self._index(Object.assign({ key: key, type: src.type }, d));
+        });
+        this._docs.forEach(function (doc, key) { if (doc.type === src.type && !seen.has(key)) self._unindex(doc); });
+        return true;
+    }
+
+    _index(d) {
+        console.assert(d && d.key, '_index: doc');
+        console.assert(this._postings instanceof Map, '_index: postings');
+        var self = this, title = String(d.title || ''), body = String(d.body || '');
+        var titleTok = new Set(SearchIndex.tokens(title)), tokens = new Set(titleTok);
+        SearchIndex.tokens(body).forEach(function (t) { tokens.add(t); });
+        var doc = { key: d.key, type: d.type, id: String(d.id), date: d.date || '', title: title, body: body,
+            updated: d.updated, titleTok: titleTok, tokens: tokens };
+        this._docs.set(d.key, doc);
+        tokens.forEach(function (t) {
+            var set = self._postings.get(t);
+            if (!set) { set = new Set(); self._postings.set(t, set); self._vocab = null; }
+            set.add(d.key);
+        });
+        return doc;
+    }
+
+    _unindex(doc) {
+        console.assert(doc && doc.key, '_unindex: doc');
+        console.assert(doc.tokens instanceof Set, '_unindex: tokens');
+        var self = this;
+        doc.tokens.forEach(function (t) {
+            var set = self._postings.get(t);
+            if (!set) return;
+            set.delete(doc.key);
+            if (!set.size) { self._postings.delete(t); self._vocab = null; }
+        });
+        this._docs.delete(doc.key);
+        return true;
+    }
+
+    /** Number of indexed documents. */
+    size() { return this._docs.size; }
+
+    /**
+     * Ranked matches for `query`: [{ type, id, date, title, titleHtml, snippetHtml, score }].
+     * Every query word must prefix-match a token of the doc; title hits and whole-word hits
+     * rank higher, then most recently updated. <=60 lines.
+     */
+    search(query, limit) {
+        console.assert(typeof query === 'string', 'search: query string');
+        console.assert(limit === undefined || limit > 0, 'search: limit');
+        var terms = SearchIndex.tokens(query).slice(0, 8), self = this, hits = null;
+        if (!terms.length) return [];
+        terms.forEach(function (t) {
+            var keys = new Set();
+            self._expand(t).forEach(function (tok) { self._postings.get(tok).forEach(function (k) { keys.add(k); }); });
+            hits = hits ? new Set(Array.from(hits).filter(function (k) { return keys.has(k); })) : keys;
+        });
+        var out = [];
+        hits.forEach(function (key) {
+            var d = self._docs.get(key);
+            if (d) out.push({ type: d.type, id: d.id, date: d.date, title: d.title, updated: d.updated, score: self._score(d, terms) });
+        });
+        out.sort(function (a, b) { return b.score - a.score || (Number(b.updated) || 0) - (Number(a.updated) || 0); });
+        return out.slice(0, limit || 20).map(function (r) {
+            var d = self._docs.get(r.type + ':' + r.id);
+            r.titleHtml = SearchIndex.highlight(d.title || '(untitled)', terms);
+            r.snippetHtml = SearchIndex.snippet(d.body, terms);
+            return r;
+        });
+    }
+
+    _score(d, terms) {
+        var s = 0;
+        terms.forEach(function (t) {
+            if (d.titleTok.has(t)) s += 4;
+            else if (Array.from(d.titleTok).some(function (x) { return x.indexOf(t) === 0; })) s += 3;
+            if (d.tokens.has(t)) s += 1;
+        });
+        return s;
+    }
+
+    // Every vocabulary token starting with `prefix` (binary search on the sorted vocabulary).
+    _expand(prefix) {
+        console.assert(typeof prefix === 'string' && prefix, '_expand: prefix');
+        console.assert(this._postings instanceof Map, '_expand: postings');
+        if (!this._vocab) this._vocab = Array.from(this._postings.keys()).sort();
+        var v = this._vocab, lo = 0, hi = v.length, out = [];
+        while (lo < hi) { var mid = (lo + hi) >> 1; if (v[mid] < prefix) lo = mid + 1; else hi = mid; }
+        for (var i = lo; i < v.length && out.length < SearchIndex.MAX_EXPANSION && v[i].indexOf(prefix) === 0; i++) out.push(v[i]);
+        return out;
+    }
+
+    // ---- text helpers -------------------------------------------------------------
+    // Lower-case and strip accents ONE code unit at a time, so folded and (NFC) original text
+    // keep the same length and match offsets carry straight over to the original.
+    static fold(text) {
+        var s = String(text || '').normalize('NFC'), out = '';
+        for (var i = 0; i < s.length; i++) {
+            var f = s[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+            out += f.length === 1 ? f : s[i];
+        }
+        return out;
+    }
+
+    static tokens(text) {
+        return SearchIndex.fold(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean).slice(0, SearchIndex.MAX_TOKENS);
+    }
+
+    // [start, end) ranges in `text` where a word starts with one of `terms`.
+    static _ranges(text, terms) {
+        var folded = SearchIndex.fold(text), out = [], re = /[\p{L}\p{N}]+/gu, m;
+        for (var n = 0; n < 5000 && (m = re.exec(folded)); n++) {
+            var w = m[0], hit = terms.filter(function (t) { return w.indexOf(t) === 0; })
+                .reduce(function (a, t) { return Math.max(a, t.length); }, 0);
+            if (hit) out.push([m.index, m.index + hit]);
+        }
+        return out;
+    }
+
+    /** HTML-escaped `text` with matched word prefixes wrapped in <mark>. */
+    static highlight(text, terms) {
+        console.assert(Array.isArray(terms), 'highlight: terms');
+        var s = String(text || '').normalize('NFC'), html = '', at = 0;
+        SearchIndex._ranges(s, terms).forEach(function (r) {
+            html += SearchIndex._esc(s.slice(at, r[0])) + '<mark>' + SearchIndex._esc(s.slice(r[0], r[1])) + '</mark>';
+            at = r[1];
+        });
+        return html + SearchIndex._esc(s.slice(at));
+    }
+
+    /** ~SNIPPET characters of `text` around its first match, highlighted ('' if none). */
+    static snippet(text, terms) {
+        console.assert(Array.isArray(terms), 'snippet: terms');
+        var s = String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim(), first = SearchIndex._ranges(s, terms)[0];
+        if (!s) return '';
+        var from = first ? Math.max(0, first[0] - 40) : 0;
+        if (from > 0) { var sp = s.indexOf(' ', from); from = (sp >= 0 && sp < first[0]) ? sp + 1 : from; }
+        var to = Math.min(s.length, from + SearchIndex.SNIPPET);
+        return (from > 0 ? '…' : '') + SearchIndex.highlight(s.slice(from, to), terms) + (to < s.length ? '…' : '');
+    }
+
+    static _esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;' }[c];
+        });
+    }
+
+    // ---- sources ------------------------------------------------------------------
+    /** CalendarStore records; a series points at its next occurrence (from today). */
+    static calendarDocs(store) {
+        console.assert(store && typeof store.all === 'function', 'calendarDocs: CalendarStore');
+        var today = SearchIndex._isoDay(0), horizon = SearchIndex._isoDay(366);
+        return store.all().slice(0, 5000).map(function (e) {
+            var date = e.date;
+            if (e.rrule && typeof Recurrence !== 'undefined' && e.date < today) {
+                date = Recurrence.expand(e, today, horizon)[0] || e.date;
+            }
+            return { id: e.id, title: e.title, body: e.notes || '', date: date, updated: e.updated };
+        });
+    }
+
+    // Today + n days as a local 'YYYY-MM-DD'.
+    static _isoDay(n) {
+        var d = new Date();
+        d.setDate(d.getDate() + n);
+        return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+    }
+
+    /** NotesStore notes. */
+    static notesDocs(store) {
+        console.assert(store && typeof store.list === 'function', 'notesDocs: NotesStore');
+        return store.list().slice(0, 5000).map(function (n) {
+            return { id: n.id, title: n.title, body: n.body, date: '', updated: n.updated };
+        });
+    }
+
+    // ---- other tabs -----------------------------------------------------------------
+    /** Reload a source store when another tab saves it (its onChange then updates us). */
+    watchStorage() {
+        console.assert(typeof window !== 'undefined', 'watchStorage: window');
+        console.assert(!this._watching, 'watchStorage: once');
+        this._watching = true;
+        if (window.addEventListener) window.addEventListener('storage', this._onStorage);
+        return true;
+    }
+
+    dispose() {
+        console.assert(this._onStorage, 'dispose: handler');
+        console.assert(Array.isArray(this._sources), 'dispose: sources');
+        if (this._watching && typeof window !== 'undefined' && window.removeEventListener) window.removeEventListener('storage', this._onStorage);
+        this._watching = false;
+        this._sources = [];
+        return true;
+    }
+
+    _handleStorage(e) {
+        if (!e || !e.key) return;
+        this._sources.forEach(function (src) {
+            if (src.store.key === e.key && typeof src.store.reload === 'function') src.store.reload();
+        });
+    }
+}
+
+if (typeof window !== 'undefined') window.SearchIndex = SearchIndex;
+if (typeof module !== 'undefined' && module.exports) module.exports = { SearchIndex: SearchIndex };
@@ -0,0 +1,319 @@
+// SyncAdapters.js — storage backends for CalendarSync. CalendarSync owns everything that
+// is the same for every backend (outbox, retries, encryption, delta cursor, polling); an
+// adapter only moves sealed documents — flat { id, updated, deleted, _pushed, ct } objects —
+// to and from one place:
+//
+//   - FirestoreSyncAdapter: Firestore REST (no SDK). calendars/<space>/<collection>/<id>,
+//                           delta pulls via a structured query on `_pushed`.
+//   - WebDAVSyncAdapter   : any WebDAV folder. <url>/<space>/<collection>/<id>.json; PROPFIND
+//                           lists the folder, and only files modified since the cursor are read.
+//   - ServerSyncAdapter   : the self-hosted endpoint in server.cjs (JSON file store),
+//                           /sync/<space>/<collection>, paged by (_pushed, id) like Firestore.
+//
+// `_pushed` on a listed document is always the BACKEND's clock (Firestore's request time, the
+// WebDAV server's getlastmodified, server.cjs's stamp), never the sending device's: a device
+// whose clock runs slow would otherwise write below its peers' cursors and never be pulled.
+//
+// Contract: ready() -> configured? · saltId -> stable per-deployment string (key derivation
+// salt) · put(space, collection, doc) -> Promise<Response> · remove(space, collection, id)
+// -> Promise<Response> (a 404 means already gone) · list(space, collection,
+// { since, pageSize, maxPages }, take) -> Promise<count>, where since === null lists
+// everything and take(docs) -> Promise<count> is called once per page. list() rejects on
+// HTTP errors. CalendarSync.defaultAdapter() picks one from SyncConfig.js / PresenceConfig.js.
+//
+// classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
+// methods <=60 lines, graceful fallback.
+
+// ---- Firestore --------------------------------------------------------------
+
+class FirestoreSyncAdapter {
+    constructor(opts) {
+        var o = opts || {};
+        this.name = 'firestore';
+        this.projectId = String(o.projectId || '');
+        this.saltId = this.projectId;        // unchanged from the Firestore-only days: same keys
+    }
+    ready() { return this.projectId.length > 0; }
+
+    // The space's document; collections hang off it, and runQuery is addressed to it.
+    _root(space) {
+        console.assert(this.projectId, 'Firestore._root: project');
+        return 'https://firestore.googleapis.com/v1/' + this._path(space);
+    }
+    // Its resource name (what commit writes address documents by).
+    _path(space) {
+        console.assert(/^[0-9a-f]{32}$/.test(space), 'Firestore._path: derived space id');
+        return 'projects/' + encodeURIComponent(this.projectId) + '/databases/(default)/documents/calendars/' + space;
+    }
+
+    // Create-or-replace through a commit, so `_pushed` can be a server-side REQUEST_TIME
+    // transform (a plain PATCH can't carry one).
+    put(space, collection, doc) {
+        console.assert(doc && doc.id, 'Firestore.put: doc');
+        console.assert(typeof collection === 'string', 'Firestore.put: collection');
+        var name = this._path(space) + '/' + encodeURIComponent(collection) + '/' + encodeURIComponent(doc.id);
+        var write = { update: { name: name, fields: FirestoreSyncAdapter.encode(doc) }, updateTransforms: [{ fieldPath: '_pushed', setToServerValue: 'REQUEST_TIME' }] };
+        var url = 'https://firestore.googleapis.com/v1/projects/' + encodeURIComponent(this.projectId) + '/databases/(default)/documents:commit';
+        return fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ writes: [write] }) });
+    }
+
+    remove(space, collection, id) {
+        console.assert(typeof id === 'string' && id, 'Firestore.remove: id');
+        console.assert(typeof collection === 'string', 'Firestore.remove: collection');
+        return fetch(this._root(space) + '/' + encodeURIComponent(collection) + '/' + encodeURIComponent(id), { method: 'DELETE' });
+    }
+
+    list(space, collection, opts, take) {
+        console.assert(typeof take === 'function', 'Firestore.list: page handler');
+        console.assert(opts && opts.pageSize > 0 && opts.maxPages > 0, 'Firestore.list: bounds');
+        return opts.since === null ? this._listAll(space, collection, opts, take) : this._listDelta(space, collection, opts, take);
+    }
+
+    // Full listing, following nextPageToken. Rule 2: at most maxPages pages.
+    _listAll(space, collection, opts, take) {
+        console.assert(typeof take === 'function', '_listAll: page handler');
+        console.assert(opts.maxPages > 0, '_listAll: page bound');
+        var base = this._root(space) + '/' + encodeURIComponent(collection), total = 0;
+        function page(token, n) {
+            var url = base + '?pageSize=' + opts.pageSize + (token ? '&pageToken=' + encodeURIComponent(token) : '');
+            return fetch(url, { method: 'GET' }).then(function (r) {
+                if (!r || !r.ok) throw new Error('HTTP ' + (r ? r.status : '?'));
+                return r.json();
+            }).then(function (data) {
+                var docs = ((data && data.documents) || []).map(function (d) { return FirestoreSyncAdapter.decode(d.fields); }).filter(Boolean);
+                return take(docs).then(function (got) {
+                    total += got;
+                    return data && data.nextPageToken && n + 1 < opts.maxPages ? page(data.nextPageToken, n + 1) : total;
+                });
+            });
+        }
+        return page('', 0);
+    }
+
+    // Structured query: _pushed > since, ordered by (_pushed, name), paged with a startAt cursor
+    // so equal timestamps across a page boundary are neither skipped nor repeated. `_pushed` is
+    // a timestamp; documents stored with an integer one (older clients) only show up in a full
+    // listing. <=60 lines.
+    _listDelta(space, collection, opts, take) {
+        console.assert(Number.isFinite(opts.since), '_listDelta: since');
+        console.assert(typeof take === 'function', '_listDelta: page handler');
+        var root = this._root(space), total = 0;
+        function page(after, n) {
+            var q = {
+                from: [{ collectionId: collection }],
+                where: { fieldFilter: { field: { fieldPath: '_pushed' }, op: 'GREATER_THAN', value: { timestampValue: new Date(Math.max(0, opts.since)).toISOString() } } },
+                orderBy: [{ field: { fieldPath: '_pushed' }, direction: 'ASCENDING' }, { field: { fieldPath: '__name__' }, direction: 'ASCENDING' }],
+                limit: opts.pageSize
+            };
+            if (after) q.startAt = { values: [after.at, { referenceValue: after.name }], before: false };
+            return fetch(root + ':runQuery', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ structuredQuery: q }) })
+                .then(function (r) {
+                    if (!r || !r.ok) throw new Error('HTTP ' + (r ? r.status : '?'));
+                    return r.json();
+                }).then(function (rows) {
+                    var raw = (Array.isArray(rows) ? rows : []).map(function (x) { return x && x.document; }).filter(Boolean);
+                    var docs = raw.map(function (d) { return FirestoreSyncAdapter.decode(d.fields); }).filter(Boolean);
+                    return take(docs).then(function (got) {
+                        total += got;
+                        if (raw.length < opts.pageSize || n + 1 >= opts.maxPages) return total;
+                        var last = raw[raw.length - 1], f = last.fields && last.fields._pushed;
+                        return page({ at: f || { timestampValue: new Date(0).toISOString() }, name: last.name }, n + 1);
+                    });
+                });
+        }
+        return page(null, 0);
+    }
+
+    // ---- typed-value (de)serialization (field-agnostic) ----
+    // Encodes any flat record of string/number/boolean values; timestamps decode to epoch ms. <=60 lines.
+    static encode(rec) {
+        console.assert(rec && typeof rec === 'object', 'Firestore.encode: record');
+        console.assert(rec.id != null, 'Firestore.encode: record.id required');
+        var fields = {};
+        Object.keys(rec).slice(0, 50).forEach(function (k) {
+            var v = rec[k];
+            if (typeof v === 'boolean') fields[k] = { booleanValue: v };
+            else if (typeof v === 'number' && Number.isFinite(v)) fields[k] = { integerValue: String(Math.trunc(v)) };
+            else fields[k] = { stringValue: String(v == null ? '' : v) };
+        });
+        return fields;
+    }
+    static decode(f) {
+        if (!f || !f.id) return null;
+        var rec = {};
+        Object.keys(f).slice(0, 50).forEach(function (k) {
+            var v = f[k];
+            if (v && Object.prototype.hasOwnProperty.call(v, 'booleanValue')) rec[k] = !!v.booleanValue;
+            else if (v && Object.prototype.hasOwnProperty.call(v, 'integerValue')) rec[k] = Number(v.integerValue) || 0;
+            else if (v && Object.prototype.hasOwnProperty.call(v, 'timestampValue')) rec[k] = Date.parse(v.timestampValue) || 0;
+            else rec[k] = (v && v.stringValue) || '';
+        });
+        return rec.id ? rec : null;
+    }
+}
+
+// ---- WebDAV -----------------------------------------------------------------
+// One JSON file per record. WebDAV has no query language, so a delta pull lists the folder
+// (PROPFIND, Depth 1) and downloads only the files whose getlastmodified is past the cursor;
+// that time, not the file's own `_pushed`, is what the cursor advances by.
+
+class WebDAVSyncAdapter {
+    constructor(opts) {
+        var o = opts || {};
+        this.name = 'webdav';
+        this.url = String(o.webdavURL || o.url || '').replace(/\/+$/, '');
+        this.saltId = this.url;
+        var cred = new TextEncoder().encode((o.webdavUser || '') + ':' + (o.webdavPassword || ''));
+        this._auth = o.webdavUser ? 'Basic ' + btoa(Array.from(cred, function (c) { return String.fromCharCode(c); }).join('')) : '';
+        this._made = {};                     // folders known to exist (MKCOL once per session)
+    }
+    ready() { return this.url.length > 0; }
+
+    _dir(space, collection) {
+        console.assert(/^[0-9a-f]{32}$/.test(space), 'WebDAV._dir: derived space id');
+        return this.url + '/' + space + '/' + encodeURIComponent(collection) + '/';
+    }
+    _headers(extra) {
+        var h = Object.assign({}, extra || {});
+        if (this._auth) h.Authorization = this._auth;
+        return h;
+    }
+
+    // PUT; a missing parent folder (409 / 404) is created with MKCOL and the PUT retried once.
+    put(space, collection, doc) {
+        console.assert(doc && doc.id, 'WebDAV.put: doc');
+        console.assert(typeof collection === 'string', 'WebDAV.put: collection');
+        var self = this, dir = this._dir(space, collection), url = dir + encodeURIComponent(doc.id) + '.json';
+        var send = function () { return fetch(url, { method: 'PUT', headers: self._headers({ 'Content-Type': 'application/json' }), body: JSON.stringify(doc) }); };
+        return send().then(function (r) {
+            if (!r || (r.status !== 409 && r.status !== 404) || self._made[dir]) return r;
+            return self._mkcol(self.url + '/' + space + '/')
+                .then(function () { return self._mkcol(dir); })
+                .then(function () { self._made[dir] = true; return send(); });
+        });
+    }
+    _mkcol(url) {
+        console.assert(typeof url === 'string' && url.slice(-1) === '/', '_mkcol: folder url');
+        console.assert(this.url, '_mkcol: configured');
+        return fetch(url, { method: 'MKCOL', headers: this._headers() }).catch(function () { return null; });   // 405 = exists
+    }
+
+    remove(space, collection, id) {
+        console.assert(typeof id === 'string' && id, 'WebDAV.remove: id');
+        console.assert(typeof collection === 'string', 'WebDAV.remove: collection');
+        return fetch(this._dir(space, collection) + encodeURIComponent(id) + '.json', { method: 'DELETE', headers: this._headers() });
+    }
+
+    /** Files in the folder changed since `opts.since` (all when null), downloaded page by page. <=60 lines. */
+    list(space, collection, opts, take) {
+        console.assert(typeof take === 'function', 'WebDAV.list: page handler');
+        console.assert(opts && opts.pageSize > 0 && opts.maxPages > 0, 'WebDAV.list: bounds');
+        var self = this, dir = this._dir(space, collection);
+        var body = '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:getlastmodified/></d:prop></d:propfind>';
+        return fetch(dir, { method: 'PROPFIND', headers: this._headers({ Depth: '1', 'Content-Type': 'application/xml' }), body: body })
+            .then(function (r) {
+                if (r && r.status === 404) return '';              // nothing synced here yet
+                if (!r || !r.ok) throw new Error('HTTP ' + (r ? r.status : '?'));
+                return r.text();
+            }).then(function (xml) {
+                var files = WebDAVSyncAdapter.parseListing(xml).filter(function (f) {
+                    return /\.json$/.test(f.href) && (opts.since === null || f.modified >= opts.since);
+                }).slice(0, opts.pageSize * opts.maxPages);
+                var chain = Promise.resolve(0);
+                for (var i = 0; i < files.length; i += opts.pageSize) {
+                    chain = chain.then(self._pageOf(files.slice(i, i + opts.pageSize), dir, take));
+                }
+                return chain;
+            });
+    }
+    _pageOf(files, dir, take) {
+        console.assert(Array.isArray(files), '_pageOf: files');
+        console.assert(typeof take === 'function', '_pageOf: page handler');
+        var self = this;
+        return function (total) {
+            return Promise.all(files.map(function (f) {
+                var name = f.href.slice(f.href.lastIndexOf('/') + 1);
+                return fetch(dir + name, { method: 'GET', headers: self._headers() })
+                    .then(function (r) { return r && r.ok ? r.json() : null; })
+                    .catch(function () { return null; });
+            })).then(function (docs) {
+                docs.forEach(function (d, i) { if (d && d.id) d._pushed = files[i].modified; });
+                return take(docs.filter(function (d) { return d && d.id; })).then(function (got) { return total + got; });
+            });
+        };
+    }
+
+    /** PROPFIND multistatus -> [{ href, modified (ms) }]; namespace-prefix agnostic. */
+    static parseListing(xml) {
+        console.assert(typeof xml === 'string', 'parseListing: xml');
+        var out = [], re = /<(?:[\w-]+:)?response[\s>][\s\S]*?<\/(?:[\w-]+:)?response>/gi, m, n = 0;
+        while ((m = re.exec(xml)) && n++ < 100000) {
+            var href = /<(?:[\w-]+:)?href[^>]*>([^<]*)</i.exec(m[0]);
+            var mod = /<(?:[\w-]+:)?getlastmodified[^>]*>([^<]*)</i.exec(m[0]);
+            if (href) out.push({ href: href[1].trim(), modified: mod ? Date.parse(mod[1]) || 0 : 0 });
+        }
+        console.assert(out.length <= n, 'parseListing: bounded');
+        return out;
+    }
+}
+
+// ---- self-hosted server.cjs -------------------------------------------------
+
+class ServerSyncAdapter {
+    constructor(opts) {
+        var o = opts || {};
+        this.name = 'server';
+        this.configured = String(o.serverURL || o.url || '');
+        this.url = this.configured.replace(/\/+$/, '');     // '/' -> '' = same origin
+        this.saltId = this.configured;
+    }
+    ready() { return this.configured.length > 0; }
+
+    _base(space, collection) {
+        console.assert(/^[0-9a-f]{32}$/.test(space), 'Server._base: derived space id');
+        return this.url + '/sync/' + space + '/' + encodeURIComponent(collection);
+    }
+
+    put(space, collection, doc) {
+        console.assert(doc && doc.id, 'Server.put: doc');
+        console.assert(typeof collection === 'string', 'Server.put: collection');
+        return fetch(this._base(space, collection) + '/' + encodeURIComponent(doc.id),
+            { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(doc) });
+    }
+
+    remove(space, collection, id) {
+        console.assert(typeof id === 'string' && id, 'Server.remove: id');
+        console.assert(typeof collection === 'string', 'Server.remove: collection');
+        return fetch(this._base(space, collection) + '/' + encodeURIComponent(id), { method: 'DELETE' });
+    }
+
+    // GET ?since=&after=&limit= ; the server answers { documents, next } with next = the
+    // (since, after) cursor of the following page, or null. Rule 2: at most maxPages pages.
+    list(space, collection, opts, take) {
+        console.assert(typeof take === 'function', 'Server.list: page handler');
+        console.assert(opts && opts.pageSize > 0 && opts.maxPages > 0, 'Server.list: bounds');
+        var base = this._base(space, collection), total = 0;
+        function page(cur, n) {
+            var qs = '?limit=' + opts.pageSize + (cur ? '&since=' + cur.since + (cur.after ? '&after=' + encodeURIComponent(cur.after) : '') : '');
+            return fetch(base + qs, { method: 'GET' }).then(function (r) {
+                if (!r || !r.ok) throw new Error('HTTP ' + (r ? r.status : '?'));
+                return r.json();
+            }).then(function (data) {
+                return take((data && Array.isArray(data.documents)) ? data.documents : []).then(function (got) {
+                    total += got;
+                    return data && data.next && n + 1 < opts.maxPages ? page(data.next, n + 1) : total;
+                });
+            });
+        }
+        return page(opts.since === null ? null : { since: Math.max(0, opts.since) }, 0);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.FirestoreSyncAdapter = FirestoreSyncAdapter;
+    window.WebDAVSyncAdapter = WebDAVSyncAdapter;
+    window.ServerSyncAdapter = ServerSyncAdapter;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FirestoreSyncAdapter: FirestoreSyncAdapter, WebDAVSyncAdapter: WebDAVSyncAdapter, ServerSyncAdapter: ServerSyncAdapter };
+}
@@ -0,0 +1,30 @@
+// SyncConfig.js — choose where Calendar / Notes sync stores its (encrypted) records.
+//
+// Leave everything EMPTY to use Firestore when PresenceConfig.js has a Firebase projectId,
+// or to stay purely on-device when it doesn't. Fill ONE backend below to sync without
+// Google instead; the first non-empty one wins: serverURL, then webdavURL, then Firestore.
+// Records are end-to-end encrypted with the sync code either way (see CalendarSync.js), so
+// the backend only ever stores ciphertext plus id / updated / deleted.
+//
+// ── SELF-HOSTED NODE SERVER (server.cjs) ──────────────────────────────────────────────
+//   1. `npm run legacy-server` (or `node server.cjs`) on a machine your devices can reach.
+//      Records land in one JSON file (SYNC_DATA_FILE, default .sync-data.json next to
+//      server.cjs). Put it behind HTTPS (a reverse proxy) — WebCrypto needs a secure page.
+//   2. serverURL = that server's address, e.g. 'https://sync.example.com', or '/' when the
+//      site itself is served by server.cjs.
+//
+// ── WEBDAV (Nextcloud, ownCloud, Apache mod_dav, rclone serve webdav, …) ───────────────
+//   1. Create a folder for the app and allow CORS from this site's origin (methods PUT, DELETE,
+//      PROPFIND, MKCOL; headers Authorization, Content-Type, Depth).
+//   2. webdavURL = the folder URL, e.g. 'https://cloud.example.com/remote.php/dav/files/me/mrcargon'.
+//   3. Prefer an app password: it is readable by anyone who loads this site's source, so
+//      only use credentials scoped to that one folder.
+
+window.MRCARGON_SYNC = {
+    serverURL: '',        // ← self-hosted server.cjs, e.g. 'https://sync.example.com' or '/'
+    webdavURL: '',        // ← WebDAV folder URL (NO trailing slash)
+    webdavUser: '',
+    webdavPassword: '',
+    tombstoneDays: 30     // deleted events / notes are forgotten this long after deletion, once
+                          // every device that synced recently has seen the delete
+};
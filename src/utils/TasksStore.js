@@ -0,0 +1,352 @@
+// TasksStore.js — local-first to-do store for the launcher's Tasks module.
+// Same pattern as NotesStore: on-device (LocalDB), soft-delete tombstones (compact() forgets
+// old ones every device has synced), field-level merge (RecordMerge.js), change events,
+// `storageError` on failed saves, pluggable sync adapter (CalendarSync with collection:'tasks').
+// Works fully OFFLINE; sync is additive.
+//
+// Task shape: { id, title, notes, due, priority, done, doneAt, parentId, order, stamps, updated, deleted }
+//   due      — '' or 'YYYY-MM-DD' (a day, no time: shown as markers in the Calendar month grid)
+//   priority — 0 none, 1 low, 2 medium, 3 high
+//   done     — completed; doneAt = when (ms), 0 while open
+//   parentId — '' for a task, or the id of the task this is a SUBTASK of. Subtasks are records
+//              of their own (records stay flat for sync) and nest one level only
+//   order    — position among its siblings (new ones go last)
+// Concurrent edits of the same field resolve to the later edit (no conflicted copies: a
+// task's text is short, unlike a note body).
+// classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
+// methods <=60 lines, pre-allocated structures, graceful fallback.
+
+class TasksStore {
+    constructor(opts) {
+        console.assert(typeof window !== 'undefined', 'TasksStore: window required');
+        console.assert(!opts || typeof opts === 'object', 'TasksStore: opts object');
+        var o = opts || {};
+        this.key = o.key || 'mrcargon.tasks';
+        this.sync = o.sync || null;
+        this._tasks = new Map();          // id -> task
+        this._listeners = [];
+        this.tombstoneDays = LocalDB.tombstoneDays(o.tombstoneDays);
+        this.storageError = '';
+        this._loading = false;            // tasks still coming from IndexedDB
+        this._dirty = false;
+        this._load();
+        if (!this._loading) this._attachSync();
+    }
+
+    static get MAX_RECORDS() { return 50000; }
+    static get MAX_SUBTASKS() { return 100; }
+    static get PRIORITIES() { return ['none', 'low', 'medium', 'high']; }
+    static get VIEWS() { return ['open', 'today', 'overdue', 'upcoming', 'done', 'all']; }
+
+    _attachSync() {
+        console.assert(!this._loading, '_attachSync: tasks loaded first');
+        if (!this.sync || typeof this.sync.attach !== 'function') return false;
+        var self = this;
+        this.sync.attach({
+            onRemote: function (list) { self._mergeRemote(list); },
+            all: function () { return Array.from(self._tasks.values()); }     // incl. tombstones, for re-seeding
+        });
+        return true;
+    }
+
+    _load() {
+        console.assert(typeof this.key === 'string', '_load: key required');
+        console.assert(this._tasks instanceof Map, '_load: tasks map required');
+        var self = this;
+        this._loading = LocalDB.where(this.key) === 'indexeddb';
+        LocalDB.read(this.key, function (arr) { self._loaded(arr); });
+        return true;
+    }
+
+    // Tasks read from storage; a late (IndexedDB) load keeps newer tasks merged or edited
+    // meanwhile, saves changes made meanwhile and attaches sync — as in NotesStore.
+    _loaded(arr) {
+        console.assert(arr === null || typeof arr === 'object', '_loaded: list');
+        console.assert(this._tasks instanceof Map, '_loaded: tasks map');
+        var self = this, late = this._loading;
+        (Array.isArray(arr) ? arr : []).slice(0, TasksStore.MAX_RECORDS).forEach(function (t) {
+            if (!t || !t.id) return;
+            var cur = late ? self._tasks.get(String(t.id)) : null;
+            if (!cur || (Number(cur.updated) || 0) < (Number(t.updated) || 0)) self._tasks.set(String(t.id), TasksStore._normalize(t));
+        });
+        if (!late) return true;
+        this._loading = false;
+        if (this._dirty) { this._dirty = false; this._persist(); }
+        else this._emit();
+        this._attachSync();
+        return true;
+    }
+
+    // Re-read the saved list — another tab, or another store instance in this tab, wrote it.
+    reload() {
+        console.assert(typeof this.key === 'string', 'reload: key required');
+        console.assert(this._tasks instanceof Map, 'reload: tasks map');
+        if (this._loading) return false;
+        var self = this;
+        LocalDB.read(this.key, function (arr) {
+            if (self._loading) return;
+            self._tasks.clear();
+            self._loaded(arr);
+            self._emit();
+        });
+        return true;
+    }
+
+    /** True until a store kept in IndexedDB has finished its first (asynchronous) load. */
+    loading() {
+        console.assert(typeof this._loading === 'boolean', 'loading: flag');
+        console.assert(typeof this.key === 'string', 'loading: key');
+        return this._loading;
+    }
+
+    _persist() {
+        console.assert(this._tasks instanceof Map, '_persist: tasks map');
+        console.assert(typeof this.key === 'string', '_persist: key');
+        if (this._loading) { this._dirty = true; this._emit(); return true; }
+        var arr = [], self = this;
+        this._tasks.forEach(function (t) { arr.push(t); });
+        LocalDB.write(this.key, arr).then(function (res) { self._saved(res); });
+        this._emit();
+        return true;
+    }
+
+    _saved(res) {
+        console.assert(res && typeof res.ok === 'boolean', '_saved: result');
+        var err = res.ok ? '' : res.error;
+        if (err === this.storageError) return false;
+        if (err) console.warn('[TasksStore] persist failed:', err);
+        this.storageError = err;
+        this._emit();
+        return true;
+    }
+
+    /** '2026-10-19' stays, anything else becomes ''. */
+    static cleanDue(v) {
+        var s = String(v == null ? '' : v).trim();
+        var t = /^\d{4}-\d{2}-\d{2}$/.test(s) ? Date.parse(s + 'T00:00:00Z') : NaN;
+        return !isNaN(t) && new Date(t).toISOString().slice(0, 10) === s ? s : '';      // rejects 2030-02-30
+    }
+
+    // Fill and clamp fields (older records, or synced ones from older clients).
+    static _normalize(t) {
+        t.title = String(t.title || '').slice(0, 200);
+        t.notes = String(t.notes || '').slice(0, 4000);
+        t.due = TasksStore.cleanDue(t.due);
+        var p = Math.round(Number(t.priority) || 0);
+        t.priority = p >= 0 && p <= 3 ? p : 0;
+        t.done = t.done === true || t.done === 'true';
+        t.doneAt = t.done ? (Number(t.doneAt) || Number(t.updated) || 0) : 0;
+        t.parentId = t.parentId ? String(t.parentId) : '';
+        t.order = Number.isFinite(Number(t.order)) ? Number(t.order) : 0;
+        return t;
+    }
+
+    // Today as 'YYYY-MM-DD' in the device's zone (due dates are plain days).
+    static today(now) {
+        var d = now ? new Date(now) : new Date();
+        return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+    }
+
+    // Does live task `t` belong in `view` (see VIEWS) on `today`?
+    static _inView(t, view, today) {
+        if (view === 'all') return true;
+        if (view === 'done') return t.done;
+        if (t.done) return false;
+        if (view === 'today') return !!t.due && t.due <= today;           // due today, or overdue
+        if (view === 'overdue') return !!t.due && t.due < today;
+        if (view === 'upcoming') return !!t.due && t.due > today;
+        return true;                                                      // 'open'
+    }
+
+    /**
+     * Top-level live tasks in `opts.view` (default 'open'): open ones first, then by due date
+     * (undated last), priority (high first) and order; done ones newest-completed first.
+     * `opts.today` overrides today's date (tests). Bounded by store size.
+     */
+    list(opts) {
+        console.assert(this._tasks instanceof Map, 'list: tasks map');
+        console.assert(opts === undefined || (opts && typeof opts === 'object'), 'list: opts object');
+        var o = opts || {}, view = TasksStore.VIEWS.indexOf(o.view) >= 0 ? o.view : 'open', today = o.today || TasksStore.today(), out = [];
+        this._tasks.forEach(function (t) {
+            if (t && !t.deleted && !t.parentId && TasksStore._inView(t, view, today)) out.push(t);
+        });
+        out.sort(TasksStore._compare);
+        return out;
+    }
+
+    static _compare(a, b) {
+        if (a.done !== b.done) return a.done ? 1 : -1;
+        if (a.done) return b.doneAt - a.doneAt;
+        if (a.due !== b.due) return !a.due ? 1 : !b.due ? -1 : (a.due < b.due ? -1 : 1);
+        if (a.priority !== b.priority) return b.priority - a.priority;
+        return (a.order - b.order) || ((Number(a.updated) || 0) - (Number(b.updated) || 0));
+    }
+
+    /** Live subtasks of task `id`, in their order. */
+    subtasks(id) {
+        console.assert(id != null, 'subtasks: id required');
+        console.assert(this._tasks instanceof Map, 'subtasks: tasks map');
+        var out = [], pid = String(id);
+        this._tasks.forEach(function (t) { if (t && !t.deleted && t.parentId === pid) out.push(t); });
+        return out.sort(function (a, b) { return a.order - b.order; }).slice(0, TasksStore.MAX_SUBTASKS);
+    }
+
+    /** { done, total } over task `id`'s subtasks. */
+    progress(id) {
+        console.assert(id != null, 'progress: id required');
+        console.assert(this._tasks instanceof Map, 'progress: tasks map');
+        var subs = this.subtasks(id);
+        return { done: subs.filter(function (s) { return s.done; }).length, total: subs.length };
+    }
+
+    /** How many live top-level tasks each VIEWS entry holds, for the filter bar. */
+    counts(today) {
+        console.assert(today === undefined || typeof today === 'string', 'counts: today');
+        console.assert(this._tasks instanceof Map, 'counts: tasks map');
+        var day = today || TasksStore.today(), out = {};
+        TasksStore.VIEWS.forEach(function (v) { out[v] = 0; });
+        this._tasks.forEach(function (t) {
+            if (!t || t.deleted || t.parentId) return;
+            TasksStore.VIEWS.forEach(function (v) { if (TasksStore._inView(t, v, day)) out[v]++; });
+        });
+        return out;
+    }
+
+    /**
+     * Open tasks and subtasks with a due date inside ['from', 'to'], by day:
+     * { 'YYYY-MM-DD': [task, …] } — the Calendar's month-grid markers.
+     */
+    dueByDate(from, to) {
+        console.assert(typeof from === 'string' && typeof to === 'string', 'dueByDate: range');
+        console.assert(this._tasks instanceof Map, 'dueByDate: tasks map');
+        var out = Object.create(null);
+        this._tasks.forEach(function (t) {
+            if (!t || t.deleted || t.done || !t.due || t.due < from || t.due > to) return;
+            (out[t.due] || (out[t.due] = [])).push(t);
+        });
+        return out;
+    }
+
+    get(id) {
+        console.assert(id != null, 'get: id required');
+        console.assert(this._tasks instanceof Map, 'get: tasks map');
+        var t = this._tasks.get(String(id));
+        return (t && !t.deleted) ? t : null;
+    }
+
+    // Fields left out of `task` keep their saved values, so { id, done: true } only completes.
+    // A parentId that isn't a live top-level task is dropped (one level of nesting). <=60 lines.
+    upsert(task) {
+        console.assert(task && typeof task === 'object', 'upsert: task object');
+        console.assert(this._tasks instanceof Map, 'upsert: tasks map');
+        var id = task.id ? String(task.id) : ('tk-' + Date.now() + '-' + Math.random().toString(36).slice(2, 7));
+        var cur = this.get(id) || {};
+        function pick(k, dflt) { return task[k] !== undefined ? task[k] : (cur[k] !== undefined ? cur[k] : dflt); }
+        var parentId = String(pick('parentId', '') || ''), parent = parentId ? this.get(parentId) : null;
+        if (!parent || parent.parentId || parentId === id) parentId = '';
+        var done = !!pick('done', false);
+        var rec = TasksStore._normalize({ id: id, title: pick('title', ''), notes: pick('notes', ''), due: pick('due', ''),
+            priority: pick('priority', 0), done: done, doneAt: done ? (cur.done ? cur.doneAt : Date.now()) : 0,
+            parentId: parentId, order: pick('order', cur.id ? 0 : this._nextOrder(parentId)), updated: Date.now(), deleted: false });
+        this._stamp(this._tasks.get(id), rec);
+        this._tasks.set(id, rec);
+        this._persist();
+        if (this.sync && typeof this.sync.push === 'function') this.sync.push(rec);
+        return rec;
+    }
+
+    _nextOrder(parentId) {
+        console.assert(typeof parentId === 'string', '_nextOrder: parent id');
+        console.assert(this._tasks instanceof Map, '_nextOrder: tasks map');
+        var max = 0;
+        this._tasks.forEach(function (t) { if (t && !t.deleted && t.parentId === parentId) max = Math.max(max, t.order); });
+        return max + 1;
+    }
+
+    /** Complete (or reopen) task `id`; `done` defaults to the opposite of its current state. */
+    toggle(id, done) {
+        console.assert(id != null, 'toggle: id required');
+        console.assert(done === undefined || typeof done === 'boolean', 'toggle: done flag');
+        var t = this.get(id);
+        if (!t) return null;
+        return this.upsert({ id: t.id, done: done === undefined ? !t.done : done });
+    }
+
+    /** Delete a task and its subtasks (tombstones, so the deletes sync too). */
+    remove(id) {
+        console.assert(id != null, 'remove: id required');
+        console.assert(this._tasks instanceof Map, 'remove: tasks map');
+        var cur = this._tasks.get(String(id));
+        if (!cur) return false;
+        var self = this, gone = [cur].concat(cur.parentId ? [] : this.subtasks(cur.id)), now = Date.now();
+        gone.forEach(function (t) {
+            var rec = Object.assign({}, t, { deleted: true, updated: now });
+            self._stamp(t, rec);
+            self._tasks.set(String(t.id), rec);
+            if (self.sync && typeof self.sync.push === 'function') self.sync.push(rec);
+        });
+        this._persist();
+        return true;
+    }
+
+    _stamp(prev, rec) {
+        if (typeof RecordMerge !== 'undefined') RecordMerge.touch(prev || null, rec);
+        return rec;
+    }
+
+    // Field-level merge of remote tasks (whole-task last-write-wins without RecordMerge.js).
+    // Merged tasks holding local edits the backend lacks are pushed back.
+    _mergeRemote(list) {
+        console.assert(Array.isArray(list), '_mergeRemote: array');
+        console.assert(this._tasks instanceof Map, '_mergeRemote: tasks map');
+        var self = this, changed = false, out = [];
+        list.slice(0, 5000).forEach(function (r) {
+            if (!r || !r.id) return;
+            var cur = self._tasks.get(String(r.id)), m;
+            TasksStore._normalize(r);
+            if (!cur) m = { record: r, changed: true, pushBack: false };
+            else if (typeof RecordMerge !== 'undefined') m = RecordMerge.merge(cur, r, []);
+            else m = { record: r, changed: (Number(r.updated) || 0) > (Number(cur.updated) || 0), pushBack: false };
+            if (!m.changed) return;
+            var rec = TasksStore._normalize(m.record);
+            self._tasks.set(rec.id, rec); changed = true;
+            if (m.pushBack) out.push(rec);
+        });
+        if (changed) this._persist();
+        if (this.sync && typeof this.sync.push === 'function') out.forEach(function (rec) { self.sync.push(rec); });
+        return changed;
+    }
+
+    /**
+     * Forget tasks deleted more than `tombstoneDays` ago that every known device has synced
+     * (CalendarSync.purgeable; with sync off, age alone). Returns the count.
+     */
+    compact(now) {
+        console.assert(this._tasks instanceof Map, 'compact: tasks map');
+        console.assert(now === undefined || Number.isFinite(now), 'compact: now');
+        if (this._loading) return 0;
+        var self = this, cutoff = (now || Date.now()) - this.tombstoneDays * 86400000, ids = [];
+        this._tasks.forEach(function (t) { if (t.deleted && (Number(t.updated) || 0) <= cutoff) ids.push(String(t.id)); });
+        var sync = this.sync && typeof this.sync.enabled === 'function' && this.sync.enabled() ? this.sync : null;
+        if (sync) ids = typeof sync.purgeable === 'function' ? sync.purgeable(ids) : [];
+        if (!ids.length) return 0;
+        ids.forEach(function (id) { self._tasks.delete(id); });
+        this._persist();
+        if (sync && typeof sync.purge === 'function') sync.purge(ids);
+        return ids.length;
+    }
+
+    onChange(fn) {
+        console.assert(typeof fn === 'function', 'onChange: fn');
+        console.assert(Array.isArray(this._listeners), 'onChange: listeners');
+        this._listeners.push(fn);
+        return true;
+    }
+    _emit() {
+        this._listeners.forEach(function (fn) { try { fn(); } catch (e) { /* isolate */ } });
+        return true;
+    }
+}
+
+if (typeof window !== 'undefined') window.TasksStore = TasksStore;
+if (typeof module !== 'undefined' && module.exports) module.exports = { TasksStore: TasksStore };
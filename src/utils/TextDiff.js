@@ -0,0 +1,105 @@
+// TextDiff.js — line diff for the Notes history panel (what a revision changed vs. now).
+//
+// Classic LCS on lines, after trimming the common prefix / suffix so typical edits (a few
+// lines touched in a long note) only diff the changed middle. The middle's DP table is capped
+// at MAX_CELLS; past that the middle is shown as "all removed, then all added" — still
+// correct, just not minimal. Output ops: { op: '=' | '-' | '+', text }.
+//
+// classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
+// methods <=60 lines, pre-allocated structures, graceful fallback.
+
+var TextDiff = {
+    MAX_LINES: 5000,
+    MAX_CELLS: 1000000,          // Rule 3: ~4 MB Uint32Array at most
+
+    /** Ops turning text `a` into text `b`, line by line. */
+    lines(a, b) {
+        console.assert(a == null || typeof a === 'string', 'TextDiff.lines: a string');
+        console.assert(b == null || typeof b === 'string', 'TextDiff.lines: b string');
+        var A = this._split(a), B = this._split(b), pre = 0, suf = 0;
+        while (pre < A.length && pre < B.length && A[pre] === B[pre]) pre++;
+        while (suf < A.length - pre && suf < B.length - pre && A[A.length - 1 - suf] === B[B.length - 1 - suf]) suf++;
+        var out = A.slice(0, pre).map(function (t) { return { op: '=', text: t }; });
+        var midA = A.slice(pre, A.length - suf), midB = B.slice(pre, B.length - suf);
+        out = out.concat(this._middle(midA, midB));
+        A.slice(A.length - suf).forEach(function (t) { out.push({ op: '=', text: t }); });
+        return out;
+    },
+
+    _split(s) {
+        var str = String(s == null ? '' : s).replace(/\r\n?/g, '\n');
+        return str ? str.split('\n').slice(0, this.MAX_LINES) : [];
+    },
+
+    // LCS over the changed middle; removals are listed before additions within each hunk.
+    _middle(A, B) {
+        console.assert(Array.isArray(A) && Array.isArray(B), '_middle: arrays');
+        console.assert(this.MAX_CELLS > 0, '_middle: cap');
+        var n = A.length, m = B.length, out = [];
+        function del(t) { out.push({ op: '-', text: t }); }
+        function add(t) { out.push({ op: '+', text: t }); }
+        if (!n || !m || (n + 1) * (m + 1) > this.MAX_CELLS) { A.forEach(del); B.forEach(add); return out; }
+        var w = m + 1, L = new Uint32Array((n + 1) * w), i, j;
+        for (i = n - 1; i >= 0; i--) {
+            for (j = m - 1; j >= 0; j--) {
+                L[i * w + j] = A[i] === B[j] ? L[(i + 1) * w + j + 1] + 1 : Math.max(L[(i + 1) * w + j], L[i * w + j + 1]);
+            }
+        }
+        i = 0; j = 0;
+        while (i < n && j < m) {
+            if (A[i] === B[j]) { out.push({ op: '=', text: A[i] }); i++; j++; }
+            else if (L[(i + 1) * w + j] >= L[i * w + j + 1]) del(A[i++]);
+            else add(B[j++]);
+        }
+        A.slice(i).forEach(del); B.slice(j).forEach(add);
+        return out;
+    },
+
+    /** { added, removed } line counts. */
+    stats(ops) {
+        console.assert(Array.isArray(ops), 'TextDiff.stats: ops');
+        var s = { added: 0, removed: 0 };
+        ops.forEach(function (o) { if (o.op === '+') s.added++; else if (o.op === '-') s.removed++; });
+        console.assert(s.added + s.removed <= ops.length, 'TextDiff.stats: counted');
+        return s;
+    },
+
+    /**
+     * Escaped HTML, one .diff-line per op; unchanged runs longer than 2*context+1 collapse to a
+     * "⋯ N unchanged lines" marker. <=60 lines.
+     */
+    html(ops, context) {
+        console.assert(Array.isArray(ops), 'TextDiff.html: ops');
+        var ctx = Number.isInteger(context) && context >= 0 ? context : 2, out = [], self = this;
+        console.assert(ctx >= 0, 'TextDiff.html: context');
+        function line(o) {
+            var cls = o.op === '+' ? 'diff-add' : o.op === '-' ? 'diff-del' : 'diff-same';
+            return '<div class="diff-line ' + cls + '"><span class="diff-op" aria-hidden="true">' + (o.op === '=' ? ' ' : o.op) +
+                '</span>' + (self._esc(o.text) || '&nbsp;') + '</div>';
+        }
+        for (var i = 0; i < ops.length; ) {
+            if (ops[i].op !== '=') { out.push(line(ops[i++])); continue; }
+            var end = i;
+            while (end < ops.length && ops[end].op === '=') end++;
+            var head = i === 0 ? 0 : ctx, tail = end === ops.length ? 0 : ctx;
+            if (end - i > head + tail + 1) {
+                ops.slice(i, i + head).forEach(function (o) { out.push(line(o)); });
+                out.push('<div class="diff-skip">⋯ ' + (end - i - head - tail) + ' unchanged lines</div>');
+                ops.slice(end - tail, end).forEach(function (o) { out.push(line(o)); });
+            } else {
+                ops.slice(i, end).forEach(function (o) { out.push(line(o)); });
+            }
+            i = end;
+        }
+        return out.join('');
+    },
+
+    _esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;' }[c];
+        });
+    }
+};
+
+if (typeof window !== 'undefined') window.TextDiff = TextDiff;
+if (typeof module !== 'undefined' && module.exports) module.exports = { TextDiff: TextDiff };
@@ -0,0 +1,107 @@
+// TimeZone.js — IANA time-zone conversion for the Calendar, on the browser's own Intl data
+// (no tz database shipped). Events are STORED as wall-clock date/time + the zone they were
+// scheduled in, so a record never changes when the device travels; only the DISPLAY is
+// converted into the viewer's zone. A record with no zone is "floating" (same wall time
+// everywhere), which is how every pre-zone event keeps behaving.
+//
+// classic script, window global. NASA Power-of-10: bounded loops, >=2 asserts/method,
+// methods <=60 lines, graceful fallback (unknown zone -> wall-clock passes through unchanged).
+
+var TimeZone = {
+    _fmt: new Map(),               // zone -> Intl.DateTimeFormat (bounded, see _formatter)
+    MAX_CACHED: 64,
+
+    /** The viewer's IANA zone, e.g. "Europe/Riga" ("UTC" when Intl cannot tell). */
+    local() {
+        console.assert(typeof Intl !== 'undefined', 'TimeZone.local: Intl required');
+        try { return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'; }
+        catch (e) { return 'UTC'; }
+    },
+
+    /** True when `tz` is a zone this browser can convert. */
+    isValid(tz) {
+        console.assert(tz == null || typeof tz === 'string', 'TimeZone.isValid: string');
+        return !!(tz && this._formatter(tz));
+    },
+
+    /** Every zone the browser knows (for a picker); just the viewer's zone on older engines. */
+    list() {
+        console.assert(typeof Intl !== 'undefined', 'TimeZone.list: Intl required');
+        try { return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [this.local()]; }
+        catch (e) { return [this.local()]; }
+    },
+
+    _formatter(tz) {
+        if (this._fmt.has(tz)) return this._fmt.get(tz);
+        var f = null;
+        try {
+            f = new Intl.DateTimeFormat('en-US', {
+                timeZone: tz, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            });
+        } catch (e) { f = null; }
+        if (this._fmt.size >= this.MAX_CACHED) this._fmt.clear();     // Rule 3: bounded cache
+        this._fmt.set(tz, f);
+        return f;
+    },
+
+    // Wall-clock fields of instant `ms` in `tz`.
+    _parts(ms, tz) {
+        var f = this._formatter(tz), out = {};
+        if (!f) return null;
+        f.formatToParts(new Date(ms)).forEach(function (p) { if (p.type !== 'literal') out[p.type] = parseInt(p.value, 10); });
+        return out;
+    },
+
+    /** Offset of `tz` from UTC at instant `ms`, in minutes (east positive). */
+    offsetMinutes(tz, ms) {
+        console.assert(typeof tz === 'string', 'TimeZone.offsetMinutes: zone');
+        console.assert(Number.isFinite(ms), 'TimeZone.offsetMinutes: instant');
+        var p = this._parts(ms, tz);
+        if (!p) return 0;
+        var wall = Date.UTC(p.year, p.month - 1, p.day, p.hour % 24, p.minute, p.second);
+        return Math.round((wall - Math.floor(ms / 1000) * 1000) / 60000);
+    },
+
+    /**
+     * Instant (ms) of wall-clock `date` 'YYYY-MM-DD' + `time` 'HH:MM' in `tz`. Two passes
+     * settle DST edges; a wall time skipped by spring-forward lands just after the gap.
+     */
+    toUtc(date, time, tz) {
+        console.assert(typeof date === 'string' && typeof time === 'string', 'TimeZone.toUtc: date + time');
+        console.assert(typeof tz === 'string', 'TimeZone.toUtc: zone');
+        var d = date.split('-'), t = (time || '00:00').split(':');
+        var guess = Date.UTC(+d[0], +d[1] - 1, +d[2], +t[0] || 0, +t[1] || 0);
+        var off1 = this.offsetMinutes(tz, guess), ms = guess - off1 * 60000;
+        var off2 = this.offsetMinutes(tz, ms);
+        return off2 === off1 ? ms : guess - off2 * 60000;
+    },
+
+    /** Wall-clock { date, time } of instant `ms` in `tz`. */
+    fromUtc(ms, tz) {
+        console.assert(Number.isFinite(ms), 'TimeZone.fromUtc: instant');
+        console.assert(typeof tz === 'string', 'TimeZone.fromUtc: zone');
+        var p = this._parts(ms, tz);
+        if (!p) return null;
+        return {
+            date: p.year + '-' + String(p.month).padStart(2, '0') + '-' + String(p.day).padStart(2, '0'),
+            time: String(p.hour % 24).padStart(2, '0') + ':' + String(p.minute).padStart(2, '0')
+        };
+    },
+
+    /** Re-express a wall-clock time from one zone in another. Unknown zones pass through. */
+    convert(date, time, fromTz, toTz) {
+        console.assert(typeof date === 'string' && typeof time === 'string', 'TimeZone.convert: date + time');
+        console.assert(typeof fromTz === 'string' && typeof toTz === 'string', 'TimeZone.convert: zones');
+        if (fromTz === toTz || !this.isValid(fromTz) || !this.isValid(toTz)) return { date: date, time: time };
+        return this.fromUtc(this.toUtc(date, time, fromTz), toTz) || { date: date, time: time };
+    },
+
+    /** "Tokyo" from "Asia/Tokyo" — short label for the UI. */
+    label(tz) {
+        return String(tz || '').split('/').pop().replace(/_/g, ' ');
+    }
+};
+
+if (typeof window !== 'undefined') window.TimeZone = TimeZone;
+if (typeof module !== 'undefined' && module.exports) module.exports = { TimeZone: TimeZone };
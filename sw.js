@@ -15,8 +15,14 @@
 // reliably beat a service worker. Bumping this name deletes every old cache in
 // the activate handler below, forcing a clean fetch.
 // ALWAYS bump this when shipping asset changes, or nobody sees them.
-const CACHE_NAME = 'mrcargon-hub-v6';
+const CACHE_NAME = 'mrcargon-hub-v31';
 const CORE_SHELL = ['./', './index.html', './index.css'];
+// Calendar reminders (see src/utils/Reminders.js) live in their own cache so a CACHE_NAME
+// bump never drops a pending schedule.
+const REMINDER_CACHE = 'mrcargon-reminders';
+const REMINDER_URL = './__reminders.json';
+const REMINDER_STALE_MS = 6 * 60 * 60 * 1000;   // matches Reminders.STALE_MS
+const REMINDER_SYNC_TAG = 'mrcargon-reminders';
 
 self.addEventListener('install', (event) => {
     event.waitUntil(
@@ -31,7 +37,7 @@ self.addEventListener('activate', (event) => {
     event.waitUntil(
         caches.keys()
             .then((keys) => Promise.all(
-                keys.filter((k) => k !== CACHE_NAME).map((k) => caches.delete(k))
+                keys.filter((k) => k !== CACHE_NAME && k !== REMINDER_CACHE).map((k) => caches.delete(k))
             ))
             .then(() => self.clients.claim())
     );
@@ -62,3 +68,63 @@ self.addEventListener('fetch', (event) => {
         )
     );
 });
+
+// ---- Calendar reminders ------------------------------------------------------------
+// The page posts its upcoming schedule ({ type:'reminders', items:[{ tag, at, title, body }] })
+// whenever it changes and whenever one comes due. The worker keeps the latest schedule plus
+// the tags it has already shown, and shows anything due that it has not: on each message and
+// on 'periodicsync' wake-ups (installed app, browser permitting) while no page is open.
+// Each tag is shown once, however many tabs post it.
+
+function readReminders() {
+    return caches.open(REMINDER_CACHE)
+        .then((cache) => cache.match(REMINDER_URL))
+        .then((res) => (res ? res.json() : null))
+        .then((state) => ({ items: (state && state.items) || [], fired: (state && state.fired) || {} }))
+        .catch(() => ({ items: [], fired: {} }));
+}
+
+function writeReminders(state) {
+    return caches.open(REMINDER_CACHE).then((cache) => cache.put(REMINDER_URL, new Response(
+        JSON.stringify(state), { headers: { 'Content-Type': 'application/json' } })));
+}
+
+// Show everything due and not yet shown; forget schedule entries and fired tags once stale.
+function fireDueReminders(state) {
+    const now = Date.now();
+    const due = state.items.filter((r) => r.at <= now && now - r.at < REMINDER_STALE_MS && !state.fired[r.tag]);
+    due.forEach((r) => { state.fired[r.tag] = r.at; });
+    const fired = {};
+    Object.keys(state.fired).slice(0, 2000).forEach((tag) => {
+        if (now - state.fired[tag] < 2 * REMINDER_STALE_MS) fired[tag] = state.fired[tag];
+    });
+    const next = { items: state.items.filter((r) => now - r.at < REMINDER_STALE_MS).slice(0, 500), fired };
+    return Promise.all(due.map((r) => self.registration.showNotification(r.title || 'Reminder', {
+        body: r.body || '', tag: r.tag, data: { url: './#calendar' }
+    }).catch(() => null))).then(() => writeReminders(next));
+}
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    if (data.type !== 'reminders' || !Array.isArray(data.items)) return;
+    event.waitUntil(readReminders().then((state) => {
+        state.items = data.items.filter((r) => r && typeof r.tag === 'string' && Number.isFinite(r.at)).slice(0, 500);
+        return fireDueReminders(state);
+    }));
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag !== REMINDER_SYNC_TAG) return;
+    event.waitUntil(readReminders().then(fireDueReminders));
+});
+
+// Clicking a reminder focuses an open tab of the site, or opens one on the Calendar page.
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL((event.notification.data && event.notification.data.url) || './#calendar', self.location.href).href;
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((list) => {
+        const open = list.find((c) => c.url.split('#')[0] === url.split('#')[0]);
+        if (open) return open.focus();
+        return self.clients.openWindow(url);
+    }));
+});
@@ -0,0 +1,88 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Backup & Restore E2E Tests
+ * Purpose: Verify the launcher data backup collects every section, validates archives and
+ *          restores them in merge and replace modes
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Backup and restore', () => {
+  test('merge keeps local data and adds the backup; replace swaps it in', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const out = await page.evaluate(async () => {
+      window.localStorage.clear();
+      const notes = new window.NotesStore();
+      notes.upsert({ title: 'From backup', body: 'saved earlier' });
+      window.localStorage.setItem('mrcargon.explore.pins', JSON.stringify([{ id: 'pin-1', lat: 37.7, lng: -122.4, name: 'Home' }]));
+      window.localStorage.setItem('mrcargon.calendar.view', 'week');
+      const archive = await window.Backup.collect();
+
+      window.localStorage.clear();
+      new window.NotesStore().upsert({ title: 'Only here', body: 'local' });
+      window.localStorage.setItem('mrcargon.calendar.view', 'agenda');
+      await window.Backup.restore(archive, 'merge');
+      const merged = new window.NotesStore().list().map((n) => n.title).sort();
+      const viewAfterMerge = window.localStorage.getItem('mrcargon.calendar.view');
+
+      await window.Backup.restore(JSON.stringify(archive), 'replace');
+      const replaced = new window.NotesStore().list().map((n) => n.title);
+      return {
+        sections: Object.keys(archive.data).sort(), merged, viewAfterMerge, replaced,
+        view: window.localStorage.getItem('mrcargon.calendar.view'),
+        pins: JSON.parse(window.localStorage.getItem('mrcargon.explore.pins')).length,
+      };
+    });
+
+    expect(out.sections).toEqual(['mrcargon.calendar.view', 'mrcargon.explore.pins', 'mrcargon.notes']);
+    expect(out.merged).toEqual(['From backup', 'Only here']);
+    expect(out.viewAfterMerge).toBe('agenda');
+    expect(out.replaced).toEqual(['From backup']);
+    expect(out.view).toBe('week');
+    expect(out.pins).toBe(1);
+  });
+
+  test('invalid archives are rejected and malformed records dropped', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const out = await page.evaluate(() => {
+      const B = window.Backup;
+      const ok = { format: 'mrcargon-backup', version: 1, data: { 'mrcargon.notes': [{ id: 'n1', title: 'fine' }, { title: 'no id' }, { id: 'n2', nested: { a: 1 } }] } };
+      const checked = B.check(ok);
+      return {
+        notJson: B.check('{oops').ok,
+        wrongFormat: B.check({ format: 'other', version: 1, data: {} }).ok,
+        newer: B.check({ format: 'mrcargon-backup', version: 99, data: {} }).error,
+        badSection: B.check({ format: 'mrcargon-backup', version: 1, data: { 'mrcargon.notes': 'x' } }).ok,
+        kept: checked.data['mrcargon.notes'].map((n) => n.id),
+        dropped: checked.dropped,
+      };
+    });
+
+    expect(out.notJson).toBe(false);
+    expect(out.wrongFormat).toBe(false);
+    expect(out.newer).toContain('newer version');
+    expect(out.badSection).toBe(false);
+    expect(out.kept).toEqual(['n1']);
+    expect(out.dropped).toBe(2);
+  });
+
+  test('the launcher panel downloads a backup and restores a picked file', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => new window.NotesStore().upsert({ title: 'Round trip', body: 'x' }));
+    await page.goto('/#launcher');
+    await page.waitForSelector('#backup-export-btn', { state: 'visible', timeout: 15000 });
+    const [download] = await Promise.all([page.waitForEvent('download'), page.click('#backup-export-btn')]);
+    expect(download.suggestedFilename()).toMatch(/^mrcargon-backup-\d{4}-\d{2}-\d{2}\.json$/);
+
+    const archive = { format: 'mrcargon-backup', version: 1, data: { 'mrcargon.notes': [{ id: 'nt-restored', title: 'Restored note', body: '', updated: 1 }] } };
+    await page.setInputFiles('#backup-import-file', { name: 'backup.json', mimeType: 'application/json', buffer: Buffer.from(JSON.stringify(archive)) });
+    await expect(page.locator('#backup-status')).toContainText('Restored');
+    await page.waitForEvent('load');                       // the page reloads onto the restored data
+    const titles = await page.evaluate(() => new window.NotesStore().list().map((n) => n.title).sort());
+
+    expect(titles).toEqual(['Restored note', 'Round trip']);
+  });
+});
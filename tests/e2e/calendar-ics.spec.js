@@ -0,0 +1,52 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Calendar .ics E2E Tests
+ * Purpose: Verify RFC 5545 export/import round-trips and UID de-duplication
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Calendar iCalendar import/export', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => {
+      window.localStorage.removeItem('test.ics.a');
+      window.localStorage.removeItem('test.ics.b');
+    });
+  });
+
+  test('export then import reproduces all-day, timed and recurring events', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const a = new window.CalendarStore({ key: 'test.ics.a' });
+      const series = a.upsert({ date: '2026-10-05', time: '09:00', title: 'Standup', rrule: 'FREQ=WEEKLY' });
+      a.upsert({ date: '2026-10-20', title: 'Holiday', notes: 'Line one\nLine two' });
+      a.removeOccurrence(series.id, '2026-10-12');
+
+      const b = new window.CalendarStore({ key: 'test.ics.b' });
+      const first = window.ICalendar.importInto(b, window.ICalendar.exportStore(a));
+      const again = window.ICalendar.importInto(b, window.ICalendar.exportStore(a));
+      return {
+        first, again,
+        counts: b.countsByDate('2026-10-01', '2026-10-31'),
+        holiday: b.forDate('2026-10-20')[0]
+      };
+    });
+
+    expect(result.first).toEqual({ added: 2, updated: 0, skipped: 0 });
+    expect(result.again).toEqual({ added: 0, updated: 0, skipped: 2 });
+    expect(result.counts['2026-10-12']).toBeUndefined();
+    expect(result.counts['2026-10-19']).toBe(1);
+    expect(result.holiday.time).toBe('');
+    expect(result.holiday.notes).toBe('Line one\nLine two');
+  });
+
+  test('folded lines and escaped text are parsed', async ({ page }) => {
+    const events = await page.evaluate(() => window.ICalendar.parse(
+      'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nUID:abc-1\r\nDTSTART:20261101T140000\r\n' +
+      'SUMMARY:Planning\\, Q4\r\nDESCRIPTION:long\r\n  text\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n'));
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ uid: 'abc-1', date: '2026-11-01', time: '14:00', title: 'Planning, Q4', notes: 'long text' });
+  });
+});
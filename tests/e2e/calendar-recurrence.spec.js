@@ -0,0 +1,148 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Calendar Recurrence E2E Tests
+ * Purpose: Verify RRULE expansion and per-occurrence exceptions in CalendarStore, and the day
+ *          panel's repeat options, occurrence / series edits and series delete
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Calendar recurring events', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => window.localStorage.removeItem('test.calendar.events'));
+  });
+
+  test('weekly series expands inside the requested range', async ({ page }) => {
+    const counts = await page.evaluate(() => {
+      const store = new window.CalendarStore({ key: 'test.calendar.events' });
+      store.upsert({ date: '2026-10-05', title: 'Standup', rrule: 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4' });
+      return store.countsByDate('2026-10-01', '2026-10-31');
+    });
+
+    expect(Object.keys(counts).sort()).toEqual(['2026-10-05', '2026-10-07', '2026-10-12', '2026-10-14']);
+  });
+
+  test('editing and deleting one occurrence leaves the rest of the series', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const store = new window.CalendarStore({ key: 'test.calendar.events' });
+      const series = store.upsert({ date: '2026-10-05', time: '09:00', title: 'Standup', rrule: 'FREQ=DAILY' });
+      store.updateOccurrence(series.id, '2026-10-06', { time: '11:00' });
+      store.removeOccurrence(series.id, '2026-10-07');
+      return {
+        moved: store.forDate('2026-10-06').map((e) => e.time),
+        deleted: store.forDate('2026-10-07').length,
+        untouched: store.forDate('2026-10-08').map((e) => e.time)
+      };
+    });
+
+    expect(result.moved).toEqual(['11:00']);
+    expect(result.deleted).toBe(0);
+    expect(result.untouched).toEqual(['09:00']);
+  });
+
+  test('a new start for one occurrence keeps its duration; an end before the start is dropped', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const store = new window.CalendarStore({ key: 'test.calendar.events' });
+      const series = store.upsert({ date: '2026-10-05', time: '09:00', endTime: '10:00', title: 'Standup', rrule: 'FREQ=DAILY', tz: '' });
+      store.updateOccurrence(series.id, '2026-10-06', { time: '11:00' });
+      store.updateOccurrence(series.id, '2026-10-07', { date: '2026-10-09', time: '23:30' });
+      store.updateOccurrence(series.id, '2026-10-08', { endTime: '08:00' });
+      const span = (d) => store.forDate(d).filter((e) => e.seriesId === series.id && e.id !== series.id)
+        .map((e) => [e.time, e.endTime, e.endDate].join(' '));
+      const ics = window.ICalendar.exportStore(store);
+      const vevent = ics.split('BEGIN:VEVENT').find((v) => v.includes('20261006'));
+      return {
+        later: span('2026-10-06'),
+        overnight: span('2026-10-09'),
+        bad: span('2026-10-08'),
+        dtend: /DTEND[^:]*:(\S+)/.exec(vevent)[1],
+      };
+    });
+
+    expect(result.later).toEqual(['11:00 12:00 ']);
+    expect(result.overnight).toEqual(['23:30 00:30 2026-10-10']);
+    expect(result.bad).toEqual(['09:00  ']);
+    expect(result.dtend).toBe('20261006T120000');
+  });
+
+  test('exceptions merge last-write-wins like any other record', async ({ page }) => {
+    const titles = await page.evaluate(() => {
+      const store = new window.CalendarStore({ key: 'test.calendar.events' });
+      const series = store.upsert({ date: '2026-10-05', title: 'Review', rrule: 'FREQ=MONTHLY' });
+      const local = store.updateOccurrence(series.id, '2026-11-05', { title: 'Local edit' });
+      store._mergeRemote([Object.assign({}, local, { title: 'Remote edit', updated: local.updated + 1 })]);
+      return store.forDate('2026-11-05').map((e) => e.title);
+    });
+
+    expect(titles).toEqual(['Remote edit']);
+  });
+});
+
+test.describe('Calendar recurring events in the page', () => {
+  let today;
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    today = await page.evaluate(() => {
+      window.localStorage.removeItem('mrcargon.calendar.events');
+      window.localStorage.setItem('mrcargon.calendar.view', 'month');
+      return window.TasksStore.today();
+    });
+    await page.goto('/#calendar');
+    await page.waitForSelector('[data-cal="add"]', { state: 'visible', timeout: 15000 });
+  });
+
+  const live = (page) => page.evaluate(() => new window.CalendarStore().all().filter((e) => !e.deleted)
+    .map((e) => ({ id: e.id, title: e.title, time: e.time, rrule: e.rrule, exdates: e.exdates })));
+
+  test('the add form builds interval, weekday, count and skipped-date rules', async ({ page }) => {
+    const form = page.locator('[data-cal="add"]');
+    await form.locator('[name="title"]').fill('Standup');
+    await form.locator('[name="repeat"]').selectOption('WEEKLY');
+    await form.locator('.cal-rule summary').click();
+    await form.locator('[name="interval"]').fill('2');
+    await form.locator('[name="byday"][value="MO"]').check();
+    await form.locator('[name="byday"][value="WE"]').check();
+    await form.locator('[name="count"]').fill('4');
+    await form.locator('[name="exdates"]').fill('2026-12-28, not a date, 2026-12-30');
+    await form.locator('.cal-add').click();
+
+    const [ev] = await live(page);
+    expect(ev.rrule).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=4');
+    expect(ev.exdates).toBe('2026-12-28,2026-12-30');
+  });
+
+  test('editing asks for this occurrence or the whole series; deleting the series confirms', async ({ page }) => {
+    const id = await page.evaluate((iso) => new window.CalendarStore()
+      .upsert({ title: 'Standup', date: iso, time: '09:00', endTime: '09:30', rrule: 'FREQ=DAILY' }).id, today);
+    await page.reload();
+    await page.waitForSelector('.cal-ev-edit', { state: 'visible', timeout: 15000 });
+
+    await page.click('.cal-ev-edit');
+    await expect(page.locator('.cal-edit [name="title"]')).toBeFocused();
+    await page.fill('.cal-edit [name="title"]', 'Planning');
+    await page.click('.cal-edit button[value="one"]');
+    let evs = await live(page);
+    expect(evs.find((e) => e.id === `${id}@${today}`).title).toBe('Planning');
+    expect(evs.find((e) => e.id === id).title).toBe('Standup');
+
+    await page.click('.cal-ev-edit');
+    await expect(page.locator('.cal-edit [name="repeat"] option[value=""]')).toHaveCount(0);
+    await page.fill('.cal-edit [name="title"]', 'Sync');
+    await page.fill('.cal-edit [name="time"]', '10:00');
+    await page.click('.cal-edit button[value="series"]');
+    evs = await live(page);
+    expect(evs.find((e) => e.id === id)).toMatchObject({ title: 'Sync', time: '10:00', rrule: 'FREQ=DAILY' });
+    expect(evs.find((e) => e.id === `${id}@${today}`).title).toBe('Planning');
+
+    page.once('dialog', (d) => d.dismiss());
+    await page.click('.cal-ev-del-series');
+    expect(await live(page)).toHaveLength(2);
+    page.once('dialog', (d) => d.accept());
+    await page.click('.cal-ev-del-series');
+    await expect.poll(() => live(page)).toEqual([]);
+  });
+});
@@ -0,0 +1,49 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Calendar Reminders E2E Tests
+ * Purpose: Verify reminder scheduling is recomputed from CalendarStore and survives .ics
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Calendar reminders', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => window.localStorage.removeItem('test.calendar.events'));
+  });
+
+  test('schedule is rebuilt from the store, one reminder per offset', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const store = new window.CalendarStore({ key: 'test.calendar.events', zone: 'UTC' });
+      store.upsert({ date: '2026-10-20', time: '09:00', title: 'Standup', reminders: '10,60', tz: 'UTC' });
+      const fresh = new window.CalendarStore({ key: 'test.calendar.events', zone: 'UTC' });  // as after a reload
+      const reminders = new window.Reminders(fresh);
+      return reminders.upcoming(Date.UTC(2026, 9, 20, 7, 0)).map((r) => new Date(r.at).toISOString());
+    });
+
+    expect(result).toEqual(['2026-10-20T08:00:00.000Z', '2026-10-20T08:50:00.000Z']);
+  });
+
+  test('reminders of an event that already started are not scheduled', async ({ page }) => {
+    const count = await page.evaluate(() => {
+      const store = new window.CalendarStore({ key: 'test.calendar.events', zone: 'UTC' });
+      store.upsert({ date: '2026-10-20', time: '09:00', title: 'Standup', reminders: '10', tz: 'UTC' });
+      return new window.Reminders(store).upcoming(Date.UTC(2026, 9, 20, 9, 30)).length;
+    });
+
+    expect(count).toBe(0);
+  });
+
+  test('reminders round-trip through .ics as VALARM triggers', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const store = new window.CalendarStore({ key: 'test.calendar.events' });
+      store.upsert({ date: '2026-10-21', title: 'Birthday', reminders: '-540,1440' });
+      const ics = window.ICalendar.exportStore(store);
+      return { triggers: ics.split('\r\n').filter((l) => l.startsWith('TRIGGER')), parsed: window.ICalendar.parse(ics)[0].reminders };
+    });
+
+    expect(result.triggers).toEqual(['TRIGGER:PT540M', 'TRIGGER:-PT1440M']);
+    expect(result.parsed).toBe('-540,1440');
+  });
+});
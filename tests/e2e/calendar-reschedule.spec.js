@@ -0,0 +1,78 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Calendar Rescheduling E2E Tests
+ * Purpose: Verify moving events by drag-and-drop and from the keyboard, undoing a move, and that
+ *          each move reaches sync as a single update
+ * Rule 5: Test critical user flows
+ */
+
+const shift = (iso, n) => {
+  const d = new Date(`${iso}T12:00:00`);
+  d.setDate(d.getDate() + n);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+test.describe('Calendar rescheduling', () => {
+  let today;
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    today = await page.evaluate(() => {
+      window.localStorage.removeItem('mrcargon.calendar.events');
+      window.localStorage.setItem('mrcargon.calendar.view', 'month');
+      const iso = window.TasksStore.today();
+      new window.CalendarStore().upsert({ title: 'Dentist', date: iso, time: '09:00', endTime: '10:00' });
+      return iso;
+    });
+    await page.goto('/#calendar');
+    await page.waitForSelector('.cal-ev', { state: 'visible', timeout: 15000 });
+  });
+
+  const eventDate = (page) => page.evaluate(() => new window.CalendarStore().all().filter((e) => !e.deleted)[0].date);
+
+  test('dragging an event onto another day moves it, and Undo puts it back', async ({ page }) => {
+    const target = shift(today, 1);
+    await page.locator('.cal-ev').dragTo(page.locator(`.cal-cell[data-date="${target}"]`));
+
+    await expect(page.locator('.cal-status')).toContainText('Moved “Dentist”');
+    await expect(page.locator('.cal-day-title')).toHaveText(target);
+    await expect(page.locator('.cal-ev .cal-ev-time')).toHaveText('09:00–10:00');
+    expect(await eventDate(page)).toBe(target);
+
+    await page.click('[data-cal="undo"]');
+    await expect(page.locator('.cal-day-title')).toHaveText(today);
+    expect(await eventDate(page)).toBe(today);
+  });
+
+  test('the keyboard moves an event with ⇄, arrows and Enter; Ctrl+Z undoes it', async ({ page }) => {
+    await page.focus('.cal-ev-move');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.cal-moving')).toBeFocused();
+    await page.keyboard.press('ArrowDown');
+    await page.keyboard.press('Enter');
+
+    await expect(page.locator('.cal-moving')).toHaveCount(0);
+    expect(await eventDate(page)).toBe(shift(today, 7));
+
+    await page.keyboard.press('Control+z');
+    await expect(page.locator('.cal-status')).toContainText('back to');
+    expect(await eventDate(page)).toBe(today);
+  });
+
+  test('moving one occurrence of a series is a single sync update', async ({ page }) => {
+    const out = await page.evaluate(() => {
+      const pushed = [];
+      const store = new window.CalendarStore({ sync: { attach() {}, push(r) { pushed.push(r.id); } } });
+      const s = store.upsert({ title: 'Standup', date: '2030-06-03', time: '08:30', rrule: 'FREQ=WEEKLY' });
+      pushed.length = 0;
+      store.move(store.forDate('2030-06-10')[0], '2030-06-11');
+      return { pushed, moved: store.forDate('2030-06-11').map((e) => e.seriesId === s.id), left: store.forDate('2030-06-10').length };
+    });
+
+    expect(out.pushed).toHaveLength(1);
+    expect(out.moved).toEqual([true]);
+    expect(out.left).toBe(0);
+  });
+});
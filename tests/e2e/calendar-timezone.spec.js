@@ -0,0 +1,50 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Calendar Time-Zone E2E Tests
+ * Purpose: Verify end times, all-day spans and viewer-zone display in CalendarStore
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Calendar durations and time zones', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => window.localStorage.removeItem('test.calendar.events'));
+  });
+
+  test('zoned event is displayed in the viewer zone but stored unchanged', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const store = new window.CalendarStore({ key: 'test.calendar.events', zone: 'Europe/Riga' });
+      const ev = store.upsert({ date: '2026-10-20', time: '09:00', endTime: '10:30', title: 'Call', tz: 'Asia/Tokyo' });
+      const shown = store.forDate('2026-10-20')[0];
+      return { stored: [ev.time, ev.endTime, ev.tz], shown: [shown.time, shown.endTime, shown.srcTime] };
+    });
+
+    expect(result.stored).toEqual(['09:00', '10:30', 'Asia/Tokyo']);
+    expect(result.shown).toEqual(['03:00', '04:30', '09:00']);
+  });
+
+  test('multi-day events count on every day they cover', async ({ page }) => {
+    const counts = await page.evaluate(() => {
+      const store = new window.CalendarStore({ key: 'test.calendar.events', zone: 'UTC' });
+      store.upsert({ date: '2026-10-22', endDate: '2026-10-24', title: 'Trip' });
+      store.upsert({ date: '2026-10-25', time: '23:00', endDate: '2026-10-26', endTime: '00:00', title: 'Late' });
+      return store.countsByDate('2026-10-20', '2026-10-31');
+    });
+
+    expect(Object.keys(counts).sort()).toEqual(['2026-10-22', '2026-10-23', '2026-10-24', '2026-10-25']);
+  });
+
+  test('moving a zoned event keeps its duration and zone', async ({ page }) => {
+    const rec = await page.evaluate(() => {
+      const store = new window.CalendarStore({ key: 'test.calendar.events', zone: 'Europe/Riga' });
+      const ev = store.upsert({ date: '2026-10-20', time: '09:00', endTime: '10:30', title: 'Call', tz: 'Asia/Tokyo' });
+      store.move(store.forDate('2026-10-20')[0], '2026-10-21', '04:00');
+      const out = store.get(ev.id);
+      return [out.date, out.time, out.endTime, out.tz];
+    });
+
+    expect(rec).toEqual(['2026-10-21', '10:00', '11:30', 'Asia/Tokyo']);
+  });
+});
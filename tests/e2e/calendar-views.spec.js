@@ -0,0 +1,99 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Calendar Views E2E Tests
+ * Purpose: Verify the month / week / agenda switcher, the week view's hourly slots, that the
+ *          chosen view survives a reload, and that ←/→ step one period in each view
+ * Rule 5: Test critical user flows
+ */
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const shift = (iso, n) => {
+  const d = new Date(`${iso}T12:00:00`);
+  d.setDate(d.getDate() + n);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const monthTitle = (iso, n) => {
+  const d = new Date(`${iso.slice(0, 7)}-01T12:00:00`);
+  d.setMonth(d.getMonth() + n);
+  return `${MONTHS[d.getMonth()]} ${d.getFullYear()}`;
+};
+
+test.describe('Calendar views', () => {
+  let today;
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    today = await page.evaluate(() => {
+      window.localStorage.removeItem('mrcargon.calendar.events');
+      window.localStorage.setItem('mrcargon.calendar.view', 'month');
+      const d = new Date();
+      const iso = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+      new window.CalendarStore().upsert({ title: 'Dentist', date: iso, time: '09:00', endTime: '10:00' });
+      return iso;
+    });
+    await page.goto('/#calendar');
+    await page.waitForSelector('.cal-head', { state: 'visible', timeout: 15000 });
+  });
+
+  test('the switcher goes month → week → agenda; week view has hourly slots', async ({ page }) => {
+    await expect(page.locator('.cal-grid')).toBeVisible();
+    await expect(page.locator('[data-cal="view"][data-view="month"]')).toHaveAttribute('aria-pressed', 'true');
+
+    await page.click('[data-cal="view"][data-view="week"]');
+    await expect(page.locator('.cal-week')).toBeVisible();
+    await expect(page.locator('[data-cal="view"][data-view="week"]')).toHaveAttribute('aria-pressed', 'true');
+    await expect(page.locator('.cal-wk-day')).toHaveCount(7);
+    await expect(page.locator('.cal-wk-slot')).toHaveCount(7 * 24);
+    await expect(page.locator(`.cal-wk-slot[data-date="${today}"]`)).toHaveCount(24);
+    await expect(page.locator('.cal-wk-ev')).toContainText('Dentist');
+
+    await page.click(`.cal-wk-slot[data-date="${today}"][data-time="14:00"]`);
+    await expect(page.locator('.cal-day-title')).toHaveText(today);
+    await expect(page.locator('.cal-form input[name="time"]')).toHaveValue('14:00');
+
+    await page.click('[data-cal="view"][data-view="agenda"]');
+    await expect(page.locator('.cal-agenda')).toBeVisible();
+    await expect(page.locator('.cal-ag-day')).toHaveCount(1);
+    await expect(page.locator('.cal-ag-day')).toContainText('Dentist');
+    await expect(page.locator('.cal-title')).toHaveText(`${today} – ${shift(today, 29)}`);
+  });
+
+  test('the chosen view is remembered across a reload', async ({ page }) => {
+    await page.click('[data-cal="view"][data-view="week"]');
+    expect(await page.evaluate(() => window.localStorage.getItem('mrcargon.calendar.view'))).toBe('week');
+
+    await page.reload();
+    await page.waitForSelector('.cal-head', { state: 'visible', timeout: 15000 });
+    await expect(page.locator('.cal-week')).toBeVisible();
+    await expect(page.locator('[data-cal="view"][data-view="week"]')).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  test('←/→ step one month, one week or one agenda period', async ({ page }) => {
+    await page.focus('[data-cal="next"]');
+    await page.keyboard.press('ArrowRight');
+    await expect(page.locator('.cal-title')).toHaveText(monthTitle(today, 1));
+    await page.keyboard.press('ArrowLeft');
+    await page.keyboard.press('ArrowLeft');
+    await expect(page.locator('.cal-title')).toHaveText(monthTitle(today, -1));
+
+    await page.keyboard.press('w');
+    await expect(page.locator('.cal-week')).toBeVisible();
+    await page.keyboard.press('ArrowRight');
+    await expect(page.locator('.cal-day-title')).toHaveText(shift(today, 7));
+    await expect(page.locator(`.cal-wk-day[data-date="${shift(today, 7)}"]`)).toHaveCount(1);
+    await page.keyboard.press('ArrowLeft');
+    await expect(page.locator('.cal-day-title')).toHaveText(today);
+
+    await page.keyboard.press('a');
+    await expect(page.locator('.cal-agenda')).toBeVisible();
+    await page.keyboard.press('ArrowRight');
+    await expect(page.locator('.cal-day-title')).toHaveText(shift(today, 30));
+    await expect(page.locator('.cal-ag-day')).toHaveCount(0);
+    await page.keyboard.press('ArrowLeft');
+    await expect(page.locator('.cal-ag-day')).toContainText('Dentist');
+  });
+});
@@ -0,0 +1,97 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Named Calendars E2E Tests
+ * Purpose: Verify named calendars with colours — the calendar id on each event, per-device
+ *          visibility toggles, colour-coded month-grid dots, deleting a calendar and routing
+ *          calendars with their own sync code
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Named calendars', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => {
+      ['mrcargon.calendar.events', 'mrcargon.calendar.calendars', 'mrcargon.calendar.calendars.hidden']
+        .forEach((k) => window.localStorage.removeItem(k));
+      window.localStorage.setItem('mrcargon.calendar.view', 'month');
+    });
+  });
+
+  test('events carry a calendar id; hidden calendars drop out of queries', async ({ page }) => {
+    const out = await page.evaluate(() => {
+      const list = new window.CalendarList();
+      const work = list.add({ name: 'Work', color: '#f472b6' });
+      const store = new window.CalendarStore();
+      store.upsert({ title: 'Gym', date: '2030-05-06' });
+      store.upsert({ title: 'Standup', date: '2030-05-06', time: '09:00', rrule: 'FREQ=DAILY', calendarId: work.id });
+      const byCal = store.calendarsByDate('2030-05-06', '2030-05-07');
+      store.setHidden([work.id]);
+      const hidden = store.forDate('2030-05-06').map((e) => e.title);
+      store.setHidden([]);
+      const moved = store.moveCalendar(work.id, 'default');
+      list.remove(work.id);
+      return {
+        names: list.list().map((c) => c.name),
+        byCal: byCal['2030-05-06'][work.id] + '/' + byCal['2030-05-06'].default,
+        hidden,
+        moved,
+        after: store.forDate('2030-05-07').map((e) => e.calendarId),
+      };
+    });
+
+    expect(out.byCal).toBe('1/1');
+    expect(out.hidden).toEqual(['Gym']);
+    expect(out.moved).toBe(1);
+    expect(out.after).toEqual(['default']);
+    expect(out.names).toEqual(['Personal']);
+  });
+
+  test('the calendar bar adds a calendar, colours its dots and toggles it', async ({ page }) => {
+    const today = await page.evaluate(() => window.TasksStore.today());
+    await page.goto('/#calendar');
+    await page.waitForSelector('.cal-cals', { state: 'visible', timeout: 15000 });
+    await page.click('[data-cal="cal-manage"]');
+    await page.fill('.cal-cal-add input[name="name"]', 'Releases');
+    await page.press('.cal-cal-add input[name="name"]', 'Enter');
+    await expect(page.locator('.cal-cal-chip')).toHaveText(['Personal', 'Releases']);
+
+    await page.selectOption('.cal-cal-pick', { label: 'Releases' });
+    await page.fill('.cal-title-in', 'v2.0 ships');
+    await page.press('.cal-title-in', 'Enter');
+    const cell = page.locator(`.cal-cell[data-date="${today}"]`);
+    await expect(cell.locator('.cal-dot')).toHaveCount(1);
+    await expect(cell.locator('.cal-dots')).toHaveAttribute('title', 'Releases: 1');
+    await expect(page.locator('.cal-ev')).toHaveAttribute('style', /--cal-color:#/);
+
+    await page.click('.cal-cal-chip:has-text("Releases")');
+    await expect(page.locator('.cal-cal-chip:has-text("Releases")')).toHaveAttribute('aria-pressed', 'false');
+    await expect(cell.locator('.cal-dot')).toHaveCount(0);
+    await expect(page.locator('.cal-ev')).toHaveCount(0);
+  });
+
+  test('a calendar with its own sync code syncs on its own route', async ({ page }) => {
+    const out = await page.evaluate(() => {
+      const sent = [];
+      const fake = (name) => ({
+        syncCode: 'main', attach(h) { this.h = h; }, push(r) { sent.push(name + ':' + r.title + (r.deleted ? ' (deleted)' : '')); return true; },
+        pull() { return 0; }, enabled() { return true; }, pending() { return 0; }, onStatus() {}, detach() {},
+        status() { return { enabled: true, pending: 0, online: true, retrying: false, lastError: '' }; },
+      });
+      const routes = {};
+      const list = new window.CalendarList();
+      const work = list.update(list.add({ name: 'Work' }).id, { syncCode: 'team-code' });
+      const group = new window.CalendarSyncGroup({ main: fake('main'), make: (c) => (routes[c.id] = fake('work')) });
+      group.setCalendars(list.list());
+      const store = new window.CalendarStore({ sync: group });
+      const ev = store.upsert({ title: 'Review', date: '2030-05-06', calendarId: work.id });
+      store.upsert(Object.assign({}, store.get(ev.id), { calendarId: 'default' }));
+      routes[work.id].h.onRemote([{ id: 'r1', title: 'Planning', date: '2030-05-07', calendarId: 'their-id', updated: Date.now() }]);
+      return { sent, remote: store.get('r1').calendarId === work.id };
+    });
+
+    expect(out.sent).toEqual(['work:Review', 'work:Review (deleted)', 'main:Review']);
+    expect(out.remote).toBe(true);
+  });
+});
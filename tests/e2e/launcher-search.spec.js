@@ -0,0 +1,46 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Launcher Search E2E Tests
+ * Purpose: Verify the SearchIndex over Calendar + Notes and the launcher search box
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Launcher search', () => {
+  test('prefix matches are ranked, highlighted and follow store changes', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const result = await page.evaluate(() => {
+      ['test.search.events', 'test.search.notes'].forEach((k) => window.localStorage.removeItem(k));
+      const events = new window.CalendarStore({ key: 'test.search.events' });
+      const notes = new window.NotesStore({ key: 'test.search.notes' });
+      events.upsert({ date: '2026-10-20', title: 'Team meeting', notes: 'Roadmap review' });
+      const note = notes.upsert({ title: 'Groceries', body: 'Buy coffee before the meeting' });
+      const index = new window.SearchIndex();
+      index.addSource('event', events, window.SearchIndex.calendarDocs);
+      index.addSource('note', notes, window.SearchIndex.notesDocs);
+      const first = index.search('meet').map((r) => [r.type, r.titleHtml]);
+      notes.remove(note.id);
+      return { first, after: index.search('meet').length };
+    });
+
+    expect(result.first).toEqual([['event', 'Team <mark>meet</mark>ing'], ['note', 'Groceries']]);
+    expect(result.after).toBe(1);
+  });
+
+  test('a result jumps straight to its calendar day', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => {
+      const store = new window.CalendarStore();
+      store.upsert({ date: '2031-03-14', title: 'Zebra launch party' });
+    });
+    await page.goto('/#launcher');
+    await page.waitForSelector('.launcher-search-in', { state: 'visible', timeout: 15000 });
+    await page.fill('.launcher-search-in', 'zebra');
+    await page.click('.launcher-hit');
+    await page.waitForSelector('.cal-day-title', { state: 'visible', timeout: 15000 });
+
+    await expect(page.locator('.cal-day-title')).toHaveText('2031-03-14');
+  });
+});
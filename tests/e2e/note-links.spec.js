@@ -0,0 +1,85 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Calendar ↔ Notes Link E2E Tests
+ * Purpose: Verify notes linked to calendar days and events show in the day panel, and that
+ *          "create meeting note" pre-fills one note per event occurrence and opens it
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Notes linked to the calendar', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => {
+      window.localStorage.removeItem('mrcargon.notes');
+      window.localStorage.removeItem('mrcargon.calendar.events');
+    });
+  });
+
+  test('linked() finds day notes, one-off event notes and per-occurrence notes', async ({ page }) => {
+    const out = await page.evaluate(() => {
+      const cal = new window.CalendarStore();
+      const notes = new window.NotesStore();
+      const one = cal.upsert({ title: 'Review', date: '2030-03-04', time: '14:00', endTime: '15:00', notes: 'Q1 numbers' });
+      const weekly = cal.upsert({ title: 'Standup', date: '2030-03-04', time: '09:00', rrule: 'FREQ=WEEKLY' });
+      const review = notes.meetingNote(cal.forDate('2030-03-04').find((e) => e.id === one.id), '2030-03-04');
+      const standup = notes.meetingNote(cal.forDate('2030-03-11')[0], '2030-03-11');
+      notes.upsert({ title: 'Trip day', date: '2030-03-11' });
+      cal.upsert(Object.assign({}, cal.get(one.id), { date: '2030-03-06' }));     // the note follows the event
+      const ids = (d) => cal.forDate(d).map((e) => e.seriesId || e.id);
+      return {
+        review: { title: review.title, tags: review.tags, body: review.body, date: review.date },
+        standup: { eventId: standup.eventId === weekly.id, date: standup.date },
+        again: notes.meetingNote(cal.forDate('2030-03-11')[0], '2030-03-11').id === standup.id,
+        on4: notes.linked('2030-03-04', ids('2030-03-04')).map((n) => n.title),
+        on6: notes.linked('2030-03-06', ids('2030-03-06')).map((n) => n.title),
+        on11: notes.linked('2030-03-11', ids('2030-03-11')).map((n) => n.title).sort(),
+      };
+    });
+
+    expect(out.review.title).toBe('Review — 2030-03-04');
+    expect(out.review.tags).toBe('meeting');
+    expect(out.review.body).toContain('14:00–15:00');
+    expect(out.review.body).toContain('Q1 numbers');
+    expect(out.review.date).toBe('');
+    expect(out.standup).toEqual({ eventId: true, date: '2030-03-11' });
+    expect(out.again).toBe(true);
+    expect(out.on4).toEqual([]);
+    expect(out.on6).toEqual(['Review — 2030-03-04']);
+    expect(out.on11).toEqual(['Standup — 2030-03-11', 'Trip day']);
+  });
+
+  test('the meeting-note button opens a pre-filled note that links back to the calendar', async ({ page }) => {
+    const day = await page.evaluate(() => {
+      const iso = window.TasksStore.today();
+      new window.CalendarStore().upsert({ title: 'Design sync', date: iso, time: '11:00', notes: 'Pick a palette' });
+      return iso;
+    });
+    await page.goto('/#calendar');
+    await page.waitForSelector('.cal-ev-note', { state: 'visible', timeout: 15000 });
+    await expect(page.locator('.cal-ev-note')).toHaveAttribute('aria-label', 'Create meeting note');
+    await page.click('.cal-ev-note');
+
+    await page.waitForSelector('.note-title-in', { state: 'visible', timeout: 15000 });
+    await expect(page.locator('.note-title-in')).toHaveValue(`Design sync — ${day}`);
+    await expect(page.locator('.note-body-in')).toHaveValue(/Pick a palette/);
+    await expect(page.locator('.note-link')).toContainText('Design sync');
+
+    await page.click('[data-note="show-date"]');
+    await page.waitForSelector('.cal-note-open', { state: 'visible', timeout: 15000 });
+    await expect(page.locator('.cal-note-open')).toContainText('Design sync');
+    await expect(page.locator('.cal-ev-note')).toHaveClass(/has-note/);
+  });
+
+  test('a note for the day is created from the day panel', async ({ page }) => {
+    await page.goto('/#calendar');
+    await page.waitForSelector('.cal-day-note', { state: 'visible', timeout: 15000 });
+    await page.click('.cal-day-note');
+    await page.waitForSelector('.note-date-in', { state: 'visible', timeout: 15000 });
+    const today = await page.evaluate(() => window.TasksStore.today());
+
+    await expect(page.locator('.note-date-in')).toHaveValue(today);
+    await expect(page.locator('.note-title-in')).toHaveValue(today);
+  });
+});
@@ -0,0 +1,37 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Notes History E2E Tests
+ * Purpose: Verify per-note revision snapshots, line diffs and restoring a revision
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Notes revision history', () => {
+  test('edits and remote overwrites are kept and can be restored', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const result = await page.evaluate(() => {
+      ['test.notes.history', 'test.notes.history.history'].forEach((k) => window.localStorage.removeItem(k));
+      const store = new window.NotesStore({ key: 'test.notes.history' });
+      const note = store.upsert({ title: 'Plan', body: 'first draft' });
+      store.upsert({ id: note.id, body: 'second draft' });
+      store.upsert({ id: note.id, pinned: true });
+      store._mergeRemote([{ id: note.id, title: 'Plan', body: 'from another device', updated: Date.now() + 1000 }]);
+      const before = store.history(note.id).map((r) => [r.body, r.source]);
+      const restored = store.restore(note.id, store.history(note.id)[0].rev);
+      return { before, body: restored.body, after: store.history(note.id)[0].body };
+    });
+
+    expect(result.before).toEqual([['second draft', 'remote'], ['first draft', 'edit']]);
+    expect(result.body).toBe('second draft');
+    expect(result.after).toBe('from another device');
+  });
+
+  test('line diff marks added and removed lines', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const ops = await page.evaluate(() => window.TextDiff.lines('a\nb\nc', 'a\nB\nc\nd').map((o) => o.op + o.text));
+
+    expect(ops).toEqual(['=a', '-b', '+B', '=c', '+d']);
+  });
+});
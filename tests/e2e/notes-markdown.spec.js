@@ -0,0 +1,61 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Notes Markdown E2E Tests
+ * Purpose: Verify the safe Markdown renderer, task toggling and the Notes preview mode
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Notes Markdown', () => {
+  test('raw HTML and unsafe links are never rendered', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const html = await page.evaluate(() => window.Markdown.render(
+      '# Hi <img src=x onerror=alert(1)>\n\n[bad](javascript:alert(1)) **ok** [good](https://example.com)'));
+
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('href="javascript:');
+    expect(html).toContain('<strong>ok</strong>');
+    expect(html).toContain('<a href="https://example.com" target="_blank" rel="noopener noreferrer">good</a>');
+  });
+
+  test('a code span never ends up inside a link URL', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const out = await page.evaluate(() => ['[x](http://a`b`)', 'see https://a.org/`b`', '[`id` docs](https://example.com)']
+      .map((s) => window.Markdown.inline(s)));
+
+    expect(out[0]).toBe('[x](http://a<code>b</code>)');
+    expect(out[1]).toBe('see <a href="https://a.org/" target="_blank" rel="noopener noreferrer">https://a.org/</a><code>b</code>');
+    expect(out[2]).toBe('<a href="https://example.com" target="_blank" rel="noopener noreferrer"><code>id</code> docs</a>');
+  });
+
+  test('task lines toggle outside code blocks only', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const result = await page.evaluate(() => {
+      const src = '- [ ] milk\n```\n- [ ] not a task\n```\n- [x] eggs';
+      const toggled = window.Markdown.toggleTask(src, 0);
+      return { toggled, stats: window.Markdown.taskStats(toggled), preview: window.Markdown.preview(src, 40) };
+    });
+
+    expect(result.toggled).toBe('- [x] milk\n```\n- [ ] not a task\n```\n- [x] eggs');
+    expect(result.stats).toEqual({ done: 2, total: 2 });
+    expect(result.preview).toContain('☐ milk');
+  });
+
+  test('a preview checkbox saves the note', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => {
+      window.localStorage.setItem('mrcargon.notes.mode', 'split');
+      new window.NotesStore().upsert({ title: 'Shopping', body: '- [ ] bread\n- [ ] jam' });
+    });
+    await page.goto('/#notes');
+    await page.waitForSelector('.note-preview input[data-task="1"]', { state: 'visible', timeout: 15000 });
+    await page.click('.note-preview input[data-task="1"]');
+
+    await expect(page.locator('.note-body-in')).toHaveValue('- [ ] bread\n- [x] jam');
+    await expect(page.locator('.note-item.active .note-item-tasks')).toHaveText('1/2');
+  });
+});
@@ -0,0 +1,64 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Notes Organisation E2E Tests
+ * Purpose: Verify NotesStore tags / folders / pinning, their sync round-trip and the Notes sidebar
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Notes tags, folders and pinning', () => {
+  test('filters and sorts with pinned notes first', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const result = await page.evaluate(() => {
+      window.localStorage.removeItem('test.notes.organize');
+      const store = new window.NotesStore({ key: 'test.notes.organize' });
+      store.upsert({ title: 'Beta', folder: 'Work/Projects', tags: 'Ideas, #work' });
+      const alpha = store.upsert({ title: 'Alpha', folder: 'Work', tags: ['home'] });
+      store.upsert({ title: 'Gamma' });
+      store.upsert({ id: alpha.id, pinned: true });
+      const titles = (opts) => store.list(opts).map((n) => n.title);
+      return {
+        byTitle: titles({ sort: 'title' }),
+        work: titles({ folder: 'Work' }),
+        unfiled: titles({ folder: '' }),
+        tagged: titles({ tag: 'WORK' }),
+        folders: store.folders(),
+        kept: store.get(alpha.id).tags,
+      };
+    });
+
+    expect(result.byTitle).toEqual(['Alpha', 'Beta', 'Gamma']);
+    expect(result.work).toEqual(['Alpha', 'Beta']);
+    expect(result.unfiled).toEqual(['Gamma']);
+    expect(result.tagged).toEqual(['Beta']);
+    expect(result.folders).toEqual([{ name: 'Work', count: 2 }, { name: 'Work/Projects', count: 1 }]);
+    expect(result.kept).toBe('home');
+  });
+
+  test('new fields survive the CalendarSync encode / decode round-trip', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const decoded = await page.evaluate(() => {
+      const sync = new window.CalendarSync({ collection: 'notes' });
+      return sync._decode(sync._encode({ id: 'n1', title: 'T', body: 'B', folder: 'A/B', tags: 'x,y', pinned: true, updated: 5, deleted: false }));
+    });
+
+    expect(decoded).toEqual({ id: 'n1', title: 'T', body: 'B', folder: 'A/B', tags: 'x,y', pinned: true, updated: 5, deleted: false });
+  });
+
+  test('the sidebar narrows the list to a tag', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => {
+      const store = new window.NotesStore();
+      store.upsert({ title: 'Tagged note', tags: 'zebra' });
+      store.upsert({ title: 'Other note' });
+    });
+    await page.goto('/#notes');
+    await page.waitForSelector('.notes-side-item[data-kind="tag"][data-value="zebra"]', { state: 'visible', timeout: 15000 });
+    await page.click('.notes-side-item[data-kind="tag"][data-value="zebra"]');
+
+    await expect(page.locator('.note-item-title')).toHaveText(['Tagged note']);
+  });
+});
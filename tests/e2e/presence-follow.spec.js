@@ -0,0 +1,68 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Presence Follow E2E Tests
+ * Purpose: Verify "everyone in view" framing (centre + distance that fits every visitor),
+ *          the roster as drawn by PresencePins, and that following a visitor re-centres only
+ *          when their record moves and ends when they go offline
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Presence follow and everyone in view', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('framing centres on the visitors and backs off until all of them fit', async ({ page }) => {
+    const out = await page.evaluate(() => {
+      const G = window.GlobeMath;
+      const round = (v) => v && { lat: Math.round(v.lat * 10) / 10, lng: Math.round(v.lng * 10) / 10, distance: Math.round(v.distance * 100) / 100 };
+      return {
+        one: round(G.frameLatLngs([{ lat: 51.5, lng: -0.1 }], 20)),
+        seam: round(G.frameLatLngs([{ lat: 10, lng: 179 }, { lat: 10, lng: -179 }], 20)),
+        near: G.frameLatLngs([{ lat: 51.5, lng: -0.1 }, { lat: 48.9, lng: 2.4 }], 20).distance,
+        far: G.frameLatLngs([{ lat: 51.5, lng: -0.1 }, { lat: 40.7, lng: -74 }, { lat: 35.7, lng: 139.7 }], 20).distance,
+        wider: G.frameLatLngs([{ lat: 51.5, lng: -0.1 }, { lat: 40.7, lng: -74 }, { lat: 35.7, lng: 139.7 }], 35).distance,
+        none: G.frameLatLngs([{ lat: NaN, lng: 0 }], 20),
+      };
+    });
+
+    expect(out.one).toEqual({ lat: 51.5, lng: -0.1, distance: 1.5 });
+    expect(Math.abs(out.seam.lng)).toBe(180);
+    expect(out.near).toBe(1.5);
+    expect(out.far).toBeGreaterThan(3);
+    expect(out.wider).toBeLessThan(out.far);
+    expect(out.none).toBeNull();
+  });
+
+  test('following re-centres when the visitor moves and stops when they leave', async ({ page }) => {
+    const out = await page.evaluate(() => {
+      const globe = new window.THREE.Mesh(new window.THREE.SphereGeometry(2, 8, 8), new window.THREE.MeshBasicMaterial());
+      const pins = new window.PresencePins(globe, 2);
+      const env = Object.create(window.SpaceEnvironment.prototype);
+      const flown = [], said = [];
+      env.exploreMode = true;
+      env.getEarthObject = () => ({ presencePins: pins });
+      env.centerOnLatLng = (lat, lng) => { flown.push([lat, lng]); return true; };
+      env.announceExplore = (m) => said.push(m);
+      pins.setUsers([{ id: 'me', lat: 1, lng: 2, self: true }, { id: 'ann', lat: 51.5, lng: -0.1, name: 'Ann', color: '#22cc88' }]);
+      const drawn = pins.users().map((u) => u.id + ':' + u.color);
+      const followSelf = env._followPeer('me');
+      env._followPeer('ann');
+      pins.setUsers([{ id: 'ann', lat: 51.5, lng: -0.1, name: 'Ann' }]);
+      env._onPresenceRoster();                                   // heartbeat, same place: no fly
+      pins.setUsers([{ id: 'ann', lat: 48.9, lng: 2.4, name: 'Ann' }]);
+      env._onPresenceRoster();
+      pins.setUsers([]);
+      env._onPresenceRoster();
+      return { drawn, followSelf, flown, said, following: env._presenceFollow };
+    });
+
+    expect(out.drawn).toEqual(['me:#ffa500', 'ann:#22cc88']);
+    expect(out.followSelf).toBe(false);
+    expect(out.flown).toEqual([[51.5, -0.1], [48.9, 2.4]]);
+    expect(out.said).toEqual(['Following Ann.', 'Ann went offline — stopped following.']);
+    expect(out.following).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Presence Activity Heatmap E2E Tests
+ * Purpose: Verify the opt-in activity aggregation — nothing collected until enabled, roster
+ *          snapshots binned into anonymous per-cell hourly peaks, older hours fading, a 24 h
+ *          window — and that the heatmap renders one spot per active cell
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Presence activity heatmap', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => window.localStorage.removeItem('mrcargon.presence.activity'));
+  });
+
+  test('collects only when opted in and keeps counts, never identities', async ({ page }) => {
+    const out = await page.evaluate(() => {
+      let now = Date.UTC(2030, 0, 1, 10, 30);
+      const activity = new window.PresenceActivity({ now: () => now });
+      const pins = { setUsers() {}, setVisible() {} };
+      const roster = [
+        { id: 'ann', name: 'Ann', lat: 51.5, lng: -0.1 },
+        { id: 'bob', name: 'Bob', lat: 51.4, lng: -0.3 },
+        { id: 'cy', name: 'Cy', lat: 48.9, lng: 2.4 },
+      ];
+      const adapter = { connect(h) { this.h = h; }, publish() {}, disconnect() {} };
+      const p = new window.Presence(pins, { adapter, activity, profileKey: null });
+      p.setEnabled(true);
+      adapter.h.onRoster(roster);
+      const before = activity.at(0).length;
+      activity.setEnabled(true);
+      adapter.h.onRoster(roster);
+      adapter.h.onRoster(roster.slice(0, 1));              // fewer people later: the hour keeps its peak
+      now += 3 * 3600000;
+      adapter.h.onRoster([{ id: 'dee', name: 'Dee', lat: 35.7, lng: 139.7 }]);
+      const saved = window.localStorage.getItem('mrcargon.presence.activity');
+      now += 30 * 3600000;
+      return {
+        before,
+        earlier: activity.at(3).map((c) => c.count).sort(),
+        fading: activity.at(0).map((c) => Math.round(c.weight * 100)).sort((a, b) => a - b),
+        saved,
+        expired: new window.PresenceActivity({ now: () => now }).at(0).length,
+      };
+    });
+
+    expect(out.before).toBe(0);
+    expect(out.earlier).toEqual([1, 2]);
+    expect(out.fading).toEqual([50, 100, 100]);
+    expect(out.saved).not.toMatch(/ann|bob|cy|dee|Ann/i);
+    expect(out.expired).toBe(0);
+  });
+
+  test('the heatmap draws one spot per active cell and hides with the layer', async ({ page }) => {
+    const out = await page.evaluate(() => {
+      const globe = new window.THREE.Mesh(new window.THREE.SphereGeometry(2, 8, 8), new window.THREE.MeshBasicMaterial());
+      const heat = new window.PresenceHeatmap(globe, 2);
+      heat.setVisible(true);
+      const drawn = heat.setCells([
+        { lat: 51, lng: -1, weight: 1 }, { lat: 49, lng: 3, weight: 0.5 }, { lat: 0, lng: 0, weight: 0 },
+      ]);
+      const range = heat.points.geometry.drawRange.count;
+      const nearFade = heat.update(1.0);
+      heat.setVisible(false);
+      return { drawn, range, nearFade, visible: heat.points.visible, parent: heat.points.parent === globe };
+    });
+
+    expect(out).toEqual({ drawn: 2, range: 2, nearFade: false, visible: false, parent: true });
+  });
+});
@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Presence Profiles E2E Tests
+ * Purpose: Verify display name / colour / status travel in the presence record, are cleaned on
+ *          arrival, keep coordinates coarse, and render as coloured initials markers with the
+ *          profile attached for the hover card
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Presence profiles', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => window.localStorage.removeItem('mrcargon.presence.profile'));
+  });
+
+  test('the profile is saved, published while sharing and cleaned on arrival', async ({ page }) => {
+    const out = await page.evaluate(() => {
+      const published = [];
+      let roster = [];
+      const adapter = {
+        connect(h) { this.h = h; },
+        publish(r) {
+          published.push(r);
+          this.h.onRoster([{ id: 'peer', lat: 48.9, lng: 2.4, name: 'x'.repeat(80), color: 'url(evil)', status: 'on call' }]
+            .concat(r ? [Object.assign({ self: true }, r)] : []));
+        },
+        disconnect() {},
+      };
+      const pins = { setUsers: (list) => { roster = list; }, setVisible() {} };
+      const p = new window.Presence(pins, { adapter });
+      p.setEnabled(true);
+      p._self = p._record(51.5, -0.1);                       // as setSharing does after _locate
+      p.setProfile({ name: '  Ada   Lovelace ', color: '#FF66AA', status: 'travelling' });
+      const again = new window.Presence(pins, { adapter }).profile;
+      return { sent: published[published.length - 1], again, peer: roster[0] };
+    });
+
+    expect(out.sent).toMatchObject({ lat: 51.5, lng: -0.1, name: 'Ada Lovelace', color: '#ff66aa', status: 'travelling' });
+    expect(out.again).toEqual({ name: 'Ada Lovelace', color: '#ff66aa', status: 'travelling' });
+    expect(out.peer.name).toHaveLength(24);
+    expect(out.peer.color).toBe('');
+    expect(out.peer).toMatchObject({ lat: 48.9, lng: 2.4, status: 'on call' });
+  });
+
+  test('markers show coloured initials and carry the profile; a profile change rebuilds them', async ({ page }) => {
+    const out = await page.evaluate(() => {
+      const globe = new window.THREE.Mesh(new window.THREE.SphereGeometry(2, 8, 8), new window.THREE.MeshBasicMaterial());
+      const pins = new window.PresencePins(globe, 2);
+      pins.setVisible(true);
+      pins.setUsers([{ id: 'a', lat: 10, lng: 20, name: 'Grace Hopper', color: '#22cc88', status: 'on call' }]);
+      const first = pins.markers.get('a');
+      const picked = pins.getPickMeshes().map((m) => m.userData.presence);
+      pins.setUsers([{ id: 'a', lat: 11, lng: 20, name: 'Grace Hopper', color: '#22cc88', status: 'on call' }]);
+      const moved = pins.markers.get('a') === first;
+      pins.setUsers([{ id: 'a', lat: 11, lng: 20, name: 'Grace Hopper', color: '#22cc88', status: 'away' }]);
+      return {
+        picked: picked.length,
+        profile: picked[0],
+        badge: !!first.userData.badge && first.userData.badge.isSprite,
+        head: '#' + first.userData.head.material.color.getHexString(),
+        moved,
+        rebuilt: pins.markers.get('a') !== first,
+        status: pins.markers.get('a').userData.profile.status,
+      };
+    });
+
+    expect(out.picked).toBe(2);
+    expect(out.profile).toMatchObject({ name: 'Grace Hopper', status: 'on call', color: '#22cc88', initials: 'GH', self: false });
+    expect(out.badge).toBe(true);
+    expect(out.head).toBe('#22cc88');
+    expect(out.moved).toBe(true);
+    expect(out.rebuilt).toBe(true);
+    expect(out.status).toBe('away');
+  });
+});
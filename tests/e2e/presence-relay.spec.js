@@ -0,0 +1,200 @@
+import { test, expect } from '@playwright/test';
+import net from 'node:net';
+import { randomBytes } from 'node:crypto';
+import { startLegacyServer } from './support/legacy-server.js';
+
+/**
+ * Presence Relay E2E Tests
+ * Purpose: Verify the WebSocket presence adapter — picked when a relay is configured, announcing
+ *          and withdrawing our coarse record, merging the relay's roster with ourselves, and
+ *          re-announcing after the connection drops; and the relay in server.cjs itself — rosters
+ *          fan out per room, `bye` or a closed socket removes the record, oversized frames are
+ *          refused, and every frame of a burst arriving in one TCP chunk is handled
+ * Rule 5: Test critical user flows
+ */
+
+// A raw relay client from the test process (a browser WebSocket can't batch frames): opens
+// `path` and resolves { send(buffer), frames() } where frames() parses what came back so far.
+const rawClient = (wsURL, path) => new Promise((resolve, reject) => {
+  const { hostname, port } = new URL(wsURL);
+  const sock = net.connect(Number(port), hostname);
+  let buf = Buffer.alloc(0), upgraded = false;
+  sock.on('error', reject);
+  sock.on('data', (d) => {
+    buf = Buffer.concat([buf, d]);
+    const end = buf.indexOf('\r\n\r\n');
+    if (upgraded || end < 0) return;
+    upgraded = true;
+    if (!buf.subarray(0, end).toString().startsWith('HTTP/1.1 101')) return reject(new Error('not upgraded'));
+    buf = buf.subarray(end + 4);
+    resolve({
+      send: (bytes) => sock.write(bytes),
+      close: () => sock.destroy(),
+      frames: () => {                                             // server frames: unmasked, < 64 KB
+        const out = [];
+        for (let b = buf; b.length >= 2;) {
+          let len = b[1] & 0x7f, off = 2;
+          if (len === 126) { len = b.readUInt16BE(2); off = 4; }
+          if (b.length < off + len) break;
+          out.push({ opcode: b[0] & 0x0f, payload: b.subarray(off, off + len) });
+          b = b.subarray(off + len);
+        }
+        return out;
+      },
+    });
+  });
+  sock.write(`GET ${path} HTTP/1.1\r\nHost: ${hostname}:${port}\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n` +
+    `Sec-WebSocket-Key: ${randomBytes(16).toString('base64')}\r\nSec-WebSocket-Version: 13\r\n\r\n`);
+});
+
+// One masked client frame.
+const clientFrame = (opcode, payload) => {
+  const body = Buffer.from(payload), mask = randomBytes(4);
+  const head = body.length < 126 ? Buffer.from([0x80 | opcode, 0x80 | body.length])
+    : Buffer.from([0x80 | opcode, 0x80 | 126, body.length >> 8, body.length & 255]);
+  return Buffer.concat([head, mask, body.map((c, i) => c ^ mask[i & 3])]);
+};
+
+test.describe('Presence over the WebSocket relay', () => {
+  test('configuration picks the relay first and builds its ws(s):// URL', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const out = await page.evaluate(() => {
+      const saved = window.MRCARGON_PRESENCE;
+      window.MRCARGON_PRESENCE = { relayURL: 'https://relay.example.com/' };
+      const picked = window.Presence.defaultAdapter() instanceof window.PresenceWebSocketAdapter;
+      window.MRCARGON_PRESENCE = saved;
+      return { picked, url: window.PresenceWebSocketAdapter.socketURL('https://relay.example.com/') };
+    });
+
+    expect(out.picked).toBe(true);
+    expect(out.url).toBe('wss://relay.example.com/presence');
+  });
+
+  test('announces, merges the roster and re-announces after a drop', async ({ page }) => {
+    const sent = [];
+    let sockets = 0;
+    await page.routeWebSocket('ws://relay.test/presence', (ws) => {
+      sockets++;
+      ws.onMessage((m) => {
+        const msg = JSON.parse(m);
+        sent.push(msg.type + (msg.record ? ':' + msg.record.id : ''));
+        if (msg.type === 'here') {
+          ws.send(JSON.stringify({ type: 'roster', list: [msg.record, { id: 'peer', lat: 48.9, lng: 2.4, name: 'Paris' }] }));
+        }
+        if (msg.type === 'here' && sockets === 1) setTimeout(() => ws.close(), 200);
+      });
+    });
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const rosters = await page.evaluate(async () => {
+      const seen = [];
+      const a = new window.PresenceWebSocketAdapter({ relayURL: 'http://relay.test' });
+      a.connect({ onRoster: (list) => seen.push(list.map((r) => r.id + (r.self ? '*' : '')).sort().join(',')) });
+      await new Promise((r) => setTimeout(r, 300));
+      a.publish({ id: 'me', lat: 51.5, lng: -0.1, name: 'London' });
+      await new Promise((r) => setTimeout(r, 2000));            // relay drops us; retry after ~1 s
+      a.publish(null);
+      await new Promise((r) => setTimeout(r, 300));
+      a.disconnect();
+      return seen;
+    });
+
+    expect(rosters).toContain('me*,peer');
+    expect(sockets).toBe(2);
+    expect(sent).toEqual(['here:me', 'here:me', 'bye']);
+    expect(rosters[rosters.length - 1]).toBe('peer');
+  });
+
+  test.describe('the relay in server.cjs', () => {
+    let server;
+    test.beforeAll(async () => { server = await startLegacyServer(); });
+    test.afterAll(async () => { await server.stop(); });
+
+    test('rosters fan out per room; bye and a closed socket remove the record', async ({ page }) => {
+      await page.goto('/');
+      await page.waitForLoadState('networkidle');
+      const out = await page.evaluate(async (base) => {
+        const open = (room) => new Promise((resolve, reject) => {
+          const ws = new WebSocket(`${base}/presence/${room}`);
+          ws.rosters = [];
+          ws.onmessage = (e) => {
+            const msg = JSON.parse(e.data);
+            if (msg.type === 'roster') { ws.last = msg.list; ws.rosters.push(msg.list.map((r) => r.id).sort().join(',')); }
+          };
+          ws.onopen = () => resolve(ws);
+          ws.onerror = reject;
+        });
+        const settle = () => new Promise((r) => setTimeout(r, 300));
+        const here = (ws, id, lat) => ws.send(JSON.stringify({ type: 'here', record: { id, lat, lng: 2.44, name: id } }));
+        const a = await open('team'), b = await open('team'), c = await open('other');
+        await settle();
+        here(a, 'ann', 51.53);
+        here(c, 'cat', 40.7);
+        await settle();
+        here(b, 'bob', 48.9);
+        await settle();
+        const ann = b.last.find((r) => r.id === 'ann');
+        here(a, 'ann', 51.53);                                    // heartbeat, unchanged: no rebroadcast
+        await settle();
+        a.send(JSON.stringify({ type: 'bye' }));
+        await settle();
+        b.close();
+        await settle();
+        a.close();
+        c.close();
+        return { a: a.rosters, b: b.rosters, c: c.rosters, ann };
+      }, server.wsURL);
+
+      expect(out.a).toEqual(['', 'ann', 'ann,bob', 'bob', '']);
+      expect(out.b).toEqual(['', 'ann', 'ann,bob', 'bob']);
+      expect(out.c).toEqual(['', 'cat']);
+      expect(out.ann).toEqual({ id: 'ann', lat: 51.5, lng: 2.4, name: 'ann', color: '', status: '' });
+    });
+
+    test('unknown paths are refused and oversized frames close the socket', async ({ page }) => {
+      await page.goto('/');
+      await page.waitForLoadState('networkidle');
+      const out = await page.evaluate(async (base) => {
+        const closed = (url, send) => new Promise((resolve) => {
+          const ws = new WebSocket(url);
+          let opened = false;
+          ws.onopen = () => { opened = true; if (send) ws.send(send); };
+          ws.onerror = () => { if (!opened) resolve('refused'); };
+          ws.onclose = (e) => resolve(opened ? e.code : 'refused');
+        });
+        return {
+          badRoom: await closed(`${base}/presence/Not%20Clean`),
+          oversized: await closed(`${base}/presence`, 'x'.repeat(5000)),
+        };
+      }, server.wsURL);
+
+      expect(out.badRoom).toBe('refused');
+      expect(out.oversized).toBe(1009);
+    });
+
+    test('a burst of frames in one chunk is handled in full; control frames stay within 125 bytes', async () => {
+      const settle = () => new Promise((r) => setTimeout(r, 500));
+      const burst = await rawClient(server.wsURL, '/presence/burst');
+      const pings = Array.from({ length: 80 }, (_, i) => clientFrame(9, `p${i}`));
+      const here = clientFrame(1, JSON.stringify({ type: 'here', record: { id: 'zed', lat: 1, lng: 2 } }));
+      burst.send(Buffer.concat([...pings, here]));
+      await settle();
+      const frames = burst.frames();
+      burst.close();
+
+      expect(frames.filter((f) => f.opcode === 10).map((f) => f.payload.toString())).toEqual(pings.map((_, i) => `p${i}`));
+      expect(frames.some((f) => f.opcode === 1 && JSON.parse(f.payload).list.some((r) => r.id === 'zed'))).toBe(true);
+      expect(frames.some((f) => f.opcode === 8)).toBe(false);
+
+      const big = await rawClient(server.wsURL, '/presence/burst');
+      big.send(clientFrame(9, 'x'.repeat(126)));
+      await settle();
+      const close = big.frames().find((f) => f.opcode === 8);
+      big.close();
+
+      expect(close && close.payload.readUInt16BE(0)).toBe(1002);
+      expect(big.frames().some((f) => f.opcode === 10)).toBe(false);
+    });
+  });
+});
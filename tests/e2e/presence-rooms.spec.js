@@ -0,0 +1,70 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Presence Rooms E2E Tests
+ * Purpose: Verify named presence rooms — room names from the URL hash, shareable links,
+ *          room-scoped adapter channels/paths, and that two tabs in a room see only each other
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Presence rooms', () => {
+  test('room names come from the hash and make shareable links and scoped paths', async ({ page }) => {
+    await page.goto('/#room=Team%20X');
+    await page.waitForLoadState('networkidle');
+    const out = await page.evaluate(() => {
+      const P = window.Presence;
+      return {
+        fromHash: P.roomFromHash(window.location.hash),
+        afterPage: P.roomFromHash('#about?room=ops'),
+        none: P.roomFromHash('#about'),
+        link: P.roomLink('Team X', 'https://example.com/#about'),
+        lobby: P.roomLink('', 'https://example.com/#room=ops'),
+        channel: new window.PresenceBroadcastAdapter({ room: 'ops' }).channelName,
+        firebase: new window.PresenceFirebaseAdapter({ databaseURL: 'https://db.example.com', room: 'ops' })._url(null),
+        relay: window.PresenceWebSocketAdapter.socketURL('https://relay.example.com', 'ops'),
+        demo: new window.PresenceDemoAdapter({ room: 'ops' })._seed.length,
+      };
+    });
+
+    expect(out).toEqual({
+      fromHash: 'team-x',
+      afterPage: 'ops',
+      none: '',
+      link: 'https://example.com/#room=team-x',
+      lobby: 'https://example.com/',
+      channel: 'mrcargon.presence.ops',
+      firebase: 'https://db.example.com/presence-rooms/ops.json',
+      relay: 'wss://relay.example.com/presence/ops',
+      demo: 0,
+    });
+  });
+
+  test('tabs in the same room see each other; the lobby and other rooms do not', async ({ context }) => {
+    const tabs = await Promise.all([0, 1, 2].map(() => context.newPage()));
+    for (const tab of tabs) {
+      await tab.goto('/');
+      await tab.waitForLoadState('networkidle');
+    }
+    const join = (tab, room, id) => tab.evaluate(({ room, id }) => {
+      const pins = { setUsers: (list) => { window.__roster = list.map((u) => u.id).sort(); }, setVisible() {} };
+      window.__presence = new window.Presence(pins, {
+        room, makeAdapter: (r) => new window.PresenceBroadcastAdapter({ room: r }),
+      });
+      window.__presence.setEnabled(true);
+      window.__presence.adapter.publish({ id, lat: 51.5, lng: -0.1, name: id });
+    }, { room, id });
+
+    await join(tabs[0], 'team-x', 'ann');
+    await join(tabs[1], 'team-x', 'bob');
+    await join(tabs[2], '', 'cy');
+    await expect.poll(() => tabs[0].evaluate(() => window.__roster)).toEqual(['ann', 'bob']);
+    await expect.poll(() => tabs[2].evaluate(() => window.__roster)).toEqual(['cy']);
+
+    await tabs[1].evaluate(() => {
+      window.__presence._self = { id: 'bob', lat: 51.5, lng: -0.1, name: 'bob' };
+      window.__presence.setRoom('');
+    });
+    await expect.poll(() => tabs[0].evaluate(() => window.__roster)).toEqual(['ann']);
+    await expect.poll(() => tabs[2].evaluate(() => window.__roster)).toEqual(['bob', 'cy']);
+  });
+});
@@ -0,0 +1,127 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Storage & Compaction E2E Tests
+ * Purpose: Verify old tombstones are compacted (only once every recent device has synced
+ *          them), large stores move to IndexedDB, failed saves are reported, and the storage
+ *          line does not query storage usage on every autosave
+ * Rule 5: Test critical user flows
+ */
+
+const DAY = 86400000;
+
+test.describe('Local storage upkeep', () => {
+  test('compact() drops old tombstones and keeps recent ones and live events', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const out = await page.evaluate((day) => {
+      const key = 'mrcargon.test.compact';
+      const now = Date.now();
+      window.localStorage.setItem(key, JSON.stringify([
+        { id: 'old', title: 'gone', date: '2024-01-01', deleted: true, updated: now - 40 * day },
+        { id: 'new', title: 'recent', date: '2024-01-02', deleted: true, updated: now - 2 * day },
+        { id: 'live', title: 'kept', date: '2024-01-03', deleted: false, updated: now - 90 * day },
+      ]));
+      const store = new window.CalendarStore({ key });
+      const removed = store.compact();
+      const ids = JSON.parse(window.localStorage.getItem(key)).map((e) => e.id).sort();
+      window.localStorage.removeItem(key);
+      return { removed, ids };
+    }, DAY);
+
+    expect(out.removed).toBe(1);
+    expect(out.ids).toEqual(['live', 'new']);
+  });
+
+  test('a synced tombstone is purged only after every recent peer pulled past it', async ({ page }) => {
+    await page.route('https://firestore.googleapis.com/**', (route) => route.fulfill({ status: 200, contentType: 'application/json', body: '{}' }));
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const out = await page.evaluate((day) => {
+      const sync = new window.CalendarSync({ projectId: 'demo', syncCode: 'code', collection: 'test-gc', pollMs: 600000 });
+      const now = Date.now();
+      const gc = (peerAt) => window.localStorage.setItem('mrcargon.sync.gc.test-gc', JSON.stringify({
+        code: 'code', published: now, tombs: { t1: now - 31 * day },
+        peers: { laptop: { at: peerAt, seen: now - day }, gone: { at: 0, seen: now - 200 * day } },
+      }));
+      gc(now - 32 * day);                          // the laptop has not pulled since before the delete
+      const before = sync.purgeable(['t1', 'unknown']);
+      gc(now - day);                               // now it has; the long-gone device is not waited for
+      const after = sync.purgeable(['t1', 'unknown']);
+      window.localStorage.removeItem('mrcargon.sync.gc.test-gc');
+      window.localStorage.removeItem('mrcargon.sync.outbox.test-gc');
+      return { before, after };
+    }, DAY);
+
+    expect(out.before).toEqual([]);
+    expect(out.after).toEqual(['t1']);
+  });
+
+  test('a store past the localStorage budget moves to IndexedDB and loads back', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const out = await page.evaluate(async () => {
+      const key = 'mrcargon.test.bigstore';
+      window.LocalDB.MIGRATE_CHARS = 2000;
+      const store = new window.NotesStore({ key });
+      for (let i = 0; i < 20; i++) store.upsert({ title: 'Note ' + i, body: 'x'.repeat(200) });
+      await new Promise((r) => setTimeout(r, 500));
+      const stub = window.localStorage.getItem(key);
+      const again = new window.NotesStore({ key });
+      const loadingAtFirst = again.loading();
+      await new Promise((r) => setTimeout(r, 500));
+      return { where: window.LocalDB.where(key), stub, loadingAtFirst, count: again.list().length };
+    });
+
+    expect(out.where).toBe('indexeddb');
+    expect(out.stub.startsWith('{"@idb":')).toBe(true);
+    expect(out.loadingAtFirst).toBe(true);
+    expect(out.count).toBe(20);
+  });
+
+  test('a save that cannot fit is reported instead of lost silently', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const error = await page.evaluate(async () => {
+      const key = 'mrcargon.test.full';
+      const store = new window.CalendarStore({ key });
+      window.LocalDB.supported = () => false;      // no IndexedDB to fall back to
+      const setItem = Storage.prototype.setItem;
+      Storage.prototype.setItem = function (k, v) {
+        if (k === key) throw new DOMException('full', 'QuotaExceededError');
+        return setItem.call(this, k, v);
+      };
+      store.upsert({ title: 'Too much', date: '2024-05-01' });
+      await new Promise((r) => setTimeout(r, 100));
+      Storage.prototype.setItem = setItem;
+      return store.storageError;
+    });
+
+    expect(error).toContain('Storage full');
+  });
+
+  test('autosaving while typing refreshes the storage line at most every 10 s', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => {
+      window.localStorage.removeItem('mrcargon.notes');
+      new window.NotesStore().upsert({ title: 'Draft', body: '' });
+    });
+    await page.goto('/#notes');
+    await page.waitForSelector('.note-body-in', { state: 'visible', timeout: 15000 });
+    await page.evaluate(() => {
+      const usage = window.LocalDB.usage;
+      window.__usageCalls = 0;
+      window.LocalDB.usage = function () { window.__usageCalls++; return usage.apply(this, arguments); };
+    });
+    for (const ch of 'abcd') {
+      await page.type('.note-body-in', ch);
+      await expect(page.locator('#note-saved')).toHaveText('saved');
+    }
+    const calls = () => page.evaluate(() => window.__usageCalls);
+
+    expect(await calls()).toBeLessThanOrEqual(1);
+    await expect.poll(calls, { timeout: 12000 }).toBeGreaterThanOrEqual(1);
+    expect(await calls()).toBeLessThanOrEqual(2);
+  });
+});
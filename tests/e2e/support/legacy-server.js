@@ -0,0 +1,42 @@
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Start the real server.cjs (sync endpoint + presence relay) for a spec: any free port, a
+ * throw-away SYNC_DATA_FILE. Resolves { url, wsURL, dataFile, stop() } once it listens.
+ * Rule 5: Test against the real endpoint, not a mock of it
+ */
+export async function startLegacyServer() {
+  const dir = mkdtempSync(join(tmpdir(), 'mrcargon-server-'));
+  const dataFile = join(dir, 'sync-data.json');
+  const child = spawn(process.execPath, [fileURLToPath(new URL('../../../server.cjs', import.meta.url))], {
+    env: { ...process.env, PORT: '0', SYNC_DATA_FILE: dataFile },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  const port = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server.cjs did not start:\n${output}`)), 10000);
+    const read = (chunk) => {
+      output += chunk;
+      const m = /Server running at http:\/\/localhost:(\d+)/.exec(output);
+      if (m) { clearTimeout(timer); resolve(Number(m[1])); }
+    };
+    child.stdout.on('data', read);
+    child.stderr.on('data', read);
+    child.on('exit', (code) => { clearTimeout(timer); reject(new Error(`server.cjs exited (${code}):\n${output}`)); });
+  });
+  return {
+    url: `http://localhost:${port}`,
+    wsURL: `ws://localhost:${port}`,
+    dataFile,
+    stop: () => new Promise((resolve) => {
+      const done = () => { rmSync(dir, { recursive: true, force: true }); resolve(); };
+      if (child.exitCode !== null || child.signalCode !== null) return done();
+      child.once('exit', done);
+      child.kill();
+    }),
+  };
+}
@@ -0,0 +1,225 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'node:fs';
+import { startLegacyServer } from './support/legacy-server.js';
+
+/**
+ * Sync Backends E2E Tests
+ * Purpose: Verify CalendarSync picks its storage adapter from configuration and syncs through
+ *          the real self-hosted server.cjs endpoint (paging, `since`, validation, server-side
+ *          `_pushed` stamps) and through a WebDAV folder (MKCOL, PROPFIND listing, `since`
+ *          filtering by the server's modified time)
+ * Rule 5: Test critical user flows
+ */
+
+// In-memory WebDAV folder for page.route: PUT / GET / MKCOL (409 without a parent) and a
+// Depth 1 PROPFIND multistatus. `files`: pathname -> { body, modified }; `folders`: pathnames.
+const webdav = (files, folders) => (route) => {
+  const req = route.request();
+  const path = new URL(req.url()).pathname;
+  const parent = path.slice(0, path.lastIndexOf('/', path.length - 2) + 1);
+  const method = req.method();
+  if (method === 'MKCOL') {
+    if (folders.has(path)) return route.fulfill({ status: 405 });
+    if (!folders.has(parent)) return route.fulfill({ status: 409 });
+    folders.add(path);
+    return route.fulfill({ status: 201 });
+  }
+  if (method === 'PUT') {
+    if (!folders.has(parent)) return route.fulfill({ status: 409 });
+    files.set(path, { body: req.postData(), modified: Date.now() });
+    return route.fulfill({ status: 201 });
+  }
+  if (method === 'GET') {
+    const f = files.get(path);
+    return f ? route.fulfill({ status: 200, contentType: 'application/json', body: f.body }) : route.fulfill({ status: 404 });
+  }
+  if (method === 'PROPFIND') {
+    if (!folders.has(path)) return route.fulfill({ status: 404 });
+    const inside = [...files].filter(([p]) => p.startsWith(path) && !p.slice(path.length).includes('/'));
+    const entries = [[path, 0], ...inside.map(([p, f]) => [p, f.modified])];
+    const body = '<?xml version="1.0" encoding="utf-8"?><D:multistatus xmlns:D="DAV:">' + entries.map(([href, m]) =>
+      `<D:response><D:href>${href}</D:href><D:propstat><D:prop>${m ? `<D:getlastmodified>${new Date(m).toUTCString()}</D:getlastmodified>` : ''}` +
+      '</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>').join('') + '</D:multistatus>';
+    return route.fulfill({ status: 207, contentType: 'application/xml', body });
+  }
+  return route.fulfill({ status: 405 });
+};
+
+test.describe('CalendarSync backends', () => {
+  test('configuration picks the adapter: server, then WebDAV, then Firestore', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const picked = await page.evaluate(() => {
+      const saved = window.MRCARGON_SYNC;
+      const pick = (cfg) => { window.MRCARGON_SYNC = cfg; return window.CalendarSync.defaultAdapter().name; };
+      const out = [
+        pick({ serverURL: '/', webdavURL: 'https://dav.example.com/f' }),
+        pick({ serverURL: '', webdavURL: 'https://dav.example.com/f' }),
+        pick({}),
+      ];
+      window.MRCARGON_SYNC = saved;
+      return out;
+    });
+
+    expect(picked).toEqual(['server', 'webdav', 'firestore']);
+  });
+
+  test.describe('self-hosted server.cjs', () => {
+    let server;
+    test.beforeAll(async () => { server = await startLegacyServer(); });
+    test.afterAll(async () => { await server.stop(); });
+
+    test('records round-trip through the endpoint, sealed', async ({ page }) => {
+      await page.goto('/');
+      await page.waitForLoadState('networkidle');
+      const titles = await page.evaluate(async (url) => {
+        const adapter = () => new window.ServerSyncAdapter({ serverURL: url });
+        const sync = new window.CalendarSync({ adapter: adapter(), syncCode: 'team code', collection: 'test-server', pollMs: 600000 });
+        ['a', 'b', 'c'].forEach((id) => sync.push({ id, title: 'Event ' + id, updated: 1 }));
+        await new Promise((r) => setTimeout(r, 1500));
+        const other = new window.CalendarSync({ adapter: adapter(), syncCode: 'team code', collection: 'test-server' });
+        const seen = [];
+        other.onRemote = (list) => list.forEach((r) => seen.push(r.title));
+        await other.pull();
+        return seen.sort();
+      }, server.url);
+
+      expect(titles).toEqual(['Event a', 'Event b', 'Event c']);
+      // The store is written debounced; once it is, it holds the three documents, sealed
+      // (beside the pulling device's tombstone-GC checkpoint, '~device.<id>').
+      await expect.poll(() => { try { return readFileSync(server.dataFile, 'utf8'); } catch { return ''; } }).toContain('"c"');
+      const stored = JSON.parse(readFileSync(server.dataFile, 'utf8'));
+      const collection = Object.keys(stored).find((k) => k.endsWith('/test-server'));
+      expect(Object.keys(stored[collection]).filter((id) => !id.startsWith('~device.')).sort()).toEqual(['a', 'b', 'c']);
+      expect(JSON.stringify(stored)).not.toContain('Event');
+    });
+
+    test('stamps _pushed itself, pages by (_pushed, id), honours since and refuses bad requests', async ({ page }) => {
+      await page.goto('/');
+      await page.waitForLoadState('networkidle');
+      const out = await page.evaluate(async (url) => {
+        const adapter = new window.ServerSyncAdapter({ serverURL: url });
+        const space = 'ab'.repeat(16);
+        const sent = Date.now();
+        // A device clock far ahead (or behind) must not decide the order: the server's stamps do.
+        for (const [id, pushed] of [['b', 9e15], ['a', 1], ['c', 9e15], ['d', 1], ['e', 5]]) {
+          await adapter.put(space, 'paging', { id, updated: 1, deleted: false, _pushed: pushed, ct: 'sealed' });
+        }
+        const stamps = {};
+        const pages = async (since) => {
+          const seen = [];
+          await adapter.list(space, 'paging', { since, pageSize: 2, maxPages: 10 }, (docs) => {
+            docs.forEach((d) => { stamps[d.id] = d._pushed; });
+            seen.push(docs.map((d) => d.id).join(''));
+            return Promise.resolve(docs.length);
+          });
+          return seen;
+        };
+        const status = async (path, init) => (await fetch(url + path, init)).status;
+        const put = (path, doc) => status(path, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(doc) });
+        const all = await pages(null);
+        return {
+          all,
+          stamps: ['b', 'a', 'c', 'd', 'e'].map((id) => stamps[id] - sent),
+          since: await pages(stamps.a),
+          nested: await put(`/sync/${space}/paging/x`, { id: 'x', ct: { not: 'flat' } }),
+          wrongId: await put(`/sync/${space}/paging/x`, { id: 'y' }),
+          badSpace: await status('/sync/not-a-space/paging'),
+          removed: [await status(`/sync/${space}/paging/a`, { method: 'DELETE' }), await status(`/sync/${space}/paging/a`, { method: 'DELETE' })],
+          unstamped: await put(`/sync/${space}/paging/x`, { id: 'x', ct: 'sealed' }),
+          after: await pages(null),
+        };
+      }, server.url);
+
+      expect(out.all).toEqual(['ba', 'cd', 'e']);
+      expect(out.stamps.every((d, i) => d >= 0 && d < 60000 && (i === 0 || d > out.stamps[i - 1]))).toBe(true);
+      expect(out.since).toEqual(['cd', 'e']);
+      expect([out.nested, out.wrongId]).toEqual([400, 400]);
+      expect(out.badSpace).toBe(404);
+      expect(out.removed).toEqual([200, 404]);
+      expect(out.unstamped).toBe(200);
+      expect(out.after).toEqual(['bc', 'de', 'x']);
+    });
+  });
+
+  test.describe('WebDAV', () => {
+    const space = 'cd'.repeat(16);
+
+    test('records round-trip through the folder, creating it on the first write', async ({ page }) => {
+      const files = new Map(), folders = new Set(['/dav/']);
+      await page.route('**/dav/**', webdav(files, folders));
+      await page.goto('/');
+      await page.waitForLoadState('networkidle');
+      const titles = await page.evaluate(async () => {
+        const adapter = () => new window.WebDAVSyncAdapter({ webdavURL: '/dav' });
+        const sync = new window.CalendarSync({ adapter: adapter(), syncCode: 'team code', collection: 'test-dav', pollMs: 600000 });
+        ['a', 'b', 'c'].forEach((id) => sync.push({ id, title: 'Event ' + id, updated: 1 }));
+        await new Promise((r) => setTimeout(r, 1500));
+        const other = new window.CalendarSync({ adapter: adapter(), syncCode: 'team code', collection: 'test-dav' });
+        const seen = [];
+        other.onRemote = (list) => list.forEach((r) => seen.push(r.title));
+        await other.pull();
+        return seen.sort();
+      });
+
+      expect(titles).toEqual(['Event a', 'Event b', 'Event c']);
+      const records = [...files.keys()].map((p) => p.split('/').slice(-2).join('/')).filter((p) => !p.includes('~device.'));
+      expect(records.sort()).toEqual(['test-dav/a.json', 'test-dav/b.json', 'test-dav/c.json']);
+      expect([...folders].filter((f) => f.endsWith('/test-dav/'))).toHaveLength(1);
+      expect(JSON.stringify([...files.values()])).not.toContain('Event');
+    });
+
+    test('the PROPFIND listing is parsed and only files modified since the cursor are read, stamped with that time', async ({ page }) => {
+      const dir = `/dav/${space}/notes/`;
+      const files = new Map([
+        [`${dir}a.json`, { body: JSON.stringify({ id: 'a', _pushed: 1 }), modified: Date.UTC(2030, 0, 1) }],
+        [`${dir}b.json`, { body: JSON.stringify({ id: 'b', _pushed: 2 }), modified: Date.UTC(2030, 0, 2) }],
+        [`${dir}c.json`, { body: JSON.stringify({ id: 'c', _pushed: 3 }), modified: Date.UTC(2030, 0, 3) }],
+        [`${dir}readme.txt`, { body: 'not a record', modified: Date.UTC(2030, 0, 3) }],
+      ]);
+      const folders = new Set(['/dav/', `/dav/${space}/`, dir]);
+      await page.route('**/dav/**', webdav(files, folders));
+      await page.goto('/');
+      await page.waitForLoadState('networkidle');
+      const out = await page.evaluate(async ({ space, dir }) => {
+        const A = window.WebDAVSyncAdapter;
+        const adapter = new A({ webdavURL: '/dav' });
+        const stamps = {};
+        const pages = async (since) => {
+          const seen = [];
+          await adapter.list(space, 'notes', { since, pageSize: 1, maxPages: 10 }, (docs) => {
+            docs.forEach((d) => { stamps[d.id] = d._pushed; });
+            seen.push(docs.map((d) => d.id).join(''));
+            return Promise.resolve(docs.length);
+          });
+          return seen;
+        };
+        const xml = await (await fetch(dir, { method: 'PROPFIND', headers: { Depth: '1' } })).text();
+        return {
+          listing: A.parseListing(xml),
+          unprefixed: A.parseListing('<multistatus xmlns="DAV:"><response><href>/x/a.json</href><propstat><prop>' +
+            '<getlastmodified>Tue, 01 Jan 2030 00:00:00 GMT</getlastmodified></prop></propstat></response></multistatus>'),
+          all: await pages(null),
+          since: await pages(Date.UTC(2030, 0, 2)),
+          empty: await pages(Date.UTC(2031, 0, 1)),
+          missing: await adapter.list('ef'.repeat(16), 'notes', { since: null, pageSize: 1, maxPages: 10 }, () => Promise.resolve(1)),
+          stamps,
+        };
+      }, { space, dir });
+
+      expect(out.listing).toEqual([
+        { href: dir, modified: 0 },
+        { href: `${dir}a.json`, modified: Date.UTC(2030, 0, 1) },
+        { href: `${dir}b.json`, modified: Date.UTC(2030, 0, 2) },
+        { href: `${dir}c.json`, modified: Date.UTC(2030, 0, 3) },
+        { href: `${dir}readme.txt`, modified: Date.UTC(2030, 0, 3) },
+      ]);
+      expect(out.unprefixed).toEqual([{ href: '/x/a.json', modified: Date.UTC(2030, 0, 1) }]);
+      expect(out.all).toEqual(['a', 'b', 'c']);
+      expect(out.since).toEqual(['b', 'c']);
+      expect(out.empty).toEqual([]);
+      expect(out.missing).toBe(0);
+      expect(out.stamps).toEqual({ a: Date.UTC(2030, 0, 1), b: Date.UTC(2030, 0, 2), c: Date.UTC(2030, 0, 3) });
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Delta Pull E2E Tests
+ * Purpose: Verify CalendarSync lists a collection once (following pages), then pulls deltas only,
+ *          with the cursor on Firestore's own write time rather than the device clock
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('CalendarSync delta pulls', () => {
+  test('full listing follows nextPageToken, later pulls query _pushed past the cursor', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    // Documents as another device with the same code would have stored them (encrypted).
+    const sealed = await page.evaluate(async () => {
+      const sync = new window.CalendarSync({ projectId: 'demo', syncCode: 'code', collection: 'test-delta' });
+      const keys = await sync._keysNow();
+      const out = {};
+      const t0 = Date.UTC(2030, 0, 1);
+      for (const [id, pushed] of [['a', t0], ['b', t0 + 1000], ['c', t0 + 900000]]) {
+        const fields = sync._encode(await sync._seal({ id, title: id, updated: 1 }, keys));
+        fields._pushed = { timestampValue: new Date(pushed).toISOString() };
+        out[id] = { name: `projects/demo/databases/(default)/documents/calendars/${keys.space}/test-delta/${id}`, fields };
+      }
+      return out;
+    });
+    const requests = [];
+    await page.route('https://firestore.googleapis.com/**', (route) => {
+      const req = route.request();
+      if (req.method() === 'GET') {
+        const second = req.url().includes('pageToken=p2');
+        requests.push(second ? 'GET page 2' : 'GET page 1');
+        const body = second ? { documents: [sealed.b] } : { documents: [sealed.a], nextPageToken: 'p2' };
+        return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify(body) });
+      }
+      if (req.url().endsWith('/documents:commit')) return route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+      const query = JSON.parse(req.postData()).structuredQuery;
+      requests.push(`QUERY _pushed > ${query.where.fieldFilter.value.timestampValue}`);
+      return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify([{ document: sealed.c }]) });
+    });
+    const pulled = await page.evaluate(async () => {
+      window.localStorage.removeItem('mrcargon.sync.cursor.test-delta');
+      const sync = new window.CalendarSync({ projectId: 'demo', syncCode: 'code', collection: 'test-delta' });
+      const seen = [];
+      sync.onRemote = (list) => list.forEach((r) => seen.push(r.id + ('_pushed' in r ? '!' : '')));
+      await sync.pull();
+      await sync.pull();
+      return seen;
+    });
+
+    expect(pulled).toEqual(['a', 'b', 'c']);
+    // cursor = b's write time, less the SKEW_MS re-read window (5 min)
+    expect(requests).toEqual(['GET page 1', 'GET page 2', 'QUERY _pushed > 2029-12-31T23:55:01.000Z']);
+  });
+
+  test('pushes leave _pushed to a server-side REQUEST_TIME transform', async ({ page }) => {
+    const writes = [];
+    await page.route('https://firestore.googleapis.com/**', (route) => {
+      const req = route.request();
+      if (req.url().endsWith('/documents:commit')) writes.push(...JSON.parse(req.postData()).writes);
+      return route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+    });
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(async () => {
+      window.localStorage.removeItem('mrcargon.sync.outbox.test-stamp');
+      const sync = new window.CalendarSync({ projectId: 'demo', syncCode: 'code', collection: 'test-stamp', pollMs: 600000 });
+      sync.push({ id: 'a', title: 'first', updated: 1 });
+      await new Promise((r) => setTimeout(r, 1500));
+    });
+
+    const w = writes.find((x) => x.update.name.endsWith('/test-stamp/a'));
+    expect(w.update.name).toMatch(/^projects\/demo\/databases\/\(default\)\/documents\/calendars\/[0-9a-f]{32}\/test-stamp\/a$/);
+    expect(Object.keys(w.update.fields).sort()).toEqual(['ct', 'deleted', 'id', 'updated']);
+    expect(w.updateTransforms).toEqual([{ fieldPath: '_pushed', setToServerValue: 'REQUEST_TIME' }]);
+  });
+});
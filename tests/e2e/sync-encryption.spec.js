@@ -0,0 +1,73 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Sync Encryption E2E Tests
+ * Purpose: Verify CalendarSync encrypts records end to end and rotates the key with the sync code
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('CalendarSync encryption', () => {
+  test('the backend only sees id / updated / deleted and ciphertext', async ({ page }) => {
+    const stored = {};
+    await page.route('https://firestore.googleapis.com/**', (route) => {
+      const req = route.request();
+      if (req.url().endsWith('/documents:commit')) JSON.parse(req.postData()).writes.forEach((w) => { stored[w.update.name] = w.update.fields; });
+      if (req.method() === 'GET') {
+        const docs = Object.entries(stored).map(([name, fields]) => ({ name, fields }));
+        return route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ documents: docs }) });
+      }
+      return route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+    });
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const result = await page.evaluate(async () => {
+      window.localStorage.removeItem('mrcargon.sync.outbox.test-e2e');
+      window.localStorage.removeItem('mrcargon.sync.cursor.test-e2e');
+      const sync = new window.CalendarSync({ projectId: 'demo', syncCode: 'correct horse', collection: 'test-e2e', pollMs: 600000 });
+      sync.push({ id: 'n1', title: 'Secret plans', body: 'private text', updated: 7 });
+      await new Promise((r) => setTimeout(r, 1500));
+      const reader = (code) => {
+        window.localStorage.removeItem('mrcargon.sync.cursor.test-e2e');
+        const other = new window.CalendarSync({ projectId: 'demo', syncCode: code, collection: 'test-e2e' });
+        const seen = [];
+        other.onRemote = (list) => list.forEach((r) => seen.push(r.title));
+        return other.pull().then(() => seen);
+      };
+      return { same: await reader('correct horse'), wrong: await reader('wrong code') };
+    });
+
+    const paths = Object.keys(stored);
+    expect(paths).toHaveLength(1);
+    expect(paths[0]).not.toContain('correct');
+    expect(Object.keys(stored[paths[0]]).sort()).toEqual(['ct', 'deleted', 'id', 'updated']);
+    expect(JSON.stringify(stored)).not.toContain('Secret');
+    expect(result.same).toEqual(['Secret plans']);
+    expect(result.wrong).toEqual([]);
+  });
+
+  test('a new sync code derives a new key and space and re-sends every record', async ({ page }) => {
+    const spaces = new Set();
+    await page.route('https://firestore.googleapis.com/**', (route) => {
+      const req = route.request();
+      if (req.url().endsWith('/documents:commit')) JSON.parse(req.postData()).writes.forEach((w) => spaces.add(w.update.name.split('/calendars/')[1].split('/')[0]));
+      const body = req.method() === 'GET' ? '{"documents":[]}' : '{}';
+      return route.fulfill({ status: 200, contentType: 'application/json', body });
+    });
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const titles = await page.evaluate(async () => {
+      window.localStorage.removeItem('test.notes.e2e');
+      const sync = new window.CalendarSync({ projectId: 'demo', syncCode: 'old code', collection: 'test-rotate', pollMs: 600000 });
+      const store = new window.NotesStore({ key: 'test.notes.e2e', sync });
+      store.upsert({ title: 'Kept across rotation' });
+      await new Promise((r) => setTimeout(r, 1500));
+      sync.setSyncCode('new code');
+      await new Promise((r) => setTimeout(r, 2500));
+      sync.detach();
+      return store.list().map((n) => n.title);
+    });
+
+    expect(titles).toEqual(['Kept across rotation']);
+    expect(spaces.size).toBe(2);
+  });
+});
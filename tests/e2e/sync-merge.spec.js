@@ -0,0 +1,46 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Field-level Merge E2E Tests
+ * Purpose: Verify RecordMerge per-field stamps and conflicted copies in NotesStore / CalendarStore
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Field-level sync merge', () => {
+  test('edits to different fields on two devices both survive', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const result = await page.evaluate(() => {
+      const M = window.RecordMerge;
+      const base = M.touch(null, { id: 'n1', title: 'T', body: 'B', updated: 1000 });
+      M._device = 'devicea';
+      const a = M.touch(base, Object.assign({}, base, { title: 'Title from A', updated: 2000 }));
+      M._device = 'deviceb';
+      const b = M.touch(base, Object.assign({}, base, { body: 'Body from B', updated: 3000 }));
+      const m = M.merge(a, b, ['body']);
+      return { title: m.record.title, body: m.record.body, conflicts: m.conflicts.length, pushBack: m.pushBack };
+    });
+
+    expect(result).toEqual({ title: 'Title from A', body: 'Body from B', conflicts: 0, pushBack: true });
+  });
+
+  test('concurrent body edits keep the losing text as a conflicted copy', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const result = await page.evaluate(() => {
+      ['test.merge.notes', 'test.merge.notes.history'].forEach((k) => window.localStorage.removeItem(k));
+      const M = window.RecordMerge;
+      const store = new window.NotesStore({ key: 'test.merge.notes' });
+      const note = store.upsert({ title: 'Plan', body: 'v1' });
+      const remote = M.touch(note, Object.assign({}, note, { body: 'edited elsewhere', updated: note.updated + 5 }));
+      remote.stamps = remote.stamps.replace(/:d[a-z0-9]+:/g, ':otherdev:');
+      store.upsert({ id: note.id, body: 'edited here' });
+      store._mergeRemote([remote]);
+      const copies = store.conflicts(note.id);
+      store.resolveConflict(copies[0].id, 'discard');
+      return { copies: copies.length, after: store.conflicts(note.id).length, kept: store.get(note.id).body !== '' };
+    });
+
+    expect(result).toEqual({ copies: 1, after: 0, kept: true });
+  });
+});
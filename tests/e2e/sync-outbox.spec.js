@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Sync Outbox E2E Tests
+ * Purpose: Verify CalendarSync queues pushes, coalesces them per id and retries when back online
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('CalendarSync outbox', () => {
+  test('failed pushes stay queued, coalesced, and drain when the network returns', async ({ page }) => {
+    let online = false;
+    const sent = [];
+    await page.route('https://firestore.googleapis.com/**', (route) => {
+      if (!online) return route.abort('internetdisconnected');
+      if (route.request().url().endsWith('/documents:commit')) sent.push(Number(JSON.parse(route.request().postData()).writes[0].update.fields.updated.integerValue));
+      return route.fulfill({ status: 200, contentType: 'application/json', body: '{}' });
+    });
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    const queued = await page.evaluate(async () => {
+      window.localStorage.removeItem('mrcargon.sync.outbox.test-outbox');
+      const sync = new window.CalendarSync({ projectId: 'demo', syncCode: 'code', collection: 'test-outbox', pollMs: 600000 });
+      window.__outboxSync = sync;
+      sync.push({ id: 'a', title: 'first', updated: 1 });
+      sync.push({ id: 'b', title: 'other', updated: 2 });
+      sync.push({ id: 'a', title: 'second', updated: 3 });
+      await new Promise((r) => setTimeout(r, 300));
+      return sync.status().pending;
+    });
+
+    expect(queued).toBe(2);
+    online = true;
+    const left = await page.evaluate(async () => {
+      window.__outboxSync._handleNet({ type: 'online' });
+      await new Promise((r) => setTimeout(r, 1000));
+      return window.__outboxSync.pending();
+    });
+
+    expect(left).toBe(0);
+    expect(sent.sort()).toEqual([2, 3]);
+  });
+});
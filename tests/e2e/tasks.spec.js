@@ -0,0 +1,84 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Tasks E2E Tests
+ * Purpose: Verify the Tasks launcher module — adding tasks with due dates and priorities,
+ *          subtasks and completion, persistence, and due-date markers in the Calendar
+ * Rule 5: Test critical user flows
+ */
+
+test.describe('Tasks module', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => window.localStorage.removeItem('mrcargon.tasks'));
+  });
+
+  test('store keeps views, subtask progress and one level of nesting', async ({ page }) => {
+    const out = await page.evaluate(() => {
+      const s = new window.TasksStore();
+      const today = window.TasksStore.today();
+      const late = s.upsert({ title: 'Pay rent', due: '2000-01-01', priority: 3 });
+      const trip = s.upsert({ title: 'Pack', due: today });
+      s.upsert({ title: 'Someday' });
+      const sock = s.upsert({ title: 'Socks', parentId: trip.id });
+      s.upsert({ title: 'Passport', parentId: trip.id });
+      const nested = s.upsert({ title: 'Too deep', parentId: sock.id });
+      s.toggle(sock.id, true);
+      s.toggle(late.id, true);
+      return {
+        today: s.list({ view: 'today' }).map((t) => t.title),
+        done: s.list({ view: 'done' }).map((t) => t.title),
+        progress: s.progress(trip.id),
+        nestedParent: nested.parentId,
+        reloaded: new window.TasksStore().list({ view: 'all' }).length,
+      };
+    });
+
+    expect(out.today).toEqual(['Pack']);
+    expect(out.done).toEqual(['Pay rent']);
+    expect(out.progress).toEqual({ done: 1, total: 2 });
+    expect(out.nestedParent).toBe('');
+    expect(out.reloaded).toBe(4);
+  });
+
+  test('the Tasks page adds, expands and completes tasks', async ({ page }) => {
+    await page.goto('/#tasks');
+    await page.waitForSelector('#tasks-root .tasks-add', { state: 'visible', timeout: 15000 });
+    await page.fill('.tasks-add input[name="title"]', 'Write report');
+    await page.selectOption('.tasks-add select[name="priority"]', '3');
+    await page.press('.tasks-add input[name="title"]', 'Enter');
+    await expect(page.locator('.task-item .task-title')).toHaveText(['Write report']);
+    await expect(page.locator('.task-item')).toHaveClass(/prio-3/);
+
+    await page.click('.task-title');
+    await page.fill('.task-sub-add input[name="title"]', 'Outline');
+    await page.press('.task-sub-add input[name="title"]', 'Enter');
+    await expect(page.locator('.task-sub')).toHaveCount(1);
+    await expect(page.locator('.task-subs')).toHaveText('0/1');
+
+    await page.check('.task-row .task-check');
+    await expect(page.locator('.tasks-empty')).toBeVisible();
+    await page.click('[data-view="done"]');
+    await expect(page.locator('.task-item.done .task-title')).toHaveText(['Write report']);
+  });
+
+  test('open tasks with a due date show as markers in the Calendar month grid', async ({ page }) => {
+    const due = await page.evaluate(() => {
+      const s = new window.TasksStore();
+      const iso = window.TasksStore.today();
+      s.upsert({ title: 'Dentist forms', due: iso });
+      s.toggle(s.upsert({ title: 'Already done', due: iso }).id, true);
+      window.localStorage.setItem('mrcargon.calendar.view', 'month');
+      return iso;
+    });
+    await page.goto('/#calendar');
+    await page.waitForSelector('.cal-grid', { state: 'visible', timeout: 15000 });
+    const cell = page.locator(`.cal-cell[data-date="${due}"]`);
+
+    await expect(cell.locator('.cal-task-mark')).toBeVisible();
+    await expect(cell).toHaveAttribute('title', 'Due: Dentist forms');
+    await cell.click();
+    await expect(page.locator('.cal-task-list a')).toHaveText(['Dentist forms']);
+  });
+});